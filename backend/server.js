@@ -1,41 +1,340 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
+import fs from "fs";
 
 import {
   WAFV2Client,
   ListWebACLsCommand,
   GetWebACLCommand,
-  GetRuleGroupCommand
+  GetRuleGroupCommand,
+  DescribeManagedRuleGroupCommand,
+  GetIPSetCommand,
+  GetRegexPatternSetCommand,
+  ListResourcesForWebACLCommand
 } from "@aws-sdk/client-wafv2";
+import { CloudFrontClient, ListDistributionsByWebACLIdCommand } from "@aws-sdk/client-cloudfront";
+import { fromIni, fromTemporaryCredentials } from "@aws-sdk/credential-providers";
 
 dotenv.config();
 const app = express();
 app.use(cors());
 
+// The named AWS profiles and assume-role targets the WAF routes can use, read from
+// AWS_ACCOUNTS_CONFIG (accounts.json by default, see accounts.example.json). Without the
+// file every route uses the default credential chain.
+const loadAccounts = () => {
+  const configPath = process.env.AWS_ACCOUNTS_CONFIG || new URL("./accounts.json", import.meta.url);
+  if (!fs.existsSync(configPath)) return [];
+  try {
+    const { accounts = [] } = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    return accounts.filter(account => account.id && (account.profile || account.roleArn));
+  } catch (error) {
+    console.error("❌ Error reading the accounts config:", error);
+    return [];
+  }
+};
 
-app.get("/api/waf-acls-names/region/:region", async (req, res) => {
+const createCredentials = (account) => (account.roleArn
+  ? fromTemporaryCredentials({
+    params: {
+      RoleArn: account.roleArn,
+      RoleSessionName: "waf-visualizer",
+      ...(account.externalId ? { ExternalId: account.externalId } : {})
+    },
+    ...(account.sourceProfile ? { masterCredentials: fromIni({ profile: account.sourceProfile }) } : {})
+  })
+  : fromIni({ profile: account.profile }));
+
+const accounts = loadAccounts();
+// One provider per account, so assumed-role credentials are reused until they expire
+const credentialProviders = new Map(accounts.map(account => [account.id, createCredentials(account)]));
+
+// Every /api route accepts ?account=<id>; the credentials of that account sign its AWS calls
+app.use("/api", (req, res, next) => {
+  const { account } = req.query;
+  if (!account) return next();
+  if (!credentialProviders.has(account)) {
+    return res.status(400).json({ error: `Unknown account ${account}` });
+  }
+  req.credentials = credentialProviders.get(account);
+  next();
+});
+
+app.get("/api/accounts", (req, res) => {
+  res.json(accounts.map(({ id, name, roleArn }) => ({ id, name: name || id, type: roleArn ? "role" : "profile" })));
+});
+
+
+// arn:aws:wafv2:<region>:<account>:<scope>/<resource type>/<name>/<id>
+const parseWafArn = (arn) => {
+  const [, , name, id] = arn.split(":").slice(5).join(":").split("/");
+  return { name, id };
+};
+
+// The region and scope of a web ACL ARN; global (CloudFront) ARNs live in us-east-1
+const parseWebAclArn = (arn) => {
+  const match = /^arn:aws[\w-]*:wafv2:([^:]+):\d+:(global|regional)\/webacl\/[^/]+\/[^/]+$/.exec(arn || "");
+  if (!match) return null;
+  return {
+    ...parseWafArn(arn),
+    region: match[1],
+    scope: match[2] === "global" ? "CLOUDFRONT" : "REGIONAL"
+  };
+};
+
+// The resource types ListResourcesForWebACL reports for a regional web ACL
+const REGIONAL_RESOURCE_TYPES = [
+  "APPLICATION_LOAD_BALANCER",
+  "API_GATEWAY",
+  "APPSYNC",
+  "COGNITO_USER_POOL",
+  "APP_RUNNER_SERVICE",
+  "VERIFIED_ACCESS_INSTANCE"
+];
+
+// Collects the ARNs of every <statementKey> nested anywhere under node
+const collectReferencedArns = (node, statementKey, arns = new Set()) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectReferencedArns(item, statementKey, arns));
+  } else if (node && typeof node === "object") {
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === statementKey && value?.ARN) {
+        arns.add(value.ARN);
+      }
+      collectReferencedArns(value, statementKey, arns);
+    });
+  }
+  return arns;
+};
+
+// Fetches every referenced set by ARN; sets that fail to load are left out
+const fetchReferencedSets = async (arns, kind, fetchSet) => {
+  const entries = await Promise.all([...arns].map(async arn => {
+    try {
+      return [arn, await fetchSet(parseWafArn(arn))];
+    } catch (error) {
+      console.error(`❌ Error fetching ${kind} for ARN ${arn}:`, error);
+      return null;
+    }
+  }));
+  return Object.fromEntries(entries.filter(Boolean));
+};
+
+const fetchIPSets = (client, scope, arns) =>
+  fetchReferencedSets(arns, "IP set", async ({ name, id }) => {
+    const { IPSet } = await client.send(new GetIPSetCommand({ Name: name, Id: id, Scope: scope }));
+    return {
+      Name: IPSet.Name,
+      IPAddressVersion: IPSet.IPAddressVersion,
+      Addresses: IPSet.Addresses || []
+    };
+  });
+
+const fetchRegexPatternSets = (client, scope, arns) =>
+  fetchReferencedSets(arns, "regex pattern set", async ({ name, id }) => {
+    const { RegexPatternSet } = await client.send(
+      new GetRegexPatternSetCommand({ Name: name, Id: id, Scope: scope })
+    );
+    return {
+      Name: RegexPatternSet.Name,
+      RegularExpressionList: RegexPatternSet.RegularExpressionList || []
+    };
+  });
+
+// Describes the managed rule group (at the referenced version) a ManagedRuleGroupStatement uses
+const fetchManagedRuleGroup = async (client, scope, statement) => {
+  const { VendorName, Name, Version } = statement;
   try {
-    const regionParam = req.params.region;
-    console.log(`Fetching WAF ACLs for region: ${regionParam}`);
+    const response = await client.send(new DescribeManagedRuleGroupCommand({
+      VendorName,
+      Name,
+      Scope: scope,
+      ...(Version ? { VersionName: Version } : {})
+    }));
+    return {
+      VendorName,
+      Name,
+      VersionName: response.VersionName || Version,
+      Capacity: response.Capacity,
+      LabelNamespace: response.LabelNamespace,
+      Rules: response.Rules || [],
+      AvailableLabels: response.AvailableLabels || [],
+      ConsumedLabels: response.ConsumedLabels || []
+    };
+  } catch (error) {
+    console.error(`❌ Error describing managed rule group ${VendorName}/${Name}:`, error);
+    return null;
+  }
+};
+
+// Attaches the resolved sets a rule (or its rule group) references under rule[property]
+const attachReferencedSets = (rule, statementKey, property, resolvedSets) => {
+  const referenced = {};
+  collectReferencedArns(rule, statementKey).forEach(arn => {
+    if (resolvedSets[arn]) referenced[arn] = resolvedSets[arn];
+  });
+  if (Object.keys(referenced).length > 0) {
+    rule[property] = referenced;
+  }
+  rule.RuleGroup?.Rules?.forEach(innerRule => attachReferencedSets(innerRule, statementKey, property, resolvedSets));
+};
+
 
-    const scope = regionParam.toUpperCase() === "CLOUDFRONT" || regionParam.toUpperCase() === "GLOBAL"
-      ? "CLOUDFRONT"
-      : "REGIONAL";
+// Attaches the rule groups, managed rule group descriptions, IP sets and regex pattern sets
+// the web ACL's rules reference
+const attachReferencedResources = async (client, scope, details) => {
+  if (details.Rules) {
+    details.Rules = await Promise.all(details.Rules.map(async rule => {
+      if (rule.Statement?.RuleGroupReferenceStatement) {
+        const rgArn = rule.Statement.RuleGroupReferenceStatement.ARN;
+        try {
+          const rgCommand = new GetRuleGroupCommand({
+            ARN: rgArn,
+            Scope: scope
+          });
+          const rgResponse = await client.send(rgCommand);
+          rule.RuleGroup = rgResponse.RuleGroup;
+        } catch (error) {
+          console.error(`❌ Error fetching rule group for ARN ${rgArn}:`, error);
+        }
+      } else if (rule.Statement?.ManagedRuleGroupStatement) {
+        const managedRuleGroup = await fetchManagedRuleGroup(
+          client,
+          scope,
+          rule.Statement.ManagedRuleGroupStatement
+        );
+        if (managedRuleGroup) {
+          rule.ManagedRuleGroup = managedRuleGroup;
+        }
+      }
+      return rule;
+    }));
 
-    const clientConfig = scope === "CLOUDFRONT"
-      ? { region: process.env.AWS_REGION || "us-east-1" }
-      : { region: regionParam };
+    const ipSets = await fetchIPSets(
+      client,
+      scope,
+      collectReferencedArns(details.Rules, "IPSetReferenceStatement")
+    );
+    const regexPatternSets = await fetchRegexPatternSets(
+      client,
+      scope,
+      collectReferencedArns(details.Rules, "RegexPatternSetReferenceStatement")
+    );
+    details.Rules.forEach(rule => {
+      attachReferencedSets(rule, "IPSetReferenceStatement", "IPSets", ipSets);
+      attachReferencedSets(rule, "RegexPatternSetReferenceStatement", "RegexPatternSets", regexPatternSets);
+    });
+  }
+  return details;
+};
 
-    const wafClientForRegion = new WAFV2Client(clientConfig);
+// Fetches a web ACL by name and id and attaches what its rules reference
+const fetchWebAcl = async (client, scope, name, id) => {
+  const { WebACL } = await client.send(new GetWebACLCommand({ Name: name, Id: id, Scope: scope }));
+  return WebACL ? attachReferencedResources(client, scope, WebACL) : null;
+};
 
-    const command = new ListWebACLsCommand({ Scope: scope });
-    const response = await wafClientForRegion.send(command);
-    const acls = response.WebACLs || [];
+// The CloudFront distributions a global web ACL protects, following NextMarker across pages
+const listCloudFrontDistributions = async (webAclArn, credentials) => {
+  const client = new CloudFrontClient({ region: "us-east-1", ...(credentials ? { credentials } : {}) });
+  const resources = [];
+  let marker;
+  do {
+    const { DistributionList } = await client.send(new ListDistributionsByWebACLIdCommand({
+      WebACLId: webAclArn,
+      ...(marker ? { Marker: marker } : {})
+    }));
+    (DistributionList?.Items || []).forEach(distribution => resources.push({
+      ResourceType: "CLOUDFRONT_DISTRIBUTION",
+      ARN: distribution.ARN,
+      Name: distribution.DomainName
+    }));
+    marker = DistributionList?.IsTruncated ? DistributionList.NextMarker : undefined;
+  } while (marker);
+  return resources;
+};
 
-    const aclNames = acls.map(acl => acl.Name);
+// The resources of every type a regional web ACL protects, with an error per type that
+// could not be listed (e.g. not supported in the region); throws when no type could be listed
+const listRegionalResources = async (client, webAclArn) => {
+  const byType = await Promise.all(REGIONAL_RESOURCE_TYPES.map(async resourceType => {
+    try {
+      const { ResourceArns } = await client.send(new ListResourcesForWebACLCommand({
+        WebACLArn: webAclArn,
+        ResourceType: resourceType
+      }));
+      return { resources: (ResourceArns || []).map(arn => ({ ResourceType: resourceType, ARN: arn })) };
+    } catch (error) {
+      console.error(`❌ Error listing ${resourceType} resources for ${webAclArn}:`, error);
+      return { error: { ResourceType: resourceType, message: error.message } };
+    }
+  }));
 
-    res.json(aclNames);
+  const errors = byType.filter(result => result.error).map(result => result.error);
+  if (errors.length === byType.length) {
+    throw new Error(`No resource type could be listed for ${webAclArn}: ${errors[0].message}`);
+  }
+  return { resources: byType.flatMap(result => result.resources || []), errors };
+};
+
+// CloudFront web ACLs are global; every other region lists its regional web ACLs
+const getScope = (region) =>
+  region.toUpperCase() === "CLOUDFRONT" || region.toUpperCase() === "GLOBAL"
+    ? "CLOUDFRONT"
+    : "REGIONAL";
+
+// credentials: the provider of the requested account; the default credential chain when unset
+const createWafClient = (region, scope, credentials) => new WAFV2Client({
+  region: scope === "CLOUDFRONT" ? process.env.AWS_REGION || "us-east-1" : region,
+  ...(credentials ? { credentials } : {})
+});
+
+// Lists every web ACL of the scope, following NextMarker across pages
+const listAllWebAcls = async (client, scope) => {
+  const acls = [];
+  let nextMarker;
+  do {
+    const response = await client.send(new ListWebACLsCommand({
+      Scope: scope,
+      Limit: 100,
+      ...(nextMarker ? { NextMarker: nextMarker } : {})
+    }));
+    acls.push(...(response.WebACLs || []));
+    nextMarker = response.NextMarker;
+  } while (nextMarker);
+  return acls;
+};
+
+// Web ACL summaries, optionally filtered by a case-insensitive name prefix
+app.get("/api/waf-acls/region/:region", async (req, res) => {
+  try {
+    const { region } = req.params;
+    const prefix = (req.query.prefix || "").toLowerCase();
+    console.log(`Fetching WAF ACLs for region: ${region}${prefix ? `, prefix: ${prefix}` : ""}`);
+
+    const scope = getScope(region);
+    const acls = await listAllWebAcls(createWafClient(region, scope, req.credentials), scope);
+
+    res.json(acls
+      .filter(acl => acl.Name.toLowerCase().startsWith(prefix))
+      .map(({ Name, Id, ARN, Description }) => ({ Name, Id, ARN, Description: Description || "" })));
+  } catch (error) {
+    console.error("Error fetching WAF ACLs for region:", error);
+    res.status(500).json({ error: "Error fetching WAF ACLs" });
+  }
+});
+
+// Names only, kept for older clients
+app.get("/api/waf-acls-names/region/:region", async (req, res) => {
+  try {
+    const regionParam = req.params.region;
+    console.log(`Fetching WAF ACL names for region: ${regionParam}`);
+
+    const scope = getScope(regionParam);
+    const acls = await listAllWebAcls(createWafClient(regionParam, scope, req.credentials), scope);
+
+    res.json(acls.map(acl => acl.Name));
   } catch (error) {
     console.error("Error fetching WAF ACLs for region:", error);
     res.status(500).json({ error: "Error fetching WAF ACLs" });
@@ -48,63 +347,96 @@ app.get("/api/waf-acl-details/region/:region/name/:name", async (req, res) => {
     const { region, name } = req.params;
     console.log(`🚀 Fetching ACL details for region: ${region}, name: ${name}`);
 
-    const scope =
-      region.toUpperCase() === "CLOUDFRONT" || region.toUpperCase() === "GLOBAL"
-        ? "CLOUDFRONT"
-        : "REGIONAL";
-
-    const clientConfig =
-      scope === "CLOUDFRONT"
-        ? { region: process.env.AWS_REGION || "us-east-1" } 
-        : { region };
-    const wafClientForRegion = new WAFV2Client(clientConfig);
+    const scope = getScope(region);
+    const wafClientForRegion = createWafClient(region, scope, req.credentials);
 
-    const listCommand = new ListWebACLsCommand({ Scope: scope });
-    const listResponse = await wafClientForRegion.send(listCommand);
-    const acls = listResponse.WebACLs || [];
+    const acls = await listAllWebAcls(wafClientForRegion, scope);
 
     const acl = acls.find(item => item.Name === name);
     if (!acl) {
       return res.status(404).json({ error: `ACL with name ${name} not found in region ${region}` });
     }
 
-    const getCommand = new GetWebACLCommand({
-      Id: acl.Id,
-      Name: acl.Name,
-      Scope: scope
-    });
-    const aclDetailsResponse = await wafClientForRegion.send(getCommand);
-    let details = aclDetailsResponse.WebACL;
+    const details = await fetchWebAcl(wafClientForRegion, scope, acl.Name, acl.Id);
     if (!details) {
       return res.status(404).json({ error: `ACL details for ${name} not found` });
     }
 
-    if (details.Rules) {
-      details.Rules = await Promise.all(details.Rules.map(async rule => {
-        if (rule.Statement?.RuleGroupReferenceStatement) {
-          const rgArn = rule.Statement.RuleGroupReferenceStatement.ARN;
-          try {
-            const rgCommand = new GetRuleGroupCommand({
-              ARN: rgArn,
-              Scope: scope
-            });
-            const rgResponse = await wafClientForRegion.send(rgCommand);
-            rule.RuleGroup = rgResponse.RuleGroup;
-          } catch (error) {
-            console.error(`❌ Error fetching rule group for ARN ${rgArn}:`, error);
-          }
-        }
-        return rule;
-      }));
+    res.json(details);
+  } catch (error) {
+    console.error("❌ Error in /api/waf-acl-details:", error);
+    res.status(500).json({ error: "Error fetching ACL details" });
+  }
+});
+
+// Fetches the web ACL directly by its name and id, without listing the region's ACLs
+app.get("/api/waf-acl-details/region/:region/name/:name/id/:id", async (req, res) => {
+  try {
+    const { region, name, id } = req.params;
+    console.log(`🚀 Fetching ACL details for region: ${region}, name: ${name}, id: ${id}`);
+
+    const scope = getScope(region);
+    const details = await fetchWebAcl(createWafClient(region, scope, req.credentials), scope, name, id);
+    if (!details) {
+      return res.status(404).json({ error: `ACL ${name} (${id}) not found in region ${region}` });
     }
 
     res.json(details);
   } catch (error) {
-    console.error("❌ Error in /api/waf-acl-details:", error);
+    console.error("❌ Error in /api/waf-acl-details by id:", error);
+    if (error.name === "WAFNonexistentItemException") {
+      return res.status(404).json({ error: `ACL ${req.params.name} (${req.params.id}) not found` });
+    }
+    res.status(500).json({ error: "Error fetching ACL details" });
+  }
+});
+
+// Fetches the web ACL by its (URL-encoded) ARN, which names its region and scope
+app.get("/api/waf-acl-details/arn/:arn", async (req, res) => {
+  try {
+    const { arn } = req.params;
+    const parsed = parseWebAclArn(arn);
+    if (!parsed) {
+      return res.status(400).json({ error: `${arn} is not a web ACL ARN` });
+    }
+    console.log(`🚀 Fetching ACL details for ARN: ${arn}`);
+
+    const details = await fetchWebAcl(createWafClient(parsed.region, parsed.scope, req.credentials), parsed.scope, parsed.name, parsed.id);
+    if (!details) {
+      return res.status(404).json({ error: `ACL ${arn} not found` });
+    }
+
+    res.json(details);
+  } catch (error) {
+    console.error("❌ Error in /api/waf-acl-details by ARN:", error);
+    if (error.name === "WAFNonexistentItemException") {
+      return res.status(404).json({ error: `ACL ${req.params.arn} not found` });
+    }
     res.status(500).json({ error: "Error fetching ACL details" });
   }
 });
 
+// The resources the web ACL is associated with: [{ ResourceType, ARN, Name? }]
+app.get("/api/waf-acl-resources/arn/:arn", async (req, res) => {
+  try {
+    const { arn } = req.params;
+    const parsed = parseWebAclArn(arn);
+    if (!parsed) {
+      return res.status(400).json({ error: `${arn} is not a web ACL ARN` });
+    }
+    console.log(`🚀 Fetching resources for ACL: ${arn}`);
+
+    const result = parsed.scope === "CLOUDFRONT"
+      ? { resources: await listCloudFrontDistributions(arn, req.credentials), errors: [] }
+      : await listRegionalResources(createWafClient(parsed.region, parsed.scope, req.credentials), arn);
+
+    res.json(result);
+  } catch (error) {
+    console.error("❌ Error in /api/waf-acl-resources:", error);
+    res.status(500).json({ error: "Error fetching ACL resources" });
+  }
+});
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running at http://localhost:${PORT}`);
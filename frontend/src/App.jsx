@@ -10,8 +10,8 @@ import AppLayout from './AppLayout';
 import AppPlaceholder from './pages/AppPlaceholder';
 
 function DebuggerWithContext() {
-  const { data } = useOutletContext();
-  return <RequestDebugger rules={data} />;
+  const { data, webAcl } = useOutletContext();
+  return <RequestDebugger rules={data} webAcl={webAcl} />;
 }
 
 export default function App() {
@@ -4,6 +4,7 @@ import TopBar from './components/layout/Topbar';
 import Sidebar from './components/layout/Sidebar';
 import { Box } from '@mui/material';
 import { useThemeContext } from './context/ThemeContext';
+import { normalizeWebAcl, EMPTY_WEB_ACL } from './engine/webAcl';
 
 /**
  * AppLayout component provides the main layout, top bar, sidebar, and context for the app.
@@ -15,13 +16,25 @@ export default function AppLayout() {
   const [searchTerm, setSearchTerm] = useState('');
   const [loaderPopupOpen, setLoaderPopupOpen] = useState(false);
   const [warningCount, setWarningCount] = useState(0);
-  const [data, setData] = useState([]);
+  const [webAcl, setWebAcl] = useState(EMPTY_WEB_ACL);
+  // The configured AWS account the Web ACL was fetched through; empty for the default credentials or a file
+  const [webAclAccount, setWebAclAccount] = useState('');
   const [warningsPopupOpen, setWarningsPopupOpen] = useState(false);
   const [showArrows, setShowArrows] = useState(true);
   const [dottedLines, setDottedLines] = useState(false);
   const [animatedLines, setAnimatedLines] = useState(false);
   const flowRef = useRef();
   const { darkTheme } = useThemeContext();
+
+  // The loaded Web ACL; views that only need the rules read them as data
+  const data = webAcl.Rules;
+
+  /**
+   * Stores loaded data as the current Web ACL, keeping its ACL-level settings.
+   */
+  const setData = useCallback((input) => {
+    setWebAcl(normalizeWebAcl(input));
+  }, []);
   const [viewType, setViewType] = useState('tree'); // tree, table, card, etc.
   const [treeSetup, setTreeSetup] = useState('collapsible'); // collapsible, horizontal, indented, etc.
   const [orderBy, setOrderBy] = useState('name'); // name, date, type, etc.
@@ -130,6 +143,9 @@ export default function AppLayout() {
             setLoaderPopupOpen,
             data,
             setData,
+            webAcl,
+            webAclAccount,
+            setWebAclAccount,
             showArrows,
             setShowArrows,
             dottedLines,
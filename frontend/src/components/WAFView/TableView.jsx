@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper, Button, Dialog, DialogTitle, DialogContent, TableSortLabel } from '@mui/material';
 import { useThemeContext } from '../../context/ThemeContext';
+import { getDefaultActionName } from '../../engine/webAcl';
+import { estimateRuleCapacity, formatCapacity } from '../../engine/capacity';
 
 function summarizeStatement(statement) {
   if (!statement) return '-';
@@ -61,12 +63,26 @@ const getSortedRules = (rules, orderBy, orderDirection = 'asc') => {
   });
 };
 
-const TableView = ({ rules = [], orderBy = '', orderDirection = 'asc', onRuleClick, onSortChange }) => {
+// Estimated WCUs of a rule; the tooltip names the parts whose cost is unknown
+const WcuCell = ({ rule, darkTheme }) => {
+  const estimate = estimateRuleCapacity(rule);
+  return (
+    <TableCell
+      title={estimate.exact ? undefined : `Not included: ${estimate.unknown.join(', ')}`}
+      sx={{ color: darkTheme ? '#fff' : '#333', borderColor: darkTheme ? '#444' : '#ccc', whiteSpace: 'nowrap' }}
+    >
+      {formatCapacity(estimate)}
+    </TableCell>
+  );
+};
+
+const TableView = ({ rules = [], webAcl, orderBy = '', orderDirection = 'asc', onRuleClick, onSortChange }) => {
   const [openJson, setOpenJson] = useState(null); // rule index or null
   const { darkTheme } = useThemeContext();
   if (!rules.length) return <div>No rules to display.</div>;
   const columns = Object.keys(rules[0] || {});
   const sortedRules = getSortedRules(rules, orderBy || columns[0], orderDirection);
+  const defaultAction = getDefaultActionName(webAcl);
   return (
     <>
       <TableContainer component={Paper} sx={{ mt: 2, maxHeight: 500, overflow: 'auto', background: darkTheme ? '#23272b' : '#fff' }}>
@@ -85,6 +101,9 @@ const TableView = ({ rules = [], orderBy = '', orderDirection = 'asc', onRuleCli
                   </TableSortLabel>
                 </TableCell>
               ))}
+              <TableCell sx={{ background: darkTheme ? '#181a1b' : '#f5f5f5', color: darkTheme ? '#fff' : '#333', borderColor: darkTheme ? '#444' : '#ccc' }}>
+                WCU
+              </TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
@@ -114,8 +133,16 @@ const TableView = ({ rules = [], orderBy = '', orderDirection = 'asc', onRuleCli
                     ) : (typeof rule[col] === 'object' ? JSON.stringify(rule[col]) : String(rule[col] ?? '-'))}
                   </TableCell>
                 ))}
+                <WcuCell rule={rule} darkTheme={darkTheme} />
               </TableRow>
             ))}
+            {defaultAction && (
+              <TableRow sx={{ background: darkTheme ? '#181a1b' : '#f5f5f5' }}>
+                <TableCell colSpan={columns.length + 1} sx={{ color: darkTheme ? '#fff' : '#333', borderColor: darkTheme ? '#444' : '#ccc', fontStyle: 'italic' }}>
+                  Default Action: {defaultAction} (requests no rule terminated)
+                </TableCell>
+              </TableRow>
+            )}
           </TableBody>
         </Table>
       </TableContainer>
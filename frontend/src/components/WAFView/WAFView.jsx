@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Box, IconButton, Tooltip, Typography } from '@mui/material';
 import { ReactFlowProvider } from 'reactflow';
 import FlowChart from '../tree/FlowChart';
@@ -7,6 +7,8 @@ import RulePopup from '../popup/RulePopup';
 import RuleDetailsPopup from '../popup/RuleDetailsPopup';
 import RuleJsonPopup from '../popup/RuleJsonPopup';
 import WarningsPopup from '../popup/WarningsPopup';
+import AclSettingsPopup from '../popup/AclSettingsPopup';
+import OrderingPopup from '../popup/OrderingPopup';
 import { transformData } from '../tree/NodeTransformer';
 import RuleTransformer from '../tree/RuleTransformer';
 import Tree from '../tree/NodeTransformer';
@@ -16,9 +18,14 @@ import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
 import { useThemeContext } from '../../context/ThemeContext';
 import getAnalyzedData from '../../data/getAnalyzedData';
+import { loadLintConfig, saveLintConfig } from '../../data/lintConfig';
 import TableView from './TableView';
 import CardView from './CardView';
 import Topbar from '../layout/Topbar';
+import { normalizeWebAcl } from '../../engine/webAcl';
+import { estimateWebAclCapacity } from '../../engine/capacity';
+import { analyzeOrdering } from '../../engine/ordering';
+import { getWebAclLabelNamespace } from '../../engine/labels';
 
 /**
  * Lays out nodes in a hierarchical top-down structure.
@@ -117,6 +124,9 @@ function layoutHierarchically(nodes, edges) {
  */
 const WAFView = ({
   data,
+  webAcl,
+  webAclAccount,
+  setWebAclAccount,
   setData,
   exportToPdf,
   exportToImage,
@@ -150,10 +160,19 @@ const WAFView = ({
     const [selectedNode, setSelectedNode] = useState(null);
     const [rulePopupOpen, setRulePopupOpen] = useState(false);
     const [backTo, setBackTo] = useState(null);
-    const [aclDetails, setAclDetails] = useState({
-        aclName: 'WAF Rules',
-        capacity: 0
-    });
+    const [aclSettingsOpen, setAclSettingsOpen] = useState(false);
+    const [orderingOpen, setOrderingOpen] = useState(false);
+    const [lintConfig, setLintConfig] = useState(loadLintConfig); // Enabled checks and per-rule suppressions
+    const wcu = useMemo(() => estimateWebAclCapacity(webAcl), [webAcl]);
+    const ordering = useMemo(
+        () => analyzeOrdering(webAcl?.Rules || [], getWebAclLabelNamespace(webAcl)),
+        [webAcl]
+    );
+    const aclDetails = {
+        aclName: webAcl?.Name || 'WAF Rules',
+        capacity: webAcl?.Capacity || 0,
+        wcu
+    };
     const [graphData, setGraphData] = useState(null);
     const [popupData, setPopupData] = useState(null);
     const [originalRules, setOriginalRules] = useState([]); // Store full AWS WAF rules
@@ -161,6 +180,7 @@ const WAFView = ({
     const [responseStyle, setResponseStyle] = useState('concise');
     const [popupRule, setPopupRule] = useState(null);
     const [orderDirection, setOrderDirection] = useState('asc');
+    const [expandedGroups, setExpandedGroups] = useState([]); // Rule group references shown with their rules
 
     // Only allow dependency-based layout for tree view if treeStyle is 'dependency'
     const effectiveOrderBy = viewType === 'tree' && treeStyle === 'dependency' ? 'dependencies' : orderBy;
@@ -187,7 +207,7 @@ const WAFView = ({
 
         if (data && Array.isArray(data) && data.length > 0 && (!originalRules || originalRules.length === 0)) {
             console.log('[WAFView] Initializing originalRules from data prop');
-            const normalized = normalizeRulesData(data);
+            const normalized = normalizeWebAcl(data).Rules;
             console.log('[WAFView] Normalized data from prop:', {
                 isArray: Array.isArray(normalized),
                 length: Array.isArray(normalized) ? normalized.length : 'N/A'
@@ -200,6 +220,15 @@ const WAFView = ({
         }
     }, [data, originalRules]);
 
+    /**
+     * Expands or collapses the rules of a rule group reference node.
+     */
+    const toggleManagedGroup = useCallback((ruleName) => {
+        setExpandedGroups(prev => (prev.includes(ruleName)
+            ? prev.filter(name => name !== ruleName)
+            : [...prev, ruleName]));
+    }, []);
+
     /**
      * Effect: Transforms incoming data into graphData and popupData for visualization.
      */
@@ -238,7 +267,7 @@ const WAFView = ({
                     throw new Error("Initial transformation failed");
                 }
                 
-                const ruleTransformer = new RuleTransformer(transformedData.nodes.map(n => n.data));
+                const ruleTransformer = new RuleTransformer(transformedData.nodes.map(n => n.data), { expandedGroups, webAcl, lintConfig });
                 const ruleTransformed = ruleTransformer.transformRules();
                 console.log('[WAFView] Rule transformation result:', {
                     hasNodes: !!ruleTransformed?.nodes,
@@ -258,6 +287,9 @@ const WAFView = ({
                     if (!node.data.hw) {
                         node.data.hw = treeHelper.calculateCard(node.data);
                     }
+                    if (node.data.groupRules?.length > 0) {
+                        node.data.onToggleExpand = () => toggleManagedGroup(node.data.name);
+                    }
                     return node;
                 });
 
@@ -367,7 +399,8 @@ const WAFView = ({
 
                 finalPopupData = {
                     nodes: positionedNodes,
-                    globalWarnings: ruleTransformed.globalWarnings
+                    globalWarnings: ruleTransformed.globalWarnings,
+                    suppressedWarnings: ruleTransformed.suppressedWarnings
                 };
                 if (setWarningCount) {
                     setWarningCount(ruleTransformed.globalWarnings?.length || 0);
@@ -405,7 +438,7 @@ const WAFView = ({
             setGraphData(null);
             setPopupData(null);
         }
-    }, [originalRules, setWarningCount, effectiveOrderBy, treeSetup, treeStyle, viewType, animatedLines, orderDirection, orderBy]);
+    }, [originalRules, webAcl, setWarningCount, effectiveOrderBy, treeSetup, treeStyle, viewType, animatedLines, orderDirection, orderBy, expandedGroups, toggleManagedGroup, lintConfig]);
 
     /**
      * Handles node selection and opens the rule popup.
@@ -457,7 +490,8 @@ const WAFView = ({
             }
         }
         
-        const normalized = normalizeRulesData(rulesData);
+        const loadedAcl = normalizeWebAcl(rulesData);
+        const normalized = loadedAcl.Rules;
         console.log('[WAFView] Normalized rules data:', {
             isArray: Array.isArray(normalized),
             length: Array.isArray(normalized) ? normalized.length : 'N/A',
@@ -479,7 +513,7 @@ const WAFView = ({
             edgeCount: transformedData?.edges?.length || 0
         });
 
-        const ruleTransformer = new RuleTransformer(transformedData.nodes.map(n => n.data));
+        const ruleTransformer = new RuleTransformer(transformedData.nodes.map(n => n.data), { webAcl: loadedAcl });
         const ruleTransformed = ruleTransformer.transformRules();
         console.log('[WAFView] RuleTransformer result:', {
             hasNodes: !!ruleTransformed?.nodes,
@@ -510,7 +544,7 @@ const WAFView = ({
 
         setOriginalRules(normalized); // Store the full rules for graph logic
         setAiSummary(analyzed.rules || []); // Store the AI summary for display
-        setData(normalized); // Optionally keep for compatibility
+        setData(loadedAcl); // Keeps the ACL-level settings for the other views
         setResponseStyle(style); // Save the style for future loads
         
         console.log('[WAFView] State updated:', {
@@ -519,6 +553,23 @@ const WAFView = ({
         });
     }, [setData, responseStyle]);
 
+    /**
+     * Saves a lint config change (checks enabled, rules suppressed) for the workspace.
+     */
+    const handleLintConfigChange = useCallback((config) => {
+        saveLintConfig(config);
+        setLintConfig(config);
+    }, []);
+
+    /**
+     * Applies the re-prioritization proposed by the ordering analysis to the loaded rules.
+     */
+    const handleApplyOrdering = useCallback((rules) => {
+        setOriginalRules(rules);
+        setData(webAcl && !webAcl.rulesOnly ? { ...webAcl, Rules: rules } : rules);
+        setOrderingOpen(false);
+    }, [setData, webAcl]);
+
     // Handler to update AI style and re-fetch summary
     const handleChangeAiStyle = async (newStyle) => {
         console.log('[WAFView] handleChangeAiStyle called:', {
@@ -542,7 +593,7 @@ const WAFView = ({
             edgeCount: transformedData?.edges?.length || 0
         });
 
-        const ruleTransformer = new RuleTransformer(transformedData.nodes.map(n => n.data));
+        const ruleTransformer = new RuleTransformer(transformedData.nodes.map(n => n.data), { webAcl });
         const ruleTransformed = ruleTransformer.transformRules();
         console.log('[WAFView] RuleTransformer for style change:', {
             hasNodes: !!ruleTransformed?.nodes,
@@ -664,6 +715,9 @@ const WAFView = ({
                     setTreeStyle={setTreeStyle}
                     orderDirection={orderDirection}
                     setOrderDirection={setOrderDirection}
+                    onAclSettings={() => setAclSettingsOpen(true)}
+                    onOrdering={() => setOrderingOpen(true)}
+                    orderingIssueCount={ordering.issues.length}
                 />
                 {/* Flow Chart */}
                 <Box sx={{ flex: 1, display: 'flex', justifyContent: 'center', alignItems: 'flex-start', width: '100%', height: '100%' }}>
@@ -694,6 +748,7 @@ const WAFView = ({
                             {viewType === 'table' && (
                                 <TableView
                                     rules={effectiveOrderBy === 'dependencies' ? originalRules : originalRules}
+                                    webAcl={webAcl}
                                     orderBy={effectiveOrderBy}
                                     orderDirection={orderDirection}
                                     onRuleClick={handleRuleClick}
@@ -727,6 +782,9 @@ const WAFView = ({
             {warningsPopupOpen && popupData && (
                 <WarningsPopup
                     warnings={popupData.globalWarnings}
+                    suppressedWarnings={popupData.suppressedWarnings || []}
+                    lintConfig={lintConfig}
+                    onLintConfigChange={handleLintConfigChange}
                     onClose={() => {
                         if (setWarningsPopupOpen) setWarningsPopupOpen(false);
                     }}
@@ -736,45 +794,29 @@ const WAFView = ({
                     }}
                 />
             )}
+            {orderingOpen && (
+                <OrderingPopup
+                    analysis={ordering}
+                    onApply={handleApplyOrdering}
+                    onClose={() => setOrderingOpen(false)}
+                />
+            )}
+            {aclSettingsOpen && (
+                <AclSettingsPopup
+                    webAcl={webAcl}
+                    account={webAclAccount}
+                    onClose={() => setAclSettingsOpen(false)}
+                />
+            )}
             {/* Loader Popup for loading rules */}
             <RulesLoaderPopup
                 open={loaderPopupOpen}
                 onRulesReceived={handleRulesReceived}
+                onAccountChange={setWebAclAccount}
                 onClose={() => setLoaderPopupOpen(false)}
             />
         </Box>
     );
 };
 
-/**
- * Utility to normalize rules data to an array.
- */
-function normalizeRulesData(rulesData) {
-    // If null/undefined, return empty array
-    if (!rulesData) return [];
-    
-    // If already an array, return as is
-    if (Array.isArray(rulesData)) return rulesData;
-    
-    // If object, try to extract rules array
-    if (typeof rulesData === 'object') {
-        // Try common properties where rules might be stored
-        if (Array.isArray(rulesData.rules)) return rulesData.rules;
-        if (Array.isArray(rulesData.Rules)) return rulesData.Rules;
-        if (Array.isArray(rulesData.data)) return rulesData.data;
-        
-        // If we have a Statement property, wrap it in an array
-        if (rulesData.Statement) return [rulesData];
-        
-        // Try to get all values if they're arrays
-        const values = Object.values(rulesData);
-        const arrayValues = values.filter(Array.isArray);
-        if (arrayValues.length === 1) return arrayValues[0];
-    }
-    
-    // If we can't normalize it, return empty array
-    return [];
-}
-
-export default WAFView;
-export { normalizeRulesData };
\ No newline at end of file
+export default WAFView;
\ No newline at end of file
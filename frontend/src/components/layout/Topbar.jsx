@@ -20,6 +20,9 @@ import LightModeIcon from '@mui/icons-material/LightMode';
 import SearchIcon from '@mui/icons-material/Search';
 import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
 import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import TuneIcon from '@mui/icons-material/Tune';
+import LowPriorityIcon from '@mui/icons-material/LowPriority';
+import { WCU_BASE_LIMIT, WCU_MAX_LIMIT, formatCapacity } from '../../engine/capacity';
 
 /**
  * TopBar component renders the top navigation bar with search, toggles, and action buttons.
@@ -54,7 +57,10 @@ const TopBar = ({
     treeStyle,
     setTreeStyle,
     orderDirection,
-    setOrderDirection
+    setOrderDirection,
+    onAclSettings,
+    onOrdering,
+    orderingIssueCount
 }) => {
     console.log('[TopBar] Render with props:', {
         searchTerm,
@@ -64,6 +70,15 @@ const TopBar = ({
 
     const { darkTheme, setDarkTheme } = useThemeContext();
     const [searchOpen, setSearchOpen] = useState(false);
+
+    // Estimated WCUs of the loaded rules against the 1,500 WCU base and the 5,000 WCU maximum
+    const wcu = aclDetails?.wcu;
+    const wcuUsed = wcu?.reported ?? wcu?.total ?? 0;
+    const wcuTooltip = wcu ? [
+        `Estimated ${formatCapacity(wcu)} WCUs${wcu.exact ? '' : ' (some rule group capacities are unknown)'}`,
+        wcu.reported !== undefined ? `Capacity reported by AWS: ${wcu.reported.toLocaleString('en-US')} WCUs` : null,
+        `Base price includes ${WCU_BASE_LIMIT.toLocaleString('en-US')} WCUs, maximum ${WCU_MAX_LIMIT.toLocaleString('en-US')}`
+    ].filter(Boolean).join(' · ') : '';
     const searchRef = useRef();
 
     useEffect(() => {
@@ -176,6 +191,16 @@ const TopBar = ({
                         <Typography variant="h6" sx={{ fontSize: '1.1rem', color: 'inherit', minWidth: 120 }}>
                             {aclDetails?.aclName || 'WAF Rules'}
                     </Typography>
+                        {wcu?.rules.length > 0 && (
+                            <Tooltip title={wcuTooltip}>
+                                <Typography
+                                    variant="body2"
+                                    sx={{ whiteSpace: 'nowrap', color: wcuUsed > WCU_MAX_LIMIT ? '#f44336' : wcuUsed > WCU_BASE_LIMIT ? '#ff9800' : 'inherit' }}
+                                >
+                                    {formatCapacity(wcu)} / {WCU_BASE_LIMIT.toLocaleString('en-US')} WCU
+                                </Typography>
+                            </Tooltip>
+                        )}
                         <Select
                         size="small"
                             value={viewType}
@@ -308,6 +333,22 @@ const TopBar = ({
                             <ReportIcon />
                         </Badge>
                     </IconButton>
+                        {onOrdering && (
+                            <Tooltip title="Rule Ordering">
+                                <IconButton onClick={onOrdering}>
+                                    <Badge badgeContent={orderingIssueCount || 0} color="info">
+                                        <LowPriorityIcon />
+                                    </Badge>
+                                </IconButton>
+                            </Tooltip>
+                        )}
+                        {onAclSettings && (
+                            <Tooltip title="Web ACL Settings">
+                                <IconButton onClick={onAclSettings}>
+                                    <TuneIcon />
+                                </IconButton>
+                            </Tooltip>
+                        )}
                         {/* Dark mode toggle */}
                         <Tooltip title={darkTheme ? 'Light Mode' : 'Dark Mode'}>
                             <IconButton onClick={() => setDarkTheme(!darkTheme)}>
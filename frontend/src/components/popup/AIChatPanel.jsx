@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Box, TextField, Button, Typography, CircularProgress, Paper, Select, MenuItem, FormControl, InputLabel, Switch, FormControlLabel } from '@mui/material';
 import { useThemeContext } from '../../context/ThemeContext';
 import OpenAI from 'openai';
+import { getWebAclSettings } from '../../engine/webAcl';
 
 // Instructions for different AI response styles
 const styleInstructions = {
@@ -61,7 +62,7 @@ function renderJsonBlock(text) {
   return <pre style={{ background: '#f5f5f5', padding: 8, borderRadius: 4 }}>{JSON.stringify(json, null, 2)}</pre>;
 }
 
-export default function AIChatPanel({ rule, allRules, edges = [], isAIPage = false }) {
+export default function AIChatPanel({ rule, allRules, webAcl, edges = [], isAIPage = false }) {
   const { getColor } = useThemeContext();
   const messagesEndRef = useRef(null);
 
@@ -163,7 +164,11 @@ export default function AIChatPanel({ rule, allRules, edges = [], isAIPage = fal
         : 'The user is asking about their WAF rules in general.';
       const dependencyInfo = `Parent rules: ${parentNames}. Child rules: ${childNames}. When asked about dependencies, always use the provided parent and child rule information, not your own analysis.`;
       const relationshipInstruction = `\nIf the user asks about the relationship between the current rule and another rule, check if that rule is listed as a parent or child. If it is a child, say 'rule-X is a child of rule-Y.' If it is a parent, say 'rule-X is a parent of rule-Y.' If it is not in either list, say there is no direct relationship.`;
-      const systemPrompt = `You are an expert in AWS WAF rules. The user will ask questions about their WAF rules. Always answer clearly and concisely, using the rule JSON provided. If the user asks for improvements, suggest best practices. Style: ${styleInstruction}\n${currentRuleInfo}\n${dependencyInfo}${relationshipInstruction}`;
+      const aclSettings = getWebAclSettings(webAcl);
+      const aclInfo = aclSettings.length > 0
+        ? `\nThe rules belong to the web ACL ${webAcl.Name || ''} with these ACL-level settings: ${JSON.stringify(Object.fromEntries(aclSettings.map(({ key, value }) => [key, value])))}`
+        : '';
+      const systemPrompt = `You are an expert in AWS WAF rules. The user will ask questions about their WAF rules. Always answer clearly and concisely, using the rule JSON provided. If the user asks for improvements, suggest best practices. Style: ${styleInstruction}\n${currentRuleInfo}\n${dependencyInfo}${relationshipInstruction}${aclInfo}`;
       const contextRules = seeAllRules && Array.isArray(allRules) ? allRules : [rule];
       const chatHistory = [
         { role: 'system', content: systemPrompt },
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import CloseIcon from '@mui/icons-material/Close';
+import { Box, IconButton } from '@mui/material';
+import { useThemeContext } from '../../context/ThemeContext';
+import { getWebAclSettings } from '../../engine/webAcl';
+import { fetchAclResources } from '../upload/api';
+
+const RESOURCE_TYPE_NAMES = {
+  APPLICATION_LOAD_BALANCER: 'Application Load Balancer',
+  API_GATEWAY: 'API Gateway stage',
+  APPSYNC: 'AppSync API',
+  COGNITO_USER_POOL: 'Cognito user pool',
+  APP_RUNNER_SERVICE: 'App Runner service',
+  VERIFIED_ACCESS_INSTANCE: 'Verified Access instance',
+  CLOUDFRONT_DISTRIBUTION: 'CloudFront distribution',
+};
+
+// One-line summary of an ACL-level setting; the full JSON is shown below it
+const describeSetting = (key, value) => {
+  switch (key) {
+    case 'DefaultAction': {
+      const action = Object.keys(value || {})[0];
+      const custom = value?.[action]?.CustomResponse
+        ? `, custom response ${value[action].CustomResponse.ResponseCode}`
+        : value?.[action]?.CustomRequestHandling ? ', inserts request headers' : '';
+      return `${action || 'Unknown'}${custom}`;
+    }
+    case 'CustomResponseBodies':
+      return Object.entries(value || {}).map(([bodyKey, body]) => `${bodyKey} (${body.ContentType})`).join(', ') || 'None';
+    case 'CaptchaConfig':
+    case 'ChallengeConfig': {
+      const immunityTime = value?.ImmunityTimeProperty?.ImmunityTime;
+      return immunityTime !== undefined ? `Immunity time ${immunityTime}s` : 'Default immunity time';
+    }
+    case 'TokenDomains':
+      return (value || []).join(', ') || 'None';
+    case 'AssociationConfig':
+      return Object.entries(value?.RequestBody || {})
+        .map(([resource, config]) => `${resource}: ${config.DefaultSizeInspectionLimit}`)
+        .join(', ') || 'Default body inspection limits';
+    case 'VisibilityConfig':
+      return `Metric ${value?.MetricName || '-'}, CloudWatch ${value?.CloudWatchMetricsEnabled ? 'on' : 'off'}, sampling ${value?.SampledRequestsEnabled ? 'on' : 'off'}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * AclSettingsPopup shows the ACL-level settings of the loaded Web ACL. account is the
+ * configured AWS account the Web ACL was fetched through, if any.
+ */
+const AclSettingsPopup = ({ webAcl, account = '', onClose }) => {
+  const { getColor } = useThemeContext();
+  const settings = getWebAclSettings(webAcl);
+  // The resources the web ACL protects; only known for a web ACL fetched from AWS
+  const [resources, setResources] = useState({ loading: false, items: null, errors: [], error: false });
+  const arn = webAcl?.rulesOnly ? null : webAcl?.ARN;
+
+  useEffect(() => {
+    if (!arn) return undefined;
+    let cancelled = false;
+    setResources({ loading: true, items: null, errors: [], error: false });
+    fetchAclResources(arn, account)
+      .then(({ resources: items, errors }) => !cancelled && setResources({ loading: false, items, errors, error: false }))
+      .catch(() => !cancelled && setResources({ loading: false, items: null, errors: [], error: true }));
+    return () => {
+      cancelled = true;
+    };
+  }, [arn, account]);
+
+  const containerStyle = {
+    position: 'fixed',
+    bottom: 20,
+    right: 20,
+    width: 380,
+    height: '60vh',
+    backgroundColor: getColor('barBackground'),
+    borderRadius: 2,
+    boxShadow: getColor('shadow'),
+    border: `1px solid ${getColor('border')}`,
+    display: 'flex',
+    flexDirection: 'column',
+    overflow: 'hidden',
+    zIndex: 1100,
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    borderBottom: `1px solid ${getColor('border')}`,
+    padding: '8px',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: getColor('barBackground'),
+  };
+
+  return (
+    <Box sx={containerStyle}>
+      <Box sx={headerStyle}>
+        <Box sx={{ color: getColor('barText'), fontWeight: 'bold' }}>
+          Web ACL Settings{webAcl?.Name ? `: ${webAcl.Name}` : ''}
+        </Box>
+        <IconButton onClick={onClose} size="small" sx={{ color: getColor('barText') }}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Box sx={{ p: 2, overflow: 'auto', flex: 1, color: getColor('barText') }}>
+        {webAcl?.ARN && <p style={{ margin: '0 0 4px', fontSize: '0.8em', wordBreak: 'break-all' }}>{webAcl.ARN}</p>}
+        {webAcl?.Capacity !== undefined && <p style={{ margin: '0 0 12px' }}>Capacity: {webAcl.Capacity} WCU</p>}
+        {arn && (
+          <Box sx={{ mb: 2, backgroundColor: getColor('background'), borderRadius: 1, p: 1 }}>
+            <div style={{ fontWeight: 500 }}>Associated resources</div>
+            <div style={{ fontSize: '0.9em' }}>
+              {resources.loading && 'Loading...'}
+              {resources.error && 'The associated resources could not be fetched.'}
+              {resources.items?.length === 0 && resources.errors.length === 0 && 'The web ACL is not associated with any resource.'}
+              {resources.items?.map(resource => (
+                <div key={resource.ARN} style={{ marginTop: '4px', wordBreak: 'break-all' }} title={resource.ARN}>
+                  {RESOURCE_TYPE_NAMES[resource.ResourceType] || resource.ResourceType}: {resource.Name || resource.ARN.split(':').slice(5).join(':')}
+                </div>
+              ))}
+              {resources.errors.map(({ ResourceType, message }) => (
+                <div key={ResourceType} style={{ marginTop: '4px', color: '#f44336' }}>
+                  {RESOURCE_TYPE_NAMES[ResourceType] || ResourceType} resources could not be listed: {message}
+                </div>
+              ))}
+            </div>
+          </Box>
+        )}
+        {settings.length === 0 ? (
+          <p style={{ color: '#666' }}>
+            {webAcl?.rulesOnly
+              ? 'Only a rules array was loaded, so there are no web ACL settings. Load the full Web ACL JSON to see them.'
+              : 'The web ACL defines no settings.'}
+          </p>
+        ) : (
+          settings.map(({ key, value }) => (
+            <Box key={key} sx={{ mb: 2, backgroundColor: getColor('background'), borderRadius: 1, p: 1 }}>
+              <div style={{ fontWeight: 500 }}>{key}</div>
+              <div style={{ fontSize: '0.9em' }}>{describeSetting(key, value)}</div>
+              <details>
+                <summary style={{ cursor: 'pointer', fontSize: '0.85em' }}>JSON</summary>
+                <pre style={{ margin: '4px 0', fontSize: 11, whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>
+                  {JSON.stringify(value, null, 2)}
+                </pre>
+              </details>
+            </Box>
+          ))
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default AclSettingsPopup;
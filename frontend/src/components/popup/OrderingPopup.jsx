@@ -0,0 +1,89 @@
+import React from 'react';
+import CloseIcon from '@mui/icons-material/Close';
+import { Alert, Box, Button, IconButton } from '@mui/material';
+import { useThemeContext } from '../../context/ThemeContext';
+
+/**
+ * OrderingPopup shows the rule ordering analysis (engine/ordering.js) and previews the
+ * proposed re-prioritization as a diff before it is applied to the loaded rules.
+ */
+const OrderingPopup = ({ analysis, onApply, onClose }) => {
+  const { getColor } = useThemeContext();
+  const { issues, proposal } = analysis;
+  const changed = new Map(proposal.changes.map(change => [change.name, change]));
+
+  const containerStyle = {
+    position: 'fixed',
+    bottom: 20,
+    right: 20,
+    width: 420,
+    height: '60vh',
+    backgroundColor: getColor('barBackground'),
+    borderRadius: 2,
+    boxShadow: getColor('shadow'),
+    border: `1px solid ${getColor('border')}`,
+    display: 'flex',
+    flexDirection: 'column',
+    overflow: 'hidden',
+    zIndex: 1100,
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    borderBottom: `1px solid ${getColor('border')}`,
+    padding: '8px',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: getColor('barBackground'),
+  };
+
+  return (
+    <Box sx={containerStyle}>
+      <Box sx={headerStyle}>
+        <Box sx={{ color: getColor('barText'), fontWeight: 'bold' }}>
+          Rule Ordering
+        </Box>
+        <IconButton onClick={onClose} size="small" sx={{ color: getColor('barText') }}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Box sx={{ p: 2, overflow: 'auto', flex: 1, color: getColor('barText') }}>
+        {issues.length === 0 ? (
+          <p style={{ color: '#666' }}>No ordering issues found.</p>
+        ) : (
+          issues.map((issue, i) => (
+            <Alert key={i} severity={issue.severity} sx={{ mb: 1, fontSize: '0.85em' }}>
+              {issue.message}
+            </Alert>
+          ))
+        )}
+
+        <Box sx={{ fontWeight: 500, mt: 2, mb: 1 }}>Proposed priorities</Box>
+        {proposal.changes.length === 0 ? (
+          <p style={{ color: '#666' }}>The current priorities already satisfy every label dependency.</p>
+        ) : (
+          <>
+            <Box sx={{ fontFamily: 'monospace', fontSize: '0.85em', backgroundColor: getColor('background'), borderRadius: 1, p: 1 }}>
+              {proposal.rules.map(rule => {
+                const change = changed.get(rule.Name);
+                return (
+                  <div key={rule.Name} style={{ color: change ? '#ff9800' : undefined }}>
+                    {change ? `${change.from} → ${change.to}` : rule.Priority}  {rule.Name}
+                  </div>
+                );
+              })}
+            </Box>
+            <p style={{ fontSize: '0.8em', color: '#666' }}>
+              Moving a rule also changes which rule terminates a request first; review the diff before applying.
+            </p>
+            <Button variant="contained" size="small" onClick={() => onApply(proposal.rules)}>
+              Apply {proposal.changes.length} priority change{proposal.changes.length > 1 ? 's' : ''}
+            </Button>
+          </>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default OrderingPopup;
@@ -76,7 +76,7 @@ const RuleDetailsPopup = ({ rule, dataArray, centerNode, onOpenChat, aiSummary,
             <ul>
               {(rule.warnings || []).map((issue, idx) => (
                 <li key={idx} className="warning-item">
-                  {issue}
+                  {typeof issue === 'string' ? issue : issue.message}
                 </li>
               ))}
             </ul>
@@ -99,7 +99,9 @@ const RuleDetailsPopup = ({ rule, dataArray, centerNode, onOpenChat, aiSummary,
                   {(rules || []).length > 0 ?
                     (rules || []).map((rule, i) => (
                       <React.Fragment key={`${rule.id || ''}-${rule.name || ''}-${i}`}>
-                        <span onClick={() => centerNode(String(i))}> → Rule #{i+1}: {rule.name}</span>
+                        <span onClick={() => centerNode(rule.id ?? String(i))}>
+                          {' '}→ Rule #{i+1}: {rule.name}{rule.label && rule.label !== label ? ` (${rule.label})` : ''}
+                        </span>
                         <br />
                       </React.Fragment>
                     )) :
@@ -114,12 +116,49 @@ const RuleDetailsPopup = ({ rule, dataArray, centerNode, onOpenChat, aiSummary,
         </div>
       </section>
 
+      {(rule.groupRules || []).length > 0 && (
+        <section className="info-section" style={{ backgroundColor: getColor('barBackground') }}>
+          <h3 style={{ color: getColor('barText') }}>🧩 Rule Group Rules ({rule.groupRules.length})</h3>
+          <div className="labels-container">
+            {rule.groupRules.map(groupRule => (
+              <details key={groupRule.name} style={{ color: getColor('barText'), marginBottom: '5px', opacity: groupRule.excluded ? 0.5 : 1 }}>
+                <summary style={{ cursor: 'pointer' }}>
+                  <span>{groupRule.name}</span>{' '}
+                  <small>
+                    ({groupRule.action}
+                    {groupRule.excluded ? ', excluded' : groupRule.overridden ? `, overridden from ${groupRule.originalAction}` : ''})
+                  </small>
+                </summary>
+                {groupRule.labels.map(label => (
+                  <div key={label}><small className="rule-reference">→ {label}</small></div>
+                ))}
+                <pre style={{ margin: '2px 0', fontSize: 11, whiteSpace: 'pre-wrap' }}>{groupRule.json}</pre>
+              </details>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {(rule.groupConfigs || []).length > 0 && (
+        <section className="info-section" style={{ backgroundColor: getColor('barBackground') }}>
+          <h3 style={{ color: getColor('barText') }}>⚙️ Managed Rule Group Configs</h3>
+          <div className="labels-container">
+            {rule.groupConfigs.map(config => (
+              <div key={config.name} style={{ color: getColor('barText'), marginBottom: '5px' }}>
+                <span>{config.name}</span>
+                <pre style={{ margin: '2px 0', fontSize: 11, whiteSpace: 'pre-wrap' }}>{JSON.stringify(config.settings, null, 2)}</pre>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
       <div className="rule-sections">
         <section className="info-section" style={{ backgroundColor: getColor('barBackground') }}>
           <h3 style={{ color: getColor('barText') }}>🏷️ Added Labels</h3>
           <div className="labels-container">
-            {(rule.ruleLabels || []).length > 0 ? (
-              (rule.ruleLabels || []).map(label => (
+            {[...(rule.ruleLabels || []), ...(rule.emittedLabels || [])].length > 0 ? (
+              [...(rule.ruleLabels || []), ...(rule.emittedLabels || [])].map(label => (
                 <span key={label} className="label-chip added">{label}</span>
               ))
             ) : (
@@ -1,17 +1,41 @@
 import React, { useState } from 'react';
 import CloseIcon from '@mui/icons-material/Close';
-import { Box, IconButton } from '@mui/material';
+import { Box, Button, Checkbox, Chip, IconButton } from '@mui/material';
 import { useThemeContext } from '../../context/ThemeContext';
+import { LINT_RULES, LINT_SEVERITIES, groupLintIssues, isCheckEnabled, setCheckEnabled, setSuppressed } from '../../engine/lint';
 
-const WarningsPopup = ({ warnings, onClose, onSelectNode }) => {
-  const [expandedWarnings, setExpandedWarnings] = useState({});
+const SEVERITY_STYLES = {
+  error: { icon: '❌', color: '#f44336', title: 'Errors' },
+  warning: { icon: '⚠️', color: 'orange', title: 'Warnings' },
+  info: { icon: 'ℹ️', color: '#2196f3', title: 'Info' },
+};
+
+// Lint issues (engine/lint.js) carry their check id, severity and the other rules involved;
+// other warnings are strings
+const toIssue = (warning) => (typeof warning === 'string'
+  ? { severity: 'warning', message: warning, related: [] }
+  : { related: [], ...warning });
+
+/**
+ * WarningsPopup lists the lint issues grouped by severity. Checks can be disabled for the
+ * workspace and suppressed on a single rule through the lint config.
+ */
+const WarningsPopup = ({ warnings, suppressedWarnings = [], lintConfig, onLintConfigChange, onClose, onSelectNode }) => {
+  const [collapsedSeverities, setCollapsedSeverities] = useState({});
+  const [severityFilter, setSeverityFilter] = useState({ error: true, warning: true, info: true });
+  const [showChecks, setShowChecks] = useState(false);
+  const [showSuppressed, setShowSuppressed] = useState(false);
   const { getColor } = useThemeContext();
 
+  const issues = warnings.flatMap(({ id, rule, warnings: ruleWarnings, webAclLevel }) =>
+    ruleWarnings.map(warning => ({ ...toIssue(warning), ruleId: webAclLevel ? null : id, ruleName: rule })));
+  const issuesBySeverity = groupLintIssues(issues);
+
   const containerStyle = {
     position: 'fixed',
     bottom: 20,
     right: 20,
-    width: 350,
+    width: 400,
     height: '60vh',
     backgroundColor: getColor('barBackground'),
     borderRadius: 2,
@@ -32,70 +56,145 @@ const WarningsPopup = ({ warnings, onClose, onSelectNode }) => {
     backgroundColor: getColor('barBackground'),
   };
 
-  const toggleWarning = (id) => {
-    setExpandedWarnings((prev) => ({
+  const toggleSeverity = (severity) => {
+    setCollapsedSeverities((prev) => ({
       ...prev,
-      [id]: !prev[id],
+      [severity]: !prev[severity],
     }));
   };
 
+  const suppress = (issue, suppressed) => {
+    onLintConfigChange(setSuppressed(lintConfig, issue.ruleName, issue.id, suppressed));
+  };
+
+  // The check id, docs link and actions under an issue
+  const renderIssueActions = (issue, suppressed) => (
+    <div style={{ fontFamily: 'inherit', fontSize: '0.85em', marginTop: '2px', color: getColor('barText') }}>
+      {issue.id && <code style={{ marginRight: '6px' }}>{issue.id}</code>}
+      {issue.docsUrl && (
+        <a href={issue.docsUrl} target="_blank" rel="noopener noreferrer" style={{ marginRight: '6px' }}>docs</a>
+      )}
+      {issue.ruleId && <button style={{ marginRight: '6px' }} onClick={() => onSelectNode(issue.ruleId)}>jump to rule</button>}
+      {issue.related.map(relatedRule => (
+        <button key={relatedRule.id} style={{ marginRight: '6px' }} onClick={() => onSelectNode(relatedRule.id)}>
+          jump to {relatedRule.name}
+        </button>
+      ))}
+      {issue.id && issue.ruleId && onLintConfigChange && (
+        <button onClick={() => suppress(issue, !suppressed)}>{suppressed ? 'unsuppress' : 'suppress'}</button>
+      )}
+    </div>
+  );
+
+  const renderIssue = (issue, i, suppressed = false) => (
+    <div key={i} style={{ fontFamily: 'monospace', fontSize: '0.9em', whiteSpace: 'pre-wrap', marginBottom: '10px', color: suppressed ? '#666' : SEVERITY_STYLES[issue.severity]?.color || 'orange' }}>
+      {SEVERITY_STYLES[issue.severity]?.icon || '⚠️'} <span style={{ fontWeight: 500 }}>{issue.ruleName}</span>: {issue.message}.
+      {renderIssueActions(issue, suppressed)}
+    </div>
+  );
+
+  const renderChecks = () => LINT_RULES.map(({ id, severity, description, docsUrl }) => (
+    <Box key={id} sx={{ display: 'flex', alignItems: 'flex-start', mb: 1, color: getColor('barText') }}>
+      <Checkbox
+        size="small"
+        sx={{ p: 0.5 }}
+        checked={isCheckEnabled(lintConfig, id)}
+        disabled={!onLintConfigChange}
+        onChange={(event) => onLintConfigChange(setCheckEnabled(lintConfig, id, event.target.checked))}
+      />
+      <Box sx={{ fontSize: '0.85em', ml: 1 }}>
+        <code>{id}</code>
+        <span style={{ marginLeft: '6px', color: SEVERITY_STYLES[severity].color }}>{severity}</span>
+        <a href={docsUrl} target="_blank" rel="noopener noreferrer" style={{ marginLeft: '6px' }}>docs</a>
+        <div style={{ color: '#666' }}>{description}</div>
+      </Box>
+    </Box>
+  ));
+
+  const renderIssues = () => (
+    <>
+      {issues.length === 0 && <p style={{ color: '#666' }}>No warnings found.</p>}
+      {LINT_SEVERITIES
+        .filter(severity => severityFilter[severity] && issuesBySeverity[severity].length > 0)
+        .map(severity => {
+          const isExpanded = !collapsedSeverities[severity];
+          return (
+            <Box key={severity} sx={{ mb: 2, backgroundColor: getColor('background'), borderRadius: 1, overflow: 'hidden' }}>
+              <Box
+                sx={{
+                  p: 1,
+                  display: 'flex',
+                  alignItems: 'center',
+                  cursor: 'pointer',
+                  color: getColor('barText'),
+                  borderBottom: `1px solid ${getColor('border')}`,
+                  '&:hover': {
+                    backgroundColor: getColor('hover')
+                  }
+                }}
+                onClick={() => toggleSeverity(severity)}
+              >
+                <span style={{ marginRight: '8px' }}>
+                  {isExpanded ? '▼' : '▶'}
+                </span>
+                <span style={{ fontWeight: 500, color: SEVERITY_STYLES[severity].color }}>
+                  {SEVERITY_STYLES[severity].title}
+                </span>
+                <span style={{ marginLeft: '12px', fontSize: '0.9em' }}>
+                  {issuesBySeverity[severity].length}
+                </span>
+              </Box>
+              <Box sx={{ display: isExpanded ? 'block' : 'none', p: 1, pl: 2 }}>
+                {issuesBySeverity[severity].map((issue, i) => renderIssue(issue, i))}
+              </Box>
+            </Box>
+          );
+        })}
+      {suppressedWarnings.length > 0 && (
+        <Box sx={{ color: getColor('barText') }}>
+          <Box sx={{ cursor: 'pointer', fontSize: '0.9em', mb: 1 }} onClick={() => setShowSuppressed(prev => !prev)}>
+            {showSuppressed ? '▼' : '▶'} {suppressedWarnings.length} suppressed
+          </Box>
+          {showSuppressed && suppressedWarnings.map((warning, i) => renderIssue(toIssue(warning), i, true))}
+        </Box>
+      )}
+    </>
+  );
+
   return (
     <Box sx={containerStyle}>
       <Box sx={headerStyle}>
         <Box sx={{ color: getColor('barText'), fontWeight: 'bold' }}>
           Validation Warnings
         </Box>
-        <IconButton onClick={onClose} size="small" sx={{ color: getColor('barText') }}>
-          <CloseIcon fontSize="small" />
-        </IconButton>
+        <Box>
+          <Button size="small" onClick={() => setShowChecks(prev => !prev)}>
+            {showChecks ? 'Issues' : 'Checks'}
+          </Button>
+          <IconButton onClick={onClose} size="small" sx={{ color: getColor('barText') }}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
       </Box>
+      {!showChecks && (
+        <Box sx={{ display: 'flex', gap: 1, p: 1, borderBottom: `1px solid ${getColor('border')}` }}>
+          {LINT_SEVERITIES.map(severity => (
+            <Chip
+              key={severity}
+              size="small"
+              label={`${SEVERITY_STYLES[severity].icon} ${SEVERITY_STYLES[severity].title} (${issuesBySeverity[severity].length})`}
+              variant={severityFilter[severity] ? 'filled' : 'outlined'}
+              onClick={() => setSeverityFilter(prev => ({ ...prev, [severity]: !prev[severity] }))}
+              sx={{ color: getColor('barText') }}
+            />
+          ))}
+        </Box>
+      )}
       <Box sx={{ p: 2, overflow: 'auto', flex: 1 }}>
-        {warnings.length === 0 ? (
-          <p style={{ color: '#666' }}>No warnings found.</p>
-        ) : (
-          warnings.map(({ id, rule, warnings }) => {
-            const isExpanded = expandedWarnings[id];
-            return (
-              <Box key={id} sx={{ mb: 2, backgroundColor: getColor('background'), borderRadius: 1, overflow: 'hidden' }}>
-                <Box
-                  sx={{
-                    p: 1,
-                    display: 'flex',
-                    alignItems: 'center',
-                    cursor: 'pointer',
-                    color: getColor('barText'),
-                    borderBottom: `1px solid ${getColor('border')}`,
-                    '&:hover': {
-                      backgroundColor: getColor('hover')
-                    }
-                  }}
-                  onClick={() => toggleWarning(id)}
-                >
-                  <span style={{ marginRight: '8px' }}>
-                    {isExpanded ? '▼' : '▶'}
-                  </span>
-                  <span style={{ fontWeight: 500 }}>
-                    {rule}
-                  </span>
-                  <span style={{ marginLeft: '12px', fontSize: '0.9em' }}>
-                    {warnings.length} warning{warnings.length > 1 ? 's' : ''}
-                  </span>
-                </Box>
-                <Box sx={{ display: isExpanded ? 'block' : 'none', p: 1, pl: 3 }}>
-                  {warnings.map((warning, i) => (
-                    <div key={i} style={{ fontFamily: 'monospace', fontSize: '0.9em', whiteSpace: 'pre-wrap', marginBottom: '8px', color: 'orange' }}>
-                      ⚠️ {warning}.
-                    </div>
-                  ))}
-                  <button onClick={() => onSelectNode(id)}>view</button>
-                </Box>
-              </Box>
-            );
-          })
-        )}
+        {showChecks ? renderChecks() : renderIssues()}
       </Box>
     </Box>
   );
 };
 
-export default WarningsPopup;
\ No newline at end of file
+export default WarningsPopup;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Handle, Position } from 'reactflow';
 import { useThemeContext } from '../../context/ThemeContext';
+import { formatCapacity } from '../../engine/capacity';
 
 const getNodeStyle = (action, diameter, isParent, isChild, darkTheme) => {
     const nodeStyle = {
@@ -51,6 +52,17 @@ export default function CustomNode({ data, id, selected }) {
     const displayName = data.name && data.name.length > 8 ? data.name.slice(0, 8) + '…' : data.name;
 
     const nodeStyle = getNodeStyle(data.action, diameter, isParent, isChild, darkTheme);
+    // Rules of an expanded rule group are drawn with a dashed outline
+    if (data.parentGroup) {
+        nodeStyle.border = nodeStyle.border.replace('solid', 'dashed');
+    }
+    // Rules the web ACL excludes from the group are greyed out
+    if (data.excluded) {
+        nodeStyle.background = darkTheme ? '#424242' : '#888888';
+        nodeStyle.opacity = 0.5;
+    }
+    const name = data.overridden ? `${data.name} (${data.action}, overridden from ${data.originalAction})` : data.name;
+    const title = data.wcu ? `${name}\nWCU: ${formatCapacity(data.wcu)}` : name;
     if (selected) {
         nodeStyle.boxShadow = darkTheme 
             ? '0 0 0 2px #fff, 0 4px 6px rgba(0, 0, 0, 0.4)' 
@@ -58,7 +70,7 @@ export default function CustomNode({ data, id, selected }) {
     }
 
     return (
-        <div style={nodeStyle} title={data.name}>
+        <div style={nodeStyle} title={title}>
             <Handle 
                 type="target" 
                 position={Position.Top} 
@@ -87,8 +99,33 @@ export default function CustomNode({ data, id, selected }) {
                 color: darkTheme ? 'rgba(255,255,255,0.9)' : '#fff',
                 textShadow: darkTheme ? '0 1px 2px rgba(0,0,0,0.5)' : 'none'
             }}>
-                {data.action} | {data.priority}
+                {data.overridden ? `${data.action}*` : data.action} | {data.priority}
             </div>
+            {data.onToggleExpand && (
+                <div
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        data.onToggleExpand();
+                    }}
+                    title={data.expanded ? 'Collapse group rules' : `Expand ${data.groupRules.length} group rules`}
+                    style={{
+                        position: 'absolute',
+                        bottom: -6,
+                        right: -6,
+                        width: 18,
+                        height: 18,
+                        borderRadius: '50%',
+                        fontSize: 12,
+                        lineHeight: '16px',
+                        cursor: 'pointer',
+                        color: darkTheme ? '#000' : '#fff',
+                        background: darkTheme ? '#fff' : '#333',
+                        border: `1px solid ${darkTheme ? '#616161' : '#757575'}`
+                    }}
+                >
+                    {data.expanded ? '\u2212' : '+'}
+                </div>
+            )}
             <Handle 
                 type="source" 
                 position={Position.Bottom} 
@@ -23,6 +23,8 @@ const nodeTypes = {
     'custom-node': CustomNode,
 };
 
+const SHADOW_COLOR = '#ff9800';
+
 const edgeTypes = {
     custom: CustomPolylineEdge,
 };
@@ -281,6 +283,33 @@ const FlowChart = forwardRef(({
         });
     }, [dedupedNodes]);
 
+    // Rules a higher-priority rule shadows (see engine/shadowing.js), linked to that rule
+    const shadowEdges = useMemo(() => nodes
+        .filter(node => node.data?.shadowedBy)
+        .map(node => ({
+            id: `shadow-${node.data.shadowedBy.id}-${node.id}`,
+            source: node.data.shadowedBy.id,
+            target: node.id,
+            label: 'shadows',
+            type: 'default',
+            style: { stroke: SHADOW_COLOR, strokeWidth: 2, strokeDasharray: '6 3' },
+            labelStyle: { fill: SHADOW_COLOR, fontWeight: 600 },
+            markerEnd: { type: 'arrowclosed', width: 16, height: 16, color: SHADOW_COLOR }
+        })), [nodes]);
+
+    // Node id -> ids of the rules it forms a shadowed pair with, itself included
+    const shadowPairIds = useMemo(() => {
+        const pairs = new Map();
+        shadowEdges.forEach(({ source, target }) => {
+            [source, target].forEach(id => {
+                if (!pairs.has(id)) pairs.set(id, new Set([id]));
+            });
+            pairs.get(source).add(target);
+            pairs.get(target).add(source);
+        });
+        return pairs;
+    }, [shadowEdges]);
+
     // Prepare nodes with styles
     const nodeIdHasChildren = new Set(edges.map(e => e.source));
     const nodeIdHasParents = new Set(edges.map(e => e.target));
@@ -299,6 +328,10 @@ const FlowChart = forwardRef(({
                 boxShadow: '0 0 0 4px red',
             };
         }
+        // Selecting either rule of a shadowed pair highlights both
+        if (selectedNode && node.id !== selectedNode && shadowPairIds.get(node.id)?.has(selectedNode)) {
+            style = { ...style, boxShadow: `0 0 0 4px ${SHADOW_COLOR}` };
+        }
         // Determine parent/child status
         const isParent = nodeIdHasChildren.has(node.id);
         const isChild = nodeIdHasParents.has(node.id);
@@ -350,6 +383,10 @@ const FlowChart = forwardRef(({
                 type: edgeType,
                 animated: animatedLines,
                 data: edgeData,
+                // The label that links the rules, shown for the selected node's edges
+                label: selectedNode && (edge.source === selectedNode || edge.target === selectedNode) ? edgeData.label : undefined,
+                labelStyle: { fill: darkTheme ? '#fff' : '#444', fontSize: 10 },
+                labelBgStyle: { fill: darkTheme ? '#23272b' : '#fff' },
                 style: {
                     stroke: (selectedNode && (edge.source === selectedNode || edge.target === selectedNode)) ? '#c62828' : (darkTheme ? '#fff' : '#444'),
                     strokeWidth: (selectedNode && (edge.source === selectedNode || edge.target === selectedNode)) ? 2.5 : 1,
@@ -365,6 +402,8 @@ const FlowChart = forwardRef(({
             };
         });
 
+    const displayedEdges = [...edgesWithStyles, ...shadowEdges];
+
     // Add debugging for edge visibility
     useEffect(() => {
         console.log('[FlowChart] showArrows:', showArrows);
@@ -482,7 +521,7 @@ const FlowChart = forwardRef(({
             <ReactFlow
                 ref={ref}
                 nodes={nodesWithStyles}
-                edges={edgesWithStyles}
+                edges={displayedEdges}
                 nodeTypes={nodeTypes}
                 edgeTypes={edgeTypes}
                 onNodeClick={onNodeClick}
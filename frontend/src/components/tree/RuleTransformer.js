@@ -1,10 +1,46 @@
+import { getManagedRules, getManagedGroupLabels } from '../../engine/managedRuleGroups';
+import { getManagedRuleGroupConfigs, getRuleGroupRules, getRuleGroupLabels } from '../../engine/ruleGroups';
+import { estimateRuleCapacity } from '../../engine/capacity';
+import { findAddedLabels, getWebAclLabelNamespace, labelSatisfiesKey } from '../../engine/labels';
+import { runLint } from '../../engine/lint';
+
+// Namespaced labels a rule group reference adds: awswaf:managed:... for a described managed
+// group, awswaf:<account>:rulegroup:<name>:... for a custom group
+const getGroupLabels = (rule) => [...getManagedGroupLabels(rule.ManagedRuleGroup), ...getRuleGroupLabels(rule.RuleGroup)];
+
+// The rules of a referenced managed or custom group, with their effective action and labels
+const getGroupRules = (rule) => {
+  if (rule.ManagedRuleGroup) {
+    return getManagedRules(rule).map(managedRule => ({
+      ...managedRule,
+      labels: managedRule.label ? [managedRule.label] : [],
+      json: JSON.stringify({ Name: managedRule.name, Action: { [managedRule.originalAction]: {} } }, null, 2)
+    }));
+  }
+  return getRuleGroupRules(rule).map(({ rule: innerRule, ...groupRule }) => ({
+    ...groupRule,
+    json: JSON.stringify(innerRule, null, 2)
+  }));
+};
+
 /* RuleTransformer: encapsulates rule transformation logic */
 export default class RuleTransformer {
-  constructor(rulesArray) {
+  /**
+   * @param {Array} rulesArray - The web ACL rules.
+   * @param {Object} options - { expandedGroups, webAcl, lintConfig } names of the rule group
+   *   references whose rules are rendered as child nodes, the loaded Web ACL (see
+   *   engine/webAcl.js) and the lint config (see engine/lint.js).
+   */
+  constructor(rulesArray, options = {}) {
     this.level = 0;
     this.warnings = [];
     this.links = [];
     this.rulesArray = rulesArray;
+    this.expandedGroups = new Set(options.expandedGroups || []);
+    this.webAcl = options.webAcl;
+    // Qualifies the short RuleLabels names; null when the web ACL's ARN is unknown
+    this.labelNamespace = getWebAclLabelNamespace(options.webAcl);
+    this.lintConfig = options.lintConfig;
   }
 
   transformRules() {
@@ -17,14 +53,20 @@ export default class RuleTransformer {
 
     try {
       const sortedRules = [...this.rulesArray].sort((a, b) => a.Priority - b.Priority);
+      this.sortedRules = sortedRules;
       const newRules = [];
+      const lintIssues = this.lint();
+      const activeIssues = lintIssues.filter(issue => !issue.suppressed);
 
       sortedRules.forEach((rule, index) => {
-        this.warnings = [];
-        this.validateRule(rule);
+        this.warnings = activeIssues
+          .filter(issue => issue.ruleIndex === index)
+          .map(issue => this.toWarning(issue, sortedRules));
+        const shadowedBy = this.warnings.find(warning => warning.id === 'shadowed-rule')?.related[0] || null;
         const labelState = this.labelStatement(rule.Statement, newRules, index);
-        const labelScopeDown = rule.Statement?.RateBasedStatement?.ScopeDownStatement ?
-          this.labelStatement(rule.Statement.RateBasedStatement.ScopeDownStatement, newRules, index) : [];
+        const scopeDownStatement = rule.Statement?.RateBasedStatement?.ScopeDownStatement ||
+          rule.Statement?.ManagedRuleGroupStatement?.ScopeDownStatement;
+        const labelScopeDown = scopeDownStatement ? this.labelStatement(scopeDownStatement, newRules, index) : [];
 
         const transformedRule = {
           json: JSON.stringify(rule, null, 2),
@@ -36,12 +78,22 @@ export default class RuleTransformer {
           insertHeaders: rule.Action?.Count?.CustomRequestHandling?.InsertHeaders?.map(h => { return { name: h.Name, value: h.Value } }) || [],
           labelState: [...labelState, ...labelScopeDown],
           level: this.level,
-          warnings: [...this.warnings]
+          warnings: [...this.warnings],
+          wcu: estimateRuleCapacity(rule),
+          shadowedBy,
+          groupRules: getGroupRules(rule),
+          groupConfigs: getManagedRuleGroupConfigs(rule.Statement?.ManagedRuleGroupStatement),
+          emittedLabels: getGroupLabels(rule),
+          expanded: this.expandedGroups.has(rule.Name)
         };
 
         newRules.push(transformedRule);
       });
 
+      const groupRuleNodes = newRules
+        .filter(rule => rule.expanded && rule.groupRules.length > 0)
+        .flatMap(rule => this.expandGroup(rule));
+
       console.log('[RuleTransformer] Transformation complete:', newRules.length, 'nodes processed');
       console.log('[DEBUG] All edges created:', this.links);
       return {
@@ -50,9 +102,12 @@ export default class RuleTransformer {
           type: 'custom-node',
           data: rule,
           // position will be assigned later if missing
-        })),
+        })).concat(groupRuleNodes),
         edges: this.links,
-        globalWarnings: this.collectWarnings(newRules)
+        globalWarnings: [...this.collectWarnings(newRules), ...this.collectWebAclWarnings(activeIssues, sortedRules)],
+        suppressedWarnings: lintIssues
+          .filter(issue => issue.suppressed)
+          .map(issue => ({ ...this.toWarning(issue, sortedRules), ruleId: String(issue.ruleIndex), ruleName: issue.ruleName }))
       };
     } catch (error) {
       console.error('[RuleTransformer] Error during transformation:', error);
@@ -60,34 +115,41 @@ export default class RuleTransformer {
     }
   }
 
-  validateRule(rule) {
-    ['Name', 'Priority', 'Statement', 'Action'].forEach(key => {
-      if (rule[key] === undefined) {
-        this.warnings.push(`Missing required field: ${key}`);
-      }
-    });
+  // Lints the rules in the loaded web ACL, or the rules alone when only the rules were loaded
+  lint() {
+    const acl = this.webAcl && !this.webAcl.rulesOnly ? { ...this.webAcl, Rules: this.rulesArray } : this.rulesArray;
+    return runLint(acl, this.lintConfig);
+  }
 
-    /*if (rule.Name !== rule.VisibilityConfig.MetricName) {
-      this.warnings.push(`Name and MetricName do not match`);
-    }*/
+  // A lint issue (engine/lint.js) as a node warning, linking the other rules involved
+  toWarning({ id, severity, docsUrl, message, related }, sortedRules) {
+    return {
+      id,
+      severity,
+      docsUrl,
+      message,
+      related: related.map(relatedIndex => ({ id: String(relatedIndex), name: sortedRules[relatedIndex].Name }))
+    };
   }
 
   labelStatement(statement, rules, currentIndex) {
     if (!statement) return [];
 
     if (statement.LabelMatchStatement) {
+      const { Key, Scope } = statement.LabelMatchStatement;
       return [[
         '',  // אין תנאי לוגי
-        statement.LabelMatchStatement.Key,  // שם הלייבל
-        this.findParentDependencies(rules, statement.LabelMatchStatement.Key, currentIndex)  // מערך של שמות חוקים
+        Key,  // שם הלייבל
+        this.findParentDependencies(rules, Key, currentIndex, Scope)  // מערך של שמות חוקים
       ]];
     }
 
     if (statement.NotStatement?.Statement.LabelMatchStatement) {
+      const { Key, Scope } = statement.NotStatement.Statement.LabelMatchStatement;
       return [[
         '!',
-        statement.NotStatement.Statement.LabelMatchStatement.Key,
-        this.findParentDependencies(rules, statement.NotStatement.Statement.LabelMatchStatement.Key, currentIndex)
+        Key,
+        this.findParentDependencies(rules, Key, currentIndex, Scope)
       ]];
     }
 
@@ -109,42 +171,93 @@ export default class RuleTransformer {
     return [];
   }
 
-  findParentDependencies(rules, name, currentIndex) {
-    const matchingRules = rules.filter(r => r.ruleLabels?.includes(name));
-
-    if (matchingRules.length === 0) {
-      if ([...this.rulesArray][currentIndex].RuleLabels?.some(l => l.Name === name)) {
-        this.warnings.push(`Label '${name}' is self-referential - rule depends on a label it generates`);
-      } else if (![...this.rulesArray].some(r => r.RuleLabels?.some(l => l.Name === name))) {
-        this.warnings.push(`Label '${name}' is not defined in any rule`);
-      } else {
-        this.warnings.push(`Label '${name}' is not defined in any rule with lower priority`);
-      }
-      return [];
-    }
+  /**
+   * Links the rule at currentIndex to the earlier rules that add a label satisfying the key.
+   * Keys match short and fully qualified names, NAMESPACE keys match every label below the
+   * namespace, and group references match the labels their rule group adds (engine/labels.js).
+   * Missing producers are reported by the label lint.
+   * @returns {Array} - [{ name, id, label }] with the label that created each edge.
+   */
+  findParentDependencies(rules, key, currentIndex, scope = 'LABEL') {
+    const addedLabels = (rule) => findAddedLabels(rule, key, scope, this.labelNamespace);
+    const matchingRules = rules
+      .map((rule, index) => ({ rule, labels: addedLabels(this.sortedRules[index]) }))
+      .filter(({ labels }) => labels.length > 0);
 
-    const currentRuleName = [...this.rulesArray][currentIndex].Name;
-    return matchingRules.map(rule => {
+    const currentRuleName = this.sortedRules[currentIndex].Name;
+    return matchingRules.map(({ rule, labels }) => {
       if (rule.level === this.level) this.level++;
-      if (["ALLOW", "BLOCK"].includes(rule.action)) {
-        this.warnings.push(`Label '${name}' is created in a terminal rule (${rule.action}) - this may affect rule evaluation`);
-      }
-      const sourceId = String(rules.indexOf(rule));
+      // An expanded group links from the group's rule that adds the label
+      const groupIndex = rule.expanded
+        ? rule.groupRules.findIndex(groupRule => groupRule.labels.some(label => labelSatisfiesKey(label, key, scope)))
+        : -1;
+      const sourceId = groupIndex >= 0
+        ? this.groupRuleNodeId(rule.id, groupIndex)
+        : String(rules.indexOf(rule));
+      const sourceName = groupIndex >= 0 ? rule.groupRules[groupIndex].name : rule.name;
+      const label = groupIndex >= 0
+        ? rule.groupRules[groupIndex].labels.find(groupLabel => labelSatisfiesKey(groupLabel, key, scope))
+        : labels[0];
       const targetId = String(currentIndex);
-      console.log(`[DEBUG] Creating edge: source=${sourceId} (${rule.name}), target=${targetId} (${currentRuleName}), label=${name}`);
+      console.log(`[DEBUG] Creating edge: source=${sourceId} (${sourceName}), target=${targetId} (${currentRuleName}), label=${label}`);
       this.links.push({
-        id: `edge-${sourceId}-${targetId}-${Date.now()}`,
+        id: `edge-${sourceId}-${targetId}-${label}-${Date.now()}`,
         source: sourceId,
-        target: targetId
+        target: targetId,
+        data: { label }
       });
-      return { name: rule.name, id: sourceId };
+      return { name: sourceName, id: sourceId, label };
+    });
+  }
+
+  groupRuleNodeId(groupId, ruleIndex) {
+    return `${groupId}-group-${ruleIndex}`;
+  }
+
+  // Child nodes for the rules of an expanded rule group reference, linked from the group node
+  expandGroup(groupNode) {
+    return groupNode.groupRules.map((groupRule, ruleIndex) => {
+      const id = this.groupRuleNodeId(groupNode.id, ruleIndex);
+      this.links.push({
+        id: `edge-${groupNode.id}-${id}-${Date.now()}`,
+        source: groupNode.id,
+        target: id
+      });
+      return {
+        id,
+        type: 'custom-node',
+        data: {
+          json: groupRule.json,
+          id,
+          name: groupRule.name,
+          priority: groupRule.priority ?? groupNode.priority,
+          action: groupRule.action,
+          ruleLabels: groupRule.labels,
+          insertHeaders: [],
+          labelState: [],
+          level: groupNode.level + 1,
+          warnings: [],
+          parentGroup: groupNode.name,
+          originalAction: groupRule.originalAction,
+          overridden: groupRule.overridden,
+          excluded: groupRule.excluded
+        }
+      };
     });
   }
 
   collectWarnings(rules) {
     return rules
       .filter(rule => rule.warnings.length > 0)
-      .map((rule, index) => ({ id: String(index), rule: rule.name, warnings: rule.warnings }));
+      .map(rule => ({ id: rule.id, rule: rule.name, warnings: rule.warnings }));
+  }
+
+  // A web ACL-level entry for the lint issues that concern no single rule
+  collectWebAclWarnings(issues, sortedRules) {
+    const warnings = issues
+      .filter(issue => issue.ruleIndex === null)
+      .map(issue => this.toWarning(issue, sortedRules));
+    return warnings.length > 0 ? [{ id: 'web-acl', rule: 'Web ACL', warnings, webAclLevel: true }] : [];
   }
 }
 
@@ -14,20 +14,25 @@ import {
   Select,
   MenuItem,
   FormControl,
-  InputLabel
+  InputLabel,
+  TextField
 } from "@mui/material";
 import UploadJsonButton from "./UploadJsonButton";
-import { fetchAclDetail, fetchAclsNames } from './api';
+import { fetchAccounts, fetchAclByArn, fetchAclById, fetchAcls } from './api';
 import { useThemeContext } from '../../context/ThemeContext';
 
 /**
  * RulesLoaderPopup component handles uploading and loading rules from a JSON file.
  * Shows a popup for file selection and error handling.
  */
-const RulesLoaderPopup = ({ open, onRulesReceived, onClose }) => {
+const RulesLoaderPopup = ({ open, onRulesReceived, onAccountChange, onClose }) => {
   const [step, setStep] = useState("initial");
+  const [accounts, setAccounts] = useState([]); // Configured AWS accounts; empty with default credentials only
+  const [selectedAccount, setSelectedAccount] = useState("");
   const [selectedRegion, setSelectedRegion] = useState("");
-  const [aclNames, setAclNames] = useState([]);
+  const [acls, setAcls] = useState([]); // Web ACL summaries: Name, Id, ARN, Description
+  const [search, setSearch] = useState("");
+  const [aclArn, setAclArn] = useState("");
   const [loading, setLoading] = useState(false);
   const { getColor } = useThemeContext();
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
@@ -62,6 +67,7 @@ const RulesLoaderPopup = ({ open, onRulesReceived, onClose }) => {
       let parsed = jsonData;
       if (typeof jsonData === 'string') parsed = JSON.parse(jsonData);
       onRulesReceived(parsed);
+      onAccountChange?.("");
       onClose();
     } catch (e) {
       setSnackbar({ open: true, message: 'Invalid JSON file', severity: 'error' });
@@ -69,36 +75,68 @@ const RulesLoaderPopup = ({ open, onRulesReceived, onClose }) => {
     }
   };
 
-  const handleFetchFromServer = () => {
+  const handleFetchFromServer = async () => {
+    setLoading(true);
+    try {
+      const data = await fetchAccounts();
+      setAccounts(data);
+      setSelectedAccount(prev => prev || data[0]?.id || "");
+    } catch {
+      setAccounts([]);
+    }
+    setLoading(false);
     setStep("regionSelection");
   };
 
+  // Reports the account a Web ACL was fetched with, for later calls such as listing its resources
+  const receiveAcl = (data) => {
+    onRulesReceived(data);
+    onAccountChange?.(selectedAccount);
+    onClose();
+  };
+
   const handleRegionSelect = async (region) => {
     if (!region) return;
     setSelectedRegion(region);
     setLoading(true);
     try {
-      const data = await fetchAclsNames(region);
-      setAclNames(data);
+      const data = await fetchAcls(region, '', selectedAccount);
+      setAcls(data);
+      setSearch("");
       setStep("aclSelection");
-    } catch (error) {
-      setSnackbar({ open: true, message: 'Error fetching ACL names', severity: 'error' });
-      setLoading(false);
+    } catch {
+      setSnackbar({ open: true, message: 'Error fetching ACLs', severity: 'error' });
     }
+    setLoading(false);
   };
 
-  const handleAclSelect = async (aclName) => {
+  const handleAclSelect = async (acl) => {
     setLoading(true);
     try {
-      const data = await fetchAclDetail(selectedRegion, aclName);
-      onRulesReceived(data);
-      onClose();
-    } catch (error) {
+      const data = await fetchAclById(selectedRegion, acl.Name, acl.Id, selectedAccount);
+      receiveAcl(data);
+    } catch {
       setSnackbar({ open: true, message: 'Error fetching ACL details', severity: 'error' });
       setLoading(false);
     }
   };
 
+  const handleArnLoad = async () => {
+    setLoading(true);
+    try {
+      const data = await fetchAclByArn(aclArn.trim(), selectedAccount);
+      receiveAcl(data);
+    } catch {
+      setSnackbar({ open: true, message: 'Error fetching ACL by ARN', severity: 'error' });
+      setLoading(false);
+    }
+  };
+
+  // Matches the search text against the name, description and id of an ACL
+  const searchText = search.trim().toLowerCase();
+  const filteredAcls = acls.filter(acl => !searchText ||
+    [acl.Name, acl.Description, acl.Id].some(value => (value || "").toLowerCase().includes(searchText)));
+
   const renderContent = () => {
     if (loading) {
       return (
@@ -119,6 +157,22 @@ const RulesLoaderPopup = ({ open, onRulesReceived, onClose }) => {
         )}
         {step === "regionSelection" && (
           <Box sx={{ display: "flex", flexDirection: "column", gap: 2, mt: 2 }}>
+            {accounts.length > 0 && (
+              <>
+                <DialogTitle>Select Account</DialogTitle>
+                <Select
+                  value={selectedAccount}
+                  onChange={(e) => setSelectedAccount(e.target.value)}
+                  fullWidth
+                >
+                  {accounts.map((account) => (
+                    <MenuItem key={account.id} value={account.id}>
+                      {account.name}{account.type === 'role' ? ' (assumed role)' : ''}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </>
+            )}
             <DialogTitle>Select Region</DialogTitle>
             <Select
               value={selectedRegion}
@@ -143,19 +197,52 @@ const RulesLoaderPopup = ({ open, onRulesReceived, onClose }) => {
             >
               Select
             </Button>
+            <Box sx={{ display: "flex", gap: 1, width: "100%" }}>
+              <TextField
+                value={aclArn}
+                onChange={(e) => setAclArn(e.target.value)}
+                placeholder="arn:aws:wafv2:<region>:<account>:<scope>/webacl/<name>/<id>"
+                label="Web ACL ARN"
+                size="small"
+                fullWidth
+              />
+              <Button variant="outlined" onClick={handleArnLoad} disabled={!aclArn.trim()}>
+                Load
+              </Button>
+            </Box>
           </Box>
         )}
         {step === "aclSelection" && (
-          <Box>
+          <Box sx={{ width: "100%" }}>
             <DialogTitle textAlign={'center'}>Select ACL</DialogTitle>
-            <List>
-              {aclNames.length > 0 ? aclNames.map((acl) => (
-                <ListItem key={acl} disablePadding>
-                  <ListItemButton onClick={() => handleAclSelect(acl)}>
-                    <ListItemText primary={acl} />
+            <TextField
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={`Search ${acls.length} ACL${acls.length === 1 ? '' : 's'} by name, description or id`}
+              size="small"
+              fullWidth
+              autoFocus
+            />
+            <List sx={{ maxHeight: 400, overflow: 'auto' }}>
+              {filteredAcls.length > 0 ? filteredAcls.map((acl) => (
+                <ListItem key={acl.ARN || acl.Name} disablePadding>
+                  <ListItemButton onClick={() => handleAclSelect(acl)} title={acl.ARN}>
+                    <ListItemText
+                      primary={acl.Name}
+                      secondary={
+                        <>
+                          {acl.Description && <span style={{ display: 'block' }}>{acl.Description}</span>}
+                          <span style={{ fontFamily: 'monospace', fontSize: '0.85em' }}>{acl.Id}</span>
+                        </>
+                      }
+                    />
                   </ListItemButton>
                 </ListItem>
-              )) : <ListItem><ListItemText style={{ textAlign: 'center' }} primary="No ACLs found" /></ListItem>}
+              )) : (
+                <ListItem>
+                  <ListItemText style={{ textAlign: 'center' }} primary={acls.length > 0 ? "No ACLs match the search" : "No ACLs found"} />
+                </ListItem>
+              )}
             </List>
           </Box>
         )}
@@ -177,7 +264,8 @@ const RulesLoaderPopup = ({ open, onRulesReceived, onClose }) => {
           <Button
             onClick={() => {
               setStep("initial");
-              setAclNames([]);
+              setAcls([]);
+              setSearch("");
             }}
           >
             Back
@@ -1,23 +1,89 @@
-export const fetchAclsNames = async (region) => {
+// Fetches a JSON response, rejecting error statuses
+const fetchJson = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Request to ${url} failed with status ${response.status}`);
+    }
+    return response.json();
+};
+
+// Adds the account (an id from /api/accounts) whose credentials the backend uses
+const withAccount = (url, account) => {
+    if (!account) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}account=${encodeURIComponent(account)}`;
+};
+
+/**
+ * Lists the AWS accounts the backend is configured for: [{ id, name, type }]. Empty when
+ * the backend only uses its default credentials.
+ */
+export const fetchAccounts = async () => {
+    const API_BASE_URL = import.meta.env.VITE_REACT_APP_API_BASE_URL
+
+    try {
+        return await fetchJson(`${API_BASE_URL}/accounts`);
+    } catch (err) {
+        console.error('Failed to fetch AWS accounts:', err);
+        throw err;
+    }
+};
+
+/**
+ * Lists the web ACL summaries ({ Name, Id, ARN, Description }) of a region, optionally
+ * only those whose name starts with prefix.
+ */
+export const fetchAcls = async (region, prefix = '', account = '') => {
+    const API_BASE_URL = import.meta.env.VITE_REACT_APP_API_BASE_URL
+    const query = prefix ? `?prefix=${encodeURIComponent(prefix)}` : '';
+
+    try {
+        return await fetchJson(withAccount(`${API_BASE_URL}/waf-acls/region/${region}${query}`, account));
+    } catch (err) {
+        console.error('Failed to fetch WAF acls:', err);
+        throw err;
+    }
+};
+
+/**
+ * Fetches a web ACL by its name and id.
+ */
+export const fetchAclById = async (region, name, id, account = '') => {
     const API_BASE_URL = import.meta.env.VITE_REACT_APP_API_BASE_URL
 
     try {
-        const response = await fetch(`${API_BASE_URL}/waf-acls-names/region/${region}`);
-        return await response.json();
+        return await fetchJson(withAccount(`${API_BASE_URL}/waf-acl-details/region/${region}/name/${encodeURIComponent(name)}/id/${id}`, account));
     } catch (err) {
-        console.error('Failed to fetch WAF acls names:', err);
+        console.error('Failed to fetch WAF rules:', err);
         throw err;
     }
 };
 
-export const fetchAclDetail = async (region, name) => {
+/**
+ * Fetches a web ACL by its ARN.
+ */
+export const fetchAclByArn = async (arn, account = '') => {
     const API_BASE_URL = import.meta.env.VITE_REACT_APP_API_BASE_URL
-    
+
     try {
-        const response = await fetch(`${API_BASE_URL}/waf-acl-details/region/${region}/name/${name}`);
-        return await response.json();
+        return await fetchJson(withAccount(`${API_BASE_URL}/waf-acl-details/arn/${encodeURIComponent(arn)}`, account));
     } catch (err) {
         console.error('Failed to fetch WAF rules:', err);
         throw err;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Lists the resources a web ACL is associated with: { resources: [{ ResourceType, ARN, Name? }],
+ * errors: [{ ResourceType, message }] } where errors lists the resource types that could not
+ * be listed.
+ */
+export const fetchAclResources = async (arn, account = '') => {
+    const API_BASE_URL = import.meta.env.VITE_REACT_APP_API_BASE_URL
+
+    try {
+        return await fetchJson(withAccount(`${API_BASE_URL}/waf-acl-resources/arn/${encodeURIComponent(arn)}`, account));
+    } catch (err) {
+        console.error('Failed to fetch WAF acl resources:', err);
+        throw err;
+    }
+};
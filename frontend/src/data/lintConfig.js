@@ -0,0 +1,18 @@
+import { DEFAULT_LINT_CONFIG } from '../engine/lint';
+
+// The lint config is kept per browser workspace
+const LINT_CONFIG_KEY = 'wafLintConfig';
+
+export function loadLintConfig() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LINT_CONFIG_KEY));
+        return { ...DEFAULT_LINT_CONFIG, ...stored };
+    } catch (error) {
+        console.error('Error loading lint config:', error);
+        return DEFAULT_LINT_CONFIG;
+    }
+}
+
+export function saveLintConfig(config) {
+    localStorage.setItem(LINT_CONFIG_KEY, JSON.stringify(config));
+}
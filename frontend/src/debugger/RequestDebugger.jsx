@@ -41,6 +41,23 @@ import bgImage from '../assets/pexels-scottwebb-1029624.jpg';
 import { useThemeContext } from '../context/ThemeContext';
 import UploadJsonButton from '../components/upload/UploadJsonButton';
 import RulesLoaderPopup from '../components/upload/RulesLoaderPopup';
+import TrafficSequencePanel from './TrafficSequencePanel';
+import { normalizeRequest } from '../engine/request';
+import { evaluateWebAcl, buildRequestState } from '../engine/evaluator';
+import { BODY_SIZE_LIMITS } from '../engine/fieldToMatch';
+import { getManagedRules } from '../engine/managedRuleGroups';
+import { normalizeWebAcl, getDefaultActionName } from '../engine/webAcl';
+
+// The longest immunity time AWS WAF accepts for CAPTCHA and Challenge (three days)
+const MAX_IMMUNITY_TIME = 259200;
+
+// The token states pre-fill the age and domain of the simulated aws-waf-token
+const TOKEN_PRESETS = {
+    absent: {},
+    valid: { tokenAge: 0, tokenDomain: '' },
+    expired: { tokenAge: MAX_IMMUNITY_TIME + 1, tokenDomain: '' },
+    wrongDomain: { tokenAge: 0, tokenDomain: 'other.example.com' }
+};
 
 /**
  * RequestDebugger component for testing AWS WAF rules.
@@ -50,7 +67,7 @@ import RulesLoaderPopup from '../components/upload/RulesLoaderPopup';
  * 3. See which WAF rules would be triggered by the request
  * 4. View detailed information about rule matches
  */
-const RequestDebugger = ({ rules = [] }) => {
+const RequestDebugger = ({ rules = [], webAcl = null }) => {
     console.log('[RequestDebugger] Received rules:', rules);
     console.log('[RequestDebugger] Rules type:', typeof rules);
     console.log('[RequestDebugger] Is array:', Array.isArray(rules));
@@ -72,11 +89,11 @@ const RequestDebugger = ({ rules = [] }) => {
     const [loading, setLoading] = useState(false);
     const [testResults, setTestResults] = useState(null);
     const [stepMode, setStepMode] = useState(false);
+    const [trafficMode, setTrafficMode] = useState(false);
+    const [showRulesAfterVerdict, setShowRulesAfterVerdict] = useState(false);
     const [currentRuleIndex, setCurrentRuleIndex] = useState(0);
-    const [ruleHistory, setRuleHistory] = useState([]);
-    const [triggeredLabels, setTriggeredLabels] = useState(new Set());
+    const [stepEvaluation, setStepEvaluation] = useState(null);
     const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
-    const [currentRequestState, setCurrentRequestState] = useState(null);
 
     // Request configuration state
     const [requestConfig, setRequestConfig] = useState({
@@ -85,6 +102,14 @@ const RequestDebugger = ({ rules = [] }) => {
         queryParams: '',
         headers: [{ name: 'User-Agent', value: 'Mozilla/5.0' }],
         body: '',
+        clientIp: '',
+        country: '',
+        asn: '',
+        bodyInspectionLimit: '',
+        defaultAction: '',
+        tokenState: 'absent',
+        tokenAge: 0,
+        tokenDomain: '',
         requestNumber: 1  // Add this line
     });
 
@@ -92,13 +117,21 @@ const RequestDebugger = ({ rules = [] }) => {
     const [searchTerm, setSearchTerm] = useState('');
     const [loaderPopupOpen, setLoaderPopupOpen] = useState(false);
     const [warningCount, setWarningCount] = useState(0);
-    const [loadedRules, setLoadedRules] = useState([]);
+    // Web ACL loaded from the debugger itself, when none came from the other views
+    const [loadedAcl, setLoadedAcl] = useState(null);
+    // Managed rules to treat as matching, per managed group rule name
+    const [managedRuleMatches, setManagedRuleMatches] = useState({});
 
     const { darkTheme, getColor } = useThemeContext();
 
     // Combine passed rules with loaded rules
-    const allRules = [...safeRules, ...loadedRules];
+    const allRules = [...safeRules, ...(loadedAcl?.Rules || [])];
     const effectiveRules = allRules.filter(r => r && Object.keys(r).length > 0);
+    // Requests are evaluated against the Web ACL's settings when a full ACL was loaded
+    const aclSettings = [loadedAcl, webAcl].find(acl => acl && !acl.rulesOnly);
+    const evaluatedAcl = aclSettings ? { ...aclSettings, Rules: effectiveRules } : effectiveRules;
+    const aclDefaultAction = getDefaultActionName(aclSettings);
+    const managedGroupRules = effectiveRules.filter(r => r.ManagedRuleGroup?.Rules?.length > 0);
 
     // Fallback UI if no rules are loaded
     if (!effectiveRules.length) {
@@ -217,10 +250,11 @@ const RequestDebugger = ({ rules = [] }) => {
                 <RulesLoaderPopup
                     open={loaderPopupOpen}
                     onClose={() => setLoaderPopupOpen(false)}
-                    onRulesLoaded={(rules) => {
-                        setLoadedRules(rules);
+                    onRulesReceived={(data) => {
+                        const acl = normalizeWebAcl(data);
+                        setLoadedAcl(acl);
                         setLoaderPopupOpen(false);
-                        showMessage(`Loaded ${rules.length} rules successfully!`, 'success');
+                        setSnackbar({ open: true, message: `Loaded ${acl.Rules.length} rules successfully!`, severity: 'success' });
                     }}
                 />
             </Box>
@@ -233,9 +267,7 @@ const RequestDebugger = ({ rules = [] }) => {
     // Reset rule evaluation state
     const resetRuleEvaluation = () => {
         setCurrentRuleIndex(0);
-        setRuleHistory([]);
-        setTriggeredLabels(new Set());
-        setCurrentRequestState(null);
+        setStepEvaluation(null);
     };
 
     // Add a header field
@@ -291,91 +323,55 @@ const RequestDebugger = ({ rules = [] }) => {
         });
     };
 
-    // Simulate sending the request and evaluating against WAF rules
+    const handleTokenStateChange = (tokenState) => {
+        setRequestConfig({
+            ...requestConfig,
+            tokenState,
+            ...TOKEN_PRESETS[tokenState]
+        });
+    };
+
+    const tokenAge = Math.max(0, Number(requestConfig.tokenAge) || 0);
+    const evaluationOptions = {
+        bodyInspectionLimit: Number(requestConfig.bodyInspectionLimit) || undefined,
+        defaultAction: requestConfig.defaultAction || undefined,
+        token: requestConfig.tokenState === 'absent'
+            ? null
+            : { domain: requestConfig.tokenDomain.trim(), captchaAge: tokenAge, challengeAge: tokenAge },
+        managedRuleMatches,
+        showRulesAfterVerdict
+    };
+
+    // Evaluate the configured request against the loaded rules
     const testRequest = async () => {
         setLoading(true);
 
         try {
-            // Convert our request config to a format that matches the AWS WAF evaluation format
-            const testRequest = {
-                uri: requestConfig.path,
-                method: requestConfig.method,
-                headers: requestConfig.headers.reduce((obj, header) => {
-                    if (header.name && header.value) {
-                        obj[header.name.toLowerCase()] = [{ value: header.value }];
-                    }
-                    return obj;
-                }, {}),
-                queryString: requestConfig.queryParams || '',
-                body: requestConfig.body || '',
-                requestNumber: requestConfig.requestNumber || 1  // Add this line
-            };
+            const request = normalizeRequest(requestConfig);
+            const evaluation = evaluateWebAcl(evaluatedAcl, request, evaluationOptions);
 
             if (stepMode) {
-                // Reset the rule evaluation state
                 resetRuleEvaluation();
-
-                // Initialize the request state to track modifications
-                const initialRequestState = {
-                    ...testRequest,
-                    addedLabels: [],
-                    addedHeaders: [],
-                    actions: []
-                };
-                setCurrentRequestState(initialRequestState);
-
-                // Start with the first rule
-                const firstRule = effectiveRules[0];
-                if (firstRule) {
-                    try {
-                        const initialLabels = new Set();
-                        const result = simulateRuleEvaluation(testRequest, firstRule, initialLabels);
-                        setRuleHistory([{
-                            rule: firstRule,
-                            result: result,
-                            index: 0
-                        }]);
-
-                        // Update the request state with any changes from the first rule match
-                        if (result && result.matched) {
-                            const updatedRequest = updateRequestState(initialRequestState, result, firstRule);
-                            setCurrentRequestState(updatedRequest);
-
-                            // Add labels if the rule matched and has labels
-                            if (firstRule.RuleLabels && Array.isArray(firstRule.RuleLabels)) {
-                                const newLabels = new Set();
-                                firstRule.RuleLabels.forEach(label => {
-                                    if (label && label.Name) {
-                                        newLabels.add(label.Name);
-                                    }
-                                });
-                                setTriggeredLabels(newLabels);
-                            }
-                        }
-
-                        setCurrentRuleIndex(0);
-                    } catch (error) {
-                        console.error('Error evaluating first rule:', error);
-                        showMessage('Error in step-by-step evaluation: ' + error.message, 'error');
-                    }
-                } else {
+                if (!evaluation.trace.length) {
                     showMessage('No rules to evaluate', 'warning');
+                    return;
                 }
-
+                setStepEvaluation(evaluation);
                 showMessage('Step-by-step mode started. Rules will be evaluated one by one.');
             } else {
-                // Full mode - evaluate all rules at once
-                const { matchedRules, labelsGenerated } = evaluateRulesAgainstRequest(testRequest, effectiveRules);
-
                 setTestResults({
-                    request: testRequest,
-                    matchedRules: matchedRules,
-                    labelsGenerated: Array.from(labelsGenerated),
+                    request,
+                    matchedRules: evaluation.matchedRules,
+                    laterMatches: evaluation.trace.filter(entry => entry.afterVerdict && entry.result.matched),
+                    verdict: evaluation.verdict,
+                    response: evaluation.response,
+                    labelsGenerated: evaluation.labelsGenerated,
+                    unsupportedRules: evaluation.trace.filter(entry => entry.result.unsupportedStatements.length > 0),
                     timestamp: new Date().toISOString()
                 });
 
-                showMessage(`Request evaluated. Found ${matchedRules.length} rule matches.`,
-                    matchedRules.length > 0 ? 'warning' : 'success');
+                showMessage(`Request evaluated: ${evaluation.verdict.action} (${evaluation.matchedRules.length} rule matches).`,
+                    evaluation.verdict.action === 'Allow' ? 'success' : 'warning');
             }
         } catch (error) {
             console.error('Error testing request:', error);
@@ -385,1087 +381,37 @@ const RequestDebugger = ({ rules = [] }) => {
         }
     };
 
-    // Evaluate rules against a request (client-side simulation)
-    const evaluateRulesAgainstRequest = (request, rulesArray) => {
-        if (!rulesArray || !Array.isArray(rulesArray) || rulesArray.length === 0) {
-            console.warn('[RequestDebugger] No rules to evaluate');
-            return { matchedRules: [], labelsGenerated: [] };
-        }
-
-        const matchedRules = [];
-        const labelsGenerated = new Set();
-
-        // Go through each rule and check if it matches
-        rulesArray.forEach(rule => {
-            // Pass the current set of labels to each rule evaluation
-            const matchResult = simulateRuleEvaluation(request, rule, labelsGenerated);
-
-            // For rate limit rules, we want to show them in both modes
-            if (matchResult.matched) {
-                // For rate limit rules, we want to show them even if they haven't exceeded the limit
-                if (matchResult.details?.type === 'RateBased') {
-                    matchedRules.push({
-                        rule: rule,
-                        result: matchResult
-                    });
-                }
-                // For other rules, add them as before
-                else if (matchResult.details?.type !== 'RateBased') {
-                    matchedRules.push({
-                        rule: rule,
-                        result: matchResult
-                    });
-                }
-
-                // Add any new labels to our set
-                if (matchResult.labelsGenerated) {
-                    matchResult.labelsGenerated.forEach(label => labelsGenerated.add(label));
-                }
-            }
-        });
-
-        return { matchedRules, labelsGenerated };
-    };
-
-    // Simulate rule evaluation against a request
-    const simulateRuleEvaluation = (request, rule, existingLabels) => {
-        if (!rule) {
-            console.warn('[RequestDebugger] No rule provided for evaluation');
-            return { matched: false, labelsGenerated: [], ruleName: 'Unknown' };
-        }
-
-        let matched = false;
-        let matchDetails = {};
-        let actions = [];
-        // Initialize labelsGenerated as a Set to collect labels
-        const labelsGenerated = new Set();
-
-        try {
-            // First, determine if this is a regular rule or a managed rule group
-            if (rule.OverrideAction && !rule.Action) {
-                // This is a managed rule reference with an override action
-                // We don't automatically assume managed rules match
-                matched = false;
-
-                // Only if we have specific simulation criteria for managed rules
-                if (rule.Statement && rule.Statement.ManagedRuleGroupStatement) {
-                    // Implement actual matching logic for managed rules
-                    // This would depend on the specific managed rule and request properties
-                    // For now, it will only match if the rule contains specific conditions
-
-                    // Example: Check if there's a SQLi or XSS pattern in the request
-                    if (rule.Statement.ManagedRuleGroupStatement.Name?.includes('SQLi') ||
-                        rule.Statement.ManagedRuleGroupStatement.Name?.includes('XSS')) {
-
-                        // Look for SQLi patterns in parameters, headers, or body
-                        const hasSuspiciousPattern = Object.values(request.queryParams || {}).some(value =>
-                            typeof value === 'string' && (
-                                value.includes('SELECT') ||
-                                value.includes('INSERT') ||
-                                value.includes('UPDATE') ||
-                                value.includes('DELETE') ||
-                                value.includes('DROP') ||
-                                value.includes('<script>') ||
-                                value.includes('javascript:')
-                            )
-                        );
-
-                        matched = hasSuspiciousPattern;
-                    }
-                }
-
-                matchDetails = {
-                    type: 'ManagedRuleGroup',
-                    note: matched ? 'Managed rule matched based on detected patterns' : 'Managed rule did not match',
-                    overrideAction: Object.keys(rule.OverrideAction)[0]
-                };
-            } else if (rule.Statement) {
-                // Process different statement types
-                const statementType = getStatementType(rule.Statement);
-
-                switch (statementType) {
-                    case 'ByteMatchStatement':
-                        matched = evaluateByteMatchStatement(rule.Statement.ByteMatchStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'ByteMatch',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'SqliMatchStatement':
-                        matched = evaluateSqliMatchStatement(rule.Statement.SqliMatchStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'SqliMatch',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'XssMatchStatement':
-                        matched = evaluateXssMatchStatement(rule.Statement.XssMatchStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'XssMatch',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'GeoMatchStatement':
-                        matched = evaluateGeoMatchStatement(rule.Statement.GeoMatchStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'GeoMatch',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'IPSetReferenceStatement':
-                        matched = evaluateIPSetReferenceStatement(rule.Statement.IPSetReferenceStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'IPSetReference',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'RegexPatternSetReferenceStatement':
-                        matched = evaluateRegexPatternSetReferenceStatement(rule.Statement.RegexPatternSetReferenceStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'RegexPatternSetReference',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'SizeConstraintStatement':
-                        matched = evaluateSizeConstraintStatement(rule.Statement.SizeConstraintStatement, request);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'SizeConstraint',
-                                ...matched
-                            };
-                        }
-                        break;
-
-                    case 'RateBasedStatement':
-                        const rateResult = evaluateRateBasedStatement(rule.Statement.RateBasedStatement, request, existingLabels);
-                        if (rateResult) {
-                            matched = true;
-                            matchDetails = {
-                                type: 'RateBased',
-                                ...rateResult
-                            };
-                        }
-                        break;
-
-                    case 'ManagedRuleGroupStatement':
-                        // For simulation, we'll assume managed rule groups might match
-                        matched = true;
-                        matchDetails = {
-                            type: 'ManagedRuleGroup',
-                            vendorName: rule.Statement.ManagedRuleGroupStatement.VendorName,
-                            name: rule.Statement.ManagedRuleGroupStatement.Name,
-                            note: 'Managed rule groups are assumed to potentially match for simulation purposes'
-                        };
-                        break;
-
-                    case 'LabelMatchStatement':
-                        const labelKey = rule.Statement.LabelMatchStatement.Key;
-                        matched = existingLabels.has(labelKey);
-                        if (matched) {
-                            matchDetails = {
-                                type: 'LabelMatch',
-                                labelKey,
-                                scope: rule.Statement.LabelMatchStatement.Scope || 'LABEL'
-                            };
-                        }
-                        break;
-
-                    case 'AndStatement':
-                        const andStatements = rule.Statement.AndStatement.Statements || [];
-                        matched = andStatements.length > 0;
-                        const andSubResults = [];
-
-                        for (const stmt of andStatements) {
-                            const subRule = { ...rule, Statement: stmt };
-                            const subResult = simulateRuleEvaluation(request, subRule, existingLabels);
-
-                            if (!subResult.matched) {
-                                matched = false;
-                            }
-
-                            andSubResults.push(subResult);
-                        }
-
-                        if (matched) {
-                            matchDetails = {
-                                type: 'And',
-                                operator: 'AND',
-                                subResults: andSubResults
-                            };
-                        }
-                        break;
-
-                    case 'OrStatement':
-                        const orStatements = rule.Statement.OrStatement.Statements || [];
-                        matched = false;
-                        const orSubResults = [];
-
-                        for (const stmt of orStatements) {
-                            const subRule = { ...rule, Statement: stmt };
-                            const subResult = simulateRuleEvaluation(request, subRule, existingLabels);
-
-                            if (subResult.matched) {
-                                matched = true;
-                            }
-
-                            orSubResults.push(subResult);
-                        }
-
-                        if (matched) {
-                            matchDetails = {
-                                type: 'Or',
-                                operator: 'OR',
-                                subResults: orSubResults
-                            };
-                        }
-                        break;
-
-                    case 'NotStatement':
-                        if (rule.Statement.NotStatement && rule.Statement.NotStatement.Statement) {
-                            const subRule = { ...rule, Statement: rule.Statement.NotStatement.Statement };
-                            const subResult = simulateRuleEvaluation(request, subRule, existingLabels);
-
-                            // NOT statement matches when the inner statement does not match
-                            matched = !subResult.matched;
-
-                            if (matched) {
-                                matchDetails = {
-                                    type: 'Not',
-                                    operator: 'NOT',
-                                    innerStatement: subResult
-                                };
-                            }
-                        }
-                        break;
-
-                    default:
-                        console.warn(`[RequestDebugger] Unsupported statement type: ${statementType}`);
-                        matched = false;
-                }
-            }
-        } catch (error) {
-            console.error('Error evaluating rule:', error);
-            matched = false;
-        }
-
-        // If matched, determine what actions are taken
-        if (matched) {
-            // Check for labels being added - only add labels for rate limit rules if the limit is exceeded
-            if (rule.RuleLabels && rule.RuleLabels.length > 0) {
-                // For rate limit rules, only add labels if the rate limit is exceeded
-                if (matchDetails.type === 'RateBased' && !matchDetails.rateExceeded) {
-                    // Don't add labels for counting-only matches
-                    return {
-                        matched: true,
-                        details: matchDetails,
-                        actions: [{
-                            type: 'action',
-                            action: 'Count'
-                        }],
-                        labelsGenerated: []
-                    };
-                }
-
-                // Add labels for other rule types or when rate limit is exceeded
-                rule.RuleLabels.forEach(label => {
-                    if (label && label.Name) {
-                        labelsGenerated.add(label.Name);
-                    }
-                });
-
-                actions.push({
-                    type: 'labels',
-                    labels: rule.RuleLabels.map(label => label.Name)
-                });
-            }
-
-            // Process different action types
-            if (rule.Action) {
-                const actionType = Object.keys(rule.Action)[0];
-                actions.push({
-                    type: 'action',
-                    action: actionType
-                });
-
-                // Handle specific action types
-                switch (actionType) {
-                    case 'Allow':
-                        // Nothing special for Allow
-                        break;
-
-                    case 'Block':
-                        // Add custom response if present
-                        if (rule.Action.Block?.CustomResponse) {
-                            actions.push({
-                                type: 'customResponse',
-                                responseCode: rule.Action.Block.CustomResponse.ResponseCode,
-                                bodyKey: rule.Action.Block.CustomResponse.CustomResponseBodyKey,
-                                headers: rule.Action.Block.CustomResponse.ResponseHeaders
-                            });
-                        }
-                        break;
-
-                    case 'Count':
-                        // Add custom request handling if present
-                        if (rule.Action.Count?.CustomRequestHandling?.InsertHeaders) {
-                            actions.push({
-                                type: 'headers',
-                                headers: rule.Action.Count.CustomRequestHandling.InsertHeaders.map(h => ({
-                                    name: h.Name,
-                                    value: h.Value
-                                }))
-                            });
-                        }
-                        break;
-
-                    case 'CAPTCHA':
-                        actions.push({
-                            type: 'captcha',
-                            config: rule.Action.CAPTCHA,
-                            immunityTime: rule.Action.CAPTCHA?.ImmunityTimeProperty?.ImmunityTime
-                        });
-                        break;
-
-                    case 'Challenge':
-                        actions.push({
-                            type: 'challenge',
-                            config: rule.Action.Challenge,
-                            immunityTime: rule.Action.Challenge?.ImmunityTimeProperty?.ImmunityTime
-                        });
-                        break;
-                }
-            } else if (rule.OverrideAction) {
-                // Handle override actions for managed rule groups
-                const overrideType = Object.keys(rule.OverrideAction)[0];
-                actions.push({
-                    type: 'override',
-                    action: overrideType
-                });
-            }
-        }
-
-        const result = {
-            matched,
-            details: matchDetails,
-            actions,
-            labelsGenerated: Array.from(labelsGenerated)
-        };
-
-        return result;
-    };
-
-    // Helper function to determine the statement type
-    const getStatementType = (statement) => {
-        if (!statement) return 'Unknown';
-
-        // Check for each possible statement type
-        const statementTypes = [
-            'ByteMatchStatement',
-            'SqliMatchStatement',
-            'XssMatchStatement',
-            'GeoMatchStatement',
-            'IPSetReferenceStatement',
-            'RegexPatternSetReferenceStatement',
-            'SizeConstraintStatement',
-            'RateBasedStatement',
-            'ManagedRuleGroupStatement',
-            'LabelMatchStatement',
-            'AndStatement',
-            'OrStatement',
-            'NotStatement',
-            'RegexMatchStatement' // Legacy but included for compatibility
-        ];
-
-        for (const type of statementTypes) {
-            if (statement[type]) {
-                return type;
-            }
-        }
-
-        return 'Unknown';
-    };
-
-    // Helper functions to evaluate different statement types
-
-    // ByteMatchStatement evaluation
-    const evaluateByteMatchStatement = (statement, request) => {
-        if (!statement) return false;
-
-        const matchValue = statement.SearchString ||
-            (statement.SearchStringBase64 ? atob(statement.SearchStringBase64) : null);
-
-        if (!matchValue) return false;
-
-        const constraint = statement.PositionalConstraint || 'CONTAINS';
-
-        // Extract the field to match against
-        const field = getFieldValue(statement.FieldToMatch, request);
-
-        if (!field.value) return false;
-
-        // Apply text transformations if specified
-        let transformedValue = field.value;
-        if (statement.TextTransformations && statement.TextTransformations.length > 0) {
-            // Sort by priority (lower number = higher priority)
-            const sortedTransformations = [...statement.TextTransformations]
-                .sort((a, b) => a.Priority - b.Priority);
-
-            // Apply transformations in priority order
-            for (const transform of sortedTransformations) {
-                transformedValue = applyTextTransformation(transformedValue, transform.Type);
-            }
-        }
-
-        const matched = checkStringMatch(transformedValue, matchValue, constraint);
-
-        if (matched) {
-            return {
-                field: field.name,
-                value: field.value,
-                transformedValue: transformedValue !== field.value ? transformedValue : undefined,
-                constraint,
-                matchValue
-            };
-        }
-
-        return false;
-    };
-
-    // SqliMatchStatement evaluation
-    const evaluateSqliMatchStatement = (statement, request) => {
-        if (!statement) return false;
-
-        // Extract the field to match against
-        const field = getFieldValue(statement.FieldToMatch, request);
-
-        if (!field.value) return false;
-
-        // Apply text transformations if specified
-        let transformedValue = field.value;
-        if (statement.TextTransformations && statement.TextTransformations.length > 0) {
-            // Sort by priority (lower number = higher priority)
-            const sortedTransformations = [...statement.TextTransformations]
-                .sort((a, b) => a.Priority - b.Priority);
-
-            // Apply transformations in priority order
-            for (const transform of sortedTransformations) {
-                transformedValue = applyTextTransformation(transformedValue, transform.Type);
-            }
-        }
-
-        // Simple SQLi detection - check for common SQLi patterns
-        // In a real system, this would use sophisticated detection logic
-        const sqlInjectionPatterns = [
-            /'\s*OR\s*'1'\s*=\s*'1/i,
-            /'\s*OR\s*1\s*=\s*1/i,
-            /'\s*OR\s*'\s*'='/i,
-            /'\s*OR\s*1\s*=/i,
-            /'\s*;\s*DROP\s+TABLE/i,
-            /UNION\s+SELECT/i,
-            /UNION\s+ALL\s+SELECT/i,
-            /SELECT\s+.*\s+FROM/i,
-            /INSERT\s+INTO/i,
-            /UPDATE\s+.*\s+SET/i,
-            /DELETE\s+FROM/i,
-            /--/,
-            /\/\*/,
-            /SLEEP\s*\(/i,
-            /BENCHMARK\s*\(/i
-        ];
-
-        const matched = sqlInjectionPatterns.some(pattern => pattern.test(transformedValue));
-
-        if (matched) {
-            return {
-                field: field.name,
-                value: field.value,
-                transformedValue: transformedValue !== field.value ? transformedValue : undefined,
-                sensitiveDataFiltered: true // Don't show the actual SQL pattern that matched for security
-            };
-        }
-
-        return false;
-    };
-
-    // XssMatchStatement evaluation
-    const evaluateXssMatchStatement = (statement, request) => {
-        if (!statement) return false;
-
-        // Extract the field to match against
-        const field = getFieldValue(statement.FieldToMatch, request);
-
-        if (!field.value) return false;
-
-        // Apply text transformations if specified
-        let transformedValue = field.value;
-        if (statement.TextTransformations && statement.TextTransformations.length > 0) {
-            // Sort by priority (lower number = higher priority)
-            const sortedTransformations = [...statement.TextTransformations]
-                .sort((a, b) => a.Priority - b.Priority);
-
-            // Apply transformations in priority order
-            for (const transform of sortedTransformations) {
-                transformedValue = applyTextTransformation(transformedValue, transform.Type);
-            }
-        }
-
-        // Simple XSS detection - check for common XSS patterns
-        // In a real system, this would use sophisticated detection logic
-        const xssPatterns = [
-            /<script[^>]*>.*?<\/script>/i,
-            /javascript:/i,
-            /onerror=/i,
-            /onload=/i,
-            /onclick=/i,
-            /onmouseover=/i,
-            /onmouseout=/i,
-            /onkeypress=/i,
-            /onkeydown=/i,
-            /onkeyup=/i,
-            /onfocus=/i,
-            /onblur=/i,
-            /onsubmit=/i,
-            /onchange=/i,
-            /eval\s*\(/i,
-            /document\.cookie/i,
-            /document\.location/i,
-            /alert\s*\(/i,
-            /document\.write/i,
-            /document\.domain/i
-        ];
-
-        const matched = xssPatterns.some(pattern => pattern.test(transformedValue));
-
-        if (matched) {
-            return {
-                field: field.name,
-                value: field.value,
-                transformedValue: transformedValue !== field.value ? transformedValue : undefined,
-                sensitiveDataFiltered: true // Don't show the actual XSS pattern that matched for security
-            };
-        }
-
-        return false;
-    };
-
-    // GeoMatchStatement evaluation
-    const evaluateGeoMatchStatement = (statement, request) => {
-        if (!statement || !statement.CountryCodes || !statement.CountryCodes.length) {
-            return false;
-        }
-
-        // In a real implementation, this would look at the IP address and determine the country
-        // For simulation purposes, we'll assume a random match based on the number of countries
-        const simulatedMatch = Math.random() < (statement.CountryCodes.length / 200);
-
-        if (simulatedMatch) {
-            const randomCountryIndex = Math.floor(Math.random() * statement.CountryCodes.length);
-            const matchedCountry = statement.CountryCodes[randomCountryIndex];
-
-            return {
-                matchedCountry,
-                countryList: statement.CountryCodes
-            };
-        }
-
-        return false;
-    };
-
-    // IPSetReferenceStatement evaluation
-    const evaluateIPSetReferenceStatement = (statement, request) => {
-        if (!statement || !statement.ARN) {
-            return false;
-        }
-
-        // Instead of random matching, check for specific IP patterns in source IP
-        // Assuming we might have a source IP in the headers
-        let sourceIp = '127.0.0.1'; // default local IP
-
-        if (request.headers && request.headers['x-forwarded-for']) {
-            sourceIp = request.headers['x-forwarded-for'][0].value;
-        }
-
-        // Check if IP is in private ranges (simplified check)
-        const isPrivateIP =
-            sourceIp.startsWith('10.') ||
-            sourceIp.startsWith('192.168.') ||
-            sourceIp.match(/^172\.(1[6-9]|2[0-9]|3[0-1])\./);
-
-        // Only match if the ARN indicates a private IP set and the source IP is private
-        const isPrivateIpSet = statement.ARN.toLowerCase().includes('private');
-        const match = isPrivateIP && isPrivateIpSet;
-
-        if (match) {
-            return {
-                ipSetArn: statement.ARN,
-                matchedIp: sourceIp
-            };
-        }
-
-        return false;
-    };
-
-    // RegexPatternSetReferenceStatement evaluation
-    const evaluateRegexPatternSetReferenceStatement = (statement, request) => {
-        if (!statement || !statement.ARN) {
-            return false;
-        }
-
-        // Extract the field to match against
-        const field = getFieldValue(statement.FieldToMatch, request);
-
-        if (!field.value) return false;
-
-        // Instead of random matching, check for specific regex patterns
-        // For simulation, check if the ARN suggests what patterns it might contain
-        let patternType = '';
-        if (statement.ARN.toLowerCase().includes('sql')) {
-            patternType = 'SQL';
-        } else if (statement.ARN.toLowerCase().includes('xss')) {
-            patternType = 'XSS';
-        } else if (statement.ARN.toLowerCase().includes('path')) {
-            patternType = 'PATH';
-        }
-
-        let matched = false;
-
-        // Check if the field value contains patterns based on the type
-        switch (patternType) {
-            case 'SQL':
-                matched = /select|insert|update|delete|drop|union/i.test(field.value);
-                break;
-            case 'XSS':
-                matched = /<script|javascript:|onerror=|onload=/i.test(field.value);
-                break;
-            case 'PATH':
-                matched = /\.\.\/|\/etc\/|\/var\/www\//i.test(field.value);
-                break;
-            default:
-                // For unknown pattern types, don't match
-                matched = false;
-        }
-
-        if (matched) {
-            return {
-                field: field.name,
-                value: field.value,
-                regexSetArn: statement.ARN,
-                matchedPattern: patternType
-            };
-        }
-
-        return false;
-    };
-
-    // SizeConstraintStatement evaluation
-    const evaluateSizeConstraintStatement = (statement, request) => {
-        if (!statement) return false;
-
-        // Extract the field to measure
-        const field = getFieldValue(statement.FieldToMatch, request);
-
-        if (!field.value) return false;
-
-        let size = field.value.length;
-        let comparisonOperator = statement.ComparisonOperator;
-        let size_constraint = statement.Size;
-
-        // Evaluate the constraint based on the comparison operator
-        let matched = false;
-        switch (comparisonOperator) {
-            case 'EQ':  // Equal
-                matched = size === size_constraint;
-                break;
-            case 'NE':  // Not equal
-                matched = size !== size_constraint;
-                break;
-            case 'LE':  // Less than or equal
-                matched = size <= size_constraint;
-                break;
-            case 'LT':  // Less than
-                matched = size < size_constraint;
-                break;
-            case 'GE':  // Greater than or equal
-                matched = size >= size_constraint;
-                break;
-            case 'GT':  // Greater than
-                matched = size > size_constraint;
-                break;
-            default:
-                matched = false;
-        }
-
-        if (matched) {
-            return {
-                field: field.name,
-                actualSize: size,
-                comparisonOperator,
-                constraintSize: size_constraint
-            };
-        }
-
-        return false;
-    };
-
-    // RateBasedStatement evaluation - for simulation only
-    const evaluateRateBasedStatement = (statement, request, existingLabels) => {
-        if (!statement || !statement.Limit) {
-            return false;
-        }
-
-        // Get the request number from the request
-        const requestNumber = request.requestNumber || 1;
-        const limit = statement.Limit;
-        const evaluationWindow = statement.EvaluationWindowSec || 300; // Default to 5 minutes
-
-        // For simulation purposes, we'll consider the rate limit exceeded if the request number is greater than the limit
-        const rateExceeded = requestNumber > limit;
-
-        // If there's a scope-down statement, evaluate it
-        if (statement.ScopeDownStatement) {
-            const subRule = { Statement: statement.ScopeDownStatement };
-            const scopeResult = simulateRuleEvaluation(request, subRule, existingLabels);
-
-            // Only match if the scope-down statement matches
-            if (!scopeResult.matched) {
-                return false;
-            }
-
-            return {
-                aggregateKeyType: statement.AggregateKeyType || 'IP',
-                limit: limit,
-                evaluationWindow: evaluationWindow,
-                requestNumber: requestNumber,
-                rateExceeded: rateExceeded,
-                scopeDownMatched: true,
-                note: rateExceeded
-                    ? `Rate limit exceeded: ${requestNumber} requests in ${evaluationWindow}s window (limit: ${limit})`
-                    : `Request counted: ${requestNumber} requests in ${evaluationWindow}s window (limit: ${limit})`
-            };
-        }
-
-        // If no scope-down statement, always count the request
-        return {
-            aggregateKeyType: statement.AggregateKeyType || 'IP',
-            limit: limit,
-            evaluationWindow: evaluationWindow,
-            requestNumber: requestNumber,
-            rateExceeded: rateExceeded,
-            scopeDownMatched: true,
-            note: rateExceeded
-                ? `Rate limit exceeded: ${requestNumber} requests in ${evaluationWindow}s window (limit: ${limit})`
-                : `Request counted: ${requestNumber} requests in ${evaluationWindow}s window (limit: ${limit})`
-        };
-    };
-
-    // Helper function to extract field values based on field type
-    const getFieldValue = (fieldToMatch, request) => {
-        if (!fieldToMatch) return { name: 'Unknown', value: null };
-
-        // Check each field type
-        if (fieldToMatch.UriPath) {
-            return { name: 'UriPath', value: request.uri };
-        }
-
-        if (fieldToMatch.QueryString) {
-            return { name: 'QueryString', value: request.queryString };
-        }
-
-        if (fieldToMatch.Method) {
-            return { name: 'Method', value: request.method };
-        }
-
-        if (fieldToMatch.Body) {
-            return { name: 'Body', value: request.body };
-        }
-
-        if (fieldToMatch.SingleHeader && fieldToMatch.SingleHeader.Name) {
-            const headerName = fieldToMatch.SingleHeader.Name.toLowerCase();
-            const headerValue = request.headers[headerName]?.[0]?.value;
-            return {
-                name: `Header:${headerName}`,
-                value: headerValue
-            };
-        }
-
-        if (fieldToMatch.SingleQueryArgument && fieldToMatch.SingleQueryArgument.Name) {
-            const paramName = fieldToMatch.SingleQueryArgument.Name;
-            const paramValue = getQueryParameterValue(request.queryString, paramName);
-            return {
-                name: `QueryParam:${paramName}`,
-                value: paramValue
-            };
-        }
-
-        if (fieldToMatch.AllQueryArguments) {
-            // For AllQueryArguments, return all query parameters as a joined string
-            const queryParams = parseQueryString(request.queryString);
-            const allValues = Object.values(queryParams).join('&');
-            return { name: 'AllQueryArguments', value: allValues, params: queryParams };
-        }
-
-        if (fieldToMatch.Headers) {
-            // For Headers match, it gets complex - for simulation, we'll just use all headers
-            const headerNames = Object.keys(request.headers);
-            const headerValues = headerNames.map(name =>
-                request.headers[name]?.[0]?.value || '').join(',');
-            return { name: 'Headers', value: headerValues };
-        }
-
-        if (fieldToMatch.Cookies) {
-            // For simulation, we'll assume some basic cookies if the Cookie header exists
-            const cookieHeader = request.headers['cookie']?.[0]?.value;
-            return { name: 'Cookies', value: cookieHeader || '' };
-        }
-
-        if (fieldToMatch.JA3Fingerprint) {
-            // JA3 fingerprint would be in the ja3 header in our simulated environment
-            const ja3Value = request.headers['ja3']?.[0]?.value;
-            return { name: 'JA3Fingerprint', value: ja3Value };
-        }
-
-        if (fieldToMatch.JsonBody) {
-            // For JsonBody, we'll try to parse the body as JSON
-            try {
-                if (!request.body) return { name: 'JsonBody', value: null };
-
-                // In our simulation, we're treating body as already parsed
-                return { name: 'JsonBody', value: request.body };
-            } catch (e) {
-                return { name: 'JsonBody', value: null, error: 'Invalid JSON' };
-            }
-        }
-
-        return { name: 'Unknown', value: null };
-    };
-
-    // Apply various text transformations as specified in WAF rules
-    const applyTextTransformation = (text, transformType) => {
-        if (!text) return text;
-
-        switch (transformType) {
-            case 'NONE':
-                return text;
-
-            case 'LOWERCASE':
-                return text.toLowerCase();
-
-            case 'UPPERCASE':
-                return text.toUpperCase();
-
-            case 'URL_DECODE':
-                try {
-                    return decodeURIComponent(text);
-                } catch (e) {
-                    return text;
-                }
-
-            case 'HTML_ENTITY_DECODE':
-                // Simple HTML entity decoding
-                return text
-                    .replace(/&amp;/g, '&')
-                    .replace(/&lt;/g, '<')
-                    .replace(/&gt;/g, '>')
-                    .replace(/&quot;/g, '"')
-                    .replace(/&#39;/g, "'")
-                    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
-                        String.fromCharCode(parseInt(hex, 16)))
-                    .replace(/&#(\d+);/g, (_, dec) =>
-                        String.fromCharCode(parseInt(dec, 10)));
-
-            case 'COMPRESS_WHITE_SPACE':
-                return text.replace(/\s+/g, ' ').trim();
-
-            case 'CMD_LINE':
-                // Simplistic command line normalization
-                return text
-                    .replace(/["']/g, '') // Remove quotes
-                    .replace(/\\\\/g, '\\') // Convert \\ to \
-                    .replace(/\\ /g, ' '); // Convert \ followed by space to space
-
-            case 'BASE64_DECODE':
-                try {
-                    return atob(text);
-                } catch (e) {
-                    return text;
-                }
-
-            case 'HEX_DECODE':
-                // Simple hex decoding
-                if (/^[0-9A-Fa-f]+$/.test(text) && text.length % 2 === 0) {
-                    try {
-                        let result = '';
-                        for (let i = 0; i < text.length; i += 2) {
-                            result += String.fromCharCode(parseInt(text.substr(i, 2), 16));
-                        }
-                        return result;
-                    } catch (e) {
-                        return text;
-                    }
-                }
-                return text;
-
-            case 'BASE64_DECODE_EXT':
-                // Extended base64 decoding with URL-safe chars
-                try {
-                    const encoded = text
-                        .replace(/-/g, '+')
-                        .replace(/_/g, '/');
-                    return atob(encoded);
-                } catch (e) {
-                    return text;
-                }
-
-            default:
-                return text;
-        }
-    };
-
-    // Helper function to update the request state based on rule match results
-    const updateRequestState = (currentRequest, result, rule) => {
-        if (!result.matched) return currentRequest;
-
-        const updatedRequest = { ...currentRequest };
-
-        // Add any labels from the rule
-        if (rule.RuleLabels && rule.RuleLabels.length > 0) {
-            const newLabels = rule.RuleLabels.map(label => ({
-                name: label.Name,
-                addedByRule: rule.Name,
-                priority: rule.Priority
-            }));
-            updatedRequest.addedLabels = [...updatedRequest.addedLabels, ...newLabels];
-        }
-
-        // Add any headers inserted by the rule - only for Action.Count with CustomRequestHandling
-        if (rule.Action?.Count?.CustomRequestHandling?.InsertHeaders) {
-            const newHeaders = rule.Action.Count.CustomRequestHandling.InsertHeaders.map(header => ({
-                name: header.Name,
-                value: header.Value,
-                addedByRule: rule.Name,
-                priority: rule.Priority
-            }));
-            updatedRequest.addedHeaders = [...updatedRequest.addedHeaders, ...newHeaders];
-        }
-
-        // Record the action taken - handle both Action and OverrideAction
-        let actionType = 'Unknown';
-        let actionDetails = null;
-
-        // Special handling for rate limit rules
-        if (result.details?.type === 'RateBased') {
-            actionType = 'action';
-            actionDetails = {
-                action: 'Count',
-                requestNumber: result.details.requestNumber,
-                limit: result.details.limit,
-                evaluationWindow: result.details.evaluationWindow
-            };
-        } else if (rule.Action) {
-            actionType = Object.keys(rule.Action)[0] || 'Unknown';
-            actionDetails = rule.Action[actionType];
-        } else if (rule.OverrideAction) {
-            actionType = `Override:${Object.keys(rule.OverrideAction)[0] || 'Unknown'}`;
-            actionDetails = rule.OverrideAction[Object.keys(rule.OverrideAction)[0]];
-        }
-
-        updatedRequest.actions.push({
-            type: actionType,
-            action: actionDetails?.action || actionType,
-            rule: rule.Name,
-            priority: rule.Priority,
-            details: actionDetails
-        });
-
-        return updatedRequest;
-    };
+    // Step-by-step view: the evaluated prefix of the trace and the request state it produced
+    const ruleHistory = stepEvaluation ? stepEvaluation.trace.slice(0, currentRuleIndex + 1) : [];
+    const currentRequestState = stepEvaluation ? buildRequestState(stepEvaluation.request, ruleHistory) : null;
+    const stepCount = stepEvaluation ? stepEvaluation.trace.length : 0;
 
     // Step to the next rule
     const stepToNextRule = () => {
-        if (!effectiveRules || currentRuleIndex >= effectiveRules.length - 1) {
+        if (!stepEvaluation || currentRuleIndex >= stepCount - 1) {
             showMessage('You have reached the end of the rule set', 'info');
             return;
         }
 
         const nextIndex = currentRuleIndex + 1;
-        const nextRule = effectiveRules[nextIndex];
-
-        // Convert request config to the format needed for evaluation
-        const testRequest = {
-            uri: requestConfig.path,
-            method: requestConfig.method,
-            headers: requestConfig.headers.reduce((obj, header) => {
-                if (header.name && header.value) {
-                    obj[header.name.toLowerCase()] = [{ value: header.value }];
-                }
-                return obj;
-            }, {}),
-            queryString: requestConfig.queryParams || '',
-            body: requestConfig.body || '',
-            requestNumber: requestConfig.requestNumber || 1
-        };
-
-        // Evaluate the next rule, using the current set of triggered labels
-        const result = simulateRuleEvaluation(testRequest, nextRule, triggeredLabels);
-
-        // Add to history
-        setRuleHistory([...ruleHistory, {
-            rule: nextRule,
-            result,
-            index: nextIndex
-        }]);
-
-        // Update the request state with any new modifications
-        if (result.matched) {
-            const updatedRequest = updateRequestState(currentRequestState, result, nextRule);
-            setCurrentRequestState(updatedRequest);
-
-            // Only add labels if:
-            // 1. The rule has labels AND
-            // 2. Either it's not a rate limit rule OR it's a rate limit rule that exceeded the limit
-            if (nextRule.RuleLabels &&
-                (!result.details?.type ||
-                    result.details.type !== 'RateBased' ||
-                    (result.details.type === 'RateBased' && result.details.rateExceeded))) {
-                const newLabels = new Set(triggeredLabels);
-                nextRule.RuleLabels.forEach(label => {
-                    if (label && label.Name) {
-                        newLabels.add(label.Name);
-                    }
-                });
-                setTriggeredLabels(newLabels);
-            }
+        const { rule, result, outcome, afterVerdict } = stepEvaluation.trace[nextIndex];
 
-            // Show appropriate message based on rate limit status
+        if (afterVerdict) {
+            showMessage(`Rule "${rule.Name}" ${result.matched ? 'would have matched' : 'would not have matched'} (after the verdict)`, 'info');
+        } else if (outcome.terminating) {
+            showMessage(`Rule "${rule.Name}" terminated the request with ${outcome.action}`, 'warning');
+        } else if (result.matched) {
             if (result.details?.type === 'RateBased') {
                 if (result.details.rateExceeded) {
-                    showMessage(`Rate limit exceeded for rule "${nextRule.Name}"!`, 'warning');
+                    showMessage(`Rate limit exceeded for rule "${rule.Name}"!`, 'warning');
                 } else {
-                    showMessage(`Rule "${nextRule.Name}" matched (request counted but limit not exceeded)`, 'info');
+                    showMessage(`Rule "${rule.Name}" matched (request counted but limit not exceeded)`, 'info');
                 }
             } else {
-                showMessage(`Rule "${nextRule.Name}" matched the request!`, 'warning');
+                showMessage(`Rule "${rule.Name}" matched the request!`, 'warning');
             }
         } else {
-            showMessage(`Rule "${nextRule.Name}" did not match the request.`, 'info');
+            showMessage(`Rule "${rule.Name}" did not match the request.`, 'info');
         }
 
         setCurrentRuleIndex(nextIndex);
@@ -1473,110 +419,24 @@ const RequestDebugger = ({ rules = [] }) => {
 
     // Step to the previous rule
     const stepToPreviousRule = () => {
-        if (currentRuleIndex <= 0 || ruleHistory.length <= 1) {
+        if (currentRuleIndex <= 0) {
             showMessage('You are at the beginning of the rule evaluation', 'info');
             return;
         }
 
-        // Remove the last rule from history
-        const newHistory = [...ruleHistory];
-        newHistory.pop();
-
-        // Get the last rule in the new history
-        const previousEntry = newHistory[newHistory.length - 1];
-
-        // Reset to the previous state
-        setRuleHistory(newHistory);
-        setCurrentRuleIndex(previousEntry.index);
-
-        // Reset the labels and request state to what they were before
-        // We need to recalculate from the beginning
-        const newLabels = new Set();
-        let newRequestState = {
-            uri: requestConfig.path,
-            method: requestConfig.method,
-            headers: requestConfig.headers.reduce((obj, header) => {
-                if (header.name && header.value) {
-                    obj[header.name.toLowerCase()] = [{ value: header.value }];
-                }
-                return obj;
-            }, {}),
-            queryString: requestConfig.queryParams || '',
-            body: requestConfig.body || '',
-            addedLabels: [],
-            addedHeaders: [],
-            actions: []
-        };
-
-        // Replay all rules up to the previous one to rebuild the state properly
-        for (let i = 0; i < newHistory.length; i++) {
-            const historyEntry = newHistory[i];
-            if (historyEntry.result.matched) {
-                // Add any labels from this rule
-                const rule = historyEntry.rule;
-                if (rule.RuleLabels) {
-                    rule.RuleLabels.forEach(label => {
-                        if (label && label.Name) {
-                            newLabels.add(label.Name);
-                        }
-                    });
-                }
-
-                // Update the request state
-                newRequestState = updateRequestState(newRequestState, historyEntry.result, rule);
-            }
-        }
-
-        setTriggeredLabels(newLabels);
-        setCurrentRequestState(newRequestState);
-
+        setCurrentRuleIndex(currentRuleIndex - 1);
         showMessage('Moved back to previous rule', 'info');
     };
 
-    // Helper function to get a specific query parameter value
-    const getQueryParameterValue = (queryString, paramName) => {
-        return parseQueryString(queryString)[paramName];
-    };
-
-    // Helper function to parse a query string into a key-value object
-    const parseQueryString = (queryString) => {
-        if (!queryString) return {};
-
-        const params = {};
-        const queryParts = queryString.split('&');
-
-        queryParts.forEach(part => {
-            const [name, value] = part.split('=');
-            if (name) {
-                params[decodeURIComponent(name)] = decodeURIComponent(value || '');
-            }
-        });
-
-        return params;
-    };
-
-    // Helper function to check string matches based on positional constraint
-    const checkStringMatch = (value, matchValue, constraint) => {
-        if (!value || !matchValue) return false;
-
-        switch (constraint) {
-            case 'EXACTLY':
-                return value === matchValue;
-            case 'STARTS_WITH':
-                return value.startsWith(matchValue);
-            case 'ENDS_WITH':
-                return value.endsWith(matchValue);
-            case 'CONTAINS':
-                return value.includes(matchValue);
-            default:
-                return false;
-        }
-    };
-
     // Render a summary of the match details
     const renderMatchSummary = (details) => {
         if (!details) return 'No details available';
 
+        // Oversize and invalid JSON handling decide the outcome without inspecting the field
+        if (details.fallbackBehavior && details.field) {
+            return `${details.field}: ${details.note}`;
+        }
+
         if (details.type) {
             switch (details.type) {
                 case 'ByteMatch':
@@ -1589,25 +449,45 @@ const RequestDebugger = ({ rules = [] }) => {
                     return `XSS pattern detected in ${details.field}`;
 
                 case 'GeoMatch':
-                    return `IP from ${details.matchedCountry}`;
+                    return `Country ${details.matchedCountry} (${details.countrySource}${details.inspectedIp ? ` ${details.inspectedIp}` : ''}) is in ${details.countryList.join(', ')}`;
 
                 case 'IPSetReference':
-                    return `IP matches set (${details.matchedIp})`;
+                    if (details.fallbackBehavior) {
+                        return `IP set ${details.ipSetName}: ${details.note}`;
+                    }
+                    return `${details.matchedIp} (${details.source}) is in ${details.matchedCidr} of IP set ${details.ipSetName}`;
 
                 case 'RegexPatternSetReference':
-                    return `Regex pattern matched in ${details.field}`;
+                    return `${details.field} matches /${details.matchedPattern}/ of regex pattern set ${details.regexSetName}`;
 
                 case 'SizeConstraint':
                     return `${details.field} size ${details.actualSize} ${details.comparisonOperator} ${details.constraintSize}`;
 
                 case 'RateBased':
-                    return `Rate-based limit: ${details.limit} requests per ${details.evaluationWindow}s (Request #${details.requestNumber})`;
+                    return `Rate-based limit: ${details.limit} requests per ${details.evaluationWindow}s (Request #${details.requestNumber} for ${details.aggregationKey})`;
 
                 case 'ManagedRuleGroup':
+                    if (details.rules) {
+                        return `${details.vendorName}:${details.name}${details.versionName ? ` (${details.versionName})` : ''} managed rules ${details.matchedRules.join(', ')} matched${details.terminatingAction ? ` (${details.terminatingAction})` : ''}${details.labels.length ? `, adding ${details.labels.join(', ')}` : ''}${details.overrides.length ? `; ${details.overrides.join('; ')}` : ''}`;
+                    }
                     return `${details.vendorName}:${details.name} managed rule group`;
 
+                case 'RuleGroupReference':
+                    return `Rule group ${details.name}: ${details.matchedRules.join(', ')} matched${details.terminatingAction ? ` (${details.terminatingAction})` : ''}${details.labels.length ? `, adding ${details.labels.join(', ')}` : ''}${details.overrides.length ? `; ${details.overrides.join('; ')}` : ''}`;
+
                 case 'LabelMatch':
-                    return `Label match: ${details.labelKey}`;
+                    return details.scope === 'NAMESPACE'
+                        ? `Label namespace ${details.labelKey} matched ${details.matchedLabels.join(', ')}`
+                        : `Label match: ${details.matchedLabels.join(', ')}`;
+
+                case 'RegexMatch':
+                    return `${details.field} matches /${details.pattern}/`;
+
+                case 'AsnMatch':
+                    if (details.fallbackBehavior) {
+                        return `ASN match: ${details.note}`;
+                    }
+                    return `ASN ${details.asn} (${details.source}) is in ${details.asnList.join(', ')}`;
 
                 case 'And':
                     return 'AND condition: All sub-conditions matched';
@@ -1646,7 +526,226 @@ const RequestDebugger = ({ rules = [] }) => {
             }
         }
 
-        return 'Rule matched with unknown details';
+        return 'Rule matched with unknown details';
+    };
+
+    // Collect the inspected field parts of a statement and its nested statements
+    const collectInspections = (details) => {
+        if (!details) return [];
+        const own = details.transformationSteps?.length || details.bodyInspection || details.partsInspection
+            ? [{
+                field: details.field,
+                original: details.value,
+                steps: details.transformationSteps || [],
+                bodyInspection: details.bodyInspection,
+                partsInspection: details.partsInspection,
+                partName: details.partName,
+                partScope: details.partScope
+            }]
+            : [];
+        const nested = [...(details.subResults || []), details.innerStatement, details.scopeDown].filter(Boolean);
+        return [...own, ...nested.flatMap(result => collectInspections(result.details))];
+    };
+
+    // Describe which portion of the body, headers or cookies was inspected
+    const describeInspectedPortion = (inspection) => {
+        const { bodyInspection, partsInspection, partName, partScope } = inspection;
+        let portion = '';
+        if (bodyInspection) {
+            portion = bodyInspection.oversize
+                ? `first ${bodyInspection.inspectedBytes} of ${bodyInspection.size} bytes (limit ${bodyInspection.limit}, OversizeHandling ${bodyInspection.oversizeHandling})`
+                : `all ${bodyInspection.size} bytes (limit ${bodyInspection.limit})`;
+        } else if (partsInspection) {
+            portion = partsInspection.oversize
+                ? `first ${partsInspection.inspectedCount} of ${partsInspection.count} ${partsInspection.kind} (OversizeHandling ${partsInspection.oversizeHandling})`
+                : `all ${partsInspection.count} ${partsInspection.kind}`;
+        }
+
+        const part = partName
+            ? `${inspection.field === 'JsonBody' ? 'JSON ' : ''}${partScope === 'KEY' ? 'key' : 'value'} of ${partName}`
+            : '';
+        return `${inspection.field}: ${[portion && `inspected ${portion}`, part && `matched on ${part}`].filter(Boolean).join(', ')}`;
+    };
+
+    // Show control characters produced by decoders instead of printing them raw
+    const formatInspectedValue = (value) => Array.from(String(value ?? ''), char => {
+        const code = char.charCodeAt(0);
+        return code < 0x20 || (code >= 0x7f && code <= 0x9f) ? `\\x${code.toString(16).padStart(2, '0')}` : char;
+    }).join('');
+
+    // Render the inspected body portion and the value after each text transformation, in priority order
+    const renderInspections = (details) => {
+        const inspections = collectInspections(details);
+        if (!inspections.length) return null;
+
+        return (
+            <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>Inspection:</Typography>
+                {inspections.map((inspection, index) => (
+                    <Box key={index}>
+                        {(inspection.bodyInspection || inspection.partsInspection || inspection.partName) && (
+                            <Typography variant="body2" sx={{ mb: 1 }}>
+                                {describeInspectedPortion(inspection)}
+                            </Typography>
+                        )}
+                        {inspection.steps.length > 0 && (
+                            <Table size="small" sx={{ mb: 1 }}>
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell sx={{ py: 1, px: 1 }}>Priority</TableCell>
+                                        <TableCell sx={{ py: 1, px: 1 }}>Transformation</TableCell>
+                                        <TableCell sx={{ py: 1, px: 1 }}>{inspection.field}</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    <TableRow>
+                                        <TableCell sx={{ py: 1, px: 1 }}>-</TableCell>
+                                        <TableCell sx={{ py: 1, px: 1 }}>Original</TableCell>
+                                        <TableCell sx={{ py: 1, px: 1, fontFamily: 'monospace' }}>
+                                            {formatInspectedValue(inspection.original)}
+                                        </TableCell>
+                                    </TableRow>
+                                    {inspection.steps.map((step, stepIndex) => (
+                                        <TableRow key={stepIndex} hover>
+                                            <TableCell sx={{ py: 1, px: 1 }}>{step.priority}</TableCell>
+                                            <TableCell sx={{ py: 1, px: 1 }}>
+                                                {step.type}{step.unsupported && ' (unsupported, value unchanged)'}
+                                            </TableCell>
+                                            <TableCell sx={{ py: 1, px: 1, fontFamily: 'monospace' }}>
+                                                {formatInspectedValue(step.value)}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                    </Box>
+                ))}
+            </Box>
+        );
+    };
+
+    // The final verdict: the terminating rule's action or the web ACL's DefaultAction
+    const renderVerdict = (verdict) => {
+        if (!verdict) return null;
+        const severity = { Allow: 'success', Block: 'error', CAPTCHA: 'warning', Challenge: 'warning' }[verdict.action] || 'info';
+
+        return (
+            <Alert severity={severity} sx={{ mb: 2 }}>
+                <strong>
+                    Final verdict: {verdict.action}
+                    {verdict.token && ` (${verdict.token.outcome === 'block' ? 'effectively Block' : `${verdict.token.responseCode} interstitial`})`}
+                </strong>{' '}
+                {verdict.source === 'Rule'
+                    ? `by rule ${verdict.ruleName} (Priority ${verdict.priority})${verdict.groupRule ? `, group rule ${verdict.groupRule}` : ''}`
+                    : 'by the web ACL Default Action'}
+                {verdict.note && ` - ${verdict.note}`}
+            </Alert>
+        );
+    };
+
+    // The HTTP response the client receives for the verdict
+    const renderHttpResponse = (response) => {
+        if (!response) return null;
+
+        return (
+            <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>Response to the client:</Typography>
+                {response.errors.map(error => (
+                    <Alert key={error} severity="error" sx={{ mb: 1 }}>{error}</Alert>
+                ))}
+                {response.warnings.map(warning => (
+                    <Alert key={warning} severity="warning" sx={{ mb: 1 }}>{warning}</Alert>
+                ))}
+                {response.note && (
+                    <Typography variant="body2" sx={{ mb: 1 }}>{response.note}</Typography>
+                )}
+                {response.statusCode && (
+                    <Box sx={{
+                        p: 1,
+                        fontFamily: 'monospace',
+                        fontSize: '0.85rem',
+                        whiteSpace: 'pre-wrap',
+                        wordBreak: 'break-all',
+                        border: `1px solid ${getColor('border')}`,
+                        borderRadius: 1
+                    }}>
+                        <div><strong>HTTP/1.1 {response.statusCode}</strong></div>
+                        {response.headers.map((header, index) => (
+                            <div key={index}>{header.name}: {header.value}</div>
+                        ))}
+                        {response.body !== undefined && (
+                            <>
+                                <br />
+                                <div>{response.body}</div>
+                            </>
+                        )}
+                    </Box>
+                )}
+            </Box>
+        );
+    };
+
+    // CAPTCHA and Challenge check the simulated aws-waf-token; show the result and its labels
+    const renderTokenCheck = (token) => {
+        if (!token) return null;
+        const severity = { continue: 'success', interstitial: 'warning', block: 'error' }[token.outcome];
+        const response = {
+            continue: 'the request continues',
+            interstitial: `${token.responseCode} interstitial`,
+            block: 'effectively blocked'
+        }[token.outcome];
+
+        return (
+            <Alert severity={severity} sx={{ mb: 2 }}>
+                <strong>{token.action} token {token.status.replace('_', ' ')}: {response}</strong>{' '}
+                (immunity time {token.immunityTime}s, {token.immunitySource === 'Default' ? 'AWS default' : `${token.immunitySource} setting`})
+                {` - ${token.note}`}
+                <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {token.labels.map(label => (
+                        <Chip key={label} label={label} size="small" variant="outlined" />
+                    ))}
+                </Box>
+            </Alert>
+        );
+    };
+
+    // Rule groups list each of their rules with its effective action and outcome
+    const renderGroupRules = (details) => {
+        if (!details?.rules?.length) return null;
+
+        const describeOutcome = (groupRule) => {
+            if (groupRule.evaluated === false) return 'Not evaluated (an earlier rule terminated)';
+            if (!groupRule.matched) return 'No match';
+            return groupRule.details ? `Matched - ${renderMatchSummary(groupRule.details)}` : 'Matched (simulated)';
+        };
+
+        return (
+            <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>Rule group rules:</Typography>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell sx={{ py: 1, px: 1 }}>Rule</TableCell>
+                            <TableCell sx={{ py: 1, px: 1 }}>Action</TableCell>
+                            <TableCell sx={{ py: 1, px: 1 }}>Result</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {details.rules.map(groupRule => (
+                            <TableRow key={groupRule.name} hover sx={{ opacity: groupRule.excluded ? 0.6 : 1 }}>
+                                <TableCell sx={{ py: 1, px: 1 }}>{groupRule.name}</TableCell>
+                                <TableCell sx={{ py: 1, px: 1 }}>
+                                    {groupRule.action}
+                                    {groupRule.overridden && ` (was ${groupRule.originalAction})`}
+                                </TableCell>
+                                <TableCell sx={{ py: 1, px: 1 }}>{describeOutcome(groupRule)}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </Box>
+        );
     };
 
     // Render detailed information about rule actions
@@ -1857,60 +956,7 @@ const RequestDebugger = ({ rules = [] }) => {
     const renderCurrentRequest = (request) => {
         if (!request) return null;
 
-        // Helper function to check if a rule is a rate limit rule and if it exceeded the limit
-        const isRateLimitExceeded = (rule) => {
-            if (!rule) return false;
-
-            // Check if this is a rate limit rule
-            const isRateLimitRule = rule.Statement &&
-                (rule.Statement.RateBasedStatement ||
-                    (rule.Statement.AndStatement && rule.Statement.AndStatement.Statements.some(s => s.RateBasedStatement)) ||
-                    (rule.Statement.OrStatement && rule.Statement.OrStatement.Statements.some(s => s.RateBasedStatement)));
-
-            if (!isRateLimitRule) return true; // Not a rate limit rule, so show its modifications
-
-            // For rate limit rules, check if the limit was exceeded
-            const rateResult = rule.Statement.RateBasedStatement ?
-                evaluateRateBasedStatement(rule.Statement.RateBasedStatement, request, new Set()) :
-                null;
-
-            // If we can't determine the rate limit status, show the modifications
-            if (!rateResult) return true;
-
-            // Only show modifications if the rate limit was exceeded
-            return rateResult.rateExceeded;
-        };
-
-        // Helper function to check if an action is a counting action
-        const isCountingAction = (action) => {
-            return action.type === 'action' && action.action === 'Count';
-        };
-
-        // Filter out labels from rate limit rules that haven't exceeded their limit
-        const filteredLabels = request.addedLabels.filter(label => {
-            const rule = effectiveRules.find(r => r.Name === label.addedByRule);
-            return isRateLimitExceeded(rule);
-        });
-
-        // Filter out headers from rate limit rules that haven't exceeded their limit
-        const filteredHeaders = request.addedHeaders.filter(header => {
-            const rule = effectiveRules.find(r => r.Name === header.addedByRule);
-            return isRateLimitExceeded(rule);
-        });
-
-        // Filter actions, but keep counting actions even if rate limit not exceeded
-        const filteredActions = request.actions.filter(action => {
-            const rule = effectiveRules.find(r => r.Name === action.rule);
-            // Keep counting actions even if rate limit not exceeded
-            if (isCountingAction(action)) return true;
-            return isRateLimitExceeded(rule);
-        });
-
-        // Get the current rate limit status for display
-        const getRateLimitStatus = (rule) => {
-            if (!rule?.Statement?.RateBasedStatement) return null;
-            return evaluateRateBasedStatement(rule.Statement.RateBasedStatement, request, new Set());
-        };
+        const currentEntry = ruleHistory[ruleHistory.length - 1];
 
         return (
             <Box>
@@ -1918,6 +964,28 @@ const RequestDebugger = ({ rules = [] }) => {
                     <Typography variant="subtitle1" gutterBottom sx={{ color: getColor('barText') }}>
                         <strong>Current Request State</strong>
                     </Typography>
+                    {currentEntry && (
+                        <Typography variant="body2" sx={{ mb: 2 }}>
+                            Rule {currentRuleIndex + 1} of {stepCount}: <strong>{currentEntry.rule.Name}</strong>{' '}
+                            (Priority {currentEntry.rule.Priority}) {currentEntry.result.matched
+                                ? `matched - ${renderMatchSummary(currentEntry.result.details)}`
+                                : `did not match${currentEntry.result.details?.note ? ` - ${currentEntry.result.details.note}` : ''}`}
+                        </Typography>
+                    )}
+                    {currentEntry?.afterVerdict && (
+                        <Alert severity="info" sx={{ mb: 2 }}>
+                            Evaluated after the verdict: AWS WAF would not run this rule, it is shown for reference only.
+                        </Alert>
+                    )}
+                    {(currentEntry === stepEvaluation.terminatingEntry || currentRuleIndex === stepCount - 1) && (
+                        <>
+                            {renderVerdict(stepEvaluation.verdict)}
+                            {renderHttpResponse(stepEvaluation.response)}
+                        </>
+                    )}
+                    {currentEntry && renderTokenCheck(currentEntry.outcome.token)}
+                    {currentEntry && renderInspections(currentEntry.result.details)}
+                    {currentEntry && renderGroupRules(currentEntry.result.details)}
 
                     <Grid container spacing={2}>
                         <Grid item xs={12} md={6}>
@@ -1957,7 +1025,7 @@ const RequestDebugger = ({ rules = [] }) => {
                                     Modifications by Rules
                                 </Typography>
 
-                                {filteredLabels.length > 0 && (
+                                {request.addedLabels.length > 0 && (
                                     <Box sx={{ ml: 2, mb: 2 }}>
                                         <Typography variant="body2" color="secondary">
                                             <strong>Labels Added:</strong>
@@ -1971,7 +1039,7 @@ const RequestDebugger = ({ rules = [] }) => {
                                                 </TableRow>
                                             </TableHead>
                                             <TableBody>
-                                                {filteredLabels.map((label, idx) => (
+                                                {request.addedLabels.map((label, idx) => (
                                                     <TableRow key={idx} hover>
                                                         <TableCell sx={{ py: 1, px: 1 }}>
                                                             <Chip
@@ -1996,7 +1064,7 @@ const RequestDebugger = ({ rules = [] }) => {
                                     </Box>
                                 )}
 
-                                {filteredHeaders.length > 0 && (
+                                {request.addedHeaders.length > 0 && (
                                     <Box sx={{ ml: 2, mb: 2 }}>
                                         <Typography variant="body2" color="secondary">
                                             <strong>Headers Added:</strong>
@@ -2011,7 +1079,7 @@ const RequestDebugger = ({ rules = [] }) => {
                                                 </TableRow>
                                             </TableHead>
                                             <TableBody>
-                                                {filteredHeaders.map((header, idx) => (
+                                                {request.addedHeaders.map((header, idx) => (
                                                     <TableRow key={idx} hover>
                                                         <TableCell sx={{ py: 1, px: 1, fontFamily: 'monospace' }}>
                                                             {header.name}
@@ -2034,7 +1102,7 @@ const RequestDebugger = ({ rules = [] }) => {
                                     </Box>
                                 )}
 
-                                {filteredActions.length > 0 && (
+                                {request.actions.length > 0 && (
                                     <Box sx={{ ml: 2 }}>
                                         <Typography variant="body2" color="secondary">
                                             <strong>Actions Taken:</strong>
@@ -2048,17 +1116,13 @@ const RequestDebugger = ({ rules = [] }) => {
                                                 </TableRow>
                                             </TableHead>
                                             <TableBody>
-                                                {filteredActions.map((action, idx) => {
+                                                {request.actions.map((action, idx) => {
                                                     let chipColor;
                                                     let actionLabel = action.type;
 
-                                                    // Special handling for counting actions
-                                                    if (isCountingAction(action)) {
-                                                        const rule = effectiveRules.find(r => r.Name === action.rule);
-                                                        const rateStatus = getRateLimitStatus(rule);
-                                                        if (rateStatus) {
-                                                            actionLabel = `Count (${rateStatus.requestNumber}/${rateStatus.limit} requests)`;
-                                                        }
+                                                    // Rate-based rules below their limit only count the request
+                                                    if (action.type === 'Count' && action.details?.limit) {
+                                                        actionLabel = `Count (${action.details.requestNumber}/${action.details.limit} requests)`;
                                                     }
 
                                                     switch (action.type) {
@@ -2291,7 +1355,7 @@ const RequestDebugger = ({ rules = [] }) => {
                         </Grid>
 
                         {/* Query Parameters */}
-                        <Grid item xs={12}>
+                        <Grid item xs={12} md={6}>
                             <TextField
                                 fullWidth
                                 label="Query Parameters"
@@ -2321,6 +1385,103 @@ const RequestDebugger = ({ rules = [] }) => {
                             />
                         </Grid>
 
+                        {/* Source IP */}
+                        <Grid item xs={12} sm={4} md={2}>
+                            <TextField
+                                fullWidth
+                                label="Client IP"
+                                value={requestConfig.clientIp}
+                                onChange={(e) => handleChange('clientIp', e.target.value)}
+                                placeholder="127.0.0.1"
+                                helperText="Source address seen by AWS WAF"
+                                sx={{
+                                    '& .MuiInputLabel-root': {
+                                        color: getColor('barText'),
+                                    },
+                                    '& .MuiOutlinedInput-root': {
+                                        backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+                                        '& fieldset': {
+                                            borderColor: getColor('border'),
+                                        },
+                                        '&:hover fieldset': {
+                                            borderColor: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '&.Mui-focused fieldset': {
+                                            borderColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    },
+                                    '& .MuiInputBase-input': {
+                                        color: getColor('barText'),
+                                    },
+                                }}
+                            />
+                        </Grid>
+
+                        {/* Source country */}
+                        <Grid item xs={12} sm={4} md={2}>
+                            <TextField
+                                fullWidth
+                                label="Client Country"
+                                value={requestConfig.country}
+                                onChange={(e) => handleChange('country', e.target.value)}
+                                placeholder="US"
+                                helperText="Blank: looked up from the IP"
+                                inputProps={{ maxLength: 2 }}
+                                sx={{
+                                    '& .MuiInputLabel-root': {
+                                        color: getColor('barText'),
+                                    },
+                                    '& .MuiOutlinedInput-root': {
+                                        backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+                                        '& fieldset': {
+                                            borderColor: getColor('border'),
+                                        },
+                                        '&:hover fieldset': {
+                                            borderColor: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '&.Mui-focused fieldset': {
+                                            borderColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    },
+                                    '& .MuiInputBase-input': {
+                                        color: getColor('barText'),
+                                    },
+                                }}
+                            />
+                        </Grid>
+
+                        {/* Source ASN */}
+                        <Grid item xs={12} sm={4} md={2}>
+                            <TextField
+                                fullWidth
+                                label="Client ASN"
+                                value={requestConfig.asn}
+                                onChange={(e) => handleChange('asn', e.target.value)}
+                                placeholder="16509"
+                                helperText="For AsnMatch statements"
+                                sx={{
+                                    '& .MuiInputLabel-root': {
+                                        color: getColor('barText'),
+                                    },
+                                    '& .MuiOutlinedInput-root': {
+                                        backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+                                        '& fieldset': {
+                                            borderColor: getColor('border'),
+                                        },
+                                        '&:hover fieldset': {
+                                            borderColor: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '&.Mui-focused fieldset': {
+                                            borderColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    },
+                                    '& .MuiInputBase-input': {
+                                        color: getColor('barText'),
+                                    },
+                                }}
+                            />
+                        </Grid>
+
                         {/* Headers */}
                         <Grid item xs={12}>
                             <Box sx={{ mb: 2 }}>
@@ -2407,7 +1568,7 @@ const RequestDebugger = ({ rules = [] }) => {
                         </Grid>
 
                         {/* Body */}
-                        <Grid item xs={12}>
+                        <Grid item xs={12} md={6}>
                             <TextField
                                 fullWidth
                                 label="Request Body"
@@ -2437,6 +1598,185 @@ const RequestDebugger = ({ rules = [] }) => {
                                 }}
                             />
                         </Grid>
+
+                        {/* Body inspection limit */}
+                        <Grid item xs={12} md={3}>
+                            <FormControl fullWidth>
+                                <InputLabel sx={{ color: getColor('barText') }}>Body Inspection Limit</InputLabel>
+                                <Select
+                                    value={requestConfig.bodyInspectionLimit}
+                                    label="Body Inspection Limit"
+                                    onChange={(e) => handleChange('bodyInspectionLimit', e.target.value)}
+                                    displayEmpty
+                                    sx={{
+                                        '& .MuiSelect-select': {
+                                            color: getColor('barText'),
+                                        },
+                                        '& .MuiOutlinedInput-root': {
+                                            backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+                                            '& fieldset': {
+                                                borderColor: getColor('border'),
+                                            },
+                                            '&:hover fieldset': {
+                                                borderColor: darkTheme ? '#1976d2' : '#1976d2',
+                                            },
+                                            '&.Mui-focused fieldset': {
+                                                borderColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                            },
+                                        },
+                                    }}
+                                >
+                                    <MenuItem value="">Web ACL setting</MenuItem>
+                                    {Object.entries(BODY_SIZE_LIMITS).map(([name, bytes]) => (
+                                        <MenuItem key={name} value={bytes}>{name.replace('KB_', '')} KB</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+
+                        {/* Default action applied when no rule terminates */}
+                        <Grid item xs={12} md={3}>
+                            <FormControl fullWidth>
+                                <InputLabel sx={{ color: getColor('barText') }}>Default Action</InputLabel>
+                                <Select
+                                    value={requestConfig.defaultAction}
+                                    label="Default Action"
+                                    onChange={(e) => handleChange('defaultAction', e.target.value)}
+                                    displayEmpty
+                                    sx={{
+                                        '& .MuiSelect-select': {
+                                            color: getColor('barText'),
+                                        },
+                                    }}
+                                >
+                                    <MenuItem value="">Web ACL setting{aclDefaultAction ? ` (${aclDefaultAction})` : ''}</MenuItem>
+                                    <MenuItem value="Allow">Allow</MenuItem>
+                                    <MenuItem value="Block">Block</MenuItem>
+                                </Select>
+                            </FormControl>
+                        </Grid>
+
+                        {/* Simulated aws-waf-token checked by CAPTCHA and Challenge rules */}
+                        <Grid item xs={12} md={4}>
+                            <FormControl fullWidth>
+                                <InputLabel sx={{ color: getColor('barText') }}>aws-waf-token</InputLabel>
+                                <Select
+                                    value={requestConfig.tokenState}
+                                    label="aws-waf-token"
+                                    onChange={(e) => handleTokenStateChange(e.target.value)}
+                                    sx={{
+                                        '& .MuiSelect-select': {
+                                            color: getColor('barText'),
+                                        },
+                                    }}
+                                >
+                                    <MenuItem value="absent">Absent</MenuItem>
+                                    <MenuItem value="valid">Valid</MenuItem>
+                                    <MenuItem value="expired">Expired</MenuItem>
+                                    <MenuItem value="wrongDomain">Wrong domain</MenuItem>
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                        <Grid item xs={12} sm={6} md={4}>
+                            <TextField
+                                fullWidth
+                                label="Seconds Since Solved"
+                                value={requestConfig.tokenAge}
+                                onChange={(e) => handleChange('tokenAge', e.target.value)}
+                                disabled={requestConfig.tokenState === 'absent'}
+                                type="number"
+                                helperText="Compared with the CAPTCHA or Challenge immunity time"
+                                sx={{
+                                    '& .MuiInputLabel-root': {
+                                        color: getColor('barText'),
+                                    },
+                                    '& .MuiOutlinedInput-root': {
+                                        backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+                                        '& fieldset': {
+                                            borderColor: getColor('border'),
+                                        },
+                                        '&:hover fieldset': {
+                                            borderColor: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '&.Mui-focused fieldset': {
+                                            borderColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    },
+                                    '& .MuiInputBase-input': {
+                                        color: getColor('barText'),
+                                    },
+                                }}
+                            />
+                        </Grid>
+                        <Grid item xs={12} sm={6} md={4}>
+                            <TextField
+                                fullWidth
+                                label="Token Domain"
+                                value={requestConfig.tokenDomain}
+                                onChange={(e) => handleChange('tokenDomain', e.target.value)}
+                                disabled={requestConfig.tokenState === 'absent'}
+                                placeholder="www.example.com"
+                                helperText="Blank: issued for the request's Host"
+                                sx={{
+                                    '& .MuiInputLabel-root': {
+                                        color: getColor('barText'),
+                                    },
+                                    '& .MuiOutlinedInput-root': {
+                                        backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+                                        '& fieldset': {
+                                            borderColor: getColor('border'),
+                                        },
+                                        '&:hover fieldset': {
+                                            borderColor: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '&.Mui-focused fieldset': {
+                                            borderColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    },
+                                    '& .MuiInputBase-input': {
+                                        color: getColor('barText'),
+                                    },
+                                }}
+                            />
+                        </Grid>
+
+                        {/* Managed rule groups: their statements are not published, so the matching rules are chosen here */}
+                        {managedGroupRules.map(rule => (
+                            <Grid item xs={12} key={rule.Name}>
+                                <FormControl fullWidth>
+                                    <InputLabel sx={{ color: getColor('barText') }}>
+                                        Matching managed rules in {rule.Name}
+                                    </InputLabel>
+                                    <Select
+                                        multiple
+                                        value={managedRuleMatches[rule.Name] || []}
+                                        label={`Matching managed rules in ${rule.Name}`}
+                                        onChange={(e) => setManagedRuleMatches({
+                                            ...managedRuleMatches,
+                                            [rule.Name]: e.target.value
+                                        })}
+                                        renderValue={(selected) => (
+                                            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                                                {selected.map(name => <Chip key={name} label={name} size="small" />)}
+                                            </Box>
+                                        )}
+                                        sx={{
+                                            '& .MuiSelect-select': {
+                                                color: getColor('barText'),
+                                            },
+                                        }}
+                                    >
+                                        {getManagedRules(rule).map(managedRule => (
+                                            <MenuItem key={managedRule.name} value={managedRule.name}>
+                                                {managedRule.name} ({managedRule.overridden
+                                                    ? `${managedRule.action}, overridden from ${managedRule.originalAction}`
+                                                    : managedRule.action})
+                                            </MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            </Grid>
+                        ))}
                     </Grid>
 
                     {/* Test Controls */}
@@ -2478,9 +1818,62 @@ const RequestDebugger = ({ rules = [] }) => {
                                 },
                             }}
                         />
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={trafficMode}
+                                    onChange={(e) => setTrafficMode(e.target.checked)}
+                                    sx={{
+                                        '& .MuiSwitch-switchBase.Mui-checked': {
+                                            color: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '& .MuiSwitch-switchBase.Mui-checked + .MuiSwitch-track': {
+                                            backgroundColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    }}
+                                />
+                            }
+                            label="Traffic Sequence Mode"
+                            sx={{
+                                '& .MuiFormControlLabel-label': {
+                                    color: getColor('barText'),
+                                },
+                            }}
+                        />
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={showRulesAfterVerdict}
+                                    onChange={(e) => setShowRulesAfterVerdict(e.target.checked)}
+                                    sx={{
+                                        '& .MuiSwitch-switchBase.Mui-checked': {
+                                            color: darkTheme ? '#1976d2' : '#1976d2',
+                                        },
+                                        '& .MuiSwitch-switchBase.Mui-checked + .MuiSwitch-track': {
+                                            backgroundColor: darkTheme ? '#2e7d32' : '#2e7d32',
+                                        },
+                                    }}
+                                />
+                            }
+                            label="Show Rules After Verdict"
+                            sx={{
+                                '& .MuiFormControlLabel-label': {
+                                    color: getColor('barText'),
+                                },
+                            }}
+                        />
                     </Box>
                 </Paper>
 
+                {/* Traffic Sequence */}
+                {trafficMode && (
+                    <TrafficSequencePanel
+                        requestConfig={requestConfig}
+                        webAcl={evaluatedAcl}
+                        evaluationOptions={evaluationOptions}
+                    />
+                )}
+
                 {/* Test Results */}
                 {testResults && !stepMode && (
                     <Paper variant="outlined" sx={{ 
@@ -2507,6 +1900,15 @@ const RequestDebugger = ({ rules = [] }) => {
                         <Typography variant="h6" gutterBottom sx={{ color: getColor('barText') }}>
                             Test Results
                         </Typography>
+                        {renderVerdict(testResults.verdict)}
+                        {renderHttpResponse(testResults.response)}
+                        {testResults.unsupportedRules.length > 0 && (
+                            <Alert severity="warning" sx={{ mb: 2 }}>
+                                Not evaluated, the simulator does not support:{' '}
+                                {testResults.unsupportedRules.map(entry =>
+                                    `${entry.rule.Name} (${entry.result.unsupportedStatements.join(', ')})`).join('; ')}
+                            </Alert>
+                        )}
                         <Box>
                             {testResults.matchedRules.map((match, index) => (
                                 <Accordion key={index}>
@@ -2516,12 +1918,39 @@ const RequestDebugger = ({ rules = [] }) => {
                                         </Typography>
                                     </AccordionSummary>
                                     <AccordionDetails>
-                                        {renderMatchSummary(match.result)}
-                                        {renderRuleActions(match.rule.Action)}
+                                        <Typography variant="body2" sx={{ mb: 1 }}>
+                                            {renderMatchSummary(match.result.details)}
+                                        </Typography>
+                                        {renderInspections(match.result.details)}
+                                        {renderGroupRules(match.result.details)}
+                                        {renderTokenCheck(match.outcome.token)}
+                                        {renderRuleActions(match.result.actions)}
                                     </AccordionDetails>
                                 </Accordion>
                             ))}
                         </Box>
+                        {testResults.laterMatches.length > 0 && (
+                            <Box sx={{ mt: 2 }}>
+                                <Typography variant="body2" sx={{ mb: 1 }}>
+                                    <strong>After the verdict, these rules would also have matched:</strong>
+                                </Typography>
+                                {testResults.laterMatches.map(entry => (
+                                    <Typography key={entry.index} variant="body2" sx={{ ml: 2 }}>
+                                        {entry.rule.Name} (Priority {entry.rule.Priority}): {entry.outcome.action} - {renderMatchSummary(entry.result.details)}
+                                    </Typography>
+                                ))}
+                            </Box>
+                        )}
+                        {testResults.labelsGenerated.length > 0 && (
+                            <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center' }}>
+                                <Typography variant="body2">
+                                    <strong>Labels on the request:</strong>
+                                </Typography>
+                                {testResults.labelsGenerated.map(label => (
+                                    <Chip key={label} label={label} size="small" color="info" variant="outlined" />
+                                ))}
+                            </Box>
+                        )}
                     </Paper>
                 )}
 
@@ -2548,7 +1977,7 @@ const RequestDebugger = ({ rules = [] }) => {
                             </Button>
                             <Button
                                 onClick={stepToNextRule}
-                                disabled={currentRuleIndex >= effectiveRules.length - 1}
+                                disabled={currentRuleIndex >= stepCount - 1}
                                 endIcon={<NavigateNextIcon />}
                                 sx={{
                                     borderColor: getColor('border'),
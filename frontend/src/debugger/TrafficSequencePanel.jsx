@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import {
+    Box,
+    Button,
+    TextField,
+    Typography,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    Paper,
+    IconButton,
+    Alert,
+    Chip
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import { useThemeContext } from '../context/ThemeContext';
+import { normalizeRequest, generateTrafficSequence } from '../engine/request';
+import { simulateTraffic } from '../engine/evaluator';
+
+/**
+ * Traffic sequence mode of the request debugger.
+ * Builds a series of timestamped requests (by hand or with a generator) from the current
+ * request configuration and runs them through the engine with shared rate-based counters,
+ * showing at which request each rate-based rule begins to fire.
+ */
+const TrafficSequencePanel = ({ requestConfig, webAcl, evaluationOptions }) => {
+    const { darkTheme, getColor } = useThemeContext();
+    const [sequence, setSequence] = useState([]);
+    const [generator, setGenerator] = useState({ count: 20, clientIp: '', durationSec: 60 });
+    const [simulation, setSimulation] = useState(null);
+
+    const fieldSx = {
+        '& .MuiInputLabel-root': {
+            color: getColor('barText'),
+        },
+        '& .MuiOutlinedInput-root': {
+            backgroundColor: darkTheme ? getColor('background') : 'rgba(255,255,255,0.8)',
+            '& fieldset': {
+                borderColor: getColor('border'),
+            },
+        },
+        '& .MuiInputBase-input': {
+            color: getColor('barText'),
+        },
+    };
+
+    const updateSequence = (nextSequence) => {
+        setSequence(nextSequence);
+        setSimulation(null);
+    };
+
+    const generateSequence = () => {
+        updateSequence(generateTrafficSequence(requestConfig, {
+            count: generator.count,
+            durationSec: generator.durationSec,
+            clientIp: generator.clientIp.trim()
+        }));
+    };
+
+    const addCurrentRequest = () => {
+        const lastTimestamp = sequence.length ? Number(sequence[sequence.length - 1].timestamp) || 0 : -1;
+        updateSequence([...sequence, { ...requestConfig, timestamp: lastTimestamp + 1 }]);
+    };
+
+    const updateEntry = (index, field, value) => {
+        updateSequence(sequence.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+    };
+
+    const removeEntry = (index) => {
+        updateSequence(sequence.filter((_, i) => i !== index));
+    };
+
+    const runSequence = () => {
+        setSimulation(simulateTraffic(webAcl, sequence.map(normalizeRequest), evaluationOptions));
+    };
+
+    const renderRateCell = (rateResult) => {
+        if (!rateResult) return '-';
+        if (!rateResult.aggregationKey) {
+            return <Typography variant="caption">{rateResult.note}</Typography>;
+        }
+        return (
+            <Chip
+                size="small"
+                label={`${rateResult.requestNumber}/${rateResult.limit}`}
+                color={rateResult.rateExceeded ? 'error' : 'default'}
+                variant={rateResult.rateExceeded ? 'filled' : 'outlined'}
+                title={rateResult.aggregationKey}
+            />
+        );
+    };
+
+    return (
+        <Paper variant="outlined" sx={{
+            p: 3,
+            mb: 2,
+            background: darkTheme ? 'rgba(40,40,40,0.7)' : 'rgba(255,255,255,0.8)',
+            color: getColor('barText'),
+            border: `1px solid ${getColor('border')}`,
+            '& .MuiTypography-root, & .MuiTableCell-root': {
+                color: getColor('barText'),
+            },
+        }}>
+            <Typography variant="h6" gutterBottom>
+                Traffic Sequence
+            </Typography>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+                Requests are copies of the request configured above. Rate-based rules count them per
+                aggregation key over their sliding evaluation window.
+            </Typography>
+
+            {/* Generator */}
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+                <TextField
+                    label="Requests"
+                    type="number"
+                    size="small"
+                    value={generator.count}
+                    onChange={(e) => setGenerator({ ...generator, count: e.target.value })}
+                    sx={{ width: 120, ...fieldSx }}
+                />
+                <TextField
+                    label="From IP"
+                    size="small"
+                    value={generator.clientIp}
+                    onChange={(e) => setGenerator({ ...generator, clientIp: e.target.value })}
+                    placeholder={requestConfig.clientIp || '127.0.0.1'}
+                    sx={{ width: 180, ...fieldSx }}
+                />
+                <TextField
+                    label="Over (seconds)"
+                    type="number"
+                    size="small"
+                    value={generator.durationSec}
+                    onChange={(e) => setGenerator({ ...generator, durationSec: e.target.value })}
+                    sx={{ width: 140, ...fieldSx }}
+                />
+                <Button variant="outlined" size="small" onClick={generateSequence}>
+                    Generate
+                </Button>
+                <Button variant="outlined" size="small" startIcon={<AddIcon />} onClick={addCurrentRequest}>
+                    Add Current Request
+                </Button>
+                <Button
+                    variant="contained"
+                    size="small"
+                    startIcon={<PlayArrowIcon />}
+                    onClick={runSequence}
+                    disabled={!sequence.length}
+                >
+                    Run Sequence
+                </Button>
+            </Box>
+
+            {/* Sequence */}
+            {sequence.length > 0 && !simulation && (
+                <Table size="small" sx={{ mb: 2 }}>
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>#</TableCell>
+                            <TableCell>Time (s)</TableCell>
+                            <TableCell>Client IP</TableCell>
+                            <TableCell>Request</TableCell>
+                            <TableCell />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {sequence.map((entry, index) => (
+                            <TableRow key={index} hover>
+                                <TableCell>{index + 1}</TableCell>
+                                <TableCell>
+                                    <TextField
+                                        type="number"
+                                        size="small"
+                                        value={entry.timestamp}
+                                        onChange={(e) => updateEntry(index, 'timestamp', e.target.value)}
+                                        sx={{ width: 100, ...fieldSx }}
+                                    />
+                                </TableCell>
+                                <TableCell>
+                                    <TextField
+                                        size="small"
+                                        value={entry.clientIp}
+                                        onChange={(e) => updateEntry(index, 'clientIp', e.target.value)}
+                                        placeholder="127.0.0.1"
+                                        sx={{ width: 160, ...fieldSx }}
+                                    />
+                                </TableCell>
+                                <TableCell>{entry.method} {entry.path}</TableCell>
+                                <TableCell>
+                                    <IconButton size="small" color="error" onClick={() => removeEntry(index)}>
+                                        <DeleteIcon fontSize="small" />
+                                    </IconButton>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+
+            {/* Results */}
+            {simulation && (
+                <Box>
+                    {simulation.rateRules.length === 0 && (
+                        <Alert severity="info" sx={{ mb: 2 }}>The loaded rules have no rate-based rules.</Alert>
+                    )}
+                    {simulation.rateRules.map(rateRule => {
+                        const firingStep = simulation.steps[rateRule.firstFiringIndex];
+                        return (
+                            <Alert key={rateRule.ruleName} severity={firingStep ? 'warning' : 'success'} sx={{ mb: 1 }}>
+                                <strong>{rateRule.ruleName}</strong> ({rateRule.limit} requests per {rateRule.evaluationWindow}s,
+                                aggregated by {rateRule.aggregateKeyType}){' '}
+                                {firingStep
+                                    ? `begins to fire at request #${rateRule.firstFiringIndex + 1} (t=${firingStep.request.timestamp}s, key ${firingStep.rateResults[rateRule.ruleName].aggregationKey})`
+                                    : 'never exceeds its limit in this sequence'}
+                            </Alert>
+                        );
+                    })}
+
+                    <Table size="small" sx={{ mt: 1 }}>
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>#</TableCell>
+                                <TableCell>Time (s)</TableCell>
+                                <TableCell>Client IP</TableCell>
+                                {simulation.rateRules.map(rateRule => (
+                                    <TableCell key={rateRule.ruleName}>{rateRule.ruleName}</TableCell>
+                                ))}
+                                <TableCell>Matched Rules</TableCell>
+                                <TableCell>Verdict</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {simulation.steps.map(step => (
+                                <TableRow key={step.index} hover>
+                                    <TableCell>{step.index + 1}</TableCell>
+                                    <TableCell>{step.request.timestamp}</TableCell>
+                                    <TableCell>{step.request.clientIp}</TableCell>
+                                    {simulation.rateRules.map(rateRule => (
+                                        <TableCell key={rateRule.ruleName}>
+                                            {renderRateCell(step.rateResults[rateRule.ruleName])}
+                                        </TableCell>
+                                    ))}
+                                    <TableCell>
+                                        {step.evaluation.matchedRules.map(match => match.rule.Name).join(', ') || '-'}
+                                    </TableCell>
+                                    <TableCell>
+                                        {step.evaluation.verdict.action}
+                                        {step.evaluation.verdict.ruleName ? ` (${step.evaluation.verdict.ruleName})` : ''}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                    <Button size="small" sx={{ mt: 2 }} onClick={() => setSimulation(null)}>
+                        Edit Sequence
+                    </Button>
+                </Box>
+            )}
+        </Paper>
+    );
+};
+
+export default TrafficSequencePanel;
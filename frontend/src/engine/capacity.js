@@ -0,0 +1,189 @@
+/**
+ * Web ACL capacity unit (WCU) estimation.
+ * AWS WAF prices every rule statement in WCUs and rejects a web ACL above 5,000 WCUs; web
+ * ACLs above 1,500 WCUs are charged extra. The costs below follow the rule statement list
+ * of the AWS WAF developer guide: each statement type has a base cost, the JSON body doubles
+ * it, all query arguments add 10 and every text transformation adds 10. Logical statements
+ * cost the sum of their nested statements. Rule groups cost their Capacity, which the
+ * simulator knows only when the group's description is loaded, so estimates that miss a
+ * group's capacity are marked as not exact.
+ */
+import { getStatementType } from './statements';
+
+// WCUs included in the web ACL's base price
+export const WCU_BASE_LIMIT = 1500;
+
+// WCUs AWS WAF allows in a web ACL
+export const WCU_MAX_LIMIT = 5000;
+
+// Published capacity of the AWS managed rule groups, used when the group's description
+// (DescribeManagedRuleGroup's Capacity) is not loaded
+export const MANAGED_GROUP_CAPACITY = {
+    AWSManagedRulesCommonRuleSet: 700,
+    AWSManagedRulesAdminProtectionRuleSet: 100,
+    AWSManagedRulesKnownBadInputsRuleSet: 200,
+    AWSManagedRulesSQLiRuleSet: 200,
+    AWSManagedRulesLinuxRuleSet: 200,
+    AWSManagedRulesUnixRuleSet: 100,
+    AWSManagedRulesWindowsRuleSet: 200,
+    AWSManagedRulesPHPRuleSet: 100,
+    AWSManagedRulesWordPressRuleSet: 100,
+    AWSManagedRulesAmazonIpReputationList: 25,
+    AWSManagedRulesAnonymousIpList: 50,
+    AWSManagedRulesBotControlRuleSet: 50,
+    AWSManagedRulesATPRuleSet: 50,
+    AWSManagedRulesACFPRuleSet: 50
+};
+
+const BYTE_MATCH_COSTS = {
+    EXACTLY: 2,
+    STARTS_WITH: 2,
+    ENDS_WITH: 2,
+    CONTAINS: 10,
+    CONTAINS_WORD: 10
+};
+
+const TEXT_TRANSFORMATION_COST = 10;
+const ALL_QUERY_ARGUMENTS_COST = 10;
+const FORWARDED_IP_ANY_COST = 4;
+const RATE_BASED_BASE_COST = 2;
+const CUSTOM_KEY_COST = 30;
+
+// NONE leaves the value unchanged and is not charged
+const countTransformations = (transformations) =>
+    (transformations || []).filter(transformation => transformation.Type && transformation.Type !== 'NONE').length;
+
+// Base cost of a statement that inspects a request component, adjusted for that component
+// and the statement's text transformations
+const inspectionCost = (base, statement) => {
+    let cost = base;
+    if (statement.FieldToMatch?.JsonBody) cost *= 2;
+    if (statement.FieldToMatch?.AllQueryArguments) cost += ALL_QUERY_ARGUMENTS_COST;
+    return cost + countTransformations(statement.TextTransformations) * TEXT_TRANSFORMATION_COST;
+};
+
+// Each custom aggregation key costs 30 WCUs plus 10 per text transformation of the key
+const customKeysCost = (customKeys) => (customKeys || []).reduce((total, key) => {
+    const keyConfig = Object.values(key)[0] || {};
+    return total + CUSTOM_KEY_COST + countTransformations(keyConfig.TextTransformations) * TEXT_TRANSFORMATION_COST;
+}, 0);
+
+const known = (wcu) => ({ wcu, unknown: [] });
+
+const combine = (estimates, extra = 0) => ({
+    wcu: estimates.reduce((total, estimate) => total + estimate.wcu, extra),
+    unknown: estimates.flatMap(estimate => estimate.unknown)
+});
+
+/**
+ * Estimates the WCUs of a statement and its nested statements.
+ * @param {Object} statement - The statement JSON.
+ * @param {Object} rule - The web ACL rule holding it; group descriptions are attached to it.
+ * @returns {Object} - { wcu, unknown } where unknown lists the parts whose cost is not known
+ *   and therefore not included in wcu.
+ */
+export const estimateStatementCapacity = (statement, rule = {}) => {
+    const type = getStatementType(statement);
+    const stmt = statement?.[type];
+
+    switch (type) {
+        case 'ByteMatchStatement':
+            return known(inspectionCost(BYTE_MATCH_COSTS[stmt.PositionalConstraint] ?? BYTE_MATCH_COSTS.CONTAINS, stmt));
+        case 'RegexMatchStatement':
+            return known(inspectionCost(3, stmt));
+        case 'RegexPatternSetReferenceStatement':
+            return known(inspectionCost(25, stmt));
+        case 'SizeConstraintStatement':
+            return known(inspectionCost(1, stmt));
+        case 'SqliMatchStatement':
+            return known(inspectionCost(stmt.SensitivityLevel === 'HIGH' ? 30 : 20, stmt));
+        case 'XssMatchStatement':
+            return known(inspectionCost(40, stmt));
+        case 'IPSetReferenceStatement':
+            return known(stmt.IPSetForwardedIPConfig?.Position === 'ANY' ? 1 + FORWARDED_IP_ANY_COST : 1);
+        case 'GeoMatchStatement':
+        case 'LabelMatchStatement':
+        case 'AsnMatchStatement':
+            return known(1);
+        case 'AndStatement':
+        case 'OrStatement':
+            return combine((stmt.Statements || []).map(nested => estimateStatementCapacity(nested, rule)));
+        case 'NotStatement':
+            return estimateStatementCapacity(stmt.Statement, rule);
+        case 'RateBasedStatement': {
+            const scopeDown = stmt.ScopeDownStatement ? [estimateStatementCapacity(stmt.ScopeDownStatement, rule)] : [];
+            return combine(scopeDown, RATE_BASED_BASE_COST + customKeysCost(stmt.CustomKeys));
+        }
+        case 'ManagedRuleGroupStatement': {
+            const scopeDown = stmt.ScopeDownStatement ? [estimateStatementCapacity(stmt.ScopeDownStatement, rule)] : [];
+            const capacity = rule.ManagedRuleGroup?.Capacity ?? MANAGED_GROUP_CAPACITY[stmt.Name];
+            const group = capacity !== undefined
+                ? known(capacity)
+                : { wcu: 0, unknown: [`managed rule group ${stmt.VendorName}/${stmt.Name}`] };
+            return combine([group, ...scopeDown]);
+        }
+        case 'RuleGroupReferenceStatement': {
+            const capacity = rule.RuleGroup?.Capacity;
+            return capacity !== undefined
+                ? known(capacity)
+                : { wcu: 0, unknown: [`rule group ${stmt.ARN?.split('/').slice(-2, -1)[0] || rule.Name}`] };
+        }
+        default:
+            return { wcu: 0, unknown: [type] };
+    }
+};
+
+/**
+ * Estimates the WCUs of a web ACL rule.
+ * @returns {Object} - { wcu, exact, unknown }
+ */
+export const estimateRuleCapacity = (rule) => {
+    const { wcu, unknown } = estimateStatementCapacity(rule?.Statement, rule);
+    return { wcu, exact: unknown.length === 0, unknown };
+};
+
+/**
+ * Estimates the WCUs of a web ACL.
+ * @param {Object|Array} webAcl - The Web ACL JSON or its Rules array.
+ * @returns {Object} - { total, exact, rules: [{ name, wcu, exact, unknown }], reported } where
+ *   reported is the Capacity AWS returned for the web ACL, when loaded.
+ */
+export const estimateWebAclCapacity = (webAcl) => {
+    const rules = Array.isArray(webAcl) ? webAcl : webAcl?.Rules || [];
+    const ruleEstimates = rules.map(rule => ({ name: rule.Name, ...estimateRuleCapacity(rule) }));
+    return {
+        total: ruleEstimates.reduce((total, estimate) => total + estimate.wcu, 0),
+        exact: ruleEstimates.every(estimate => estimate.exact),
+        rules: ruleEstimates,
+        reported: Array.isArray(webAcl) ? undefined : webAcl?.Capacity
+    };
+};
+
+/**
+ * Formats a WCU estimate, e.g. '37' or '≥ 700' when part of the cost is unknown.
+ */
+export const formatCapacity = ({ wcu, total, exact }) => `${exact ? '' : '≥ '}${(wcu ?? total).toLocaleString('en-US')}`;
+
+/**
+ * Lists warnings for a web ACL whose capacity exceeds the AWS WAF limits. The Capacity AWS
+ * reported is used when loaded, otherwise the estimate.
+ * @param {Object} capacity - The estimateWebAclCapacity result.
+ * @returns {Array} - [{ limit: 'max' | 'base', message }]
+ */
+export const getCapacityWarnings = (capacity) => {
+    const used = capacity.reported ?? capacity.total;
+    const amount = capacity.reported !== undefined ? `${used.toLocaleString('en-US')} WCUs` : `an estimated ${formatCapacity(capacity)} WCUs`;
+    if (used > WCU_MAX_LIMIT) {
+        return [{
+            limit: 'max',
+            message: `The web ACL uses ${amount}, above the ${WCU_MAX_LIMIT.toLocaleString('en-US')} WCU maximum; AWS WAF will reject it`
+        }];
+    }
+    if (used > WCU_BASE_LIMIT) {
+        return [{
+            limit: 'base',
+            message: `The web ACL uses ${amount}, above the ${WCU_BASE_LIMIT.toLocaleString('en-US')} WCUs included in the base price; the extra capacity is charged`
+        }];
+    }
+    return [];
+};
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import {
+    WCU_BASE_LIMIT,
+    WCU_MAX_LIMIT,
+    estimateRuleCapacity,
+    estimateStatementCapacity,
+    estimateWebAclCapacity,
+    formatCapacity,
+    getCapacityWarnings
+} from './capacity';
+
+const transformations = (...types) => types.map((Type, Priority) => ({ Priority, Type }));
+
+const byteMatch = (PositionalConstraint, FieldToMatch = { UriPath: {} }, TextTransformations = transformations('NONE')) => ({
+    ByteMatchStatement: { SearchString: 'x', PositionalConstraint, FieldToMatch, TextTransformations }
+});
+
+const wcu = (statement, rule) => estimateStatementCapacity(statement, rule).wcu;
+
+describe('estimateStatementCapacity', () => {
+    it('prices ByteMatch by positional constraint', () => {
+        expect(wcu(byteMatch('EXACTLY'))).toBe(2);
+        expect(wcu(byteMatch('STARTS_WITH'))).toBe(2);
+        expect(wcu(byteMatch('ENDS_WITH'))).toBe(2);
+        expect(wcu(byteMatch('CONTAINS'))).toBe(10);
+        expect(wcu(byteMatch('CONTAINS_WORD'))).toBe(10);
+    });
+
+    it('adds 10 per text transformation other than NONE', () => {
+        expect(wcu(byteMatch('EXACTLY', { UriPath: {} }, transformations('LOWERCASE', 'URL_DECODE')))).toBe(22);
+        expect(wcu(byteMatch('EXACTLY', { UriPath: {} }, transformations('NONE', 'LOWERCASE')))).toBe(12);
+    });
+
+    it('doubles the JSON body and adds 10 for all query arguments', () => {
+        expect(wcu(byteMatch('CONTAINS', { JsonBody: { MatchScope: 'ALL' } }))).toBe(20);
+        expect(wcu(byteMatch('CONTAINS', { AllQueryArguments: {} }))).toBe(20);
+        expect(wcu(byteMatch('CONTAINS', { JsonBody: {} }, transformations('LOWERCASE')))).toBe(30);
+    });
+
+    it('prices the other inspection statements', () => {
+        const field = { FieldToMatch: { Body: {} }, TextTransformations: transformations('NONE') };
+        expect(wcu({ RegexMatchStatement: { RegexString: 'a', ...field } })).toBe(3);
+        expect(wcu({ RegexPatternSetReferenceStatement: { ARN: 'arn', ...field } })).toBe(25);
+        expect(wcu({ SizeConstraintStatement: { ComparisonOperator: 'GT', Size: 1, ...field } })).toBe(1);
+        expect(wcu({ SqliMatchStatement: field })).toBe(20);
+        expect(wcu({ SqliMatchStatement: { ...field, SensitivityLevel: 'HIGH' } })).toBe(30);
+        expect(wcu({ XssMatchStatement: field })).toBe(40);
+    });
+
+    it('prices the IP, geo, label and ASN statements', () => {
+        expect(wcu({ IPSetReferenceStatement: { ARN: 'arn' } })).toBe(1);
+        expect(wcu({ IPSetReferenceStatement: { ARN: 'arn', IPSetForwardedIPConfig: { Position: 'ANY' } } })).toBe(5);
+        expect(wcu({ GeoMatchStatement: { CountryCodes: ['US'] } })).toBe(1);
+        expect(wcu({ LabelMatchStatement: { Scope: 'LABEL', Key: 'a' } })).toBe(1);
+        expect(wcu({ AsnMatchStatement: { AsnList: [64496] } })).toBe(1);
+    });
+
+    it('sums the nested statements of logical statements', () => {
+        const nested = { AndStatement: { Statements: [byteMatch('CONTAINS'), { NotStatement: { Statement: byteMatch('EXACTLY') } }] } };
+        expect(wcu(nested)).toBe(12);
+        expect(wcu({ OrStatement: { Statements: [nested, { GeoMatchStatement: {} }] } })).toBe(13);
+    });
+
+    it('prices rate-based statements with their custom keys and scope-down', () => {
+        expect(wcu({ RateBasedStatement: { Limit: 100, AggregateKeyType: 'IP' } })).toBe(2);
+        const statement = {
+            RateBasedStatement: {
+                Limit: 100,
+                AggregateKeyType: 'CUSTOM_KEYS',
+                CustomKeys: [{ Header: { Name: 'x-api-key', TextTransformations: transformations('LOWERCASE') } }, { IP: {} }],
+                ScopeDownStatement: byteMatch('STARTS_WITH')
+            }
+        };
+        expect(wcu(statement)).toBe(2 + 40 + 30 + 2);
+    });
+
+    it('uses the capacity of managed rule groups', () => {
+        const statement = { ManagedRuleGroupStatement: { VendorName: 'AWS', Name: 'AWSManagedRulesCommonRuleSet', ScopeDownStatement: byteMatch('EXACTLY') } };
+        expect(wcu(statement)).toBe(702);
+        expect(wcu(statement, { ManagedRuleGroup: { Capacity: 650 } })).toBe(652);
+        expect(estimateStatementCapacity({ ManagedRuleGroupStatement: { VendorName: 'Vendor', Name: 'Custom' } }))
+            .toEqual({ wcu: 0, unknown: ['managed rule group Vendor/Custom'] });
+    });
+
+    it('uses the capacity of loaded rule groups', () => {
+        const statement = { RuleGroupReferenceStatement: { ARN: 'arn:aws:wafv2:us-east-1:123456789012:regional/rulegroup/bots/1' } };
+        expect(wcu(statement, { RuleGroup: { Capacity: 75 } })).toBe(75);
+        expect(estimateStatementCapacity(statement).unknown).toEqual(['rule group bots']);
+    });
+
+    it('reports unknown statement types', () => {
+        expect(estimateStatementCapacity({ FutureMatchStatement: {} })).toEqual({ wcu: 0, unknown: ['FutureMatchStatement'] });
+    });
+});
+
+describe('estimateWebAclCapacity', () => {
+    const rules = [
+        { Name: 'contains', Statement: byteMatch('CONTAINS') },
+        { Name: 'group', Statement: { RuleGroupReferenceStatement: { ARN: 'arn:aws:wafv2:us-east-1:123456789012:regional/rulegroup/bots/1' } } }
+    ];
+
+    it('sums the rules and tells whether the estimate is exact', () => {
+        expect(estimateRuleCapacity(rules[0])).toEqual({ wcu: 10, exact: true, unknown: [] });
+        const capacity = estimateWebAclCapacity({ Rules: rules, Capacity: 85 });
+        expect(capacity).toMatchObject({ total: 10, exact: false, reported: 85 });
+        expect(formatCapacity(capacity)).toBe('≥ 10');
+        expect(formatCapacity(estimateRuleCapacity(rules[0]))).toBe('10');
+    });
+
+    it('warns above the base and maximum capacity', () => {
+        expect(getCapacityWarnings({ total: WCU_BASE_LIMIT, exact: true })).toEqual([]);
+        expect(getCapacityWarnings({ total: WCU_BASE_LIMIT + 1, exact: true })[0].limit).toBe('base');
+        expect(getCapacityWarnings({ total: 10, exact: true, reported: WCU_MAX_LIMIT + 1 })[0]).toMatchObject({
+            limit: 'max',
+            message: expect.stringContaining('5,001 WCUs')
+        });
+    });
+});
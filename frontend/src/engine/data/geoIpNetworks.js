@@ -0,0 +1,18 @@
+/**
+ * Sample GeoIP networks as [network, country ISO code] pairs. Replace them with a full
+ * export, e.g. a GeoLite2 country CSV flattened to the same pairs, for realistic lookups.
+ */
+export const GEO_IP_NETWORK_ENTRIES = [
+    ['2.125.160.216/29', 'GB'],
+    ['81.2.69.142/31', 'GB'],
+    ['81.2.69.160/27', 'GB'],
+    ['81.2.69.192/28', 'GB'],
+    ['89.160.20.112/28', 'SE'],
+    ['89.160.20.128/25', 'SE'],
+    ['67.43.156.0/24', 'BT'],
+    ['202.196.224.0/20', 'PH'],
+    ['216.160.83.56/29', 'US'],
+    ['175.16.199.0/24', 'CN'],
+    ['2001:218::/32', 'JP'],
+    ['8.8.8.0/24', 'US']
+];
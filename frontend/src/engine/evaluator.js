@@ -0,0 +1,621 @@
+/**
+ * WAF evaluation engine entry points.
+ * Pure functions: given a Web ACL (or a bare rules array) and a normalized request,
+ * they return a deterministic evaluation trace. No React or browser state is used,
+ * so the FlowChart, table view or a backend endpoint can evaluate requests as well.
+ */
+import { evaluateStatement } from './statements';
+import { createRateState } from './rateLimit';
+import { parseQueryString, getBodyInspectionLimit } from './fieldToMatch';
+import { evaluateManagedRuleGroup } from './managedRuleGroups';
+import { getRuleGroupRules, describeOverride } from './ruleGroups';
+import { checkToken, getTokenSettings } from './tokens';
+import { renderResponse } from './responses';
+
+// Patterns used to approximate the AWS managed SQLi/XSS groups
+const MANAGED_GROUP_SUSPICIOUS_VALUES = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'DROP', '<script>', 'javascript:'];
+
+/**
+ * Returns the rules of a Web ACL, accepting either the ACL object or a rules array.
+ */
+export const getAclRules = (webAcl) => {
+    const rules = Array.isArray(webAcl) ? webAcl : webAcl?.Rules;
+    if (!Array.isArray(rules)) return [];
+    return rules.filter(rule => rule && Object.keys(rule).length > 0);
+};
+
+/**
+ * Sorts rules the way AWS WAF evaluates them: ascending Priority, stable for ties.
+ */
+export const sortRulesByPriority = (rules) => {
+    return rules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => ((a.rule.Priority ?? 0) - (b.rule.Priority ?? 0)) || (a.index - b.index))
+        .map(({ rule }) => rule);
+};
+
+/**
+ * Returns the rule's action name (Allow, Block, Count, CAPTCHA, Challenge)
+ * or 'Override:<type>' for rule group references.
+ */
+export const getRuleActionName = (rule) => {
+    if (rule?.Action) return Object.keys(rule.Action)[0] || 'Unknown';
+    if (rule?.OverrideAction) return `Override:${Object.keys(rule.OverrideAction)[0] || 'Unknown'}`;
+    return 'Unknown';
+};
+
+// Without a description of the group, the SQLi/XSS groups are approximated from the group name
+const approximateManagedRuleGroup = (rule, request) => {
+    const groupName = rule.Statement?.ManagedRuleGroupStatement?.Name || '';
+    let matched = false;
+
+    if (groupName.includes('SQLi') || groupName.includes('XSS')) {
+        const values = Object.values(parseQueryString(request.queryString));
+        matched = values.some(value =>
+            MANAGED_GROUP_SUSPICIOUS_VALUES.some(pattern => value.includes(pattern)));
+    }
+
+    return {
+        matched,
+        details: {
+            type: 'ManagedRuleGroup',
+            vendorName: rule.Statement?.ManagedRuleGroupStatement?.VendorName,
+            name: groupName,
+            note: matched
+                ? 'Managed rule matched based on detected patterns'
+                : 'Managed rule did not match (the group was not described, so only its name was used)',
+            overrideAction: Object.keys(rule.OverrideAction)[0]
+        }
+    };
+};
+
+// The scope-down statement decides whether the group's rules run at all
+const evaluateManagedRuleGroupReference = (rule, request, context) => {
+    const statement = rule.Statement.ManagedRuleGroupStatement;
+    const scopeDown = statement.ScopeDownStatement
+        ? evaluateStatement(statement.ScopeDownStatement, request, context)
+        : null;
+
+    if (scopeDown && !scopeDown.matched) {
+        return {
+            matched: false,
+            details: {
+                type: 'ManagedRuleGroup',
+                vendorName: statement.VendorName,
+                name: statement.Name,
+                scopeDown,
+                note: 'The scope-down statement did not match, so the group\'s rules were not evaluated'
+            }
+        };
+    }
+
+    const evaluation = rule.ManagedRuleGroup
+        ? evaluateManagedRuleGroup(rule, context)
+        : approximateManagedRuleGroup(rule, request);
+    return scopeDown ? { ...evaluation, details: { ...evaluation.details, scopeDown } } : evaluation;
+};
+
+// Runs the rules of a custom rule group in priority order until one with a terminating
+// action matches; every matching rule adds its labels under the group's namespace.
+// CAPTCHA and Challenge rules let the request continue when its token is accepted.
+const evaluateRuleGroupReference = (rule, request, context) => {
+    const statement = rule.Statement.RuleGroupReferenceStatement;
+    const group = rule.RuleGroup;
+    if (!group) {
+        return {
+            matched: false,
+            details: {
+                type: 'RuleGroupReference',
+                arn: statement.ARN,
+                unsupported: true,
+                note: 'The rule group was not loaded with the web ACL, so its rules could not be evaluated'
+            }
+        };
+    }
+
+    const labels = new Set(context.labels);
+    const rules = [];
+    let terminatingRule = null;
+
+    getRuleGroupRules(rule).forEach(({ rule: innerRule, ...groupRule }) => {
+        if (terminatingRule) {
+            rules.push({ ...groupRule, evaluated: false, matched: false });
+            return;
+        }
+
+        // The inner rule's labels are evaluated already qualified with the namespace, and its
+        // rate counters are kept under the referencing rule's name
+        const result = evaluateRule(
+            { ...innerRule, RuleLabels: groupRule.labels.map(Name => ({ Name })) },
+            request,
+            { ...context, labels: new Set(labels), parentRuleName: context.ruleName }
+        );
+
+        const countOnly = result.details?.type === 'RateBased' && !result.details.rateExceeded;
+        const matched = result.matched && !countOnly;
+        const outcome = matched ? resolveActionOutcome(groupRule.action, innerRule, request, context) : null;
+        const labelsGenerated = [...new Set([...result.labelsGenerated, ...(outcome?.token?.labels || [])])];
+        labelsGenerated.forEach(label => {
+            labels.add(label);
+            context.emittedLabels.add(label);
+        });
+
+        if (outcome?.terminating) {
+            terminatingRule = groupRule;
+        }
+        rules.push({ ...groupRule, evaluated: true, matched, details: result.details, labelsGenerated, outcome });
+    });
+
+    const matchingRules = rules.filter(groupRule => groupRule.matched);
+    const overrides = matchingRules.filter(groupRule => groupRule.overridden).map(describeOverride);
+
+    let note;
+    if (matchingRules.length === 0) {
+        note = 'No rule in the group matched';
+    } else if (!terminatingRule) {
+        note = `Only non-terminating rules matched (${matchingRules.map(groupRule => groupRule.name).join(', ')}); their labels were added`;
+    }
+    if (overrides.length > 0) {
+        note = [note, ...overrides].filter(Boolean).join('; ');
+    }
+
+    return {
+        matched: Boolean(terminatingRule),
+        details: {
+            type: 'RuleGroupReference',
+            name: group.Name,
+            arn: statement.ARN,
+            rules,
+            matchedRules: matchingRules.map(groupRule => groupRule.name),
+            terminatingRule: terminatingRule?.name,
+            terminatingAction: terminatingRule?.action,
+            overrides,
+            labels: [...labels].filter(label => !context.labels?.has(label)),
+            overrideAction: rule.OverrideAction ? Object.keys(rule.OverrideAction)[0] : undefined,
+            note
+        }
+    };
+};
+
+const buildActions = (rule, details) => {
+    const actions = [];
+
+    // A rate-based rule below its limit only counts the request
+    if (details.type === 'RateBased' && !details.rateExceeded) {
+        return [{ type: 'action', action: 'Count' }];
+    }
+
+    if (rule.RuleLabels && rule.RuleLabels.length > 0) {
+        actions.push({
+            type: 'labels',
+            labels: rule.RuleLabels.map(label => label.Name).filter(Boolean)
+        });
+    }
+
+    if (rule.Action) {
+        const actionType = Object.keys(rule.Action)[0];
+        actions.push({ type: 'action', action: actionType });
+
+        switch (actionType) {
+            case 'Block':
+                if (rule.Action.Block?.CustomResponse) {
+                    actions.push({
+                        type: 'customResponse',
+                        responseCode: rule.Action.Block.CustomResponse.ResponseCode,
+                        bodyKey: rule.Action.Block.CustomResponse.CustomResponseBodyKey,
+                        headers: rule.Action.Block.CustomResponse.ResponseHeaders
+                    });
+                }
+                break;
+
+            case 'Count':
+                if (rule.Action.Count?.CustomRequestHandling?.InsertHeaders) {
+                    actions.push({
+                        type: 'headers',
+                        headers: rule.Action.Count.CustomRequestHandling.InsertHeaders.map(h => ({
+                            name: h.Name,
+                            value: h.Value
+                        }))
+                    });
+                }
+                break;
+
+            case 'CAPTCHA':
+                actions.push({
+                    type: 'captcha',
+                    config: rule.Action.CAPTCHA,
+                    immunityTime: rule.CaptchaConfig?.ImmunityTimeProperty?.ImmunityTime
+                });
+                break;
+
+            case 'Challenge':
+                actions.push({
+                    type: 'challenge',
+                    config: rule.Action.Challenge,
+                    immunityTime: rule.ChallengeConfig?.ImmunityTimeProperty?.ImmunityTime
+                });
+                break;
+
+            default:
+                break;
+        }
+    } else if (rule.OverrideAction) {
+        actions.push({
+            type: 'override',
+            action: Object.keys(rule.OverrideAction)[0]
+        });
+    }
+
+    return actions;
+};
+
+/**
+ * Returns the statement types in an evaluation result that the simulator could not evaluate.
+ */
+export const findUnsupportedStatements = (details) => {
+    if (!details) return [];
+    if (details.unsupported) return [details.type];
+
+    // Rule group results carry the details of each inner rule they evaluated
+    const nested = [...(details.subResults || []), ...(details.rules || []), details.innerStatement, details.scopeDown]
+        .filter(Boolean);
+    return nested.flatMap(result => findUnsupportedStatements(result.details));
+};
+
+/**
+ * Evaluates a single rule against a request.
+ * @param {Object} rule - The WAF rule.
+ * @param {Object} request - The normalized request.
+ * @param {Object} context - { labels: Set, ipSets, regexPatternSets, managedRuleMatches,
+ *   parentRuleName } with the labels added by earlier rules, sets keyed by ARN, the managed
+ *   rules to treat as matching per rule name and, for a rule inside a rule group, the name of
+ *   the rule referencing the group; sets attached to the rule itself (rule.IPSets,
+ *   rule.RegexPatternSets) are added.
+ * @returns {Object} - { ruleName, priority, matched, details, actions, labelsGenerated,
+ *   unsupportedStatements } where labelsGenerated also holds labels AWS WAF adds even when the rule does not match.
+ */
+export const evaluateRule = (rule, request, context = { labels: new Set() }) => {
+    if (!rule) {
+        return { ruleName: 'Unknown', matched: false, details: {}, actions: [], labelsGenerated: [] };
+    }
+
+    // Sets resolved by the backend travel on the rule that references them
+    const ruleContext = {
+        ...context,
+        ipSets: { ...context.ipSets, ...rule.IPSets },
+        regexPatternSets: { ...context.regexPatternSets, ...rule.RegexPatternSets },
+        emittedLabels: new Set(),
+        // Keys the rule's rate counters; rules inside a rule group are qualified with the
+        // name of the rule that references the group
+        ruleName: context.parentRuleName ? `${context.parentRuleName}/${rule.Name}` : rule.Name
+    };
+
+    let evaluation = { matched: false, details: { type: 'Unknown' } };
+    try {
+        if (rule.OverrideAction && !rule.Action && rule.Statement?.ManagedRuleGroupStatement) {
+            evaluation = evaluateManagedRuleGroupReference(rule, request, ruleContext);
+        } else if (rule.Statement?.RuleGroupReferenceStatement) {
+            evaluation = evaluateRuleGroupReference(rule, request, ruleContext);
+        } else if (rule.Statement) {
+            evaluation = evaluateStatement(rule.Statement, request, ruleContext);
+        }
+    } catch (error) {
+        evaluation = { matched: false, details: { type: 'Error', error: error.message } };
+    }
+
+    const { matched, details } = evaluation;
+    const actions = matched ? buildActions(rule, details) : [];
+    const countOnly = details.type === 'RateBased' && !details.rateExceeded;
+    const ruleLabels = matched && !countOnly
+        ? (rule.RuleLabels || []).map(label => label?.Name).filter(Boolean)
+        : [];
+    const labelsGenerated = [...new Set([...ruleContext.emittedLabels, ...ruleLabels])];
+
+    return {
+        ruleName: rule.Name,
+        priority: rule.Priority,
+        matched,
+        details,
+        actions,
+        labelsGenerated,
+        unsupportedStatements: findUnsupportedStatements(details)
+    };
+};
+
+// Outcome of an action a matching rule applies; CAPTCHA and Challenge check the request's
+// aws-waf-token against configRule's immunity time and continue when it is accepted
+const resolveActionOutcome = (action, configRule, request, options) => {
+    if (action === 'Count') {
+        return { action, terminating: false };
+    }
+    if (action === 'CAPTCHA' || action === 'Challenge') {
+        const token = checkToken(action, configRule, request, options.token, options.tokenSettings);
+        return { action, terminating: token.outcome !== 'continue', note: token.note, token };
+    }
+    return { action, terminating: true };
+};
+
+/**
+ * Decides what a rule's result does to the request, the way AWS WAF applies rule actions.
+ * A rate-based rule below its limit only counts; a rule group reference applies the
+ * action of the group rule that terminated, unless its OverrideAction is Count.
+ * CAPTCHA and Challenge terminate only when the request's token is not accepted.
+ * @param {Object} rule - The WAF rule.
+ * @param {Object} result - The rule's evaluateRule result.
+ * @param {Object} request - The normalized request.
+ * @param {Object} options - { token, tokenSettings } the simulated aws-waf-token and the web
+ *   ACL's token settings (see engine/tokens.js).
+ * @returns {Object} - { action, terminating, note, token } with action null when the rule did
+ *   not match and token the checkToken result of CAPTCHA and Challenge.
+ */
+export const getRuleOutcome = (rule, result, request, options = {}) => {
+    if (!result?.matched) return { action: null, terminating: false };
+
+    const details = result.details || {};
+    if (details.type === 'RateBased' && !details.rateExceeded) {
+        return { action: 'Count', terminating: false, note: 'Below the rate limit, the request is only counted' };
+    }
+
+    if (rule.OverrideAction) {
+        // Without a described group the terminating action is unknown; managed groups block
+        const groupAction = details.terminatingAction || 'Block';
+        if (Object.keys(rule.OverrideAction)[0] === 'Count') {
+            return {
+                action: 'Count',
+                terminating: false,
+                note: `The group would have applied ${groupAction} but the rule's OverrideAction is Count`
+            };
+        }
+        // Custom group rules carry their own CaptchaConfig and ChallengeConfig
+        const groupRule = rule.RuleGroup?.Rules?.find(entry => entry.Name === details.terminatingRule);
+        return resolveActionOutcome(groupAction, groupRule || rule, request, options);
+    }
+
+    return resolveActionOutcome(Object.keys(rule.Action || {})[0] || 'Unknown', rule, request, options);
+};
+
+/**
+ * Evaluates rules in the given order, threading the labels of each rule to the next, and
+ * stops at the first rule whose action terminates the request.
+ * @param {Array} rules - The rules, already in evaluation order.
+ * @param {Object} request - The normalized request.
+ * @param {Object} options - { ipSets, regexPatternSets } resolved sets keyed by ARN,
+ *   managedRuleMatches (see evaluateManagedRuleGroup), bodyInspectionLimit, the number of
+ *   body bytes inspected, rateState, the rate-based counters shared by the requests of
+ *   a traffic simulation, token and tokenSettings (see getRuleOutcome) and
+ *   showRulesAfterVerdict, which also evaluates the rules after the terminating one, without
+ *   counting their rate or applying their labels to the request.
+ * @returns {Object} - { trace: [{ index, rule, result, outcome, labelsBefore, afterVerdict }],
+ *   matchedRules, labelsGenerated, terminatingEntry } where the token labels of CAPTCHA and
+ *   Challenge are part of the result's labelsGenerated.
+ */
+export const evaluateRules = (rules, request, options = {}) => {
+    const labels = new Set();
+    const trace = [];
+    const matchedRules = [];
+    let terminatingEntry = null;
+    // Labels the rules after the verdict would have seen
+    let laterLabels = null;
+
+    (rules || []).forEach((rule, index) => {
+        if (terminatingEntry && !options.showRulesAfterVerdict) return;
+
+        const afterVerdict = Boolean(terminatingEntry);
+        const labelsBefore = afterVerdict ? laterLabels : labels;
+        const evaluated = evaluateRule(rule, request, {
+            ...options,
+            labels: new Set(labelsBefore),
+            rateState: afterVerdict ? undefined : options.rateState
+        });
+        const outcome = getRuleOutcome(rule, evaluated, request, options);
+        const result = outcome.token
+            ? { ...evaluated, labelsGenerated: [...new Set([...evaluated.labelsGenerated, ...outcome.token.labels])] }
+            : evaluated;
+        const entry = {
+            index,
+            rule,
+            result,
+            outcome,
+            labelsBefore: Array.from(labelsBefore),
+            afterVerdict
+        };
+        trace.push(entry);
+        result.labelsGenerated.forEach(label => labelsBefore.add(label));
+        if (afterVerdict) return;
+
+        if (result.matched) {
+            matchedRules.push({ rule, result, outcome });
+        }
+        if (entry.outcome.terminating) {
+            terminatingEntry = entry;
+            laterLabels = new Set(labels);
+        }
+    });
+
+    return { trace, matchedRules, labelsGenerated: Array.from(labels), terminatingEntry };
+};
+
+/**
+ * Returns the final verdict of an evaluation: the action of the terminating rule or, when
+ * no rule terminated, the web ACL's DefaultAction.
+ * @param {Object|Array} webAcl - The Web ACL JSON or its Rules array.
+ * @param {Object} terminatingEntry - The trace entry of the terminating rule, if any.
+ * @param {Object} options - { defaultAction } overrides the ACL's DefaultAction (Allow or Block).
+ * @returns {Object} - { action, source: 'Rule' | 'DefaultAction', ruleName, priority,
+ *   groupRule, config, note, token }
+ */
+export const getVerdict = (webAcl, terminatingEntry, options = {}) => {
+    if (terminatingEntry) {
+        const { rule, result, outcome } = terminatingEntry;
+        return {
+            action: outcome.action,
+            source: 'Rule',
+            ruleName: rule.Name,
+            priority: rule.Priority,
+            groupRule: result.details?.terminatingRule,
+            config: rule.Action?.[outcome.action],
+            note: outcome.note,
+            token: outcome.token
+        };
+    }
+
+    const defaultAction = Array.isArray(webAcl) ? null : webAcl?.DefaultAction;
+    const action = options.defaultAction || Object.keys(defaultAction || {})[0];
+    return {
+        action: action || 'Allow',
+        source: 'DefaultAction',
+        config: options.defaultAction ? undefined : defaultAction?.[action],
+        note: action ? undefined : 'The web ACL DefaultAction is unknown, so Allow was assumed'
+    };
+};
+
+/**
+ * Evaluates a Web ACL against a normalized request.
+ * @param {Object|Array} webAcl - The Web ACL JSON or its Rules array.
+ * @param {Object} request - The normalized request (see engine/request.js).
+ * @param {Object} options - Passed to evaluateRules and getVerdict. Without
+ *   bodyInspectionLimit, the limit comes from the ACL's AssociationConfig (resourceType
+ *   picks the resource entry); without tokenSettings, they come from the ACL's CaptchaConfig,
+ *   ChallengeConfig and TokenDomains.
+ * @returns {Object} - { request, rules, bodyInspection, trace, matchedRules, labelsGenerated,
+ *   terminatingEntry, verdict, response } where bodyInspection is { limit, source } and
+ *   response is the HTTP response the client receives (see engine/responses.js).
+ */
+export const evaluateWebAcl = (webAcl, request, options = {}) => {
+    const rules = sortRulesByPriority(getAclRules(webAcl));
+    const bodyInspection = options.bodyInspectionLimit
+        ? { limit: options.bodyInspectionLimit, source: 'Override' }
+        : getBodyInspectionLimit(Array.isArray(webAcl) ? null : webAcl, options.resourceType);
+
+    const evaluation = evaluateRules(rules, request, {
+        ...options,
+        bodyInspectionLimit: bodyInspection.limit,
+        tokenSettings: options.tokenSettings || getTokenSettings(webAcl)
+    });
+    const verdict = getVerdict(webAcl, evaluation.terminatingEntry, options);
+    return {
+        request,
+        rules,
+        bodyInspection,
+        ...evaluation,
+        verdict,
+        response: renderResponse(webAcl, verdict, evaluation.terminatingEntry)
+    };
+};
+
+/**
+ * Evaluates a sequence of timestamped requests in time order. Rate-based rules share their
+ * sliding-window counters across the sequence, so each step shows the count per
+ * aggregation key at that request.
+ * @param {Object|Array} webAcl - The Web ACL JSON or its Rules array.
+ * @param {Array} requests - Normalized requests with a timestamp in seconds.
+ * @param {Object} options - Passed to evaluateWebAcl.
+ * @returns {Object} - { steps: [{ index, request, evaluation, rateResults }], rateRules } where
+ *   rateResults are the rate-based details per rule name and rateRules lists every rate-based
+ *   rule with the index of the first request it fired on (firstFiringIndex, -1 if none).
+ */
+export const simulateTraffic = (webAcl, requests, options = {}) => {
+    const rateState = createRateState();
+    const ordered = requests
+        .map((request, index) => ({ request, index }))
+        .sort((a, b) => (a.request.timestamp - b.request.timestamp) || (a.index - b.index));
+
+    const steps = ordered.map(({ request }, index) => {
+        const evaluation = evaluateWebAcl(webAcl, request, { ...options, rateState });
+        const rateResults = Object.fromEntries(evaluation.trace
+            .filter(entry => !entry.afterVerdict && entry.result.details?.type === 'RateBased')
+            .map(entry => [entry.rule.Name, { matched: entry.result.matched, ...entry.result.details }]));
+        return { index, request, evaluation, rateResults };
+    });
+
+    const rateRules = sortRulesByPriority(getAclRules(webAcl))
+        .filter(rule => rule.Statement?.RateBasedStatement)
+        .map(rule => ({
+            ruleName: rule.Name,
+            limit: rule.Statement.RateBasedStatement.Limit,
+            evaluationWindow: rule.Statement.RateBasedStatement.EvaluationWindowSec || 300,
+            aggregateKeyType: rule.Statement.RateBasedStatement.AggregateKeyType || 'IP',
+            firstFiringIndex: steps.findIndex(step => step.rateResults[rule.Name]?.rateExceeded)
+        }));
+
+    return { steps, rateRules };
+};
+
+/**
+ * Creates the mutable-looking request state the step-by-step view displays.
+ */
+export const createRequestState = (request) => ({
+    ...request,
+    addedLabels: [],
+    addedHeaders: [],
+    actions: []
+});
+
+/**
+ * Returns a new request state with the labels of an evaluated rule and, when it matched,
+ * its inserted headers and action (the effective one from outcome, when given).
+ */
+export const updateRequestState = (currentRequest, result, rule, outcome) => {
+    const updatedRequest = { ...currentRequest };
+
+    if (result.labelsGenerated.length > 0) {
+        updatedRequest.addedLabels = [
+            ...updatedRequest.addedLabels,
+            ...result.labelsGenerated.map(name => ({
+                name,
+                addedByRule: rule.Name,
+                priority: rule.Priority
+            }))
+        ];
+    }
+
+    if (!result.matched) return updatedRequest;
+
+    const headersAction = result.actions.find(action => action.type === 'headers');
+    if (headersAction) {
+        updatedRequest.addedHeaders = [
+            ...updatedRequest.addedHeaders,
+            ...headersAction.headers.map(header => ({
+                ...header,
+                addedByRule: rule.Name,
+                priority: rule.Priority
+            }))
+        ];
+    }
+
+    let actionType = outcome?.action || getRuleActionName(rule);
+    let actionDetails = rule.Action?.[actionType] || null;
+    if (result.details?.type === 'RateBased' && !result.details.rateExceeded) {
+        actionType = 'Count';
+        actionDetails = {
+            requestNumber: result.details.requestNumber,
+            limit: result.details.limit,
+            evaluationWindow: result.details.evaluationWindow
+        };
+    }
+
+    updatedRequest.actions = [
+        ...updatedRequest.actions,
+        {
+            type: actionType,
+            action: actionType,
+            rule: rule.Name,
+            priority: rule.Priority,
+            details: actionDetails,
+            terminating: Boolean(outcome?.terminating)
+        }
+    ];
+
+    return updatedRequest;
+};
+
+/**
+ * Replays the first entries of a trace into a request state. Entries evaluated after the
+ * verdict did not act on the request and are left out.
+ */
+export const buildRequestState = (request, traceEntries) => {
+    return traceEntries.filter(entry => !entry.afterVerdict).reduce(
+        (state, entry) => updateRequestState(state, entry.result, entry.rule, entry.outcome),
+        createRequestState(request)
+    );
+};
@@ -0,0 +1,183 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateRules, evaluateWebAcl } from './evaluator';
+import { createRateState } from './rateLimit';
+import { normalizeRequest } from './request';
+
+const matchAll = { ByteMatchStatement: { SearchString: '/', PositionalConstraint: 'STARTS_WITH', FieldToMatch: { UriPath: {} }, TextTransformations: [{ Priority: 0, Type: 'NONE' }] } };
+
+const groupReference = (Name, Priority, RuleGroup) => ({
+    Name,
+    Priority,
+    OverrideAction: { None: {} },
+    Statement: { RuleGroupReferenceStatement: { ARN: `arn:aws:wafv2:us-east-1:123456789012:regional/rulegroup/${RuleGroup.Name}/1` } },
+    RuleGroup
+});
+
+describe('rule group references', () => {
+    const group = {
+        Name: 'bots',
+        LabelNamespace: 'awswaf:123456789012:rulegroup:bots:',
+        Rules: [
+            { Name: 'captcha', Priority: 0, Action: { CAPTCHA: {} }, Statement: matchAll },
+            { Name: 'block', Priority: 1, Action: { Block: {} }, Statement: matchAll }
+        ]
+    };
+    const webAcl = { DefaultAction: { Allow: {} }, Rules: [groupReference('bots-group', 0, group)] };
+    const request = normalizeRequest({ headers: [{ name: 'Accept', value: 'text/html' }] });
+
+    it('terminates on a CAPTCHA rule when the request has no token', () => {
+        const evaluation = evaluateWebAcl(webAcl, request);
+        expect(evaluation.verdict).toMatchObject({ action: 'CAPTCHA', groupRule: 'captcha' });
+        const [captcha, block] = evaluation.trace[0].result.details.rules;
+        expect(captcha.outcome.terminating).toBe(true);
+        expect(block.evaluated).toBe(false);
+    });
+
+    it('continues past a CAPTCHA rule when the token is accepted', () => {
+        const evaluation = evaluateWebAcl(webAcl, request, { token: { domain: 'example.com', captchaAge: 10, challengeAge: null } });
+        expect(evaluation.verdict).toMatchObject({ action: 'Block', groupRule: 'block' });
+        const { details, labelsGenerated } = evaluation.trace[0].result;
+        expect(details.rules[0]).toMatchObject({ matched: true, outcome: { terminating: false } });
+        expect(labelsGenerated).toContain('awswaf:managed:token:accepted');
+    });
+});
+
+describe('rule group overrides', () => {
+    const group = {
+        Name: 'admin',
+        LabelNamespace: 'awswaf:123456789012:rulegroup:admin:',
+        Rules: [
+            { Name: 'block-admin', Priority: 0, Action: { Block: {} }, RuleLabels: [{ Name: 'admin' }], Statement: matchAll },
+            { Name: 'allow-rest', Priority: 1, Action: { Allow: {} }, Statement: matchAll }
+        ]
+    };
+    const reference = (overrides) => {
+        const rule = groupReference('admin-group', 0, group);
+        return { ...rule, Statement: { RuleGroupReferenceStatement: { ...rule.Statement.RuleGroupReferenceStatement, ...overrides } } };
+    };
+    const request = normalizeRequest({ path: '/admin' });
+
+    it('counts a rule whose action is overridden to Count instead of terminating', () => {
+        const evaluation = evaluateWebAcl([reference({ RuleActionOverrides: [{ Name: 'block-admin', ActionToUse: { Count: {} } }] })], request);
+        const [blockAdmin, allowRest] = evaluation.trace[0].result.details.rules;
+        expect(blockAdmin).toMatchObject({ action: 'Count', originalAction: 'Block', overridden: true, matched: true, outcome: { terminating: false } });
+        expect(allowRest).toMatchObject({ evaluated: true, matched: true });
+        expect(evaluation.verdict).toMatchObject({ action: 'Allow', groupRule: 'allow-rest' });
+        expect(evaluation.trace[0].result.details.overrides).toEqual(['block-admin would have blocked but was overridden to Count']);
+        expect(evaluation.trace[0].result.labelsGenerated).toContain('awswaf:123456789012:rulegroup:admin:admin');
+    });
+
+    it('does not apply the action of an excluded rule', () => {
+        const evaluation = evaluateWebAcl([reference({ ExcludedRules: [{ Name: 'block-admin' }] })], request);
+        const [blockAdmin] = evaluation.trace[0].result.details.rules;
+        expect(blockAdmin).toMatchObject({ action: 'Count', excluded: true, outcome: { terminating: false } });
+        expect(evaluation.verdict).toMatchObject({ action: 'Allow', groupRule: 'allow-rest' });
+    });
+
+    it('skips the whole managed group when its scope-down statement does not match', () => {
+        const managed = {
+            Name: 'common',
+            Priority: 0,
+            OverrideAction: { None: {} },
+            Statement: {
+                ManagedRuleGroupStatement: {
+                    VendorName: 'AWS',
+                    Name: 'AWSManagedRulesCommonRuleSet',
+                    ScopeDownStatement: { ByteMatchStatement: { ...matchAll.ByteMatchStatement, SearchString: '/api' } }
+                }
+            },
+            ManagedRuleGroup: { LabelNamespace: 'awswaf:managed:aws:core-rule-set:', Rules: [{ Name: 'NoUserAgent_HEADER', Action: { Block: {} } }] }
+        };
+        const managedRuleMatches = { common: ['NoUserAgent_HEADER'] };
+
+        const skipped = evaluateWebAcl([managed], request, { managedRuleMatches });
+        expect(skipped.trace[0].result).toMatchObject({ matched: false, labelsGenerated: [], details: { scopeDown: { matched: false } } });
+        expect(skipped.trace[0].result.details.rules).toBeUndefined();
+        expect(skipped.verdict.source).toBe('DefaultAction');
+
+        const inScope = evaluateWebAcl([managed], normalizeRequest({ path: '/api/users' }), { managedRuleMatches });
+        expect(inScope.verdict).toMatchObject({ action: 'Block', ruleName: 'common' });
+    });
+});
+
+describe('rate-based rules inside rule groups', () => {
+    const group = {
+        Name: 'limits',
+        Rules: [{ Name: 'per-ip', Priority: 0, Action: { Block: {} }, Statement: { RateBasedStatement: { Limit: 1, AggregateKeyType: 'IP' } } }]
+    };
+    const rules = [
+        { ...groupReference('first', 0, group), OverrideAction: { Count: {} } },
+        groupReference('second', 1, group)
+    ];
+
+    it('keeps separate counters for each rule referencing the group', () => {
+        const rateState = createRateState();
+        const evaluate = (timestamp) => evaluateRules(rules, normalizeRequest({ timestamp }), { rateState });
+
+        const first = evaluate(0);
+        expect(first.terminatingEntry).toBeNull();
+        expect([...rateState.counters.keys()]).toEqual(['first/per-ip', 'second/per-ip']);
+
+        const second = evaluate(1);
+        expect(second.trace.map(entry => entry.result.details.rules[0].details.requestNumber)).toEqual([2, 2]);
+        expect(second.terminatingEntry.rule.Name).toBe('second');
+    });
+});
+
+describe('evaluateWebAcl', () => {
+    const byteMatch = (SearchString) => ({
+        ByteMatchStatement: { SearchString, PositionalConstraint: 'STARTS_WITH', FieldToMatch: { UriPath: {} }, TextTransformations: [{ Priority: 0, Type: 'NONE' }] }
+    });
+    const rule = (Name, Priority, action, Statement = matchAll, extra = {}) => ({ Name, Priority, Action: { [action]: {} }, Statement, ...extra });
+    const browser = normalizeRequest({ path: '/admin', headers: [{ name: 'Accept', value: 'text/html' }] });
+    const names = (evaluation) => evaluation.trace.map(entry => entry.rule.Name);
+
+    it('stops at the first Allow or Block and does not evaluate later rules', () => {
+        const webAcl = { DefaultAction: { Allow: {} }, Rules: [rule('later', 2, 'Allow'), rule('block', 1, 'Block'), rule('miss', 0, 'Allow', byteMatch('/api'))] };
+        const evaluation = evaluateWebAcl(webAcl, browser);
+        expect(names(evaluation)).toEqual(['miss', 'block']);
+        expect(evaluation.verdict).toMatchObject({ action: 'Block', source: 'Rule', ruleName: 'block', priority: 1 });
+        expect(evaluation.terminatingEntry.rule.Name).toBe('block');
+    });
+
+    it('marks the rules after the verdict when they are shown', () => {
+        const webAcl = { DefaultAction: { Block: {} }, Rules: [rule('allow', 0, 'Allow'), rule('later', 1, 'Block')] };
+        const evaluation = evaluateWebAcl(webAcl, browser, { showRulesAfterVerdict: true });
+        expect(evaluation.trace.map(entry => [entry.rule.Name, entry.afterVerdict])).toEqual([['allow', false], ['later', true]]);
+        expect(evaluation.matchedRules.map(match => match.rule.Name)).toEqual(['allow']);
+        expect(evaluation.verdict.action).toBe('Allow');
+    });
+
+    it('keeps evaluating after Count and accepted CAPTCHA or Challenge', () => {
+        const webAcl = {
+            DefaultAction: { Allow: {} },
+            Rules: [rule('count', 0, 'Count'), rule('captcha', 1, 'CAPTCHA'), rule('challenge', 2, 'Challenge'), rule('block', 3, 'Block')]
+        };
+        const token = { domain: 'example.com', captchaAge: 10, challengeAge: 10 };
+        const evaluation = evaluateWebAcl(webAcl, browser, { token });
+        expect(names(evaluation)).toEqual(['count', 'captcha', 'challenge', 'block']);
+        expect(evaluation.trace.map(entry => entry.outcome.terminating)).toEqual([false, false, false, true]);
+        expect(evaluation.verdict).toMatchObject({ action: 'Block', ruleName: 'block' });
+    });
+
+    it('applies the DefaultAction when no rule terminates', () => {
+        const webAcl = { DefaultAction: { Block: {} }, Rules: [rule('count', 0, 'Count'), rule('miss', 1, 'Allow', byteMatch('/api'))] };
+        const evaluation = evaluateWebAcl(webAcl, browser);
+        expect(evaluation.terminatingEntry).toBeNull();
+        expect(evaluation.verdict).toMatchObject({ action: 'Block', source: 'DefaultAction' });
+        expect(evaluateWebAcl([rule('count', 0, 'Count')], browser).verdict).toMatchObject({ action: 'Allow', source: 'DefaultAction' });
+    });
+
+    it('passes the labels of Count rules to later LabelMatch rules', () => {
+        const webAcl = {
+            DefaultAction: { Allow: {} },
+            Rules: [
+                rule('tag', 0, 'Count', matchAll, { RuleLabels: [{ Name: 'awswaf:123456789012:webacl:main:admin' }] }),
+                rule('block-tagged', 1, 'Block', { LabelMatchStatement: { Scope: 'LABEL', Key: 'awswaf:123456789012:webacl:main:admin' } })
+            ]
+        };
+        const evaluation = evaluateWebAcl(webAcl, browser);
+        expect(evaluation.trace[1].labelsBefore).toEqual(['awswaf:123456789012:webacl:main:admin']);
+        expect(evaluation.verdict).toMatchObject({ action: 'Block', ruleName: 'block-tagged' });
+    });
+});
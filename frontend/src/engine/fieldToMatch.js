@@ -0,0 +1,365 @@
+/**
+ * FieldToMatch resolution for the WAF evaluation engine.
+ * Extracts the part of a normalized request that a statement inspects.
+ */
+import { getHeaderValue } from './request';
+
+const safeDecode = (value) => {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Parses a query string into a key-value object.
+ * Repeated arguments keep their first value, like the previous debugger behaviour.
+ */
+export const parseQueryString = (queryString) => {
+    if (!queryString) return {};
+
+    const params = {};
+    queryString.replace(/^\?/, '').split('&').forEach(part => {
+        const separator = part.indexOf('=');
+        const name = separator === -1 ? part : part.slice(0, separator);
+        const value = separator === -1 ? '' : part.slice(separator + 1);
+        if (name) {
+            const key = safeDecode(name);
+            if (!(key in params)) {
+                params[key] = safeDecode(value);
+            }
+        }
+    });
+
+    return params;
+};
+
+/**
+ * Returns the value of a single query argument (names are case-sensitive in AWS WAF).
+ */
+export const getQueryParameterValue = (queryString, paramName) => {
+    return parseQueryString(queryString)[paramName];
+};
+
+// AssociationConfig RequestBody DefaultSizeInspectionLimit values, in bytes
+export const BODY_SIZE_LIMITS = {
+    KB_8: 8 * 1024,
+    KB_16: 16 * 1024,
+    KB_32: 32 * 1024,
+    KB_48: 48 * 1024,
+    KB_64: 64 * 1024
+};
+
+/**
+ * Returns how many bytes of the body a Web ACL inspects.
+ * AssociationConfig.RequestBody maps resource types (CLOUDFRONT, API_GATEWAY, ...) to a
+ * DefaultSizeInspectionLimit; resourceType picks the entry, otherwise the first one is used.
+ * Without configuration, CloudFront (global) ACLs inspect 16 KB and regional ACLs 8 KB.
+ * @returns {Object} - { limit, source }
+ */
+export const getBodyInspectionLimit = (webAcl, resourceType) => {
+    const configured = Object.entries(webAcl?.AssociationConfig?.RequestBody || {});
+    const entry = configured.find(([type]) => type === resourceType) || configured[0];
+    if (entry && BODY_SIZE_LIMITS[entry[1]?.DefaultSizeInspectionLimit]) {
+        return {
+            limit: BODY_SIZE_LIMITS[entry[1].DefaultSizeInspectionLimit],
+            source: `AssociationConfig ${entry[0]} ${entry[1].DefaultSizeInspectionLimit}`
+        };
+    }
+
+    if (webAcl?.ARN?.includes(':global/')) {
+        return { limit: BODY_SIZE_LIMITS.KB_16, source: 'CloudFront default' };
+    }
+    return { limit: BODY_SIZE_LIMITS.KB_8, source: 'Default' };
+};
+
+/**
+ * Cuts the body at the inspection limit (context.bodyInspectionLimit, 8 KB by default).
+ * @returns {Object} - { text, bodyInspection } or, when an oversize body is decided by
+ *   OversizeHandling MATCH or NO_MATCH, { bodyInspection, fallback, note }.
+ */
+const inspectBody = (body, oversizeHandling = 'CONTINUE', context) => {
+    const limit = context?.bodyInspectionLimit || BODY_SIZE_LIMITS.KB_8;
+    const bytes = new TextEncoder().encode(body || '');
+    const oversize = bytes.length > limit;
+    const bodyInspection = {
+        size: bytes.length,
+        limit,
+        inspectedBytes: Math.min(bytes.length, limit),
+        oversize,
+        oversizeHandling
+    };
+
+    if (oversize && oversizeHandling !== 'CONTINUE') {
+        return {
+            bodyInspection,
+            fallback: oversizeHandling,
+            note: `Body is ${bytes.length} bytes, over the ${limit}-byte inspection limit; OversizeHandling ${oversizeHandling} applies`
+        };
+    }
+
+    const text = oversize ? new TextDecoder().decode(bytes.slice(0, limit)) : (body || '');
+    return { text, bodyInspection };
+};
+
+// AWS WAF inspects at most the first 200 headers or cookies and their first 8 KB
+const MAX_INSPECTED_PARTS = 200;
+const MAX_INSPECTED_PARTS_SIZE = 8 * 1024;
+
+/**
+ * Applies the header and cookie inspection limits to [{ name, value }] entries.
+ * @returns {Object} - { entries, partsInspection } with the entries within the limits or,
+ *   when oversize content is decided by OversizeHandling MATCH or NO_MATCH,
+ *   { partsInspection, fallback, note }.
+ */
+const limitParts = (entries, oversizeHandling = 'CONTINUE', kind) => {
+    const encoder = new TextEncoder();
+    const inspected = [];
+    let size = 0;
+
+    entries.forEach(entry => {
+        const entrySize = encoder.encode(`${entry.name}: ${entry.value}`).length;
+        if (inspected.length < MAX_INSPECTED_PARTS && size + entrySize <= MAX_INSPECTED_PARTS_SIZE) {
+            inspected.push(entry);
+        }
+        size += entrySize;
+    });
+
+    const oversize = entries.length > MAX_INSPECTED_PARTS || size > MAX_INSPECTED_PARTS_SIZE;
+    const partsInspection = {
+        kind,
+        count: entries.length,
+        inspectedCount: inspected.length,
+        size,
+        oversize,
+        oversizeHandling
+    };
+
+    if (oversize && oversizeHandling !== 'CONTINUE') {
+        return {
+            partsInspection,
+            fallback: oversizeHandling,
+            note: `${entries.length} ${kind} (${size} bytes) exceed the ${MAX_INSPECTED_PARTS} ${kind} / ${MAX_INSPECTED_PARTS_SIZE}-byte limit; OversizeHandling ${oversizeHandling} applies`
+        };
+    }
+    return { entries: inspected, partsInspection };
+};
+
+/**
+ * Splits entries into the KEY and VALUE parts selected by MatchScope.
+ */
+const toScopedParts = (entries, scope = 'ALL') => {
+    return entries.flatMap(({ name, value }) => [
+        ...(scope === 'VALUE' ? [] : [{ name, scope: 'KEY', value: name }]),
+        ...(scope === 'KEY' ? [] : [{ name, scope: 'VALUE', value }])
+    ]);
+};
+
+// Headers in the order they were sent, repeated headers included
+const getHeaderEntries = (request) => request.headerSequence || [];
+
+/**
+ * Parses a Cookie header into [{ name, value }] entries, keeping their order.
+ */
+export const parseCookies = (cookieHeader) => {
+    return (cookieHeader || '')
+        .split(';')
+        .map(cookie => cookie.trim())
+        .filter(Boolean)
+        .map(cookie => {
+            const separator = cookie.indexOf('=');
+            return separator === -1
+                ? { name: cookie, value: '' }
+                : { name: cookie.slice(0, separator).trim(), value: cookie.slice(separator + 1).trim() };
+        });
+};
+
+/**
+ * Resolves a Headers or Cookies FieldToMatch: applies MatchPattern (All, Included* or
+ * Excluded* names; header names are case-insensitive, cookie names are not), the size
+ * limits and MatchScope.
+ */
+const getKeyValueFieldValue = (name, entries, settings, kind) => {
+    const pattern = settings.MatchPattern || {};
+    const normalize = kind === 'headers' ? (text) => text.toLowerCase() : (text) => text;
+    const included = pattern.IncludedHeaders || pattern.IncludedCookies;
+    const excluded = pattern.ExcludedHeaders || pattern.ExcludedCookies;
+
+    const selected = entries.filter(entry => {
+        if (included) return included.map(normalize).includes(normalize(entry.name));
+        if (excluded) return !excluded.map(normalize).includes(normalize(entry.name));
+        return true;
+    });
+
+    const limited = limitParts(selected, settings.OversizeHandling, kind);
+    const field = { name, partsInspection: limited.partsInspection };
+    if (limited.fallback) return { ...field, value: null, fallback: limited.fallback, note: limited.note };
+
+    return {
+        ...field,
+        value: limited.entries.map(entry => `${entry.name}=${entry.value}`).join('; ') || null,
+        values: toScopedParts(limited.entries, settings.MatchScope),
+        matchScope: settings.MatchScope || 'ALL'
+    };
+};
+
+const escapeJsonPointerToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Flattens a parsed JSON document into the elements AWS WAF inspects: one KEY element per
+ * object key and one VALUE element per primitive, each named by its JSON pointer.
+ */
+const collectJsonElements = (node, pointer = '', elements = []) => {
+    if (node !== null && typeof node === 'object') {
+        Object.entries(node).forEach(([key, child]) => {
+            const childPointer = `${pointer}/${escapeJsonPointerToken(key)}`;
+            if (!Array.isArray(node)) {
+                elements.push({ name: childPointer, scope: 'KEY', value: key });
+            }
+            collectJsonElements(child, childPointer, elements);
+        });
+    } else {
+        elements.push({ name: pointer || '/', scope: 'VALUE', value: node === null ? 'null' : String(node) });
+    }
+    return elements;
+};
+
+const isPointerIncluded = (pointer, includedPaths) => {
+    return includedPaths.some(path =>
+        path === '' || path === '/' || pointer === path || pointer.startsWith(`${path}/`));
+};
+
+/**
+ * Resolves a JsonBody FieldToMatch: parses the (size-limited) body and keeps the keys
+ * and/or values selected by MatchPattern and MatchScope.
+ */
+const getJsonBodyValue = (settings, request, context) => {
+    const body = inspectBody(request.body, settings.OversizeHandling, context);
+    const field = { name: 'JsonBody', bodyInspection: body.bodyInspection };
+    if (body.fallback) return { ...field, value: null, fallback: body.fallback, note: body.note };
+    if (!body.text) return { ...field, value: null };
+
+    let document;
+    try {
+        document = JSON.parse(body.text);
+    } catch (error) {
+        const behavior = settings.InvalidFallbackBehavior;
+        if (behavior === 'EVALUATE_AS_STRING') {
+            return { ...field, value: body.text, note: 'Invalid JSON body evaluated as a string' };
+        }
+        return {
+            ...field,
+            value: null,
+            fallback: behavior === 'MATCH' ? 'MATCH' : 'NO_MATCH',
+            note: `Invalid JSON body (${error.message}); ${behavior
+                ? `InvalidFallbackBehavior ${behavior} applies`
+                : 'AWS WAF only evaluates the content before the parsing error, which is not simulated'}`
+        };
+    }
+
+    const scope = settings.MatchScope || 'ALL';
+    const includedPaths = settings.MatchPattern?.IncludedPaths;
+    const values = collectJsonElements(document)
+        .filter(element => scope === 'ALL' || element.scope === scope)
+        .filter(element => !includedPaths || isPointerIncluded(element.name, includedPaths));
+
+    return { ...field, value: body.text, values, matchScope: scope };
+};
+
+/**
+ * Returns the FieldToMatch type key, e.g. 'UriPath' or 'SingleHeader'.
+ */
+export const getFieldType = (fieldToMatch) => {
+    if (!fieldToMatch || typeof fieldToMatch !== 'object') return 'Unknown';
+    return Object.keys(fieldToMatch)[0] || 'Unknown';
+};
+
+/**
+ * Extracts the value a FieldToMatch points at.
+ * @param {Object} fieldToMatch - The statement's FieldToMatch.
+ * @param {Object} request - The normalized request.
+ * @param {Object} context - Evaluation context; bodyInspectionLimit (bytes) caps Body and JsonBody.
+ * @returns {Object} - { name, value } where value is null when the field is absent. Fields made
+ *   of several parts add values: [{ value, ... }] to inspect one by one; body fields add
+ *   bodyInspection, and fallback: 'MATCH' | 'NO_MATCH' with a note when the outcome is
+ *   decided without inspecting (oversize or invalid JSON handling).
+ */
+export const getFieldValue = (fieldToMatch, request, context) => {
+    if (!fieldToMatch) return { name: 'Unknown', value: null };
+
+    if (fieldToMatch.UriPath) {
+        return { name: 'UriPath', value: request.uri };
+    }
+
+    if (fieldToMatch.QueryString) {
+        return { name: 'QueryString', value: request.queryString };
+    }
+
+    if (fieldToMatch.Method) {
+        return { name: 'Method', value: request.method };
+    }
+
+    if (fieldToMatch.Body) {
+        const body = inspectBody(request.body, fieldToMatch.Body.OversizeHandling, context);
+        if (body.fallback) {
+            return { name: 'Body', value: null, bodyInspection: body.bodyInspection, fallback: body.fallback, note: body.note };
+        }
+        return { name: 'Body', value: body.text, bodyInspection: body.bodyInspection };
+    }
+
+    if (fieldToMatch.SingleHeader && fieldToMatch.SingleHeader.Name) {
+        const headerName = fieldToMatch.SingleHeader.Name.toLowerCase();
+        return {
+            name: `Header:${headerName}`,
+            value: getHeaderValue(request, headerName)
+        };
+    }
+
+    if (fieldToMatch.SingleQueryArgument && fieldToMatch.SingleQueryArgument.Name) {
+        const paramName = fieldToMatch.SingleQueryArgument.Name;
+        return {
+            name: `QueryParam:${paramName}`,
+            value: getQueryParameterValue(request.queryString, paramName)
+        };
+    }
+
+    if (fieldToMatch.AllQueryArguments) {
+        const queryParams = parseQueryString(request.queryString);
+        return { name: 'AllQueryArguments', value: Object.values(queryParams).join('&'), params: queryParams };
+    }
+
+    if (fieldToMatch.Headers) {
+        return getKeyValueFieldValue('Headers', getHeaderEntries(request), fieldToMatch.Headers, 'headers');
+    }
+
+    if (fieldToMatch.Cookies) {
+        const cookies = parseCookies(getHeaderValue(request, 'cookie'));
+        return getKeyValueFieldValue('Cookies', cookies, fieldToMatch.Cookies, 'cookies');
+    }
+
+    if (fieldToMatch.HeaderOrder) {
+        // Colon-separated header names in the order they appear in the request
+        const limited = limitParts(getHeaderEntries(request), fieldToMatch.HeaderOrder.OversizeHandling, 'headers');
+        const field = { name: 'HeaderOrder', partsInspection: limited.partsInspection };
+        if (limited.fallback) return { ...field, value: null, fallback: limited.fallback, note: limited.note };
+        return { ...field, value: limited.entries.map(entry => entry.name).join(':') || null };
+    }
+
+    if (fieldToMatch.UriFragment) {
+        if (request.fragment) return { name: 'UriFragment', value: request.fragment };
+        const fallback = fieldToMatch.UriFragment.FallbackBehavior || 'NO_MATCH';
+        return { name: 'UriFragment', value: null, fallback, note: `The URI has no fragment; FallbackBehavior ${fallback} applies` };
+    }
+
+    if (fieldToMatch.JA3Fingerprint) {
+        // The debugger form carries the fingerprint in a pseudo "ja3" header
+        return { name: 'JA3Fingerprint', value: getHeaderValue(request, 'ja3') };
+    }
+
+    if (fieldToMatch.JsonBody) {
+        return getJsonBodyValue(fieldToMatch.JsonBody, request, context);
+    }
+
+    return { name: getFieldType(fieldToMatch), value: null };
+};
@@ -0,0 +1,136 @@
+import { describe, expect, it } from 'vitest';
+import { BODY_SIZE_LIMITS, getFieldValue } from './fieldToMatch';
+import { normalizeRequest } from './request';
+
+const post = (body) => normalizeRequest({ method: 'POST', body });
+
+const jsonBody = (settings) => ({ JsonBody: { MatchPattern: { All: {} }, MatchScope: 'ALL', ...settings } });
+const elements = (field) => field.values.map(({ name, scope, value }) => [name, scope, value]);
+
+describe('JsonBody', () => {
+    const request = post(JSON.stringify({ user: { name: 'alice', roles: ['admin'] }, 'a/b': null }));
+
+    it('selects keys, values or both with MatchScope', () => {
+        const keys = [['/user', 'KEY', 'user'], ['/user/name', 'KEY', 'name'], ['/user/roles', 'KEY', 'roles'], ['/a~1b', 'KEY', 'a/b']];
+        const values = [['/user/name', 'VALUE', 'alice'], ['/user/roles/0', 'VALUE', 'admin'], ['/a~1b', 'VALUE', 'null']];
+
+        expect(elements(getFieldValue(jsonBody({ MatchScope: 'KEY' }), request))).toEqual(keys);
+        expect(elements(getFieldValue(jsonBody({ MatchScope: 'VALUE' }), request))).toEqual(values);
+        expect(elements(getFieldValue(jsonBody({ MatchScope: 'ALL' }), request))).toEqual(expect.arrayContaining([...keys, ...values]));
+        expect(getFieldValue(jsonBody({ MatchScope: 'ALL' }), request).values).toHaveLength(keys.length + values.length);
+    });
+
+    it('keeps the elements under the IncludedPaths pointers', () => {
+        const field = getFieldValue(jsonBody({ MatchScope: 'VALUE', MatchPattern: { IncludedPaths: ['/user/roles', '/a~1b'] } }), request);
+        expect(elements(field)).toEqual([['/user/roles/0', 'VALUE', 'admin'], ['/a~1b', 'VALUE', 'null']]);
+        expect(getFieldValue(jsonBody({ MatchPattern: { IncludedPaths: ['/user/na'] } }), request).values).toEqual([]);
+    });
+
+    it('applies InvalidFallbackBehavior to malformed JSON', () => {
+        const malformed = post('{"user": ');
+        expect(getFieldValue(jsonBody({ InvalidFallbackBehavior: 'MATCH' }), malformed)).toMatchObject({ value: null, fallback: 'MATCH' });
+        expect(getFieldValue(jsonBody({ InvalidFallbackBehavior: 'NO_MATCH' }), malformed)).toMatchObject({ value: null, fallback: 'NO_MATCH' });
+        expect(getFieldValue(jsonBody({ InvalidFallbackBehavior: 'EVALUATE_AS_STRING' }), malformed)).toMatchObject({ value: '{"user": ' });
+        expect(getFieldValue(jsonBody({}), malformed).fallback).toBe('NO_MATCH');
+    });
+});
+
+describe('body OversizeHandling', () => {
+    const limit = BODY_SIZE_LIMITS.KB_16;
+    const context = { bodyInspectionLimit: limit };
+    const body = (OversizeHandling) => ({ Body: { OversizeHandling } });
+
+    it('inspects a body of exactly the limit', () => {
+        const field = getFieldValue(body('NO_MATCH'), post('a'.repeat(limit)), context);
+        expect(field.value).toHaveLength(limit);
+        expect(field.bodyInspection).toMatchObject({ size: limit, oversize: false });
+        expect(field.fallback).toBeUndefined();
+    });
+
+    it('truncates a body over the limit with CONTINUE', () => {
+        const field = getFieldValue(body('CONTINUE'), post(`${'a'.repeat(limit)}b`), context);
+        expect(field.value).toBe('a'.repeat(limit));
+        expect(field.bodyInspection).toMatchObject({ size: limit + 1, inspectedBytes: limit, oversize: true });
+    });
+
+    it('decides a body over the limit with MATCH or NO_MATCH', () => {
+        const oversize = post('a'.repeat(limit + 1));
+        expect(getFieldValue(body('MATCH'), oversize, context)).toMatchObject({ value: null, fallback: 'MATCH' });
+        expect(getFieldValue(body('NO_MATCH'), oversize, context)).toMatchObject({ value: null, fallback: 'NO_MATCH' });
+        expect(getFieldValue(jsonBody({ OversizeHandling: 'MATCH' }), oversize, context)).toMatchObject({ value: null, fallback: 'MATCH' });
+    });
+
+    it('counts the limit in bytes and defaults to 8 KB', () => {
+        const field = getFieldValue(body('NO_MATCH'), post('é'.repeat(BODY_SIZE_LIMITS.KB_8 / 2 + 1)));
+        expect(field).toMatchObject({ fallback: 'NO_MATCH', bodyInspection: { size: BODY_SIZE_LIMITS.KB_8 + 2, limit: BODY_SIZE_LIMITS.KB_8 } });
+    });
+});
+
+describe('Headers and Cookies', () => {
+    const request = normalizeRequest({
+        headers: [
+            { name: 'Host', value: 'example.com' },
+            { name: 'X-Api-Key', value: 'secret' },
+            { name: 'Cookie', value: 'session=abc; Theme=dark; tracking=1' }
+        ]
+    });
+    const headers = (settings) => getFieldValue({ Headers: { MatchPattern: { All: {} }, MatchScope: 'ALL', OversizeHandling: 'CONTINUE', ...settings } }, request);
+    const cookies = (settings) => getFieldValue({ Cookies: { MatchPattern: { All: {} }, MatchScope: 'ALL', OversizeHandling: 'CONTINUE', ...settings } }, request);
+    const names = (field) => [...new Set(field.values.map(part => part.name))];
+
+    it('selects headers with MatchPattern, ignoring the case of their names', () => {
+        expect(names(headers())).toEqual(['host', 'x-api-key', 'cookie']);
+        expect(names(headers({ MatchPattern: { IncludedHeaders: ['X-API-Key'] } }))).toEqual(['x-api-key']);
+        expect(names(headers({ MatchPattern: { ExcludedHeaders: ['COOKIE', 'Host'] } }))).toEqual(['x-api-key']);
+        expect(headers({ MatchPattern: { IncludedHeaders: ['missing'] } })).toMatchObject({ value: null, values: [] });
+    });
+
+    it('selects cookies with MatchPattern, keeping the case of their names', () => {
+        expect(names(cookies())).toEqual(['session', 'Theme', 'tracking']);
+        expect(names(cookies({ MatchPattern: { IncludedCookies: ['Theme', 'session'] } }))).toEqual(['session', 'Theme']);
+        expect(names(cookies({ MatchPattern: { IncludedCookies: ['theme'] } }))).toEqual([]);
+        expect(names(cookies({ MatchPattern: { ExcludedCookies: ['tracking'] } }))).toEqual(['session', 'Theme']);
+    });
+
+    it('inspects names or values with MatchScope', () => {
+        const included = { MatchPattern: { IncludedCookies: ['session'] } };
+        expect(cookies({ ...included, MatchScope: 'KEY' }).values).toEqual([{ name: 'session', scope: 'KEY', value: 'session' }]);
+        expect(cookies({ ...included, MatchScope: 'VALUE' }).values).toEqual([{ name: 'session', scope: 'VALUE', value: 'abc' }]);
+        expect(cookies(included).values.map(part => part.scope)).toEqual(['KEY', 'VALUE']);
+        expect(headers({ MatchPattern: { IncludedHeaders: ['Host'] }, MatchScope: 'VALUE' }).values.map(part => part.value)).toEqual(['example.com']);
+    });
+});
+
+describe('header and cookie OversizeHandling', () => {
+    const withHeaders = (count, size = 1) => normalizeRequest({
+        headers: Array.from({ length: count }, (_, index) => ({ name: `X-${index}`, value: 'v'.repeat(size) }))
+    });
+    const headers = (request, OversizeHandling) => getFieldValue({ Headers: { MatchPattern: { All: {} }, MatchScope: 'ALL', OversizeHandling } }, request);
+
+    it('inspects up to 200 headers', () => {
+        const field = headers(withHeaders(200), 'NO_MATCH');
+        expect(field.partsInspection).toMatchObject({ count: 200, inspectedCount: 200, oversize: false });
+        expect(field.fallback).toBeUndefined();
+    });
+
+    it('applies OversizeHandling past 200 headers', () => {
+        const request = withHeaders(201);
+        expect(headers(request, 'MATCH')).toMatchObject({ value: null, fallback: 'MATCH' });
+        expect(headers(request, 'NO_MATCH')).toMatchObject({ value: null, fallback: 'NO_MATCH' });
+        expect(headers(request, 'CONTINUE').partsInspection).toMatchObject({ count: 201, inspectedCount: 200, oversize: true });
+    });
+
+    it('applies OversizeHandling past 8 KB of headers', () => {
+        // Each "X-n: vvv..." entry is 1 KB, so the ninth goes over the limit
+        const request = withHeaders(9, 1024 - 'X-0: '.length);
+        expect(headers(request, 'CONTINUE').partsInspection).toMatchObject({ size: 9 * 1024, inspectedCount: 8, oversize: true });
+        expect(headers(withHeaders(8, 1024 - 'X-0: '.length), 'MATCH').fallback).toBeUndefined();
+        expect(headers(request, 'MATCH').fallback).toBe('MATCH');
+    });
+
+    it('limits cookies the same way', () => {
+        const cookie = Array.from({ length: 201 }, (_, index) => `c${index}=1`).join('; ');
+        const field = getFieldValue({ Cookies: { MatchPattern: { All: {} }, MatchScope: 'ALL', OversizeHandling: 'NO_MATCH' } }, normalizeRequest({ headers: [{ name: 'Cookie', value: cookie }] }));
+        expect(field).toMatchObject({ fallback: 'NO_MATCH', partsInspection: { kind: 'cookies', count: 201 } });
+    });
+});
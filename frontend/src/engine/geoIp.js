@@ -0,0 +1,75 @@
+/**
+ * Offline IP-to-country lookup for GeoMatchStatement.
+ * The bundled data/geoIpNetworks.js only holds a few sample networks; lookups can be
+ * given other networks, e.g. a GeoLite2 country CSV flattened to network,country_iso_code
+ * columns and read with parseGeoIpCsv.
+ */
+import { GEO_IP_NETWORK_ENTRIES } from './data/geoIpNetworks';
+import { parseIpAddress, parseCidr, isIpInCidr } from './ipAddress';
+import { resolveInspectedIps } from './request';
+
+/**
+ * Turns [network, country] pairs into networks ordered by prefix length, so the most
+ * specific wins. Invalid networks and country codes are dropped.
+ * @returns {Array} - [{ network, country, block }]
+ */
+export const buildGeoIpNetworks = (entries) => {
+    return (entries || [])
+        .map(([network, country]) => ({ network, country: (country || '').toUpperCase(), block: parseCidr(network) }))
+        .filter(entry => entry.block && /^[A-Z]{2}$/.test(entry.country))
+        .sort((a, b) => b.block.prefix - a.block.prefix);
+};
+
+/**
+ * Parses a network,country_iso_code CSV with buildGeoIpNetworks.
+ * @returns {Array} - [{ network, country, block }]
+ */
+export const parseGeoIpCsv = (text) => {
+    return buildGeoIpNetworks((text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !line.startsWith('network,'))
+        .map(line => line.split(',').map(cell => cell.trim())));
+};
+
+const GEO_IP_NETWORKS = buildGeoIpNetworks(GEO_IP_NETWORK_ENTRIES);
+
+/**
+ * Looks up the country of an address in the bundled GeoIP data.
+ * @returns {Object|null} - { country, network } or null when the address is not listed.
+ */
+export const lookupCountry = (address, networks = GEO_IP_NETWORKS) => {
+    const ip = parseIpAddress(address);
+    if (!ip) return null;
+
+    const entry = networks.find(candidate => isIpInCidr(ip, candidate.block));
+    return entry ? { country: entry.country, network: entry.network } : null;
+};
+
+/**
+ * Resolves the country a GeoMatchStatement inspects.
+ * Without a ForwardedIPConfig, the simulated country of the request (request.country)
+ * is used and the source IP is only looked up when no country was given. With one,
+ * the forwarded address is always looked up.
+ * @returns {Object} - { country, source, ip, network } where country is null when it could
+ *   not be determined, or { source, fallback, reason } when the forwarded header is unusable.
+ */
+export const resolveRequestCountry = (request, forwardedIPConfig) => {
+    if (!forwardedIPConfig && request.country) {
+        return { country: request.country, source: 'Simulated country', ip: request.clientIp };
+    }
+
+    const inspected = resolveInspectedIps(request, forwardedIPConfig);
+    if (inspected.fallback) {
+        return { source: inspected.source, fallback: inspected.fallback, reason: inspected.reason };
+    }
+
+    const ip = inspected.addresses[0];
+    const located = lookupCountry(ip);
+    return {
+        country: located ? located.country : null,
+        source: inspected.source,
+        ip,
+        network: located?.network
+    };
+};
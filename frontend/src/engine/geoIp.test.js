@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { lookupCountry, parseGeoIpCsv, resolveRequestCountry } from './geoIp';
+import { normalizeRequest } from './request';
+import { evaluateStatement } from './statements';
+
+const forwardedIPConfig = { HeaderName: 'X-Forwarded-For', FallbackBehavior: 'NO_MATCH' };
+
+describe('parseGeoIpCsv', () => {
+    it('orders the networks from the most specific and drops invalid rows', () => {
+        const networks = parseGeoIpCsv('network,country_iso_code\n# comment\n10.0.0.0/8,us\n10.1.0.0/16,CA\nnot-a-network,FR\n10.2.0.0/16,France\n');
+        expect(networks.map(({ network, country }) => [network, country])).toEqual([['10.1.0.0/16', 'CA'], ['10.0.0.0/8', 'US']]);
+    });
+});
+
+describe('lookupCountry', () => {
+    const networks = parseGeoIpCsv('10.0.0.0/8,US\n10.1.0.0/16,CA\n2001:db8::/32,JP');
+
+    it('returns the most specific network containing the address', () => {
+        expect(lookupCountry('10.1.2.3', networks)).toEqual({ country: 'CA', network: '10.1.0.0/16' });
+        expect(lookupCountry('10.2.0.1', networks)).toEqual({ country: 'US', network: '10.0.0.0/8' });
+        expect(lookupCountry('2001:db8::1', networks)).toEqual({ country: 'JP', network: '2001:db8::/32' });
+    });
+
+    it('returns null for unknown or invalid addresses', () => {
+        expect(lookupCountry('192.0.2.1', networks)).toBeNull();
+        expect(lookupCountry('not-an-ip', networks)).toBeNull();
+    });
+
+    it('uses the bundled networks by default', () => {
+        expect(lookupCountry('8.8.8.8')).toEqual({ country: 'US', network: '8.8.8.0/24' });
+    });
+});
+
+describe('resolveRequestCountry', () => {
+    it('prefers the simulated country without a ForwardedIPConfig', () => {
+        const request = normalizeRequest({ clientIp: '8.8.8.8', country: 'FR' });
+        expect(resolveRequestCountry(request)).toMatchObject({ country: 'FR', source: 'Simulated country' });
+    });
+
+    it('looks up the forwarded address even when a country is simulated', () => {
+        const request = normalizeRequest({ clientIp: '8.8.8.8', country: 'FR', headers: [{ name: 'X-Forwarded-For', value: '81.2.69.161, 8.8.8.8' }] });
+        expect(resolveRequestCountry(request, forwardedIPConfig)).toMatchObject({ country: 'GB', ip: '81.2.69.161', network: '81.2.69.160/27' });
+    });
+
+    it('reports the fallback when the forwarded header is missing', () => {
+        const resolved = resolveRequestCountry(normalizeRequest({ clientIp: '8.8.8.8' }), forwardedIPConfig);
+        expect(resolved).toMatchObject({ fallback: 'NO_MATCH' });
+        expect(resolved.country).toBeUndefined();
+    });
+});
+
+describe('GeoMatchStatement with a ForwardedIPConfig', () => {
+    const geo = (CountryCodes) => ({ GeoMatchStatement: { CountryCodes, ForwardedIPConfig: forwardedIPConfig } });
+    const request = normalizeRequest({ clientIp: '8.8.8.8', headers: [{ name: 'X-Forwarded-For', value: '89.160.20.130' }] });
+
+    it('matches the country of the forwarded address and emits the forwarded IP label', () => {
+        const context = { emittedLabels: new Set() };
+        const result = evaluateStatement(geo(['SE']), request, context);
+        expect(result).toMatchObject({ matched: true, details: { matchedCountry: 'SE', inspectedIp: '89.160.20.130' } });
+        expect([...context.emittedLabels]).toEqual(['awswaf:forwardedip:geo:country:SE']);
+    });
+
+    it('does not match an empty country list', () => {
+        expect(evaluateStatement(geo([]), request, { emittedLabels: new Set() })).toEqual({
+            matched: false,
+            details: { type: 'GeoMatch', note: 'No CountryCodes to match' }
+        });
+    });
+});
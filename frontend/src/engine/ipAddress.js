@@ -0,0 +1,105 @@
+/**
+ * IPv4/IPv6 parsing and CIDR matching for IPSetReferenceStatement.
+ * Addresses are converted to BigInt so both families share the same prefix logic.
+ */
+
+const parseIPv4 = (address) => {
+    const parts = address.split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = (value << 8n) + BigInt(Number(part));
+    }
+    return value;
+};
+
+const parseIPv6 = (address) => {
+    let text = address.replace(/^\[|\]$/g, '').split('%')[0];
+
+    // Embedded IPv4 tail, e.g. ::ffff:192.0.2.1
+    const ipv4Tail = text.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (ipv4Tail) {
+        const v4 = parseIPv4(ipv4Tail[1]);
+        if (v4 === null) return null;
+        const high = Number(v4 >> 16n).toString(16);
+        const low = Number(v4 & 0xffffn).toString(16);
+        text = `${text.slice(0, -ipv4Tail[1].length)}${high}:${low}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) + BigInt(parseInt(group, 16));
+    }
+    return value;
+};
+
+/**
+ * Parses an IP address.
+ * @returns {Object|null} - { version: 4 | 6, value: BigInt } or null when invalid.
+ */
+export const parseIpAddress = (address) => {
+    if (typeof address !== 'string') return null;
+    const text = address.trim();
+    if (!text) return null;
+
+    if (text.includes(':')) {
+        const value = parseIPv6(text);
+        if (value === null) return null;
+        // IPv4-mapped IPv6 addresses are compared as IPv4
+        if (value >> 32n === 0xffffn) return { version: 4, value: value & 0xffffffffn };
+        return { version: 6, value };
+    }
+
+    const value = parseIPv4(text);
+    return value === null ? null : { version: 4, value };
+};
+
+/**
+ * Parses a CIDR block such as 10.0.0.0/8 or 2001:db8::/32.
+ * A bare address is treated as a single-host block.
+ */
+export const parseCidr = (cidr) => {
+    if (typeof cidr !== 'string') return null;
+    const [address, prefixText] = cidr.trim().split('/');
+    const parsed = parseIpAddress(address);
+    if (!parsed) return null;
+
+    const bits = parsed.version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+
+    return { ...parsed, prefix, bits };
+};
+
+/**
+ * Returns true when the address falls inside the CIDR block. Both may be given parsed.
+ */
+export const isIpInCidr = (address, cidr) => {
+    const ip = typeof address === 'string' ? parseIpAddress(address) : address;
+    const block = typeof cidr === 'string' ? parseCidr(cidr) : cidr;
+    if (!ip || !block || ip.version !== block.version) return false;
+
+    const shift = BigInt(block.bits - block.prefix);
+    return (ip.value >> shift) === (block.value >> shift);
+};
+
+/**
+ * Returns the first CIDR of the list that contains the address, or null.
+ */
+export const findMatchingCidr = (address, cidrs = []) => {
+    const ip = parseIpAddress(address);
+    if (!ip) return null;
+    return cidrs.find(cidr => isIpInCidr(ip, cidr)) || null;
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { findMatchingCidr, isIpInCidr, parseCidr, parseIpAddress } from './ipAddress';
+
+describe('parseIpAddress', () => {
+    it('parses IPv4 and IPv6 addresses', () => {
+        expect(parseIpAddress('192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+        expect(parseIpAddress('2001:db8::1')).toEqual({ version: 6, value: (0x20010db8n << 96n) + 1n });
+        expect(parseIpAddress('::')).toEqual({ version: 6, value: 0n });
+    });
+
+    it('compares IPv4-mapped IPv6 addresses as IPv4', () => {
+        expect(parseIpAddress('::ffff:192.0.2.1')).toEqual(parseIpAddress('192.0.2.1'));
+    });
+
+    it('rejects invalid addresses', () => {
+        for (const address of ['', '256.0.0.1', '1.2.3', '2001:db8::1::2', '2001:db8:0:0:0:0:0:0:1', 'not-an-ip', undefined]) {
+            expect(parseIpAddress(address)).toBeNull();
+        }
+    });
+});
+
+describe('parseCidr', () => {
+    it('treats a bare address as a single-host block', () => {
+        expect(parseCidr('192.0.2.1')).toMatchObject({ version: 4, prefix: 32, bits: 32 });
+        expect(parseCidr('2001:db8::1')).toMatchObject({ version: 6, prefix: 128, bits: 128 });
+    });
+
+    it('rejects prefixes out of range', () => {
+        expect(parseCidr('10.0.0.0/33')).toBeNull();
+        expect(parseCidr('2001:db8::/129')).toBeNull();
+        expect(parseCidr('10.0.0.0/-1')).toBeNull();
+        expect(parseCidr('10.0.0.0/abc')).toBeNull();
+    });
+});
+
+describe('isIpInCidr', () => {
+    it('matches IPv4 addresses inside the block', () => {
+        expect(isIpInCidr('10.1.2.3', '10.0.0.0/8')).toBe(true);
+        expect(isIpInCidr('11.0.0.1', '10.0.0.0/8')).toBe(false);
+        expect(isIpInCidr('192.168.1.255', '192.168.1.0/24')).toBe(true);
+        expect(isIpInCidr('192.168.2.0', '192.168.1.0/24')).toBe(false);
+    });
+
+    it('matches IPv6 addresses inside the block', () => {
+        expect(isIpInCidr('2001:db8:ffff::1', '2001:db8::/32')).toBe(true);
+        expect(isIpInCidr('2001:db9::1', '2001:db8::/32')).toBe(false);
+    });
+
+    it('handles the edge prefixes', () => {
+        expect(isIpInCidr('203.0.113.9', '0.0.0.0/0')).toBe(true);
+        expect(isIpInCidr('2001:db8::1', '::/0')).toBe(true);
+        expect(isIpInCidr('203.0.113.9', '203.0.113.9/32')).toBe(true);
+        expect(isIpInCidr('203.0.113.10', '203.0.113.9/32')).toBe(false);
+        expect(isIpInCidr('2001:db8::1', '2001:db8::1/128')).toBe(true);
+        expect(isIpInCidr('2001:db8::2', '2001:db8::1/128')).toBe(false);
+    });
+
+    it('never matches across address families', () => {
+        expect(isIpInCidr('10.0.0.1', '::/0')).toBe(false);
+        expect(isIpInCidr('2001:db8::1', '0.0.0.0/0')).toBe(false);
+        expect(isIpInCidr('::ffff:10.0.0.1', '10.0.0.0/8')).toBe(true);
+    });
+});
+
+describe('findMatchingCidr', () => {
+    it('returns the first block containing the address', () => {
+        const cidrs = ['198.51.100.0/24', '2001:db8::/32', '10.0.0.0/8', '10.1.0.0/16'];
+        expect(findMatchingCidr('10.1.0.1', cidrs)).toBe('10.0.0.0/8');
+        expect(findMatchingCidr('2001:db8::1', cidrs)).toBe('2001:db8::/32');
+        expect(findMatchingCidr('203.0.113.1', cidrs)).toBeNull();
+        expect(findMatchingCidr('invalid', cidrs)).toBeNull();
+    });
+});
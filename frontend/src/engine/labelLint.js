@@ -0,0 +1,190 @@
+/**
+ * Label lint: checks how the rules of a web ACL add and match labels.
+ * Labels only flow forward: a LabelMatchStatement sees the labels of the rules evaluated
+ * before it, and a rule that adds a label while terminating (Allow or Block) ends the
+ * evaluation, so no later rule sees that label. The checks report labels no rule adds,
+ * labels only added after the rule matching them, labels nothing matches, labels added by
+ * terminating rules and dependency cycles between rules.
+ */
+import { getStatementType } from './statements';
+import { findAddedLabels, mayAddLabel } from './labels';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const TERMINATING_ACTIONS = ['Allow', 'Block'];
+
+/**
+ * Lists the LabelMatchStatements of a statement tree, including scope-down statements.
+ * @returns {Array} - [{ key, scope }]
+ */
+export const getLabelMatches = (statement) => {
+    const type = getStatementType(statement);
+    const stmt = statement?.[type];
+    switch (type) {
+        case 'LabelMatchStatement':
+            return stmt.Key ? [{ key: stmt.Key, scope: stmt.Scope || 'LABEL' }] : [];
+        case 'AndStatement':
+        case 'OrStatement':
+            return (stmt.Statements || []).flatMap(getLabelMatches);
+        case 'NotStatement':
+            return getLabelMatches(stmt.Statement);
+        case 'RateBasedStatement':
+        case 'ManagedRuleGroupStatement':
+            return getLabelMatches(stmt.ScopeDownStatement);
+        default:
+            return [];
+    }
+};
+
+const describeKey = ({ key, scope }) => (scope === 'NAMESPACE' ? `Namespace '${key}'` : `Label '${key}'`);
+
+const describeRule = (rule) => `'${rule.Name}' (priority ${rule.Priority})`;
+
+const getAction = (rule) => Object.keys(rule.Action || {})[0];
+
+// Groups of rules that depend on each other: the strongly connected components (Tarjan) of
+// the dependency graph with more than one rule
+const findCycles = (dependencies) => {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (node) => {
+        indexes.set(node, counter);
+        lowLinks.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+
+        dependencies[node].forEach(next => {
+            if (!indexes.has(next)) {
+                visit(next);
+                lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+            } else if (onStack.has(next)) {
+                lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(next)));
+            }
+        });
+
+        if (lowLinks.get(node) === indexes.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            if (component.length > 1) cycles.push(component.sort((a, b) => a - b));
+        }
+    };
+
+    dependencies.forEach((_, node) => {
+        if (!indexes.has(node)) visit(node);
+    });
+    return cycles;
+};
+
+/**
+ * Lints the labels of a web ACL's rules.
+ * @param {Array} rules - The web ACL rules.
+ * @param {String} namespace - getWebAclLabelNamespace of the web ACL, if known.
+ * @returns {Array} - [{ ruleIndex, type, severity, message, related }] where type names the
+ *   check (label-undefined, label-late-producer, label-cycle, ...) and ruleIndex and related
+ *   are indexes into the rules sorted by priority.
+ */
+export const lintLabels = (rules, namespace = null) => {
+    const sortedRules = [...(rules || [])].sort((a, b) => a.Priority - b.Priority);
+    const issues = [];
+    const report = (ruleIndex, type, severity, message, related = []) => issues.push({ ruleIndex, type, severity, message, related });
+
+    // For every rule, the keys it matches and the rules that add a label satisfying each
+    const consumers = sortedRules.map(rule => getLabelMatches(rule.Statement).map(match => ({
+        ...match,
+        producers: sortedRules
+            .map((producer, index) => ({ index, labels: findAddedLabels(producer, match.key, match.scope, namespace) }))
+            .filter(({ labels }) => labels.length > 0)
+    })));
+
+    consumers.forEach((matches, ruleIndex) => {
+        matches.forEach(match => {
+            const others = match.producers.filter(({ index }) => index !== ruleIndex);
+            const earlier = others.filter(({ index }) => index < ruleIndex);
+            const later = others.map(({ index }) => index).filter(index => index > ruleIndex);
+
+            if (earlier.length > 0) return;
+            if (others.length === 0 && match.producers.length > 0) {
+                report(ruleIndex, 'label-self-reference', 'warning', `${describeKey(match)} is self-referential - rule depends on a label it generates`);
+            } else if (later.length > 0) {
+                report(
+                    ruleIndex,
+                    'label-late-producer',
+                    'error',
+                    `${describeKey(match)} is only added by rules evaluated after this one: ${later.map(index => describeRule(sortedRules[index])).join(', ')}`,
+                    later
+                );
+            } else {
+                const unloadedGroups = sortedRules
+                    .map((_, index) => index)
+                    .filter(index => index < ruleIndex && mayAddLabel(sortedRules[index], match.key, match.scope, namespace));
+                if (unloadedGroups.length > 0) {
+                    report(
+                        ruleIndex,
+                        'label-unloaded-group',
+                        'info',
+                        `${describeKey(match)} may be added by ${unloadedGroups.map(index => describeRule(sortedRules[index])).join(', ')}, whose rule group is not loaded`,
+                        unloadedGroups
+                    );
+                } else {
+                    report(ruleIndex, 'label-undefined', 'error', `${describeKey(match)} is not defined in any rule`);
+                }
+            }
+        });
+    });
+
+    sortedRules.forEach((rule, ruleIndex) => {
+        (rule.RuleLabels || []).map(label => label?.Name).filter(Boolean).forEach(label => {
+            const matchingRules = consumers
+                .map((matches, index) => ({ index, matches }))
+                .filter(({ matches }) => matches.some(match => match.producers.some(producer => producer.index === ruleIndex && producer.labels.includes(label))));
+
+            if (matchingRules.length === 0) {
+                report(ruleIndex, 'label-orphan', 'info', `Label '${label}' is never matched by any rule`);
+                return;
+            }
+
+            const action = getAction(rule);
+            const downstream = matchingRules.map(({ index }) => index).filter(index => index > ruleIndex);
+            if (TERMINATING_ACTIONS.includes(action) && downstream.length > 0) {
+                report(
+                    ruleIndex,
+                    'label-terminating-producer',
+                    'warning',
+                    `Label '${label}' is added by this ${action} rule, which ends the evaluation, so ${downstream.map(index => describeRule(sortedRules[index])).join(', ')} never see it`,
+                    downstream
+                );
+            }
+        });
+    });
+
+    // Rule -> rules adding a label it matches
+    const dependencies = consumers.map((matches, ruleIndex) => [...new Set(matches
+        .flatMap(match => match.producers.map(({ index }) => index))
+        .filter(index => index !== ruleIndex))]);
+    findCycles(dependencies).forEach(cycle => {
+        const names = cycle.map(index => `'${sortedRules[index].Name}'`);
+        const members = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+        cycle.forEach(ruleIndex => {
+            report(
+                ruleIndex,
+                'label-cycle',
+                'error',
+                `Label dependency cycle: rules ${members} depend on each other's labels; the first of these rules to run cannot see the labels it depends on`,
+                cycle.filter(index => index !== ruleIndex)
+            );
+        });
+    });
+
+    return issues;
+};
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { getLabelMatches, lintLabels } from './labelLint';
+
+const NAMESPACE = 'awswaf:123456789012:webacl:main:';
+
+const geo = { GeoMatchStatement: { CountryCodes: ['US'] } };
+const labelMatch = (Key, Scope = 'LABEL') => ({ LabelMatchStatement: { Scope, Key } });
+
+const producer = (Name, Priority, label, action = 'Count') => ({ Name, Priority, Action: { [action]: {} }, RuleLabels: [{ Name: label }], Statement: geo });
+const consumer = (Name, Priority, Key, Scope) => ({ Name, Priority, Action: { Block: {} }, Statement: labelMatch(Key, Scope) });
+
+const summarize = (issues) => issues.map(({ type, severity, ruleIndex, related }) => ({ type, severity, ruleIndex, related }));
+
+describe('getLabelMatches', () => {
+    it('finds label matches in nested and scope-down statements', () => {
+        const statement = {
+            AndStatement: {
+                Statements: [
+                    labelMatch('a'),
+                    { NotStatement: { Statement: labelMatch('b', 'NAMESPACE') } },
+                    { RateBasedStatement: { Limit: 100, AggregateKeyType: 'IP', ScopeDownStatement: labelMatch('c') } }
+                ]
+            }
+        };
+        expect(getLabelMatches(statement)).toEqual([
+            { key: 'a', scope: 'LABEL' },
+            { key: 'b', scope: 'NAMESPACE' },
+            { key: 'c', scope: 'LABEL' }
+        ]);
+    });
+});
+
+describe('lintLabels', () => {
+    it('accepts a label added before the rule matching it', () => {
+        expect(lintLabels([producer('tag', 0, 'us'), consumer('block', 1, `${NAMESPACE}us`)], NAMESPACE)).toEqual([]);
+    });
+
+    it('reports a label matched before the only rule adding it', () => {
+        const issues = lintLabels([consumer('block', 0, 'us'), producer('tag', 1, 'us')], NAMESPACE);
+        expect(summarize(issues)).toEqual([{ type: 'label-late-producer', severity: 'error', ruleIndex: 0, related: [1] }]);
+        expect(issues[0].message).toContain("'tag' (priority 1)");
+    });
+
+    it('reports labels no rule matches', () => {
+        const issues = lintLabels([producer('tag', 0, 'us')], NAMESPACE);
+        expect(summarize(issues)).toEqual([{ type: 'label-orphan', severity: 'info', ruleIndex: 0, related: [] }]);
+        expect(issues[0].message).toBe("Label 'us' is never matched by any rule");
+    });
+
+    it('reports labels matched but never added', () => {
+        expect(summarize(lintLabels([consumer('block', 0, 'us')], NAMESPACE)))
+            .toEqual([{ type: 'label-undefined', severity: 'error', ruleIndex: 0, related: [] }]);
+    });
+
+    it('warns about labels added by rules that terminate the evaluation', () => {
+        const issues = lintLabels([producer('tag', 0, 'us', 'Block'), consumer('block', 1, NAMESPACE, 'NAMESPACE')], NAMESPACE);
+        expect(summarize(issues)).toEqual([{ type: 'label-terminating-producer', severity: 'warning', ruleIndex: 0, related: [1] }]);
+        expect(issues[0].message).toContain('Block rule, which ends the evaluation');
+    });
+
+    it('reports every rule of a dependency cycle', () => {
+        const rules = [
+            { ...consumer('a', 0, 'from-c'), RuleLabels: [{ Name: 'from-a' }] },
+            { ...consumer('b', 1, 'from-a'), RuleLabels: [{ Name: 'from-b' }] },
+            { ...consumer('c', 2, 'from-b'), RuleLabels: [{ Name: 'from-c' }] }
+        ];
+        const cycles = lintLabels(rules, NAMESPACE).filter(issue => issue.type === 'label-cycle');
+        expect(summarize(cycles)).toEqual([
+            { type: 'label-cycle', severity: 'error', ruleIndex: 0, related: [1, 2] },
+            { type: 'label-cycle', severity: 'error', ruleIndex: 1, related: [0, 2] },
+            { type: 'label-cycle', severity: 'error', ruleIndex: 2, related: [0, 1] }
+        ]);
+        expect(cycles[0].message).toContain("rules 'a', 'b' and 'c' depend on each other's labels");
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * The labels rules add, and which of them satisfy a LabelMatchStatement.
+ * A web ACL rule's RuleLabels use short names that AWS WAF qualifies as
+ * awswaf:<account>:webacl:<web ACL name>:<name>, so a key may use either form. Rule groups
+ * add labels qualified with their LabelNamespace, CAPTCHA and Challenge add the
+ * awswaf:managed:token: labels, and a GeoMatchStatement adds the country label of every
+ * request it inspects.
+ */
+import { getStatementType, labelMatchesKey } from './statements';
+import { getManagedGroupLabels } from './managedRuleGroups';
+import { getRuleGroupLabels } from './ruleGroups';
+
+export const TOKEN_LABELS = [
+    'awswaf:managed:token:accepted',
+    'awswaf:managed:token:absent',
+    'awswaf:managed:token:rejected'
+];
+
+const WEB_ACL_NAMESPACE_PATTERN = /^awswaf:[^:]+:webacl:[^:]+:/;
+
+const GEO_COUNTRY_KEY_PATTERN = /(?:^|:)geo:country:([A-Z]{2})$/;
+
+// Stands in for the namespace of a web ACL whose ARN is not loaded
+const UNKNOWN_WEB_ACL_NAMESPACE = 'awswaf:<account>:webacl:<web ACL>:';
+
+/**
+ * Returns the namespace AWS WAF qualifies the web ACL's rule labels with, from its ARN
+ * (arn:aws:wafv2:<region>:<account>:<scope>/webacl/<name>/<id>), or null when unknown.
+ */
+export const getWebAclLabelNamespace = (webAcl) => {
+    const match = /^arn:aws[\w-]*:wafv2:[^:]*:(\d+):[^/]+\/webacl\/([^/]+)\//.exec(webAcl?.ARN || '');
+    return match ? `awswaf:${match[1]}:webacl:${match[2]}:` : null;
+};
+
+/**
+ * Qualifies a label a web ACL rule adds. Without the web ACL's namespace the label is
+ * qualified like the key, so short and qualified names of the same label match.
+ * @param {String} label - A short RuleLabels name or a qualified label.
+ * @param {String} key - The LabelMatchStatement key it is compared with.
+ * @param {String} namespace - getWebAclLabelNamespace of the web ACL, if known.
+ */
+export const qualifyLabel = (label, key = '', namespace = null) => {
+    if (label.startsWith('awswaf:')) return label;
+    const prefix = namespace || WEB_ACL_NAMESPACE_PATTERN.exec(key)?.[0] || UNKNOWN_WEB_ACL_NAMESPACE;
+    return `${prefix}${label}`;
+};
+
+/**
+ * Returns true when a label a rule adds satisfies a LabelMatchStatement key.
+ */
+export const labelSatisfiesKey = (label, key, scope = 'LABEL', namespace = null) =>
+    Boolean(label && key) && labelMatchesKey(qualifyLabel(label, key, namespace), key, scope);
+
+// Label prefixes of the GeoMatchStatements in a statement tree
+const getGeoLabelPrefixes = (statement) => {
+    const type = getStatementType(statement);
+    const stmt = statement?.[type];
+    switch (type) {
+        case 'GeoMatchStatement':
+            return [stmt.ForwardedIPConfig ? 'awswaf:forwardedip:geo:country' : 'awswaf:clientip:geo:country'];
+        case 'AndStatement':
+        case 'OrStatement':
+            return (stmt.Statements || []).flatMap(getGeoLabelPrefixes);
+        case 'NotStatement':
+            return getGeoLabelPrefixes(stmt.Statement);
+        case 'RateBasedStatement':
+        case 'ManagedRuleGroupStatement':
+            return getGeoLabelPrefixes(stmt.ScopeDownStatement);
+        default:
+            return [];
+    }
+};
+
+/**
+ * Lists the labels a web ACL rule can add: its RuleLabels, the labels of the rule group it
+ * references and the token labels of CAPTCHA and Challenge.
+ */
+export const getRuleLabels = (rule) => [
+    ...(rule?.RuleLabels || []).map(label => label?.Name).filter(Boolean),
+    ...getManagedGroupLabels(rule?.ManagedRuleGroup),
+    ...getRuleGroupLabels(rule?.RuleGroup),
+    ...(rule?.Action?.CAPTCHA || rule?.Action?.Challenge ? TOKEN_LABELS : [])
+];
+
+/**
+ * Lists the labels a web ACL rule can add that satisfy a LabelMatchStatement key.
+ * @param {Object} rule - The rule JSON.
+ * @param {String} key - The LabelMatchStatement key.
+ * @param {String} scope - 'LABEL' or 'NAMESPACE'.
+ * @param {String} namespace - getWebAclLabelNamespace of the web ACL, if known.
+ * @returns {Array} - The matching labels; country labels stand for any country the key names.
+ */
+export const findAddedLabels = (rule, key, scope = 'LABEL', namespace = null) => {
+    const labels = getRuleLabels(rule).filter(label => labelSatisfiesKey(label, key, scope, namespace));
+
+    // A country label key names the country: [awswaf:clientip:]geo:country:<code>
+    const countryKey = scope === 'LABEL' ? GEO_COUNTRY_KEY_PATTERN.exec(key) : null;
+    const country = countryKey ? countryKey[1] : '*';
+    const geoLabels = (scope === 'NAMESPACE' || countryKey ? [...new Set(getGeoLabelPrefixes(rule?.Statement))] : [])
+        .map(prefix => `${prefix}:${country}`)
+        .filter(label => labelMatchesKey(label, key, scope));
+
+    return [...new Set([...labels, ...geoLabels])];
+};
+
+/**
+ * Whether a rule may add a label satisfying the key. Unlike findAddedLabels this assumes a
+ * referenced rule group whose description is not loaded may add any label.
+ */
+export const mayAddLabel = (rule, key, scope = 'LABEL', namespace = null) => {
+    if (findAddedLabels(rule, key, scope, namespace).length > 0) return true;
+    const statement = rule?.Statement;
+    return Boolean((statement?.ManagedRuleGroupStatement && !rule.ManagedRuleGroup) ||
+        (statement?.RuleGroupReferenceStatement && !rule.RuleGroup));
+};
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { findAddedLabels, getWebAclLabelNamespace, labelSatisfiesKey, mayAddLabel, qualifyLabel } from './labels';
+
+const NAMESPACE = 'awswaf:123456789012:webacl:main:';
+
+const geo = { GeoMatchStatement: { CountryCodes: ['US'] } };
+const tagging = (...names) => ({ Name: 'tag', Priority: 0, Action: { Count: {} }, RuleLabels: names.map(Name => ({ Name })), Statement: geo });
+
+describe('getWebAclLabelNamespace', () => {
+    it('builds the namespace from the web ACL ARN', () => {
+        expect(getWebAclLabelNamespace({ ARN: 'arn:aws:wafv2:us-east-1:123456789012:regional/webacl/main/abc' })).toBe(NAMESPACE);
+        expect(getWebAclLabelNamespace({ Name: 'main' })).toBeNull();
+    });
+});
+
+describe('qualifyLabel', () => {
+    it('qualifies a short RuleLabels name with the web ACL namespace', () => {
+        expect(qualifyLabel('admin', 'admin', NAMESPACE)).toBe(`${NAMESPACE}admin`);
+        expect(qualifyLabel('admin', `${NAMESPACE}admin`)).toBe(`${NAMESPACE}admin`);
+        expect(qualifyLabel('awswaf:managed:token:accepted', 'x', NAMESPACE)).toBe('awswaf:managed:token:accepted');
+    });
+
+    it('uses a placeholder namespace when it is unknown', () => {
+        expect(qualifyLabel('admin', 'admin')).toBe('awswaf:<account>:webacl:<web ACL>:admin');
+    });
+});
+
+describe('labelSatisfiesKey', () => {
+    it('matches short and qualified names of the same label', () => {
+        expect(labelSatisfiesKey('admin', `${NAMESPACE}admin`, 'LABEL', NAMESPACE)).toBe(true);
+        expect(labelSatisfiesKey('admin', 'admin', 'LABEL', NAMESPACE)).toBe(true);
+        expect(labelSatisfiesKey('admin', 'awswaf:999999999999:webacl:other:admin', 'LABEL', NAMESPACE)).toBe(false);
+    });
+
+    it('matches a whole namespace with NAMESPACE scope only', () => {
+        expect(labelSatisfiesKey('team:admin', `${NAMESPACE}team:`, 'NAMESPACE', NAMESPACE)).toBe(true);
+        expect(labelSatisfiesKey('team:admin', `${NAMESPACE}team:`, 'LABEL', NAMESPACE)).toBe(false);
+        expect(labelSatisfiesKey('teams:admin', `${NAMESPACE}team:`, 'NAMESPACE', NAMESPACE)).toBe(false);
+    });
+});
+
+describe('findAddedLabels', () => {
+    it('returns the RuleLabels satisfying the key', () => {
+        expect(findAddedLabels(tagging('admin', 'team:ops'), 'admin', 'LABEL', NAMESPACE)).toEqual(['admin']);
+        expect(findAddedLabels(tagging('admin', 'team:ops'), `${NAMESPACE}team:`, 'NAMESPACE', NAMESPACE)).toEqual(['team:ops']);
+    });
+
+    it('returns the labels of referenced rule groups', () => {
+        const rule = {
+            Name: 'bots',
+            Statement: { RuleGroupReferenceStatement: { ARN: 'arn' } },
+            RuleGroup: { LabelNamespace: 'awswaf:123456789012:rulegroup:bots:', Rules: [{ Name: 'crawler', RuleLabels: [{ Name: 'crawler' }] }] }
+        };
+        expect(findAddedLabels(rule, 'awswaf:123456789012:rulegroup:bots:crawler')).toEqual(['awswaf:123456789012:rulegroup:bots:crawler']);
+
+        const managed = {
+            Name: 'common',
+            Statement: { ManagedRuleGroupStatement: { VendorName: 'AWS', Name: 'AWSManagedRulesCommonRuleSet' } },
+            ManagedRuleGroup: { LabelNamespace: 'awswaf:managed:aws:core-rule-set:', AvailableLabels: [{ Name: 'awswaf:managed:aws:core-rule-set:NoUserAgent_Header' }] }
+        };
+        expect(findAddedLabels(managed, 'awswaf:managed:aws:core-rule-set:', 'NAMESPACE')).toEqual(['awswaf:managed:aws:core-rule-set:NoUserAgent_Header']);
+    });
+
+    it('returns the token labels of CAPTCHA and Challenge rules', () => {
+        const captcha = { Name: 'captcha', Action: { CAPTCHA: {} }, Statement: geo };
+        expect(findAddedLabels(captcha, 'awswaf:managed:token:accepted')).toEqual(['awswaf:managed:token:accepted']);
+        expect(findAddedLabels(captcha, 'awswaf:managed:token:', 'NAMESPACE')).toHaveLength(3);
+    });
+
+    it('returns the country labels of GeoMatchStatements', () => {
+        expect(findAddedLabels(tagging(), 'awswaf:clientip:geo:country:US')).toEqual(['awswaf:clientip:geo:country:US']);
+        expect(findAddedLabels(tagging(), 'awswaf:clientip:geo:', 'NAMESPACE')).toEqual(['awswaf:clientip:geo:country:*']);
+        expect(findAddedLabels(tagging(), 'awswaf:forwardedip:geo:country:US')).toEqual([]);
+    });
+});
+
+describe('mayAddLabel', () => {
+    it('assumes a rule group that is not loaded may add any label', () => {
+        const rule = { Name: 'bots', Statement: { RuleGroupReferenceStatement: { ARN: 'arn' } } };
+        expect(mayAddLabel(rule, 'anything')).toBe(true);
+        expect(mayAddLabel(tagging('admin'), 'other', 'LABEL', NAMESPACE)).toBe(false);
+    });
+});
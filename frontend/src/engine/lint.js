@@ -0,0 +1,297 @@
+/**
+ * Pluggable web ACL lint.
+ * Every check has a stable id, a default severity and a link to the AWS documentation of
+ * what it checks. A check receives the loaded web ACL and reports issues on a rule
+ * (ruleIndex into the rules sorted by priority) or on the web ACL itself (ruleIndex null).
+ * The lint config disables checks for the workspace and suppresses checks on single rules:
+ *   { disabled: [checkId], suppressions: { [rule name]: [checkId] } }
+ * Suppressed issues are still returned, flagged as suppressed, so they can be listed and
+ * restored.
+ */
+import { estimateWebAclCapacity, getCapacityWarnings } from './capacity';
+import { findShadowedRules } from './shadowing';
+import { getWebAclLabelNamespace } from './labels';
+import { lintLabels } from './labelLint';
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+export const DEFAULT_LINT_CONFIG = { disabled: [], suppressions: {} };
+
+const AWS_WAF_API = 'https://docs.aws.amazon.com/waf/latest/APIReference';
+const AWS_WAF_GUIDE = 'https://docs.aws.amazon.com/waf/latest/developerguide';
+
+const describeRule = (rule) => `'${rule.Name}' (priority ${rule.Priority})`;
+
+const isGroupReference = (rule) => Boolean(rule.Statement?.ManagedRuleGroupStatement || rule.Statement?.RuleGroupReferenceStatement);
+
+// Runs a check on every rule; checkRule returns the issue messages of the rule
+const eachRule = (checkRule) => (context) => context.rules.flatMap((rule, ruleIndex) =>
+    [].concat(checkRule(rule, context) || []).map(message => ({ ruleIndex, message })));
+
+// Reports the label lint issues (engine/labelLint.js) of one type
+const labelCheck = (type) => (context) => context.getLabelIssues()
+    .filter(issue => issue.type === type)
+    .map(({ ruleIndex, message, related }) => ({ ruleIndex, message, related }));
+
+/**
+ * The registered checks: [{ id, severity, description, docsUrl, check }] where check(context)
+ * returns [{ ruleIndex, message, related }] and context is { webAcl, rules, namespace,
+ * customResponseBodies, getLabelIssues }.
+ */
+export const LINT_RULES = [
+    {
+        id: 'missing-required-field',
+        severity: 'error',
+        description: 'Rules need a Name, Priority and Statement, an Action, or an OverrideAction when they reference a rule group',
+        docsUrl: `${AWS_WAF_API}/API_Rule.html`,
+        check: eachRule(rule => [
+            ...['Name', 'Priority', 'Statement'].filter(key => rule[key] === undefined),
+            ...(isGroupReference(rule) ? (rule.OverrideAction ? [] : ['OverrideAction']) : (rule.Action ? [] : ['Action']))
+        ].map(key => `Missing required field: ${key}`))
+    },
+    {
+        id: 'duplicate-priority',
+        severity: 'error',
+        description: 'Priorities must be unique within a web ACL',
+        docsUrl: `${AWS_WAF_API}/API_Rule.html`,
+        check: (context) => context.rules.flatMap((rule, ruleIndex) => {
+            const related = context.rules
+                .map((_, index) => index)
+                .filter(index => index !== ruleIndex && context.rules[index].Priority === rule.Priority);
+            return related.length > 0
+                ? [{ ruleIndex, message: `Priority ${rule.Priority} is also used by ${related.map(index => `'${context.rules[index].Name}'`).join(', ')}`, related }]
+                : [];
+        })
+    },
+    {
+        id: 'custom-response-body-missing',
+        severity: 'error',
+        description: 'A custom response must reference a body defined in the web ACL\'s CustomResponseBodies',
+        docsUrl: `${AWS_WAF_API}/API_CustomResponse.html`,
+        check: (context) => {
+            // Unknown when only the rules were loaded
+            if (!context.customResponseBodies) return [];
+            const missing = (action) => {
+                const bodyKey = action?.Block?.CustomResponse?.CustomResponseBodyKey;
+                return bodyKey && !context.customResponseBodies[bodyKey]
+                    ? `Custom response body key '${bodyKey}' is not defined in the web ACL's CustomResponseBodies`
+                    : null;
+            };
+            const defaultAction = missing(context.webAcl.DefaultAction);
+            return [
+                ...eachRule(rule => missing(rule.Action))(context),
+                ...(defaultAction ? [{ ruleIndex: null, message: `Default action: ${defaultAction}` }] : [])
+            ];
+        }
+    },
+    {
+        id: 'visibility-config-missing',
+        severity: 'warning',
+        description: 'Rules need a VisibilityConfig with a MetricName for CloudWatch metrics and sampled requests',
+        docsUrl: `${AWS_WAF_API}/API_VisibilityConfig.html`,
+        check: eachRule(rule => {
+            if (!rule.VisibilityConfig) return 'Missing VisibilityConfig';
+            return rule.VisibilityConfig.MetricName ? null : 'VisibilityConfig has no MetricName';
+        })
+    },
+    {
+        id: 'metric-name-mismatch',
+        severity: 'info',
+        description: 'A MetricName that differs from the rule name makes the rule hard to find in CloudWatch',
+        docsUrl: `${AWS_WAF_API}/API_VisibilityConfig.html`,
+        check: eachRule(rule => {
+            const metricName = rule.VisibilityConfig?.MetricName;
+            return metricName && rule.Name && metricName !== rule.Name
+                ? `Name and MetricName do not match: MetricName is '${metricName}'`
+                : null;
+        })
+    },
+    {
+        id: 'sampled-requests-disabled',
+        severity: 'info',
+        description: 'Without sampled requests the console cannot show which requests a rule matched',
+        docsUrl: `${AWS_WAF_API}/API_VisibilityConfig.html`,
+        check: eachRule(rule => (rule.VisibilityConfig?.SampledRequestsEnabled === false ? 'Sampled requests are disabled' : null))
+    },
+    {
+        id: 'cloudwatch-metrics-disabled',
+        severity: 'info',
+        description: 'Without CloudWatch metrics the rule\'s matches are not counted',
+        docsUrl: `${AWS_WAF_API}/API_VisibilityConfig.html`,
+        check: eachRule(rule => (rule.VisibilityConfig?.CloudWatchMetricsEnabled === false ? 'CloudWatch metrics are disabled' : null))
+    },
+    {
+        id: 'count-only-rule',
+        severity: 'warning',
+        description: 'A Count rule that adds no label or header only counts requests; rules left counting after testing do not protect anything',
+        docsUrl: `${AWS_WAF_API}/API_CountAction.html`,
+        check: eachRule(rule => {
+            if (rule.OverrideAction?.Count) {
+                return 'Rule group actions are overridden to Count, so the group only counts requests';
+            }
+            if (!rule.Action?.Count) return null;
+            const adds = (rule.RuleLabels || []).length > 0 ||
+                (rule.Action.Count.CustomRequestHandling?.InsertHeaders || []).length > 0;
+            return adds ? null : 'Count rule adds no label or header, so it only counts requests';
+        })
+    },
+    {
+        id: 'shadowed-rule',
+        severity: 'warning',
+        description: 'A higher-priority Allow or Block rule matches every request the rule matches, so it is never evaluated',
+        docsUrl: `${AWS_WAF_GUIDE}/web-acl-processing-order.html`,
+        check: (context) => findShadowedRules(context.rules).map(({ rule, shadowedBy, action, reason }) => ({
+            ruleIndex: context.rules.indexOf(rule),
+            message: `Unreachable: ${action} rule ${describeRule(shadowedBy)} matches every request this rule matches - ${reason}`,
+            related: [context.rules.indexOf(shadowedBy)]
+        }))
+    },
+    {
+        id: 'label-undefined',
+        severity: 'error',
+        description: 'A label match whose label no rule adds never matches',
+        docsUrl: `${AWS_WAF_API}/API_LabelMatchStatement.html`,
+        check: labelCheck('label-undefined')
+    },
+    {
+        id: 'label-late-producer',
+        severity: 'error',
+        description: 'A label match only sees labels added by rules evaluated before it',
+        docsUrl: `${AWS_WAF_GUIDE}/waf-labels.html`,
+        check: labelCheck('label-late-producer')
+    },
+    {
+        id: 'label-cycle',
+        severity: 'error',
+        description: 'Rules that match each other\'s labels cannot all see the labels they depend on',
+        docsUrl: `${AWS_WAF_GUIDE}/waf-labels.html`,
+        check: labelCheck('label-cycle')
+    },
+    {
+        id: 'label-self-reference',
+        severity: 'warning',
+        description: 'A rule cannot match a label it adds itself',
+        docsUrl: `${AWS_WAF_GUIDE}/waf-labels.html`,
+        check: labelCheck('label-self-reference')
+    },
+    {
+        id: 'label-terminating-producer',
+        severity: 'warning',
+        description: 'Labels added by an Allow or Block rule are never seen by later rules',
+        docsUrl: `${AWS_WAF_GUIDE}/waf-labels.html`,
+        check: labelCheck('label-terminating-producer')
+    },
+    {
+        id: 'label-unloaded-group',
+        severity: 'info',
+        description: 'A label match may depend on a rule group whose description is not loaded',
+        docsUrl: `${AWS_WAF_GUIDE}/waf-labels.html`,
+        check: labelCheck('label-unloaded-group')
+    },
+    {
+        id: 'label-orphan',
+        severity: 'info',
+        description: 'A label no rule matches',
+        docsUrl: `${AWS_WAF_GUIDE}/waf-labels.html`,
+        check: labelCheck('label-orphan')
+    },
+    {
+        id: 'capacity-above-max',
+        severity: 'error',
+        description: 'AWS WAF rejects web ACLs above 5,000 WCUs',
+        docsUrl: `${AWS_WAF_GUIDE}/aws-waf-capacity-units.html`,
+        check: (context) => getCapacityWarnings(estimateWebAclCapacity(context.webAcl))
+            .filter(({ limit }) => limit === 'max')
+            .map(({ message }) => ({ ruleIndex: null, message }))
+    },
+    {
+        id: 'capacity-above-base',
+        severity: 'warning',
+        description: 'WCUs above the 1,500 included in the base price are charged extra',
+        docsUrl: `${AWS_WAF_GUIDE}/aws-waf-capacity-units.html`,
+        check: (context) => getCapacityWarnings(estimateWebAclCapacity(context.webAcl))
+            .filter(({ limit }) => limit === 'base')
+            .map(({ message }) => ({ ruleIndex: null, message }))
+    }
+];
+
+export const getLintRule = (id) => LINT_RULES.find(lintRule => lintRule.id === id);
+
+export const isCheckEnabled = (config, id) => !(config?.disabled || []).includes(id);
+
+export const isSuppressed = (config, ruleName, id) => (config?.suppressions?.[ruleName] || []).includes(id);
+
+/**
+ * Returns the config with a check enabled or disabled for the workspace.
+ */
+export const setCheckEnabled = (config, id, enabled) => {
+    const disabled = (config?.disabled || []).filter(disabledId => disabledId !== id);
+    return { ...DEFAULT_LINT_CONFIG, ...config, disabled: enabled ? disabled : [...disabled, id] };
+};
+
+/**
+ * Returns the config with a check suppressed, or no longer suppressed, on a rule.
+ */
+export const setSuppressed = (config, ruleName, id, suppressed) => {
+    const suppressions = { ...(config?.suppressions || {}) };
+    const ids = (suppressions[ruleName] || []).filter(suppressedId => suppressedId !== id);
+    if (suppressed) {
+        suppressions[ruleName] = [...ids, id];
+    } else if (ids.length > 0) {
+        suppressions[ruleName] = ids;
+    } else {
+        delete suppressions[ruleName];
+    }
+    return { ...DEFAULT_LINT_CONFIG, ...config, suppressions };
+};
+
+/**
+ * Groups lint issues by severity, in LINT_SEVERITIES order.
+ * @returns {Object} - { [severity]: issues }, with an empty list for severities without issues.
+ */
+export const groupLintIssues = (issues) => Object.fromEntries(LINT_SEVERITIES.map(severity => [
+    severity,
+    issues.filter(issue => issue.severity === severity)
+]));
+
+/**
+ * Lints a web ACL.
+ * @param {Object|Array} webAcl - The loaded Web ACL (see engine/webAcl.js) or its rules.
+ * @param {Object} config - The lint config; every check is enabled by default.
+ * @returns {Array} - [{ id, severity, docsUrl, ruleIndex, ruleName, message, related, suppressed }]
+ *   where ruleIndex is null for web ACL-level issues and related lists the indexes of the
+ *   other rules involved, both into the rules sorted by priority.
+ */
+export const runLint = (webAcl, config = DEFAULT_LINT_CONFIG) => {
+    const acl = Array.isArray(webAcl) ? { Rules: webAcl, rulesOnly: true } : webAcl || { Rules: [], rulesOnly: true };
+    const rules = [...(acl.Rules || [])].sort((a, b) => a.Priority - b.Priority);
+    const namespace = getWebAclLabelNamespace(acl);
+    let labelIssues = null;
+    const context = {
+        webAcl: acl,
+        rules,
+        namespace,
+        customResponseBodies: acl.rulesOnly ? null : acl.CustomResponseBodies || {},
+        // Shared by the label checks
+        getLabelIssues: () => {
+            if (!labelIssues) labelIssues = lintLabels(rules, namespace);
+            return labelIssues;
+        }
+    };
+
+    return LINT_RULES
+        .filter(lintRule => isCheckEnabled(config, lintRule.id))
+        .flatMap(({ id, severity, docsUrl, check }) => check(context).map(({ ruleIndex, message, related = [] }) => {
+            const ruleName = ruleIndex === null ? null : rules[ruleIndex].Name;
+            return {
+                id,
+                severity,
+                docsUrl,
+                ruleIndex,
+                ruleName,
+                message,
+                related,
+                suppressed: ruleName !== null && isSuppressed(config, ruleName, id)
+            };
+        }));
+};
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_LINT_CONFIG,
+    LINT_SEVERITIES,
+    groupLintIssues,
+    isCheckEnabled,
+    isSuppressed,
+    runLint,
+    setCheckEnabled,
+    setSuppressed
+} from './lint';
+
+const geo = { GeoMatchStatement: { CountryCodes: ['US'] } };
+
+// Two rules sharing a priority, one of them without an Action
+const rules = [
+    { Name: 'first', Priority: 1, Action: { Block: {} }, Statement: geo, VisibilityConfig: {} },
+    { Name: 'second', Priority: 1, Statement: geo, VisibilityConfig: {} }
+];
+
+const issuesOf = (issues, id) => issues.filter(issue => issue.id === id);
+
+describe('lint config', () => {
+    it('enables and disables checks for the workspace', () => {
+        const disabled = setCheckEnabled(DEFAULT_LINT_CONFIG, 'duplicate-priority', false);
+        expect(isCheckEnabled(disabled, 'duplicate-priority')).toBe(false);
+        expect(isCheckEnabled(disabled, 'missing-required-field')).toBe(true);
+        expect(setCheckEnabled(disabled, 'duplicate-priority', true).disabled).toEqual([]);
+    });
+
+    it('suppresses checks on single rules', () => {
+        const config = setSuppressed(setSuppressed(DEFAULT_LINT_CONFIG, 'second', 'duplicate-priority', true), 'second', 'missing-required-field', true);
+        expect(config.suppressions).toEqual({ second: ['duplicate-priority', 'missing-required-field'] });
+        expect(isSuppressed(config, 'second', 'duplicate-priority')).toBe(true);
+        expect(isSuppressed(config, 'first', 'duplicate-priority')).toBe(false);
+
+        const restored = setSuppressed(setSuppressed(config, 'second', 'duplicate-priority', false), 'second', 'missing-required-field', false);
+        expect(restored.suppressions).toEqual({});
+        expect(DEFAULT_LINT_CONFIG.suppressions).toEqual({});
+    });
+});
+
+describe('runLint', () => {
+    it('reports issues on the rules sorted by priority', () => {
+        const issues = runLint(rules);
+        expect(issuesOf(issues, 'missing-required-field')).toMatchObject([
+            { severity: 'error', ruleIndex: 1, ruleName: 'second', message: 'Missing required field: Action', suppressed: false }
+        ]);
+        expect(issuesOf(issues, 'duplicate-priority').map(issue => [issue.ruleName, issue.related])).toEqual([['first', [1]], ['second', [0]]]);
+    });
+
+    it('skips disabled checks', () => {
+        const issues = runLint(rules, setCheckEnabled(DEFAULT_LINT_CONFIG, 'duplicate-priority', false));
+        expect(issuesOf(issues, 'duplicate-priority')).toEqual([]);
+        expect(issuesOf(issues, 'missing-required-field')).toHaveLength(1);
+    });
+
+    it('flags suppressed issues on the suppressed rule only', () => {
+        const issues = runLint(rules, setSuppressed(DEFAULT_LINT_CONFIG, 'second', 'duplicate-priority', true));
+        expect(issuesOf(issues, 'duplicate-priority').map(issue => [issue.ruleName, issue.suppressed])).toEqual([['first', false], ['second', true]]);
+        expect(issuesOf(issues, 'missing-required-field')[0].suppressed).toBe(false);
+    });
+});
+
+describe('groupLintIssues', () => {
+    it('groups the issues by severity in severity order', () => {
+        const issues = [
+            { id: 'a', severity: 'info' },
+            { id: 'b', severity: 'error' },
+            { id: 'c', severity: 'warning' },
+            { id: 'd', severity: 'error' }
+        ];
+        const grouped = groupLintIssues(issues);
+        expect(Object.keys(grouped)).toEqual(LINT_SEVERITIES);
+        expect(grouped.error.map(issue => issue.id)).toEqual(['b', 'd']);
+        expect(grouped.warning.map(issue => issue.id)).toEqual(['c']);
+        expect(grouped.info.map(issue => issue.id)).toEqual(['a']);
+        expect(groupLintIssues([])).toEqual({ error: [], warning: [], info: [] });
+    });
+
+    it('groups the issues runLint reports', () => {
+        const grouped = groupLintIssues(runLint(rules));
+        expect(grouped.error.map(issue => issue.id)).toEqual(expect.arrayContaining(['missing-required-field', 'duplicate-priority']));
+        expect([...grouped.error, ...grouped.warning, ...grouped.info].every(issue => LINT_SEVERITIES.includes(issue.severity))).toBe(true);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Managed rule groups as described by DescribeManagedRuleGroup.
+ * The backend attaches the description to the referencing rule as rule.ManagedRuleGroup:
+ * { VendorName, Name, VersionName, Capacity, LabelNamespace, Rules, AvailableLabels, ConsumedLabels }.
+ * AWS does not publish the statements of managed rules, so the simulator knows which rules
+ * a group contains and which labels they add, but not what they match; the debugger lets the
+ * user pick the managed rules that should be treated as matching.
+ */
+import { applyRuleActionOverrides, describeOverride, getManagedRuleGroupConfigs, qualifyGroupLabel } from './ruleGroups';
+
+/**
+ * Returns the fully qualified labels the group can add (awswaf:managed:...).
+ */
+export const getManagedGroupLabels = (group) => {
+    if (!group) return [];
+    return (group.AvailableLabels || [])
+        .map(label => qualifyGroupLabel(group.LabelNamespace, label?.Name))
+        .filter(Boolean);
+};
+
+/**
+ * Lists the rules of a managed group with their action and the label each adds.
+ * AWS managed rules label matching requests with <LabelNamespace><rule name>, although the
+ * label's case may differ from the rule name (NoUserAgent_HEADER adds ...:NoUserAgent_Header),
+ * so the label is taken from AvailableLabels when the group lists any.
+ * @returns {Array} - [{ name, action, label }]
+ */
+export const describeManagedRules = (group) => {
+    if (!group) return [];
+    const availableLabels = new Map(getManagedGroupLabels(group).map(label => [label.toLowerCase(), label]));
+
+    return (group.Rules || []).map(rule => {
+        const label = qualifyGroupLabel(group.LabelNamespace, rule.Name);
+        return {
+            name: rule.Name,
+            action: rule.Action ? Object.keys(rule.Action)[0] : 'Unknown',
+            label: availableLabels.size === 0 ? label || null : availableLabels.get(label?.toLowerCase()) || null
+        };
+    });
+};
+
+/**
+ * Lists the managed rules of a web ACL rule with the effective action after the
+ * statement's RuleActionOverrides and ExcludedRules.
+ * @returns {Array} - [{ name, action, originalAction, overridden, excluded, label }]
+ */
+export const getManagedRules = (rule) => {
+    return applyRuleActionOverrides(
+        describeManagedRules(rule?.ManagedRuleGroup),
+        rule?.Statement?.ManagedRuleGroupStatement
+    );
+};
+
+/**
+ * Evaluates a described managed group from the rules the user marked as matching.
+ * Every matching rule adds its label; the group matches when a matching rule's effective
+ * action is not Count, since Count rules (including overridden ones) only label the request.
+ * @param {Object} rule - The web ACL rule holding the ManagedRuleGroupStatement.
+ * @param {Object} context - Evaluation context; managedRuleMatches maps the web ACL rule
+ *   name to the names of the managed rules to treat as matching. Labels are added to
+ *   context.emittedLabels.
+ * @returns {Object} - { matched, details }
+ */
+export const evaluateManagedRuleGroup = (rule, context = {}) => {
+    const statement = rule.Statement.ManagedRuleGroupStatement;
+    const group = rule.ManagedRuleGroup;
+    const selected = new Set(context.managedRuleMatches?.[rule.Name] || []);
+
+    const rules = getManagedRules(rule).map(managedRule => ({
+        ...managedRule,
+        matched: selected.has(managedRule.name)
+    }));
+    const matchingRules = rules.filter(managedRule => managedRule.matched);
+    const terminatingRule = matchingRules.find(managedRule => managedRule.action !== 'Count');
+
+    matchingRules.forEach(managedRule => {
+        if (managedRule.label) context.emittedLabels?.add(managedRule.label);
+    });
+
+    const overrides = matchingRules.filter(managedRule => managedRule.overridden).map(describeOverride);
+
+    let note;
+    if (matchingRules.length === 0) {
+        note = 'Managed rule statements are not published; mark the managed rules that should match to simulate them';
+    } else if (!terminatingRule) {
+        note = `Only Count rules matched (${matchingRules.map(managedRule => managedRule.name).join(', ')}); their labels were added`;
+    }
+    if (overrides.length > 0) {
+        note = [note, ...overrides].filter(Boolean).join('; ');
+    }
+
+    return {
+        matched: Boolean(terminatingRule),
+        details: {
+            type: 'ManagedRuleGroup',
+            vendorName: statement.VendorName,
+            name: statement.Name,
+            versionName: group.VersionName || statement.Version,
+            rules,
+            matchedRules: matchingRules.map(managedRule => managedRule.name),
+            terminatingRule: terminatingRule?.name,
+            terminatingAction: terminatingRule?.action,
+            overrides,
+            configs: getManagedRuleGroupConfigs(statement),
+            labels: matchingRules.map(managedRule => managedRule.label).filter(Boolean),
+            overrideAction: rule.OverrideAction ? Object.keys(rule.OverrideAction)[0] : undefined,
+            note
+        }
+    };
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { describeManagedRules, evaluateManagedRuleGroup, getManagedGroupLabels, getManagedRules } from './managedRuleGroups';
+import { evaluateWebAcl } from './evaluator';
+import { normalizeRequest } from './request';
+import { evaluateStatement } from './statements';
+
+const group = {
+    VendorName: 'AWS',
+    Name: 'AWSManagedRulesCommonRuleSet',
+    LabelNamespace: 'awswaf:managed:aws:core-rule-set:',
+    Rules: [
+        { Name: 'NoUserAgent_HEADER', Action: { Block: {} } },
+        { Name: 'SizeRestrictions_BODY', Action: { Block: {} } },
+        { Name: 'EC2MetaDataSSRF_QUERYARGUMENTS', Action: { Count: {} } }
+    ],
+    AvailableLabels: [
+        { Name: 'awswaf:managed:aws:core-rule-set:NoUserAgent_Header' },
+        { Name: 'awswaf:managed:aws:core-rule-set:SizeRestrictions_Body' }
+    ]
+};
+
+const managedRule = (statement = {}, ManagedRuleGroup = group) => ({
+    Name: 'common',
+    Priority: 0,
+    OverrideAction: { None: {} },
+    Statement: { ManagedRuleGroupStatement: { VendorName: 'AWS', Name: 'AWSManagedRulesCommonRuleSet', ...statement } },
+    ManagedRuleGroup
+});
+
+const evaluate = (rule, matches) => evaluateManagedRuleGroup(rule, { managedRuleMatches: { common: matches }, emittedLabels: new Set() });
+
+describe('managed rule group descriptions', () => {
+    it('lists the labels and rules of a group', () => {
+        expect(getManagedGroupLabels(group)).toEqual([
+            'awswaf:managed:aws:core-rule-set:NoUserAgent_Header',
+            'awswaf:managed:aws:core-rule-set:SizeRestrictions_Body'
+        ]);
+        expect(describeManagedRules(group)).toEqual([
+            { name: 'NoUserAgent_HEADER', action: 'Block', label: 'awswaf:managed:aws:core-rule-set:NoUserAgent_Header' },
+            { name: 'SizeRestrictions_BODY', action: 'Block', label: 'awswaf:managed:aws:core-rule-set:SizeRestrictions_Body' },
+            { name: 'EC2MetaDataSSRF_QUERYARGUMENTS', action: 'Count', label: null }
+        ]);
+    });
+
+    it('derives the labels from the rule names when the group lists none', () => {
+        expect(describeManagedRules({ ...group, AvailableLabels: [] })[0].label).toBe('awswaf:managed:aws:core-rule-set:NoUserAgent_HEADER');
+    });
+
+    it('applies the reference overrides to the rules', () => {
+        const rules = getManagedRules(managedRule({
+            RuleActionOverrides: [{ Name: 'SizeRestrictions_BODY', ActionToUse: { Count: {} } }],
+            ExcludedRules: [{ Name: 'NoUserAgent_HEADER' }]
+        }));
+        expect(rules.map(({ name, action, overridden, excluded }) => [name, action, overridden, excluded])).toEqual([
+            ['NoUserAgent_HEADER', 'Count', true, true],
+            ['SizeRestrictions_BODY', 'Count', true, false],
+            ['EC2MetaDataSSRF_QUERYARGUMENTS', 'Count', false, false]
+        ]);
+    });
+});
+
+describe('evaluateManagedRuleGroup', () => {
+    it('expands the group into the rules marked as matching and adds their labels', () => {
+        const context = { managedRuleMatches: { common: ['NoUserAgent_HEADER'] }, emittedLabels: new Set() };
+        const result = evaluateManagedRuleGroup(managedRule(), context);
+        expect(result).toMatchObject({ matched: true, details: { matchedRules: ['NoUserAgent_HEADER'], terminatingAction: 'Block' } });
+        expect(result.details.rules.map(rule => [rule.name, rule.matched])).toEqual([
+            ['NoUserAgent_HEADER', true],
+            ['SizeRestrictions_BODY', false],
+            ['EC2MetaDataSSRF_QUERYARGUMENTS', false]
+        ]);
+        expect([...context.emittedLabels]).toEqual(['awswaf:managed:aws:core-rule-set:NoUserAgent_Header']);
+    });
+
+    it('only labels the request when the matching rules count', () => {
+        const rule = managedRule({ RuleActionOverrides: [{ Name: 'NoUserAgent_HEADER', ActionToUse: { Count: {} } }] });
+        const result = evaluate(rule, ['NoUserAgent_HEADER']);
+        expect(result.matched).toBe(false);
+        expect(result.details.labels).toEqual(['awswaf:managed:aws:core-rule-set:NoUserAgent_Header']);
+        expect(result.details.overrides).toEqual(['NoUserAgent_HEADER would have blocked but was overridden to Count']);
+    });
+
+    it('does not match when no rule is marked as matching', () => {
+        expect(evaluate(managedRule(), []).matched).toBe(false);
+    });
+
+    it('passes the managed labels to later rules of the web ACL', () => {
+        const consumer = {
+            Name: 'no-user-agent',
+            Priority: 1,
+            Action: { Block: {} },
+            Statement: { LabelMatchStatement: { Scope: 'LABEL', Key: 'awswaf:managed:aws:core-rule-set:NoUserAgent_Header' } }
+        };
+        const rule = managedRule({ RuleActionOverrides: [{ Name: 'NoUserAgent_HEADER', ActionToUse: { Count: {} } }] });
+        const evaluation = evaluateWebAcl([rule, consumer], normalizeRequest({}), { managedRuleMatches: { common: ['NoUserAgent_HEADER'] } });
+        expect(evaluation.verdict).toMatchObject({ action: 'Block', ruleName: 'no-user-agent' });
+    });
+});
+
+describe('managed rule groups without a description', () => {
+    it('assumes the statement matches when evaluated on its own', () => {
+        const result = evaluateStatement(managedRule().Statement, normalizeRequest({}), { labels: new Set(), emittedLabels: new Set() });
+        expect(result).toMatchObject({ matched: true, details: { type: 'ManagedRuleGroup', name: 'AWSManagedRulesCommonRuleSet' } });
+    });
+
+    it('approximates the SQLi and XSS groups from the query arguments', () => {
+        const sqli = { ...managedRule({ Name: 'AWSManagedRulesSQLiRuleSet' }, null), Name: 'sqli' };
+        expect(evaluateWebAcl([sqli], normalizeRequest({ path: '/search', queryParams: 'q=DROP%20TABLE%20users' })).verdict)
+            .toMatchObject({ action: 'Block', ruleName: 'sqli' });
+        expect(evaluateWebAcl([sqli], normalizeRequest({ path: '/search' })).verdict.source).toBe('DefaultAction');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Rule ordering analysis.
+ * AWS WAF evaluates rules by ascending Priority, which must be unique within a web ACL, and
+ * a LabelMatchStatement only sees the labels of rules evaluated before it. The analyzer
+ * reports duplicate priorities, label consumers placed before every rule adding their label
+ * and priorities without room to insert a rule, and proposes a re-prioritization: the
+ * current order with each consumer moved after a producer of its labels, keeping as many
+ * of the existing Priority values as possible.
+ */
+import { findAddedLabels } from './labels';
+import { getLabelMatches } from './labelLint';
+
+const describeRule = (rule) => `'${rule.Name}' (priority ${rule.Priority})`;
+
+// Producer -> consumer constraints: every label a rule matches must be added by a rule before
+// it. The first producer must stay, or move, in front of the consumer; satisfied constraints
+// are kept so that reordering does not break them.
+const getLabelConstraints = (sortedRules, namespace) => sortedRules.flatMap((rule, consumer) =>
+    getLabelMatches(rule.Statement).flatMap(({ key, scope }) => {
+        const producer = sortedRules.findIndex((candidate, index) =>
+            index !== consumer && findAddedLabels(candidate, key, scope, namespace).length > 0);
+        return producer < 0 ? [] : [{ producer, consumer, key, satisfied: producer < consumer }];
+    }));
+
+// Stable topological order: among the rules whose producers are placed, the one first in the
+// current order goes next. Rules in a dependency cycle keep their current order.
+const orderByConstraints = (count, constraints) => {
+    const pending = new Map([...Array(count).keys()].map(index => [index, new Set()]));
+    constraints.forEach(({ producer, consumer }) => pending.get(consumer).add(producer));
+
+    const order = [];
+    while (pending.size > 0) {
+        const ready = [...pending.keys()].find(index => [...pending.get(index)].every(producer => !pending.has(producer)));
+        const next = ready ?? Math.min(...pending.keys());
+        order.push(next);
+        pending.delete(next);
+    }
+    return order;
+};
+
+/**
+ * Analyzes the order of a web ACL's rules.
+ * @param {Array} rules - The web ACL rules.
+ * @param {String} namespace - getWebAclLabelNamespace of the web ACL, if known.
+ * @returns {Object} - { issues: [{ severity, type, message }], proposal: { rules, changes } }
+ *   where proposal.rules are the rules with their new Priority in the proposed order and
+ *   changes lists [{ name, from, to }] for the rules whose Priority changes.
+ */
+export const analyzeOrdering = (rules, namespace = null) => {
+    const sortedRules = [...(rules || [])].sort((a, b) => a.Priority - b.Priority);
+    const issues = [];
+
+    const byPriority = new Map();
+    sortedRules.forEach(rule => byPriority.set(rule.Priority, [...(byPriority.get(rule.Priority) || []), rule]));
+    byPriority.forEach((sharing, priority) => {
+        if (sharing.length > 1) {
+            issues.push({
+                severity: 'error',
+                type: 'duplicate-priority',
+                message: `Priority ${priority} is used by ${sharing.map(rule => `'${rule.Name}'`).join(', ')}; AWS WAF requires unique priorities`
+            });
+        }
+    });
+
+    const constraints = getLabelConstraints(sortedRules, namespace);
+    constraints.filter(({ satisfied }) => !satisfied).forEach(({ producer, consumer, key }) => {
+        issues.push({
+            severity: 'error',
+            type: 'consumer-before-producer',
+            message: `${describeRule(sortedRules[consumer])} matches label '${key}', which is first added by ${describeRule(sortedRules[producer])}`
+        });
+    });
+
+    const order = orderByConstraints(sortedRules.length, constraints);
+    const placed = new Set();
+    order.forEach(index => {
+        const unmet = constraints.filter(({ consumer, producer }) => consumer === index && !placed.has(producer));
+        unmet.forEach(({ producer, key }) => {
+            issues.push({
+                severity: 'warning',
+                type: 'dependency-cycle',
+                message: `Reordering cannot place ${describeRule(sortedRules[producer])} before ${describeRule(sortedRules[index])} for label '${key}': the rules depend on each other's labels`
+            });
+        });
+        placed.add(index);
+    });
+
+    const packed = sortedRules.slice(1)
+        .map((rule, i) => [sortedRules[i], rule])
+        .filter(([previous, rule]) => rule.Priority === previous.Priority + 1);
+    if (packed.length > 0) {
+        issues.push({
+            severity: 'info',
+            type: 'no-priority-gap',
+            message: `No free priority between ${packed.map(([previous, rule]) => `'${previous.Name}' and '${rule.Name}'`).join(', ')}; inserting a rule or rule group there requires renumbering`
+        });
+    }
+
+    // Keep each rule's Priority while it stays above the previous one; bump it otherwise
+    let previousPriority = -Infinity;
+    const proposedRules = order.map(index => {
+        const rule = sortedRules[index];
+        const priority = rule.Priority > previousPriority ? rule.Priority : previousPriority + 1;
+        previousPriority = priority;
+        return { ...rule, Priority: priority };
+    });
+    const changes = order
+        .map((index, position) => ({ name: sortedRules[index].Name, from: sortedRules[index].Priority, to: proposedRules[position].Priority }))
+        .filter(({ from, to }) => from !== to);
+
+    return { issues, proposal: { rules: proposedRules, changes } };
+};
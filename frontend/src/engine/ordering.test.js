@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeOrdering } from './ordering';
+
+const NAMESPACE = 'awswaf:123456789012:webacl:main:';
+
+const geo = { GeoMatchStatement: { CountryCodes: ['US'] } };
+const labelMatch = (Key) => ({ LabelMatchStatement: { Scope: 'LABEL', Key } });
+
+const producer = (Name, Priority, label) => ({ Name, Priority, Action: { Count: {} }, RuleLabels: [{ Name: label }], Statement: geo });
+const consumer = (Name, Priority, label) => ({ Name, Priority, Action: { Block: {} }, Statement: labelMatch(label) });
+
+const issueTypes = (analysis) => analysis.issues.map(issue => issue.type);
+
+describe('analyzeOrdering', () => {
+    it('accepts rules already in dependency order', () => {
+        const analysis = analyzeOrdering([producer('tag', 10, 'us'), consumer('block', 20, 'us')], NAMESPACE);
+        expect(analysis.issues).toEqual([]);
+        expect(analysis.proposal.changes).toEqual([]);
+    });
+
+    it('moves a consumer after the producer of its label', () => {
+        const rules = [consumer('block', 10, 'us'), { Name: 'other', Priority: 20, Action: { Allow: {} }, Statement: geo }, producer('tag', 30, 'us')];
+        const analysis = analyzeOrdering(rules, NAMESPACE);
+
+        expect(issueTypes(analysis)).toEqual(['consumer-before-producer']);
+        expect(analysis.proposal.rules.map(rule => [rule.Name, rule.Priority])).toEqual([['other', 20], ['tag', 30], ['block', 31]]);
+        expect(analysis.proposal.changes).toEqual([{ name: 'block', from: 10, to: 31 }]);
+    });
+
+    it('keeps the priorities of rules that stay in order', () => {
+        const rules = [consumer('block', 0, 'us'), producer('tag', 5, 'us'), { Name: 'last', Priority: 100, Action: { Allow: {} }, Statement: geo }];
+        const { proposal } = analyzeOrdering(rules, NAMESPACE);
+        expect(proposal.rules.map(rule => [rule.Name, rule.Priority])).toEqual([['tag', 5], ['block', 6], ['last', 100]]);
+    });
+
+    it('keeps the current order of rules that depend on each other', () => {
+        const rules = [
+            { ...consumer('a', 10, 'from-b'), RuleLabels: [{ Name: 'from-a' }] },
+            { ...consumer('b', 20, 'from-a'), RuleLabels: [{ Name: 'from-b' }] }
+        ];
+        const analysis = analyzeOrdering(rules, NAMESPACE);
+        expect(issueTypes(analysis)).toEqual(['consumer-before-producer', 'dependency-cycle']);
+        expect(analysis.proposal.changes).toEqual([]);
+    });
+
+    it('reports duplicate priorities and missing gaps', () => {
+        const analysis = analyzeOrdering([producer('a', 1, 'x'), producer('b', 1, 'y'), producer('c', 2, 'z')], NAMESPACE);
+        expect(issueTypes(analysis)).toEqual(['duplicate-priority', 'no-priority-gap']);
+        expect(analysis.proposal.rules.map(rule => rule.Priority)).toEqual([1, 2, 3]);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Rate-based rule state for simulating a sequence of requests.
+ * Each rate-based rule keeps the timestamps of the requests it counted per aggregation
+ * key, so the count at any request is the number of requests with the same key inside
+ * the rule's sliding evaluation window.
+ */
+import { getHeaderValue, resolveInspectedIps } from './request';
+import { parseQueryString, parseCookies } from './fieldToMatch';
+import { applyTextTransformations } from './textTransformations';
+
+const DEFAULT_EVALUATION_WINDOW = 300;
+
+/**
+ * Creates the counters a traffic simulation threads through every evaluation.
+ */
+export const createRateState = () => ({ counters: new Map() });
+
+const describeMissing = (type, name) => `${type}${name ? ` ${name}` : ''} is missing from the request`;
+
+/**
+ * Resolves one CustomKeys entry to its value, or null when the request lacks it.
+ */
+const resolveCustomKey = (customKey, request, context) => {
+    const [type, settings = {}] = Object.entries(customKey)[0] || [];
+    const transform = (value) => (value ? applyTextTransformations(value, settings.TextTransformations) : null);
+
+    switch (type) {
+        case 'Header':
+            return { type, name: settings.Name, value: transform(getHeaderValue(request, settings.Name || '')) };
+        case 'Cookie': {
+            const cookie = parseCookies(getHeaderValue(request, 'cookie')).find(entry => entry.name === settings.Name);
+            return { type, name: settings.Name, value: transform(cookie?.value) };
+        }
+        case 'QueryArgument':
+            return { type, name: settings.Name, value: transform(parseQueryString(request.queryString)[settings.Name]) };
+        case 'QueryString':
+            return { type, value: transform(request.queryString) };
+        case 'UriPath':
+            return { type, value: transform(request.uri) };
+        case 'HTTPMethod':
+            return { type, value: request.method };
+        case 'IP':
+            return { type, value: request.clientIp };
+        case 'ForwardedIP':
+            return { type, value: resolveInspectedIps(request, context.forwardedIPConfig).addresses[0] || null };
+        case 'ASN':
+            return { type, value: request.asn !== undefined ? String(request.asn) : null };
+        case 'JA3Fingerprint':
+        case 'JA4Fingerprint':
+            return { type, value: getHeaderValue(request, type === 'JA3Fingerprint' ? 'ja3' : 'ja4') || null };
+        case 'LabelNamespace': {
+            const namespace = settings.Namespace || '';
+            const labels = Array.from(context.labels || []).filter(label => label.startsWith(namespace));
+            return { type, name: namespace, value: labels.length ? labels.sort().join(',') : null };
+        }
+        default:
+            return { type, value: null, unsupported: true };
+    }
+};
+
+/**
+ * Returns the aggregation key a RateBasedStatement counts a request under.
+ * @returns {Object} - { key, components } or { key: null, note } when the request is not
+ *   counted (a custom key or the forwarded IP header is missing).
+ */
+export const getRateAggregationKey = (statement, request, context = {}) => {
+    const aggregateKeyType = statement.AggregateKeyType || 'IP';
+
+    switch (aggregateKeyType) {
+        case 'CONSTANT':
+            return { key: 'CONSTANT', components: [] };
+
+        case 'FORWARDED_IP': {
+            const inspected = resolveInspectedIps(request, statement.ForwardedIPConfig);
+            if (inspected.fallback) {
+                // MATCH counts the request under a shared key, NO_MATCH leaves it out
+                return inspected.fallback === 'MATCH'
+                    ? { key: 'FORWARDED_IP:fallback', components: [], note: `${inspected.reason}; counted by FallbackBehavior MATCH` }
+                    : { key: null, note: `${inspected.reason}; not counted (FallbackBehavior NO_MATCH)` };
+            }
+            const address = inspected.addresses[0];
+            return { key: `FORWARDED_IP:${address}`, components: [{ type: 'ForwardedIP', value: address }] };
+        }
+
+        case 'CUSTOM_KEYS': {
+            const keyContext = { ...context, forwardedIPConfig: statement.ForwardedIPConfig };
+            const components = (statement.CustomKeys || []).map(customKey => resolveCustomKey(customKey, request, keyContext));
+            const missing = components.find(component => component.value === null);
+            if (missing) {
+                return {
+                    key: null,
+                    components,
+                    note: missing.unsupported
+                        ? `Custom key ${missing.type} is not supported by the simulator; not counted`
+                        : `${describeMissing(missing.type, missing.name)}; not counted`
+                };
+            }
+            return {
+                key: components.map(component => `${component.type}${component.name ? `:${component.name}` : ''}=${component.value}`).join('|'),
+                components
+            };
+        }
+
+        default:
+            return { key: `IP:${request.clientIp}`, components: [{ type: 'IP', value: request.clientIp }] };
+    }
+};
+
+/**
+ * Counts a request for a rule and returns how many requests share its key inside the
+ * sliding window (timestamp - window, timestamp]. Mutates rateState.
+ */
+export const recordRateRequest = (rateState, ruleKey, aggregationKey, timestamp, evaluationWindow = DEFAULT_EVALUATION_WINDOW) => {
+    if (!rateState.counters.has(ruleKey)) rateState.counters.set(ruleKey, new Map());
+    const ruleCounters = rateState.counters.get(ruleKey);
+
+    const windowStart = timestamp - evaluationWindow;
+    const timestamps = (ruleCounters.get(aggregationKey) || []).filter(time => time > windowStart);
+    timestamps.push(timestamp);
+    ruleCounters.set(aggregationKey, timestamps);
+
+    return timestamps.length;
+};
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { createRateState, getRateAggregationKey, recordRateRequest } from './rateLimit';
+import { normalizeRequest } from './request';
+
+describe('recordRateRequest', () => {
+    it('counts the requests inside the window (t - window, t]', () => {
+        const rateState = createRateState();
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 0, 60)).toBe(1);
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 30, 60)).toBe(2);
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 59.999, 60)).toBe(3);
+        // The request at 0 falls out of (0, 60]; the window start is exclusive
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 60, 60)).toBe(3);
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 90, 60)).toBe(3);
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 200, 60)).toBe(1);
+    });
+
+    it('counts requests at the same timestamp', () => {
+        const rateState = createRateState();
+        recordRateRequest(rateState, 'rule', 'key', 10, 60);
+        expect(recordRateRequest(rateState, 'rule', 'key', 10, 60)).toBe(2);
+    });
+
+    it('keeps separate counters per rule and aggregation key', () => {
+        const rateState = createRateState();
+        recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 0);
+        recordRateRequest(rateState, 'rule', 'IP:192.0.2.1', 1);
+        expect(recordRateRequest(rateState, 'rule', 'IP:192.0.2.2', 2)).toBe(1);
+        expect(recordRateRequest(rateState, 'other', 'IP:192.0.2.1', 2)).toBe(1);
+    });
+});
+
+describe('getRateAggregationKey', () => {
+    const request = normalizeRequest({
+        method: 'post',
+        path: '/login',
+        queryParams: 'user=Alice&lang=en',
+        clientIp: '192.0.2.1',
+        headers: [
+            { name: 'X-Api-Key', value: 'KEY-1' },
+            { name: 'Cookie', value: 'session=abc; theme=dark' },
+            { name: 'X-Forwarded-For', value: '198.51.100.7, 203.0.113.1' }
+        ]
+    });
+    const customKeys = (...CustomKeys) => ({ AggregateKeyType: 'CUSTOM_KEYS', CustomKeys });
+
+    it('aggregates by source IP by default', () => {
+        expect(getRateAggregationKey({}, request).key).toBe('IP:192.0.2.1');
+        expect(getRateAggregationKey({ AggregateKeyType: 'CONSTANT' }, request).key).toBe('CONSTANT');
+    });
+
+    it('aggregates by the forwarded IP', () => {
+        const statement = { AggregateKeyType: 'FORWARDED_IP', ForwardedIPConfig: { HeaderName: 'X-Forwarded-For', FallbackBehavior: 'NO_MATCH' } };
+        expect(getRateAggregationKey(statement, request).key).toBe('FORWARDED_IP:198.51.100.7');
+        expect(getRateAggregationKey(statement, normalizeRequest()).key).toBeNull();
+    });
+
+    it('joins the custom keys in order', () => {
+        const statement = customKeys(
+            { Header: { Name: 'x-api-key', TextTransformations: [{ Priority: 0, Type: 'LOWERCASE' }] } },
+            { Cookie: { Name: 'session' } },
+            { QueryArgument: { Name: 'user' } },
+            { HTTPMethod: {} },
+            { UriPath: {} },
+            { IP: {} }
+        );
+        expect(getRateAggregationKey(statement, request).key)
+            .toBe('Header:x-api-key=key-1|Cookie:session=abc|QueryArgument:user=Alice|HTTPMethod=POST|UriPath=/login|IP=192.0.2.1');
+    });
+
+    it('aggregates by the forwarded IP and label namespace custom keys', () => {
+        const statement = {
+            ...customKeys({ ForwardedIP: {} }, { LabelNamespace: { Namespace: 'app:' } }),
+            ForwardedIPConfig: { HeaderName: 'X-Forwarded-For', FallbackBehavior: 'NO_MATCH' }
+        };
+        const labels = new Set(['app:tier:gold', 'other:x', 'app:beta']);
+        expect(getRateAggregationKey(statement, request, { labels }).key)
+            .toBe('ForwardedIP=198.51.100.7|LabelNamespace:app:=app:beta,app:tier:gold');
+    });
+
+    it('does not count a request missing a custom key', () => {
+        const missing = getRateAggregationKey(customKeys({ IP: {} }, { Header: { Name: 'authorization' } }), request);
+        expect(missing.key).toBeNull();
+        expect(missing.note).toBe('Header authorization is missing from the request; not counted');
+
+        const unsupported = getRateAggregationKey(customKeys({ FutureKey: {} }), request);
+        expect(unsupported.key).toBeNull();
+        expect(unsupported.note).toContain('not supported');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Request model for the WAF evaluation engine.
+ * Every evaluator works on the normalized shape produced here:
+ * {
+ *   uri, fragment, method, queryString, body, clientIp, country, asn, timestamp,
+ *   headers: { [lowercasedName]: [{ value }] },
+ *   headerSequence: [{ name: lowercasedName, value }] in the order the headers were sent,
+ *   requestNumber
+ * }
+ */
+import { parseIpAddress } from './ipAddress';
+
+export const DEFAULT_CLIENT_IP = '127.0.0.1';
+
+// AWS WAF inspects at most this many addresses of a forwarded IP header with Position ANY
+const MAX_FORWARDED_IPS = 10;
+
+/**
+ * Builds a normalized request from the debugger form configuration.
+ * @param {Object} config - { method, path, queryParams, headers: [{ name, value }], body, clientIp,
+ *   country, asn, timestamp, requestNumber } where country is the simulated ISO 3166 alpha-2
+ *   source country, asn the simulated autonomous system number and timestamp the request
+ *   time in seconds within a traffic sequence.
+ * @returns {Object} - The normalized request.
+ */
+export const normalizeRequest = (config = {}) => {
+    const headerSequence = (config.headers || [])
+        .filter(header => header && header.name && header.value)
+        .map(header => ({ name: header.name.toLowerCase(), value: header.value }));
+    const headers = headerSequence.reduce((obj, { name, value }) => {
+        if (!obj[name]) obj[name] = [];
+        obj[name].push({ value });
+        return obj;
+    }, {});
+
+    // A fragment typed into the path is kept apart, as UriPath never includes it
+    const [path, fragment] = (config.path || '/').split(/#(.*)/s);
+
+    return {
+        uri: path || '/',
+        fragment: fragment || undefined,
+        method: (config.method || 'GET').toUpperCase(),
+        headers,
+        headerSequence,
+        queryString: (config.queryParams || '').replace(/^\?/, ''),
+        body: config.body || '',
+        clientIp: (config.clientIp || '').trim() || DEFAULT_CLIENT_IP,
+        country: (config.country || '').trim().toUpperCase() || undefined,
+        asn: String(config.asn ?? '').trim() === '' ? undefined : Number(String(config.asn).trim().replace(/^AS/i, '')),
+        timestamp: Number(config.timestamp) || 0,
+        requestNumber: Number(config.requestNumber) || 1
+    };
+};
+
+/**
+ * Generates a traffic sequence: count copies of the request configuration spread evenly
+ * over durationSec seconds from startTime, optionally all from clientIp.
+ * @returns {Array} - Request configurations with a timestamp, ready for normalizeRequest.
+ */
+export const generateTrafficSequence = (config, { count = 1, durationSec = 0, startTime = 0, clientIp } = {}) => {
+    const total = Math.max(1, Math.floor(Number(count)) || 1);
+    const interval = total > 1 ? (Number(durationSec) || 0) / (total - 1) : 0;
+
+    return Array.from({ length: total }, (_, index) => ({
+        ...config,
+        clientIp: clientIp || config.clientIp,
+        timestamp: Math.round((startTime + index * interval) * 1000) / 1000
+    }));
+};
+
+/**
+ * Returns the first value of a header, or undefined when the header is absent.
+ */
+export const getHeaderValue = (request, name) => {
+    return request?.headers?.[name.toLowerCase()]?.[0]?.value;
+};
+
+/**
+ * Resolves the addresses an IP-based statement inspects.
+ * Without a ForwardedIPConfig this is the request's source IP. With one, it is the
+ * address list of the configured header, narrowed by Position (FIRST, LAST or ANY;
+ * configs without Position use the first address, like GeoMatch and rate-based keys).
+ * @param {Object} request - The normalized request.
+ * @param {Object} forwardedIPConfig - ForwardedIPConfig or IPSetForwardedIPConfig.
+ * @returns {Object} - { source, addresses } or, when the header is missing or holds no
+ *   valid address, { source, addresses: [], fallback: 'MATCH' | 'NO_MATCH', reason }.
+ */
+export const resolveInspectedIps = (request, forwardedIPConfig) => {
+    if (!forwardedIPConfig) {
+        return { source: 'Source IP', addresses: [request.clientIp || DEFAULT_CLIENT_IP] };
+    }
+
+    const headerName = forwardedIPConfig.HeaderName || 'X-Forwarded-For';
+    const source = `Header:${headerName.toLowerCase()}`;
+    const fallback = forwardedIPConfig.FallbackBehavior || 'NO_MATCH';
+    const rawValue = getHeaderValue(request, headerName);
+
+    if (!rawValue) {
+        return { source, addresses: [], fallback, reason: `Header ${headerName} is missing` };
+    }
+
+    const listed = rawValue.split(',').map(address => address.trim()).filter(Boolean);
+    let selected;
+    switch (forwardedIPConfig.Position) {
+        case 'LAST':
+            selected = listed.slice(-1);
+            break;
+        case 'ANY':
+            selected = listed.slice(-MAX_FORWARDED_IPS);
+            break;
+        default:
+            selected = listed.slice(0, 1);
+    }
+
+    const addresses = selected.filter(address => parseIpAddress(address));
+    if (addresses.length === 0) {
+        return { source, addresses: [], fallback, reason: `Header ${headerName} holds no valid IP address` };
+    }
+
+    return { source, addresses, position: forwardedIPConfig.Position || 'FIRST' };
+};
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CLIENT_IP, getHeaderValue, normalizeRequest, resolveInspectedIps } from './request';
+
+const withForwardedFor = (value) => normalizeRequest({ headers: [{ name: 'X-Forwarded-For', value }] });
+
+describe('normalizeRequest', () => {
+    it('fills in the defaults', () => {
+        expect(normalizeRequest()).toMatchObject({
+            uri: '/',
+            method: 'GET',
+            queryString: '',
+            body: '',
+            clientIp: DEFAULT_CLIENT_IP,
+            requestNumber: 1
+        });
+    });
+
+    it('keeps the fragment apart from the path', () => {
+        expect(normalizeRequest({ path: '/docs#intro' })).toMatchObject({ uri: '/docs', fragment: 'intro' });
+    });
+
+    it('looks headers up by their lowercased name', () => {
+        const request = normalizeRequest({ headers: [{ name: 'X-Api-Key', value: 'secret' }] });
+        expect(getHeaderValue(request, 'x-api-key')).toBe('secret');
+        expect(getHeaderValue(request, 'X-API-KEY')).toBe('secret');
+        expect(getHeaderValue(request, 'authorization')).toBeUndefined();
+    });
+
+    it('keeps the order the headers were sent in', () => {
+        const request = normalizeRequest({
+            headers: [
+                { name: 'Host', value: 'example.com' },
+                { name: 'Cookie', value: 'a=1' },
+                { name: 'Accept', value: '*/*' },
+                { name: 'Cookie', value: 'b=2' },
+                { name: 'X-Empty', value: '' }
+            ]
+        });
+        expect(request.headerSequence.map(header => header.name)).toEqual(['host', 'cookie', 'accept', 'cookie']);
+        expect(request.headers.cookie).toEqual([{ value: 'a=1' }, { value: 'b=2' }]);
+    });
+});
+
+describe('resolveInspectedIps', () => {
+    it('uses the source IP without a forwarded IP config', () => {
+        expect(resolveInspectedIps(normalizeRequest({ clientIp: '192.0.2.1' }))).toEqual({ source: 'Source IP', addresses: ['192.0.2.1'] });
+    });
+
+    it('selects the addresses by Position', () => {
+        const request = withForwardedFor('198.51.100.1, 2001:db8::1 ,203.0.113.5');
+        const resolve = (Position) => resolveInspectedIps(request, { HeaderName: 'X-Forwarded-For', Position, FallbackBehavior: 'NO_MATCH' });
+        expect(resolve('FIRST').addresses).toEqual(['198.51.100.1']);
+        expect(resolve('LAST').addresses).toEqual(['203.0.113.5']);
+        expect(resolve('ANY').addresses).toEqual(['198.51.100.1', '2001:db8::1', '203.0.113.5']);
+        expect(resolve(undefined)).toMatchObject({ source: 'Header:x-forwarded-for', position: 'FIRST' });
+    });
+
+    it('inspects at most the last ten addresses with Position ANY', () => {
+        const listed = Array.from({ length: 12 }, (_, i) => `10.0.0.${i + 1}`);
+        const resolved = resolveInspectedIps(withForwardedFor(listed.join(',')), { HeaderName: 'X-Forwarded-For', Position: 'ANY' });
+        expect(resolved.addresses).toEqual(listed.slice(2));
+    });
+
+    it('drops invalid addresses', () => {
+        const resolved = resolveInspectedIps(withForwardedFor('unknown, 198.51.100.1'), { HeaderName: 'X-Forwarded-For', Position: 'ANY' });
+        expect(resolved.addresses).toEqual(['198.51.100.1']);
+    });
+
+    it('applies the fallback when the header is missing or invalid', () => {
+        const config = { HeaderName: 'X-Forwarded-For', Position: 'FIRST', FallbackBehavior: 'MATCH' };
+        expect(resolveInspectedIps(normalizeRequest(), config)).toMatchObject({ addresses: [], fallback: 'MATCH' });
+        expect(resolveInspectedIps(withForwardedFor('unknown'), config)).toMatchObject({ addresses: [], fallback: 'MATCH' });
+        expect(resolveInspectedIps(normalizeRequest(), { HeaderName: 'X-Forwarded-For' }).fallback).toBe('NO_MATCH');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * The HTTP response a client receives for an evaluation's verdict.
+ * Block answers with 403 unless the action has a CustomResponse, whose
+ * CustomResponseBodyKey names an entry of the CustomResponseBodies of the web ACL (or, for
+ * a rule inside a custom rule group, of that group). CAPTCHA and Challenge answer with their
+ * interstitial; Allow forwards the request to the protected resource.
+ */
+
+export const DEFAULT_BLOCK_STATUS = 403;
+
+export const RESPONSE_CONTENT_TYPES = {
+    TEXT_PLAIN: 'text/plain',
+    TEXT_HTML: 'text/html',
+    APPLICATION_JSON: 'application/json'
+};
+
+// The action configuration and response bodies that apply to a verdict. A group rule the
+// reference overrides uses the override's ActionToUse with the web ACL's bodies; any other
+// custom group rule uses its own action and its group's CustomResponseBodies.
+const resolveResponseSource = (webAcl, verdict, terminatingEntry) => {
+    const aclSource = {
+        config: verdict.config,
+        bodies: Array.isArray(webAcl) ? null : webAcl?.CustomResponseBodies || {},
+        owner: 'web ACL'
+    };
+    if (verdict.source !== 'Rule' || !terminatingEntry || !verdict.groupRule) return aclSource;
+
+    const { rule } = terminatingEntry;
+    const statement = rule.Statement?.RuleGroupReferenceStatement || rule.Statement?.ManagedRuleGroupStatement;
+    const override = (statement?.RuleActionOverrides || []).find(entry => entry.Name === verdict.groupRule);
+    if (override) {
+        return { ...aclSource, config: override.ActionToUse?.[verdict.action] };
+    }
+
+    const groupRule = rule.RuleGroup?.Rules?.find(entry => entry.Name === verdict.groupRule);
+    if (groupRule) {
+        return {
+            config: groupRule.Action?.[verdict.action],
+            bodies: rule.RuleGroup.CustomResponseBodies || {},
+            owner: `rule group ${rule.RuleGroup.Name || rule.Name}`
+        };
+    }
+    return aclSource;
+};
+
+/**
+ * Renders the response for a verdict.
+ * @param {Object|Array} webAcl - The Web ACL JSON or its Rules array. A bare rules array has
+ *   no CustomResponseBodies, so referenced bodies cannot be resolved.
+ * @param {Object} verdict - The getVerdict result.
+ * @param {Object} terminatingEntry - The trace entry of the terminating rule, if any.
+ * @returns {Object} - { source: 'Origin' | 'Default' | 'Custom' | 'Interstitial', statusCode,
+ *   headers: [{ name, value }], contentType, body, bodyKey, errors, warnings, note }
+ */
+export const renderResponse = (webAcl, verdict, terminatingEntry) => {
+    const response = { headers: [], errors: [], warnings: [] };
+
+    if (verdict.action === 'Allow') {
+        return { ...response, source: 'Origin', note: 'The request is forwarded to the protected resource' };
+    }
+
+    if (verdict.token) {
+        return {
+            ...response,
+            source: 'Interstitial',
+            statusCode: verdict.token.responseCode,
+            contentType: 'text/html',
+            headers: [{ name: 'Content-Type', value: 'text/html' }],
+            note: verdict.action === 'CAPTCHA'
+                ? 'The CAPTCHA puzzle page; solving it returns an aws-waf-token and retries the request'
+                : 'The silent challenge script; it obtains an aws-waf-token and retries the request'
+        };
+    }
+
+    const { config, bodies, owner } = resolveResponseSource(webAcl, verdict, terminatingEntry);
+    const customResponse = config?.CustomResponse;
+    if (!customResponse) {
+        return {
+            ...response,
+            source: 'Default',
+            statusCode: DEFAULT_BLOCK_STATUS,
+            note: 'The default AWS WAF block response (403 Forbidden)'
+        };
+    }
+
+    const headers = (customResponse.ResponseHeaders || []).map(header => ({ name: header.Name, value: header.Value }));
+    const bodyKey = customResponse.CustomResponseBodyKey;
+    let contentType;
+    let body;
+
+    if (bodyKey) {
+        const customBody = bodies?.[bodyKey];
+        if (customBody) {
+            contentType = RESPONSE_CONTENT_TYPES[customBody.ContentType] || customBody.ContentType;
+            body = customBody.Content;
+            headers.push({ name: 'Content-Type', value: contentType });
+        } else if (bodies) {
+            response.errors.push(`Custom response body key "${bodyKey}" is not defined in the ${owner}'s CustomResponseBodies`);
+        } else {
+            response.warnings.push(`The web ACL's CustomResponseBodies are not loaded, so body key "${bodyKey}" cannot be resolved`);
+        }
+    }
+
+    return {
+        ...response,
+        source: 'Custom',
+        statusCode: customResponse.ResponseCode || DEFAULT_BLOCK_STATUS,
+        headers,
+        contentType,
+        body,
+        bodyKey
+    };
+};
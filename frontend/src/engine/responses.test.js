@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_BLOCK_STATUS, renderResponse } from './responses';
+
+const customResponse = (CustomResponse) => ({ CustomResponse });
+const block = (config) => ({ action: 'Block', source: 'Rule', ruleName: 'block', config });
+
+const webAcl = {
+    CustomResponseBodies: {
+        denied: { ContentType: 'APPLICATION_JSON', Content: '{"error":"denied"}' }
+    }
+};
+
+describe('renderResponse', () => {
+    it('forwards allowed requests to the origin', () => {
+        expect(renderResponse(webAcl, { action: 'Allow', source: 'DefaultAction' }, null)).toMatchObject({ source: 'Origin', errors: [] });
+    });
+
+    it('answers Block with the default 403 response', () => {
+        const response = renderResponse(webAcl, block({}), null);
+        expect(response).toMatchObject({ source: 'Default', statusCode: 403, headers: [] });
+        expect(response.body).toBeUndefined();
+    });
+
+    it('uses the ResponseCode and headers of a CustomResponse', () => {
+        const response = renderResponse(webAcl, block(customResponse({
+            ResponseCode: 429,
+            ResponseHeaders: [{ Name: 'Retry-After', Value: '60' }]
+        })), null);
+        expect(response).toMatchObject({ source: 'Custom', statusCode: 429, headers: [{ name: 'Retry-After', value: '60' }], errors: [] });
+    });
+
+    it('looks up the body in the CustomResponseBodies', () => {
+        const response = renderResponse(webAcl, block(customResponse({ ResponseCode: 403, CustomResponseBodyKey: 'denied' })), null);
+        expect(response).toMatchObject({
+            statusCode: 403,
+            bodyKey: 'denied',
+            contentType: 'application/json',
+            body: '{"error":"denied"}',
+            headers: [{ name: 'Content-Type', value: 'application/json' }]
+        });
+    });
+
+    it('flags a body key missing from the CustomResponseBodies', () => {
+        const response = renderResponse(webAcl, block(customResponse({ ResponseCode: 403, CustomResponseBodyKey: 'missing' })), null);
+        expect(response).toMatchObject({ source: 'Custom', body: undefined, warnings: [] });
+        expect(response.errors).toEqual(['Custom response body key "missing" is not defined in the web ACL\'s CustomResponseBodies']);
+    });
+
+    it('only warns when the bodies are not loaded', () => {
+        const response = renderResponse([], block(customResponse({ CustomResponseBodyKey: 'denied' })), null);
+        expect(response).toMatchObject({ statusCode: DEFAULT_BLOCK_STATUS, errors: [] });
+        expect(response.warnings).toHaveLength(1);
+    });
+
+    it('uses the body of the custom rule group holding the terminating rule', () => {
+        const group = {
+            Name: 'bots',
+            CustomResponseBodies: { bot: { ContentType: 'TEXT_PLAIN', Content: 'No bots' } },
+            Rules: [{ Name: 'block-bots', Action: { Block: customResponse({ ResponseCode: 403, CustomResponseBodyKey: 'bot' }) } }]
+        };
+        const entry = { rule: { Name: 'bots-group', Statement: { RuleGroupReferenceStatement: { ARN: 'arn' } }, RuleGroup: group } };
+        const response = renderResponse(webAcl, { ...block(), groupRule: 'block-bots' }, entry);
+        expect(response).toMatchObject({ contentType: 'text/plain', body: 'No bots', errors: [] });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Rule groups referenced from a web ACL.
+ * Settings the web ACL applies to a group it references are shared by
+ * ManagedRuleGroupStatement and RuleGroupReferenceStatement: RuleActionOverrides,
+ * the legacy ExcludedRules and, for managed groups, ManagedRuleGroupConfigs.
+ * Custom groups are attached by the backend as rule.RuleGroup (GetRuleGroup's RuleGroup).
+ */
+
+const ACTION_OUTCOMES = {
+    Allow: 'allowed',
+    Block: 'blocked',
+    Count: 'counted',
+    CAPTCHA: 'required a CAPTCHA',
+    Challenge: 'challenged'
+};
+
+/**
+ * Prefixes a label a group's rule adds with the group's LabelNamespace
+ * (awswaf:<account>:rulegroup:<name>: or awswaf:managed:...). Qualified labels are kept.
+ */
+export const qualifyGroupLabel = (namespace, name) => {
+    if (!name || name.startsWith('awswaf:') || !namespace) return name;
+    return namespace.endsWith(':') ? `${namespace}${name}` : `${namespace}:${name}`;
+};
+
+/**
+ * Returns the action override of every rule the reference overrides, keyed by rule name.
+ * ExcludedRules predate RuleActionOverrides and set the rule's action to Count.
+ * @returns {Map} - name -> { action, excluded }
+ */
+export const getRuleActionOverrides = (statement) => {
+    const overrides = new Map();
+    (statement?.ExcludedRules || []).forEach(excluded => {
+        if (excluded?.Name) overrides.set(excluded.Name, { action: 'Count', excluded: true });
+    });
+    (statement?.RuleActionOverrides || []).forEach(override => {
+        const action = Object.keys(override?.ActionToUse || {})[0];
+        if (override?.Name && action) overrides.set(override.Name, { action, excluded: false });
+    });
+    return overrides;
+};
+
+/**
+ * Applies the reference's overrides to a group's rules.
+ * @param {Array} rules - [{ name, action, ... }] with the action defined in the group.
+ * @param {Object} statement - The ManagedRuleGroupStatement or RuleGroupReferenceStatement.
+ * @returns {Array} - The rules with action set to the effective action, plus originalAction,
+ *   overridden and excluded.
+ */
+export const applyRuleActionOverrides = (rules, statement) => {
+    const overrides = getRuleActionOverrides(statement);
+    return rules.map(rule => {
+        const override = overrides.get(rule.name);
+        return {
+            ...rule,
+            action: override ? override.action : rule.action,
+            originalAction: rule.action,
+            overridden: Boolean(override) && override.action !== rule.action,
+            excluded: Boolean(override?.excluded)
+        };
+    });
+};
+
+/**
+ * Describes an overridden rule for the trace, e.g. "X would have blocked but was overridden to Count".
+ */
+export const describeOverride = (rule) => {
+    const outcome = ACTION_OUTCOMES[rule.originalAction] || `used ${rule.originalAction}`;
+    return `${rule.name} would have ${outcome} but was ${rule.excluded ? 'excluded (Count)' : `overridden to ${rule.action}`}`;
+};
+
+/**
+ * Flattens a ManagedRuleGroupStatement's ManagedRuleGroupConfigs into named settings
+ * (AWSManagedRulesBotControlRuleSet, AWSManagedRulesATPRuleSet, LoginPath, ...).
+ * The simulator cannot apply them; they are shown with the group.
+ * @returns {Array} - [{ name, settings }]
+ */
+export const getManagedRuleGroupConfigs = (statement) => {
+    return (statement?.ManagedRuleGroupConfigs || [])
+        .flatMap(config => Object.entries(config || {}))
+        .map(([name, settings]) => ({ name, settings }));
+};
+
+/**
+ * Lists the rules of a custom rule group in priority order with their effective action after
+ * the reference's overrides and the qualified labels each adds when it matches.
+ * @param {Object} rule - The web ACL rule holding the RuleGroupReferenceStatement.
+ * @returns {Array} - [{ name, priority, action, originalAction, overridden, excluded, labels, rule }]
+ */
+export const getRuleGroupRules = (rule) => {
+    const group = rule?.RuleGroup;
+    if (!group) return [];
+
+    const innerRules = [...(group.Rules || [])]
+        .sort((a, b) => (a.Priority ?? 0) - (b.Priority ?? 0))
+        .map(innerRule => ({
+            name: innerRule.Name,
+            priority: innerRule.Priority,
+            action: innerRule.Action ? Object.keys(innerRule.Action)[0] : 'Unknown',
+            labels: (innerRule.RuleLabels || [])
+                .map(label => qualifyGroupLabel(group.LabelNamespace, label?.Name))
+                .filter(Boolean),
+            rule: innerRule
+        }));
+    return applyRuleActionOverrides(innerRules, rule.Statement?.RuleGroupReferenceStatement);
+};
+
+/**
+ * Returns the qualified labels a custom rule group can add: its AvailableLabels plus the
+ * RuleLabels of its rules.
+ */
+export const getRuleGroupLabels = (group) => {
+    if (!group) return [];
+    const labels = [
+        ...(group.AvailableLabels || []).map(label => label?.Name),
+        ...(group.Rules || []).flatMap(innerRule => (innerRule.RuleLabels || []).map(label => label?.Name))
+    ];
+    return [...new Set(labels.filter(Boolean).map(name => qualifyGroupLabel(group.LabelNamespace, name)))];
+};
@@ -0,0 +1,204 @@
+/**
+ * Static detection of shadowed rules.
+ * A rule is shadowed when a higher-priority rule with a terminating action (Allow or Block)
+ * matches every request it matches: AWS WAF stops at that rule, so the shadowed rule is never
+ * evaluated. The analysis compares statements without a request, so it only reports
+ * coverage it can prove: identical statements, broader ByteMatch strings on the same field,
+ * country and size supersets, logical statements built from those, and statements that match
+ * every request, such as NOT of a label no earlier rule adds. CAPTCHA and Challenge are not
+ * treated as terminating, since a valid token lets the request continue.
+ */
+import { getByteMatchSearchString, getStatementType, labelMatchesKey } from './statements';
+import { mayAddLabel } from './labels';
+
+const TERMINATING_ACTIONS = ['Allow', 'Block'];
+
+// JSON with sorted keys, so equal statements compare equal whatever their key order
+const canonical = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const sameJson = (a, b) => canonical(a) === canonical(b);
+
+// Two inspections see the same value when they read the same field with the same transformations
+const sameInspection = (a, b) =>
+    sameJson(a.FieldToMatch, b.FieldToMatch) && sameJson(a.TextTransformations || [], b.TextTransformations || []);
+
+const describeField = (statement) => Object.keys(statement.FieldToMatch || {})[0] || 'the same field';
+
+/**
+ * Returns why a statement matches every request, or null.
+ * @param {Object} statement - The statement JSON.
+ * @param {Array} earlierRules - The rules evaluated before the statement's rule.
+ */
+export const matchesEveryRequest = (statement, earlierRules) => {
+    const type = getStatementType(statement);
+    const stmt = statement?.[type];
+
+    if (type === 'NotStatement' && stmt.Statement?.LabelMatchStatement) {
+        const { Key, Scope = 'LABEL' } = stmt.Statement.LabelMatchStatement;
+        return earlierRules.some(rule => mayAddLabel(rule, Key, Scope))
+            ? null
+            : `no earlier rule adds label ${Key}, so NOT ${Key} matches every request`;
+    }
+    if (type === 'OrStatement') {
+        return (stmt.Statements || []).map(nested => matchesEveryRequest(nested, earlierRules)).find(Boolean) || null;
+    }
+    if (type === 'AndStatement') {
+        const reasons = (stmt.Statements || []).map(nested => matchesEveryRequest(nested, earlierRules));
+        return reasons.length > 0 && reasons.every(Boolean) ? reasons.join('; ') : null;
+    }
+    return null;
+};
+
+// Whether ByteMatch a matches every value ByteMatch b matches; unknown search strings
+// prove nothing
+const byteMatchCovers = (a, b) => {
+    const searchA = getByteMatchSearchString(a);
+    const searchB = getByteMatchSearchString(b);
+    if (!searchA || !searchB) return false;
+    switch (a.PositionalConstraint) {
+        case 'CONTAINS':
+            return searchB.includes(searchA);
+        case 'STARTS_WITH':
+            return ['STARTS_WITH', 'EXACTLY'].includes(b.PositionalConstraint) && searchB.startsWith(searchA);
+        case 'ENDS_WITH':
+            return ['ENDS_WITH', 'EXACTLY'].includes(b.PositionalConstraint) && searchB.endsWith(searchA);
+        case 'EXACTLY':
+        case 'CONTAINS_WORD':
+            return b.PositionalConstraint === a.PositionalConstraint && searchB === searchA;
+        default:
+            return false;
+    }
+};
+
+// The sizes a SizeConstraint matches, as an inclusive range or the excluded size for NE
+const sizeRange = ({ ComparisonOperator, Size }) => {
+    switch (ComparisonOperator) {
+        case 'EQ': return { min: Size, max: Size };
+        case 'LE': return { min: 0, max: Size };
+        case 'LT': return { min: 0, max: Size - 1 };
+        case 'GE': return { min: Size, max: Infinity };
+        case 'GT': return { min: Size + 1, max: Infinity };
+        case 'NE': return { excluded: Size };
+        default: return null;
+    }
+};
+
+const sizeCovers = (a, b) => {
+    const rangeA = sizeRange(a);
+    const rangeB = sizeRange(b);
+    if (!rangeA || !rangeB) return false;
+    if (rangeB.excluded !== undefined) return rangeA.excluded === rangeB.excluded;
+    if (rangeA.excluded !== undefined) return rangeA.excluded < rangeB.min || rangeA.excluded > rangeB.max;
+    return rangeA.min <= rangeB.min && rangeA.max >= rangeB.max;
+};
+
+/**
+ * Returns why statement a matches every request statement b matches, or null when that
+ * cannot be shown.
+ * @param {Object} a - The statement of the higher-priority rule.
+ * @param {Object} b - The statement of the lower-priority rule.
+ * @param {Array} earlierRules - The rules evaluated before a's rule.
+ */
+export const statementCovers = (a, b, earlierRules = []) => {
+    if (!a || !b) return null;
+    const always = matchesEveryRequest(a, earlierRules);
+    if (always) return always;
+    if (sameJson(a, b)) return 'both rules use the same statement';
+
+    const typeA = getStatementType(a);
+    const typeB = getStatementType(b);
+    const stmtA = a[typeA];
+    const stmtB = b[typeB];
+
+    // Logical statements: split the broader side first, so AND(x, y) covers AND(x, y, z)
+    if (typeA === 'AndStatement') {
+        const reasons = (stmtA.Statements || []).map(nested => statementCovers(nested, b, earlierRules));
+        return reasons.length > 0 && reasons.every(Boolean) ? reasons.join('; ') : null;
+    }
+    if (typeB === 'OrStatement') {
+        const reasons = (stmtB.Statements || []).map(nested => statementCovers(a, nested, earlierRules));
+        return reasons.length > 0 && reasons.every(Boolean) ? reasons.join('; ') : null;
+    }
+    if (typeA === 'OrStatement') {
+        return (stmtA.Statements || []).map(nested => statementCovers(nested, b, earlierRules)).find(Boolean) || null;
+    }
+    if (typeB === 'AndStatement') {
+        return (stmtB.Statements || []).map(nested => statementCovers(a, nested, earlierRules)).find(Boolean) || null;
+    }
+    // A rate-based rule only matches requests its scope-down statement matches
+    if (typeB === 'RateBasedStatement' && stmtB.ScopeDownStatement) {
+        return statementCovers(a, stmtB.ScopeDownStatement, earlierRules);
+    }
+    if (typeA === 'NotStatement' && typeB === 'NotStatement') {
+        const inner = statementCovers(stmtB.Statement, stmtA.Statement, earlierRules);
+        return inner ? `it negates a narrower statement (${inner})` : null;
+    }
+    if (typeA !== typeB) return null;
+
+    switch (typeA) {
+        case 'ByteMatchStatement':
+            return sameInspection(stmtA, stmtB) && byteMatchCovers(stmtA, stmtB)
+                ? `${stmtA.PositionalConstraint} '${getByteMatchSearchString(stmtA)}' covers ${stmtB.PositionalConstraint} '${getByteMatchSearchString(stmtB)}' on ${describeField(stmtA)}`
+                : null;
+        case 'SizeConstraintStatement':
+            return sameInspection(stmtA, stmtB) && sizeCovers(stmtA, stmtB)
+                ? `size ${stmtA.ComparisonOperator} ${stmtA.Size} covers size ${stmtB.ComparisonOperator} ${stmtB.Size} on ${describeField(stmtA)}`
+                : null;
+        case 'GeoMatchStatement': {
+            const countries = new Set(stmtA.CountryCodes || []);
+            return sameJson(stmtA.ForwardedIPConfig, stmtB.ForwardedIPConfig) &&
+                (stmtB.CountryCodes || []).every(code => countries.has(code))
+                ? `countries ${(stmtA.CountryCodes || []).join(', ')} include ${(stmtB.CountryCodes || []).join(', ')}`
+                : null;
+        }
+        case 'IPSetReferenceStatement':
+            return stmtA.ARN === stmtB.ARN && sameJson(stmtA.IPSetForwardedIPConfig, stmtB.IPSetForwardedIPConfig)
+                ? `both rules match IP set ${stmtA.ARN}`
+                : null;
+        case 'LabelMatchStatement':
+            // A label in a namespace also matches the namespace key
+            return stmtA.Scope === 'NAMESPACE' && (stmtB.Scope || 'LABEL') === 'LABEL' &&
+                labelMatchesKey(stmtB.Key, stmtA.Key, 'NAMESPACE')
+                ? `label ${stmtB.Key} is in namespace ${stmtA.Key}`
+                : null;
+        default:
+            return null;
+    }
+};
+
+const getTerminatingAction = (rule) => {
+    const action = Object.keys(rule.Action || {})[0];
+    return TERMINATING_ACTIONS.includes(action) ? action : null;
+};
+
+/**
+ * Finds the rules a higher-priority terminating rule shadows.
+ * @param {Array} rules - The web ACL rules.
+ * @returns {Array} - [{ rule, shadowedBy, action, reason }] with the rule JSONs; every
+ *   shadowed rule is reported once, with the first rule that shadows it.
+ */
+export const findShadowedRules = (rules) => {
+    const sortedRules = [...(rules || [])].sort((a, b) => a.Priority - b.Priority);
+    const shadowed = [];
+
+    sortedRules.forEach((rule, index) => {
+        for (let earlier = 0; earlier < index; earlier++) {
+            const candidate = sortedRules[earlier];
+            const action = getTerminatingAction(candidate);
+            if (!action) continue;
+
+            const reason = statementCovers(candidate.Statement, rule.Statement, sortedRules.slice(0, earlier));
+            if (reason) {
+                shadowed.push({ rule, shadowedBy: candidate, action, reason });
+                break;
+            }
+        }
+    });
+    return shadowed;
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { findShadowedRules, statementCovers } from './shadowing';
+
+const byteMatch = (PositionalConstraint, search) => ({
+    ByteMatchStatement: {
+        ...search,
+        PositionalConstraint,
+        FieldToMatch: { UriPath: {} },
+        TextTransformations: [{ Priority: 0, Type: 'LOWERCASE' }]
+    }
+});
+
+describe('statementCovers', () => {
+    it('covers a narrower ByteMatch on the same field', () => {
+        expect(statementCovers(byteMatch('STARTS_WITH', { SearchString: '/admin' }), byteMatch('EXACTLY', { SearchString: '/admin/login' })))
+            .toBe("STARTS_WITH '/admin' covers EXACTLY '/admin/login' on UriPath");
+        expect(statementCovers(byteMatch('STARTS_WITH', { SearchString: '/api' }), byteMatch('EXACTLY', { SearchString: '/admin/login' }))).toBeNull();
+    });
+
+    it('decodes SearchStringBase64', () => {
+        const encoded = byteMatch('CONTAINS', { SearchStringBase64: btoa('admin') });
+        expect(statementCovers(encoded, byteMatch('STARTS_WITH', { SearchString: '/admin' })))
+            .toBe("CONTAINS 'admin' covers STARTS_WITH '/admin' on UriPath");
+        expect(statementCovers(encoded, byteMatch('CONTAINS', { SearchString: '/login' }))).toBeNull();
+    });
+
+    it('proves nothing when a search string is unknown', () => {
+        const missing = byteMatch('CONTAINS', {});
+        const invalid = byteMatch('CONTAINS', { SearchStringBase64: '%%%' });
+        expect(statementCovers(missing, byteMatch('CONTAINS', { SearchString: 'admin' }))).toBeNull();
+        expect(statementCovers(invalid, byteMatch('CONTAINS', { SearchString: 'admin' }))).toBeNull();
+    });
+});
+
+describe('findShadowedRules', () => {
+    it('reports a rule behind a broader Block rule', () => {
+        const rules = [
+            { Name: 'admin', Priority: 0, Action: { Block: {} }, Statement: byteMatch('CONTAINS', { SearchStringBase64: btoa('admin') }) },
+            { Name: 'admin-login', Priority: 1, Action: { Block: {} }, Statement: byteMatch('EXACTLY', { SearchString: '/admin/login' }) }
+        ];
+        expect(findShadowedRules(rules).map(entry => [entry.rule.Name, entry.shadowedBy.Name])).toEqual([['admin-login', 'admin']]);
+    });
+});
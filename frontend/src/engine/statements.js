@@ -0,0 +1,684 @@
+/**
+ * Statement evaluators for the WAF evaluation engine.
+ * Each evaluate*Statement function returns a details object when the statement
+ * matches and false otherwise. A details object with matched: false reports why a
+ * statement did not match. evaluateStatement wraps them into { matched, details }.
+ */
+import { getFieldValue } from './fieldToMatch';
+import { traceTextTransformations } from './textTransformations';
+import { resolveInspectedIps } from './request';
+import { findMatchingCidr } from './ipAddress';
+import { resolveRequestCountry } from './geoIp';
+import { getRateAggregationKey, recordRateRequest } from './rateLimit';
+
+export const STATEMENT_TYPES = [
+    'ByteMatchStatement',
+    'SqliMatchStatement',
+    'XssMatchStatement',
+    'GeoMatchStatement',
+    'IPSetReferenceStatement',
+    'RegexPatternSetReferenceStatement',
+    'SizeConstraintStatement',
+    'RateBasedStatement',
+    'ManagedRuleGroupStatement',
+    'LabelMatchStatement',
+    'AndStatement',
+    'OrStatement',
+    'NotStatement',
+    'RegexMatchStatement',
+    'AsnMatchStatement'
+];
+
+// Simplified SQLi signatures; the real AWS detection engine is not public
+const SQL_INJECTION_PATTERNS = [
+    /'\s*OR\s*'1'\s*=\s*'1/i,
+    /'\s*OR\s*1\s*=\s*1/i,
+    /'\s*OR\s*'\s*'='/i,
+    /'\s*OR\s*1\s*=/i,
+    /'\s*;\s*DROP\s+TABLE/i,
+    /UNION\s+SELECT/i,
+    /UNION\s+ALL\s+SELECT/i,
+    /SELECT\s+.*\s+FROM/i,
+    /INSERT\s+INTO/i,
+    /UPDATE\s+.*\s+SET/i,
+    /DELETE\s+FROM/i,
+    /--/,
+    /\/\*/,
+    /SLEEP\s*\(/i,
+    /BENCHMARK\s*\(/i
+];
+
+// Simplified XSS signatures
+const XSS_PATTERNS = [
+    /<script[^>]*>.*?<\/script>/i,
+    /javascript:/i,
+    /onerror=/i,
+    /onload=/i,
+    /onclick=/i,
+    /onmouseover=/i,
+    /onmouseout=/i,
+    /onkeypress=/i,
+    /onkeydown=/i,
+    /onkeyup=/i,
+    /onfocus=/i,
+    /onblur=/i,
+    /onsubmit=/i,
+    /onchange=/i,
+    /eval\s*\(/i,
+    /document\.cookie/i,
+    /document\.location/i,
+    /alert\s*\(/i,
+    /document\.write/i,
+    /document\.domain/i
+];
+
+/**
+ * Returns the statement type key, e.g. 'ByteMatchStatement', or 'Unknown'.
+ */
+export const getStatementType = (statement) => {
+    if (!statement) return 'Unknown';
+    return STATEMENT_TYPES.find(type => statement[type]) ||
+        Object.keys(statement).find(key => key.endsWith('Statement')) ||
+        'Unknown';
+};
+
+/**
+ * Returns the string a ByteMatchStatement searches for: SearchString, or the decoded
+ * SearchStringBase64. Null when neither is set or the Base64 is invalid.
+ */
+export const getByteMatchSearchString = (statement) => {
+    if (statement?.SearchString) return statement.SearchString;
+    if (!statement?.SearchStringBase64) return null;
+    try {
+        return atob(statement.SearchStringBase64);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks a value against a ByteMatch PositionalConstraint.
+ */
+export const checkStringMatch = (value, matchValue, constraint) => {
+    if (!value || !matchValue) return false;
+
+    switch (constraint) {
+        case 'EXACTLY':
+            return value === matchValue;
+        case 'STARTS_WITH':
+            return value.startsWith(matchValue);
+        case 'ENDS_WITH':
+            return value.endsWith(matchValue);
+        case 'CONTAINS':
+            return value.includes(matchValue);
+        case 'CONTAINS_WORD': {
+            const escaped = matchValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^A-Za-z0-9_])${escaped}([^A-Za-z0-9_]|$)`).test(value);
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Extracts the statement's FieldToMatch, applies its TextTransformations and runs the
+ * predicate on the transformed value. Fields made of several parts (e.g. the keys and
+ * values of a JSON body, headers or cookies) are inspected one part at a time until the
+ * predicate matches.
+ * @returns {Object|null} - null when the field is absent; { field, fallback, matched } when
+ *   oversize or invalid-JSON handling decides the outcome; otherwise the first matching
+ *   (or last inspected) part: { field, part, value, transformedValue, transformationSteps,
+ *   result, matched } where result is the predicate's return value.
+ */
+const inspectField = (statement, request, context, predicate) => {
+    const field = getFieldValue(statement.FieldToMatch, request, context);
+    if (field.fallback) {
+        return { field, fallback: field.fallback, matched: field.fallback === 'MATCH' };
+    }
+
+    let inspected = null;
+    for (const part of field.values || [{ value: field.value }]) {
+        if (part.value === null || part.value === undefined) continue;
+
+        const transformationSteps = traceTextTransformations(part.value, statement.TextTransformations);
+        const transformedValue = transformationSteps.length > 0
+            ? transformationSteps[transformationSteps.length - 1].value
+            : part.value;
+        const result = predicate(transformedValue);
+        inspected = { field, part, value: part.value, transformedValue, transformationSteps, result, matched: Boolean(result) };
+        if (inspected.matched) break;
+    }
+    return inspected;
+};
+
+// Trace details shared by the statements that inspect a FieldToMatch
+const describeInspection = ({ field, part, value, transformedValue, transformationSteps }) => ({
+    field: field.name,
+    value,
+    transformedValue: transformedValue !== value ? transformedValue : undefined,
+    transformationSteps,
+    partName: part.name,
+    partScope: part.scope,
+    bodyInspection: field.bodyInspection,
+    partsInspection: field.partsInspection
+});
+
+const describeFallback = ({ field, fallback, matched }) => ({
+    field: field.name,
+    matched,
+    fallbackBehavior: fallback,
+    note: field.note,
+    bodyInspection: field.bodyInspection,
+    partsInspection: field.partsInspection
+});
+
+export const evaluateByteMatchStatement = (statement, request, context) => {
+    if (!statement) return false;
+
+    const matchValue = getByteMatchSearchString(statement);
+    if (!matchValue) return false;
+
+    const constraint = statement.PositionalConstraint || 'CONTAINS';
+    const inspected = inspectField(statement, request, context,
+        value => checkStringMatch(value, matchValue, constraint));
+    if (!inspected) return false;
+    if (inspected.fallback) return describeFallback(inspected);
+    if (!inspected.matched) return false;
+
+    return {
+        ...describeInspection(inspected),
+        constraint,
+        matchValue
+    };
+};
+
+export const evaluateSqliMatchStatement = (statement, request, context) => {
+    if (!statement) return false;
+
+    const inspected = inspectField(statement, request, context,
+        value => SQL_INJECTION_PATTERNS.some(pattern => pattern.test(value)));
+    if (!inspected) return false;
+    if (inspected.fallback) return describeFallback(inspected);
+    if (!inspected.matched) return false;
+
+    return {
+        ...describeInspection(inspected),
+        sensitiveDataFiltered: true
+    };
+};
+
+export const evaluateXssMatchStatement = (statement, request, context) => {
+    if (!statement) return false;
+
+    const inspected = inspectField(statement, request, context,
+        value => XSS_PATTERNS.some(pattern => pattern.test(value)));
+    if (!inspected) return false;
+    if (inspected.fallback) return describeFallback(inspected);
+    if (!inspected.matched) return false;
+
+    return {
+        ...describeInspection(inspected),
+        sensitiveDataFiltered: true
+    };
+};
+
+/**
+ * GeoMatchStatement: matches when the country of the inspected address is one of the
+ * statement's CountryCodes. The country comes from the request's simulated country or
+ * the offline GeoIP data (see geoIp.js), so the same request always gives the same result.
+ * Like AWS WAF, the evaluation adds the country label to context.emittedLabels whether
+ * or not the statement matches.
+ */
+export const evaluateGeoMatchStatement = (statement, request, context) => {
+    if (!statement || !statement.CountryCodes || !statement.CountryCodes.length) {
+        return { matched: false, note: 'No CountryCodes to match' };
+    }
+
+    const resolved = resolveRequestCountry(request, statement.ForwardedIPConfig);
+    const summary = {
+        countryList: statement.CountryCodes,
+        countrySource: resolved.source,
+        inspectedIp: resolved.ip,
+        network: resolved.network
+    };
+
+    if (resolved.fallback) {
+        return {
+            ...summary,
+            matched: resolved.fallback === 'MATCH',
+            fallbackBehavior: resolved.fallback,
+            note: `${resolved.reason}; FallbackBehavior ${resolved.fallback} applies`
+        };
+    }
+
+    if (!resolved.country) {
+        return {
+            ...summary,
+            matched: false,
+            note: `No country for ${resolved.ip}; set a simulated country or add the address to the GeoIP data`
+        };
+    }
+
+    const labelPrefix = statement.ForwardedIPConfig ? 'awswaf:forwardedip:geo' : 'awswaf:clientip:geo';
+    const geoLabel = `${labelPrefix}:country:${resolved.country}`;
+    context?.emittedLabels?.add(geoLabel);
+
+    const matched = statement.CountryCodes.includes(resolved.country);
+    return {
+        ...summary,
+        matched,
+        matchedCountry: matched ? resolved.country : undefined,
+        country: resolved.country,
+        geoLabels: [geoLabel],
+        note: matched ? undefined : `Country ${resolved.country} is not in ${statement.CountryCodes.join(', ')}`
+    };
+};
+
+/**
+ * IPSetReferenceStatement: CIDR matching against the referenced IP set, whose
+ * addresses are resolved by the backend and passed in context.ipSets (keyed by ARN).
+ */
+export const evaluateIPSetReferenceStatement = (statement, request, context) => {
+    if (!statement || !statement.ARN) {
+        return false;
+    }
+
+    const ipSet = context.ipSets?.[statement.ARN];
+    if (!ipSet) {
+        return {
+            matched: false,
+            ipSetArn: statement.ARN,
+            note: 'IP set addresses are not loaded; load the Web ACL from the server to resolve them'
+        };
+    }
+
+    const inspected = resolveInspectedIps(request, statement.IPSetForwardedIPConfig);
+    const summary = {
+        ipSetArn: statement.ARN,
+        ipSetName: ipSet.Name,
+        source: inspected.source
+    };
+
+    if (inspected.fallback) {
+        return {
+            ...summary,
+            matched: inspected.fallback === 'MATCH',
+            fallbackBehavior: inspected.fallback,
+            note: `${inspected.reason}; fallback behavior ${inspected.fallback} applied`
+        };
+    }
+
+    for (const address of inspected.addresses) {
+        const matchedCidr = findMatchingCidr(address, ipSet.Addresses);
+        if (matchedCidr) {
+            return { ...summary, matchedIp: address, matchedCidr };
+        }
+    }
+
+    return { ...summary, matched: false, inspectedIps: inspected.addresses };
+};
+
+/**
+ * Compiles an AWS WAF regex for JavaScript. A leading (?i) (case-insensitive)
+ * is translated into the i flag since RegExp does not support inline modifiers.
+ * @throws {SyntaxError} When the pattern is not valid in JavaScript.
+ */
+export const compileWafRegex = (pattern) => {
+    const caseInsensitive = pattern.startsWith('(?i)');
+    return new RegExp(caseInsensitive ? pattern.slice(4) : pattern, caseInsensitive ? 'i' : '');
+};
+
+/**
+ * RegexPatternSetReferenceStatement: runs every pattern of the referenced set
+ * (resolved by the backend and passed in context.regexPatternSets, keyed by ARN)
+ * against the transformed field and reports the first one that matches.
+ */
+export const evaluateRegexPatternSetReferenceStatement = (statement, request, context) => {
+    if (!statement || !statement.ARN) {
+        return false;
+    }
+
+    const patternSet = context.regexPatternSets?.[statement.ARN];
+    if (!patternSet) {
+        return {
+            matched: false,
+            regexSetArn: statement.ARN,
+            note: 'Regex pattern set is not loaded; load the Web ACL from the server to resolve it'
+        };
+    }
+
+    const invalidPatterns = [];
+    const patterns = (patternSet.RegularExpressionList || []).map(entry => entry.RegexString);
+    const compiled = patterns.flatMap((pattern, patternIndex) => {
+        try {
+            return [{ pattern, patternIndex, regex: compileWafRegex(pattern) }];
+        } catch (error) {
+            invalidPatterns.push({ pattern, error: error.message });
+            return [];
+        }
+    });
+
+    const inspected = inspectField(statement, request, context, value => {
+        for (const { pattern, patternIndex, regex } of compiled) {
+            const match = regex.exec(value);
+            if (match) return { matchedPattern: pattern, patternIndex, matchedText: match[0] };
+        }
+        return null;
+    });
+    if (!inspected) return false;
+
+    const setSummary = { regexSetArn: statement.ARN, regexSetName: patternSet.Name, invalidPatterns };
+    if (inspected.fallback) return { ...describeFallback(inspected), ...setSummary };
+    if (inspected.matched) return { ...describeInspection(inspected), ...setSummary, ...inspected.result };
+
+    return { ...describeInspection(inspected), ...setSummary, matched: false, patternsTested: patterns.length };
+};
+
+const compareSize = (size, comparisonOperator, constraintSize) => {
+    switch (comparisonOperator) {
+        case 'EQ':
+            return size === constraintSize;
+        case 'NE':
+            return size !== constraintSize;
+        case 'LE':
+            return size <= constraintSize;
+        case 'LT':
+            return size < constraintSize;
+        case 'GE':
+            return size >= constraintSize;
+        case 'GT':
+            return size > constraintSize;
+        default:
+            return false;
+    }
+};
+
+// AWS WAF measures sizes in bytes, so multibyte characters count more than once
+const getByteLength = (value) => new TextEncoder().encode(value).length;
+
+export const evaluateSizeConstraintStatement = (statement, request, context) => {
+    if (!statement) return false;
+
+    const comparisonOperator = statement.ComparisonOperator;
+    const constraintSize = statement.Size;
+    const inspected = inspectField(statement, request, context,
+        value => compareSize(getByteLength(value), comparisonOperator, constraintSize));
+    if (!inspected) return false;
+    if (inspected.fallback) return { ...describeFallback(inspected), comparisonOperator, constraintSize };
+    if (!inspected.matched) return false;
+
+    return {
+        ...describeInspection(inspected),
+        actualSize: getByteLength(inspected.transformedValue),
+        comparisonOperator,
+        constraintSize
+    };
+};
+
+/**
+ * RateBasedStatement: counts the request under its aggregation key (AggregateKeyType,
+ * CustomKeys, ForwardedIPConfig) and compares the count with Limit. In a traffic
+ * simulation (context.rateState) the count covers the requests with the same key inside
+ * the sliding EvaluationWindowSec window; a single request uses request.requestNumber.
+ * Requests in scope are always counted; rateExceeded tells whether the rule's action applies.
+ */
+export const evaluateRateBasedStatement = (statement, request, context) => {
+    if (!statement || !statement.Limit) {
+        return false;
+    }
+
+    const scopeDown = statement.ScopeDownStatement
+        ? evaluateStatement(statement.ScopeDownStatement, request, context)
+        : undefined;
+    if (scopeDown && !scopeDown.matched) {
+        return { matched: false, scopeDown, note: 'Scope-down statement did not match' };
+    }
+
+    const limit = statement.Limit;
+    const evaluationWindow = statement.EvaluationWindowSec || 300;
+    const aggregation = getRateAggregationKey(statement, request, context);
+    const summary = {
+        aggregateKeyType: statement.AggregateKeyType || 'IP',
+        aggregationKey: aggregation.key,
+        aggregationComponents: aggregation.components,
+        limit,
+        evaluationWindow,
+        scopeDownMatched: true,
+        scopeDown
+    };
+
+    if (!aggregation.key) {
+        return { ...summary, matched: false, note: aggregation.note };
+    }
+
+    const requestNumber = context?.rateState
+        ? recordRateRequest(context.rateState, context.ruleName, aggregation.key, request.timestamp, evaluationWindow)
+        : request.requestNumber || 1;
+    const rateExceeded = requestNumber > limit;
+
+    return {
+        ...summary,
+        requestNumber,
+        rateExceeded,
+        note: rateExceeded
+            ? `Rate limit exceeded: ${requestNumber} requests in ${evaluationWindow}s window (limit: ${limit})`
+            : `Request counted: ${requestNumber} requests in ${evaluationWindow}s window (limit: ${limit})`
+    };
+};
+
+const splitLabel = (label) => label.split(':').filter(Boolean);
+
+const endsWithComponents = (components, suffix) =>
+    suffix.length > 0 && suffix.length <= components.length &&
+    suffix.every((part, i) => components[components.length - suffix.length + i] === part);
+
+/**
+ * Returns true when a label satisfies a LabelMatchStatement key.
+ * LABEL scope: the key is the label name, optionally preceded by any of its namespaces
+ * up to the fully qualified label. NAMESPACE scope: the key is one or more contiguous
+ * namespaces of the label (a trailing colon is optional), so awswaf:managed: matches
+ * every label below that namespace.
+ */
+export const labelMatchesKey = (label, key, scope = 'LABEL') => {
+    const components = splitLabel(label);
+    const keyComponents = splitLabel(key);
+
+    if (scope === 'NAMESPACE') {
+        const namespaces = components.slice(0, -1);
+        return namespaces.some((_, end) => endsWithComponents(namespaces.slice(0, end + 1), keyComponents));
+    }
+
+    return endsWithComponents(components, keyComponents);
+};
+
+/**
+ * LabelMatchStatement: matches labels added by earlier rules (context.labels).
+ */
+export const evaluateLabelMatchStatement = (statement, request, context) => {
+    if (!statement || !statement.Key) return false;
+
+    const scope = statement.Scope || 'LABEL';
+    const matchedLabels = Array.from(context.labels).filter(label => labelMatchesKey(label, statement.Key, scope));
+    if (matchedLabels.length === 0) return false;
+
+    return {
+        labelKey: statement.Key,
+        scope,
+        matchedLabels
+    };
+};
+
+/**
+ * AsnMatchStatement: matches when the autonomous system number of the inspected
+ * address is in AsnList. There is no offline ASN data, so the request's simulated
+ * ASN (request.asn) stands for the source or forwarded address.
+ */
+export const evaluateAsnMatchStatement = (statement, request) => {
+    if (!statement || !Array.isArray(statement.AsnList) || statement.AsnList.length === 0) {
+        return false;
+    }
+
+    const summary = { asnList: statement.AsnList };
+    if (statement.ForwardedIPConfig) {
+        const inspected = resolveInspectedIps(request, statement.ForwardedIPConfig);
+        summary.source = inspected.source;
+        if (inspected.fallback) {
+            return {
+                ...summary,
+                matched: inspected.fallback === 'MATCH',
+                fallbackBehavior: inspected.fallback,
+                note: `${inspected.reason}; FallbackBehavior ${inspected.fallback} applies`
+            };
+        }
+    } else {
+        summary.source = 'Source IP';
+    }
+
+    if (request.asn === undefined) {
+        return { ...summary, matched: false, note: 'No simulated ASN is set for the request' };
+    }
+
+    const matched = statement.AsnList.map(Number).includes(request.asn);
+    return {
+        ...summary,
+        matched,
+        asn: request.asn,
+        note: matched ? undefined : `ASN ${request.asn} is not in ${statement.AsnList.join(', ')}`
+    };
+};
+
+/**
+ * RegexMatchStatement: runs the inline RegexString against the transformed field.
+ */
+export const evaluateRegexMatchStatement = (statement, request, context) => {
+    if (!statement || !statement.RegexString) return false;
+
+    let regex;
+    try {
+        regex = compileWafRegex(statement.RegexString);
+    } catch (error) {
+        return { matched: false, pattern: statement.RegexString, note: `Invalid regular expression: ${error.message}` };
+    }
+
+    const inspected = inspectField(statement, request, context, value => regex.exec(value));
+    if (!inspected) return false;
+    if (inspected.fallback) return { ...describeFallback(inspected), pattern: statement.RegexString };
+    if (!inspected.matched) return false;
+
+    return {
+        ...describeInspection(inspected),
+        pattern: statement.RegexString,
+        matchedText: inspected.result[0]
+    };
+};
+
+const evaluateSubStatements = (statements = [], request, context) => {
+    return statements.map(stmt => evaluateStatement(stmt, request, context));
+};
+
+/**
+ * Evaluates any statement, recursing into And/Or/Not.
+ * @param {Object} statement - The WAF statement.
+ * @param {Object} request - The normalized request.
+ * @param {Object} context - { labels: Set, ipSets, regexPatternSets, emittedLabels: Set, ruleName,
+ *   rateState } with the labels added by earlier rules, the resolved IP and regex pattern sets
+ *   keyed by ARN, the set collecting labels AWS WAF adds while evaluating (e.g. geo labels),
+ *   and, in a traffic simulation, the rate-based counters of the evaluated rule.
+ * @returns {Object} - { matched, details } where details.type names the statement.
+ */
+export const evaluateStatement = (statement, request, context) => {
+    const statementType = getStatementType(statement);
+    const type = statementType.replace(/Statement$/, '');
+    const body = statement?.[statementType];
+
+    let details = false;
+    switch (statementType) {
+        case 'ByteMatchStatement':
+            details = evaluateByteMatchStatement(body, request, context);
+            break;
+
+        case 'SqliMatchStatement':
+            details = evaluateSqliMatchStatement(body, request, context);
+            break;
+
+        case 'XssMatchStatement':
+            details = evaluateXssMatchStatement(body, request, context);
+            break;
+
+        case 'GeoMatchStatement':
+            details = evaluateGeoMatchStatement(body, request, context);
+            break;
+
+        case 'IPSetReferenceStatement':
+            details = evaluateIPSetReferenceStatement(body, request, context);
+            break;
+
+        case 'RegexPatternSetReferenceStatement':
+            details = evaluateRegexPatternSetReferenceStatement(body, request, context);
+            break;
+
+        case 'SizeConstraintStatement':
+            details = evaluateSizeConstraintStatement(body, request, context);
+            break;
+
+        case 'RateBasedStatement':
+            details = evaluateRateBasedStatement(body, request, context);
+            break;
+
+        case 'ManagedRuleGroupStatement':
+            // Managed rule contents are unknown, so the group is assumed to match
+            details = {
+                vendorName: body.VendorName,
+                name: body.Name,
+                note: 'Managed rule groups are assumed to potentially match for simulation purposes'
+            };
+            break;
+
+        case 'LabelMatchStatement':
+            details = evaluateLabelMatchStatement(body, request, context);
+            break;
+
+        case 'RegexMatchStatement':
+            details = evaluateRegexMatchStatement(body, request, context);
+            break;
+
+        case 'AsnMatchStatement':
+            details = evaluateAsnMatchStatement(body, request);
+            break;
+
+        case 'AndStatement': {
+            const subResults = evaluateSubStatements(body.Statements, request, context);
+            const matched = subResults.length > 0 && subResults.every(r => r.matched);
+            return { matched, details: { type, operator: 'AND', subResults } };
+        }
+
+        case 'OrStatement': {
+            const subResults = evaluateSubStatements(body.Statements, request, context);
+            const matched = subResults.some(r => r.matched);
+            return { matched, details: { type, operator: 'OR', subResults } };
+        }
+
+        case 'NotStatement': {
+            if (!body.Statement) return { matched: false, details: { type, operator: 'NOT' } };
+            const innerStatement = evaluateStatement(body.Statement, request, context);
+            return { matched: !innerStatement.matched, details: { type, operator: 'NOT', innerStatement } };
+        }
+
+        default:
+            // Reported in the trace rather than treated as an ordinary non-match
+            return {
+                matched: false,
+                details: {
+                    type,
+                    unsupported: true,
+                    note: `${statementType === 'Unknown' ? 'This statement' : statementType} is not supported by the simulator`
+                }
+            };
+    }
+
+    const { matched, ...rest } = details || {};
+    return {
+        matched: Boolean(details) && matched !== false,
+        details: { type, ...rest }
+    };
+};
@@ -0,0 +1,305 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateStatement } from './statements';
+import { normalizeRequest } from './request';
+import { createRateState } from './rateLimit';
+
+const request = (config = {}) => normalizeRequest({ method: 'GET', path: '/', ...config });
+
+const context = (overrides = {}) => ({ labels: new Set(), emittedLabels: new Set(), ...overrides });
+
+const byteMatch = (SearchString, PositionalConstraint = 'CONTAINS', FieldToMatch = { UriPath: {} }) => ({
+    ByteMatchStatement: {
+        SearchString,
+        PositionalConstraint,
+        FieldToMatch,
+        TextTransformations: [{ Priority: 0, Type: 'NONE' }]
+    }
+});
+
+describe('evaluateStatement', () => {
+    describe('ByteMatchStatement', () => {
+        it('matches each positional constraint', () => {
+            const req = request({ path: '/admin/login' });
+            expect(evaluateStatement(byteMatch('/admin/login', 'EXACTLY'), req, context()).matched).toBe(true);
+            expect(evaluateStatement(byteMatch('/admin', 'STARTS_WITH'), req, context()).matched).toBe(true);
+            expect(evaluateStatement(byteMatch('login', 'ENDS_WITH'), req, context()).matched).toBe(true);
+            expect(evaluateStatement(byteMatch('min/lo', 'CONTAINS'), req, context()).matched).toBe(true);
+            expect(evaluateStatement(byteMatch('admin', 'CONTAINS_WORD'), req, context()).matched).toBe(true);
+            expect(evaluateStatement(byteMatch('/admin', 'EXACTLY'), req, context()).matched).toBe(false);
+        });
+
+        it('decodes SearchStringBase64', () => {
+            const statement = { ByteMatchStatement: { ...byteMatch('').ByteMatchStatement, SearchString: undefined, SearchStringBase64: btoa('admin') } };
+            expect(evaluateStatement(statement, request({ path: '/admin' }), context()).matched).toBe(true);
+        });
+
+        it('inspects a single header', () => {
+            const statement = byteMatch('curl', 'STARTS_WITH', { SingleHeader: { Name: 'user-agent' } });
+            const result = evaluateStatement(statement, request({ headers: [{ name: 'User-Agent', value: 'curl/8.0' }] }), context());
+            expect(result.matched).toBe(true);
+            expect(result.details).toMatchObject({ type: 'ByteMatch', value: 'curl/8.0' });
+        });
+
+        it('inspects the header order as sent, repeated headers included', () => {
+            const statement = byteMatch('host:cookie:accept:cookie', 'EXACTLY', { HeaderOrder: { OversizeHandling: 'MATCH' } });
+            const req = request({
+                headers: [
+                    { name: 'Host', value: 'example.com' },
+                    { name: 'Cookie', value: 'a=1' },
+                    { name: 'Accept', value: '*/*' },
+                    { name: 'Cookie', value: 'b=2' }
+                ]
+            });
+            expect(evaluateStatement(statement, req, context()).matched).toBe(true);
+        });
+
+        it('does not match an absent field', () => {
+            const statement = byteMatch('curl', 'CONTAINS', { SingleHeader: { Name: 'user-agent' } });
+            expect(evaluateStatement(statement, request(), context()).matched).toBe(false);
+        });
+    });
+
+    describe('SqliMatchStatement', () => {
+        const sqli = { SqliMatchStatement: { FieldToMatch: { QueryString: {} }, TextTransformations: [{ Priority: 0, Type: 'URL_DECODE' }] } };
+
+        it('matches an injection in the query string', () => {
+            expect(evaluateStatement(sqli, request({ queryParams: "id=1'%20OR%201=1" }), context()).matched).toBe(true);
+        });
+
+        it('does not match a plain query string', () => {
+            expect(evaluateStatement(sqli, request({ queryParams: 'id=42' }), context()).matched).toBe(false);
+        });
+    });
+
+    describe('XssMatchStatement', () => {
+        const xss = { XssMatchStatement: { FieldToMatch: { Body: {} }, TextTransformations: [{ Priority: 0, Type: 'NONE' }] } };
+
+        it('matches a script tag in the body', () => {
+            expect(evaluateStatement(xss, request({ method: 'POST', body: '<script>alert(1)</script>' }), context()).matched).toBe(true);
+        });
+
+        it('does not match a plain body', () => {
+            expect(evaluateStatement(xss, request({ method: 'POST', body: 'hello' }), context()).matched).toBe(false);
+        });
+    });
+
+    describe('GeoMatchStatement', () => {
+        const geo = { GeoMatchStatement: { CountryCodes: ['US', 'CA'] } };
+
+        it('matches the simulated country and emits its label', () => {
+            const ctx = context();
+            const result = evaluateStatement(geo, request({ country: 'us' }), ctx);
+            expect(result.matched).toBe(true);
+            expect([...ctx.emittedLabels]).toEqual(['awswaf:clientip:geo:country:US']);
+        });
+
+        it('emits the country label when the country is not listed', () => {
+            const ctx = context();
+            expect(evaluateStatement(geo, request({ country: 'FR' }), ctx).matched).toBe(false);
+            expect([...ctx.emittedLabels]).toEqual(['awswaf:clientip:geo:country:FR']);
+        });
+    });
+
+    describe('IPSetReferenceStatement', () => {
+        const arn = 'arn:aws:wafv2:us-east-1:123456789012:regional/ipset/blocked/1';
+        const ipSets = { [arn]: { Name: 'blocked', Addresses: ['203.0.113.0/24', '2001:db8::/32'] } };
+        const ipSet = (config) => ({ IPSetReferenceStatement: { ARN: arn, ...config } });
+
+        it('matches a source address inside a CIDR', () => {
+            const result = evaluateStatement(ipSet(), request({ clientIp: '203.0.113.7' }), context({ ipSets }));
+            expect(result.matched).toBe(true);
+            expect(result.details.matchedCidr).toBe('203.0.113.0/24');
+        });
+
+        it('does not match an address outside the set', () => {
+            expect(evaluateStatement(ipSet(), request({ clientIp: '198.51.100.1' }), context({ ipSets })).matched).toBe(false);
+        });
+
+        it('inspects the forwarded IP header with Position ANY', () => {
+            const statement = ipSet({ IPSetForwardedIPConfig: { HeaderName: 'X-Forwarded-For', Position: 'ANY', FallbackBehavior: 'NO_MATCH' } });
+            const req = request({ headers: [{ name: 'X-Forwarded-For', value: '198.51.100.1, 2001:db8::1' }] });
+            expect(evaluateStatement(statement, req, context({ ipSets })).details.matchedIp).toBe('2001:db8::1');
+        });
+
+        it('applies the fallback behavior when the header is missing', () => {
+            const statement = ipSet({ IPSetForwardedIPConfig: { HeaderName: 'X-Forwarded-For', Position: 'FIRST', FallbackBehavior: 'MATCH' } });
+            expect(evaluateStatement(statement, request(), context({ ipSets })).matched).toBe(true);
+        });
+
+        it('does not match when the set is not loaded', () => {
+            expect(evaluateStatement(ipSet(), request({ clientIp: '203.0.113.7' }), context()).matched).toBe(false);
+        });
+    });
+
+    describe('RegexPatternSetReferenceStatement', () => {
+        const arn = 'arn:aws:wafv2:us-east-1:123456789012:regional/regexpatternset/bots/1';
+        const regexPatternSets = { [arn]: { Name: 'bots', RegularExpressionList: [{ RegexString: '(?i)^bad-?bot' }, { RegexString: '[' }] } };
+        const statement = {
+            RegexPatternSetReferenceStatement: {
+                ARN: arn,
+                FieldToMatch: { SingleHeader: { Name: 'user-agent' } },
+                TextTransformations: [{ Priority: 0, Type: 'NONE' }]
+            }
+        };
+
+        it('matches a pattern and reports the invalid ones', () => {
+            const result = evaluateStatement(statement, request({ headers: [{ name: 'User-Agent', value: 'BadBot/1.0' }] }), context({ regexPatternSets }));
+            expect(result.matched).toBe(true);
+            expect(result.details).toMatchObject({ matchedPattern: '(?i)^bad-?bot', matchedText: 'BadBot' });
+            expect(result.details.invalidPatterns).toHaveLength(1);
+        });
+
+        it('does not match when no pattern matches', () => {
+            const result = evaluateStatement(statement, request({ headers: [{ name: 'User-Agent', value: 'Mozilla/5.0' }] }), context({ regexPatternSets }));
+            expect(result.matched).toBe(false);
+        });
+    });
+
+    describe('SizeConstraintStatement', () => {
+        const size = (ComparisonOperator, Size, FieldToMatch = { QueryString: {} }) => ({
+            SizeConstraintStatement: { FieldToMatch, ComparisonOperator, Size, TextTransformations: [{ Priority: 0, Type: 'NONE' }] }
+        });
+
+        it('compares the size of the field', () => {
+            const req = request({ queryParams: 'a=12345' });
+            expect(evaluateStatement(size('GT', 5), req, context()).matched).toBe(true);
+            expect(evaluateStatement(size('EQ', 7), req, context()).matched).toBe(true);
+            expect(evaluateStatement(size('LT', 7), req, context()).matched).toBe(false);
+        });
+
+        it('counts the size in bytes', () => {
+            const req = request({ path: '/café' });
+            const result = evaluateStatement(size('EQ', 6, { UriPath: {} }), req, context());
+            expect(result.matched).toBe(true);
+            expect(result.details.actualSize).toBe(6);
+            expect(evaluateStatement(size('EQ', 5, { UriPath: {} }), req, context()).matched).toBe(false);
+        });
+
+        it('inspects an empty body', () => {
+            const req = request({ method: 'POST', body: '' });
+            expect(evaluateStatement(size('EQ', 0, { Body: {} }), req, context()).matched).toBe(true);
+            expect(evaluateStatement(size('LE', 10, { Body: {} }), req, context()).matched).toBe(true);
+            expect(evaluateStatement(size('GT', 0, { Body: {} }), req, context()).matched).toBe(false);
+        });
+    });
+
+    describe('RateBasedStatement', () => {
+        const rate = { RateBasedStatement: { Limit: 2, AggregateKeyType: 'IP', EvaluationWindowSec: 60 } };
+
+        it('uses the request number of a single request', () => {
+            const below = evaluateStatement(rate, request({ requestNumber: 2 }), context());
+            expect(below.matched).toBe(true);
+            expect(below.details.rateExceeded).toBe(false);
+            expect(evaluateStatement(rate, request({ requestNumber: 3 }), context()).details.rateExceeded).toBe(true);
+        });
+
+        it('counts the requests of a traffic simulation', () => {
+            const ctx = context({ rateState: createRateState(), ruleName: 'rate' });
+            const results = [0, 1, 2].map(timestamp => evaluateStatement(rate, request({ timestamp }), ctx));
+            expect(results.map(result => result.details.requestNumber)).toEqual([1, 2, 3]);
+            expect(results.map(result => result.details.rateExceeded)).toEqual([false, false, true]);
+        });
+
+        it('does not count requests outside the scope-down statement', () => {
+            const scoped = { RateBasedStatement: { ...rate.RateBasedStatement, ScopeDownStatement: byteMatch('/api', 'STARTS_WITH') } };
+            const result = evaluateStatement(scoped, request({ path: '/home' }), context());
+            expect(result.matched).toBe(false);
+            expect(result.details.scopeDown.matched).toBe(false);
+        });
+    });
+
+    describe('LabelMatchStatement', () => {
+        const labels = new Set(['awswaf:managed:aws:bot-control:bot:verified']);
+
+        it('matches a label by name or namespace', () => {
+            const byName = { LabelMatchStatement: { Scope: 'LABEL', Key: 'bot:verified' } };
+            const byNamespace = { LabelMatchStatement: { Scope: 'NAMESPACE', Key: 'awswaf:managed:aws:bot-control:' } };
+            expect(evaluateStatement(byName, request(), context({ labels })).matched).toBe(true);
+            expect(evaluateStatement(byNamespace, request(), context({ labels })).matched).toBe(true);
+        });
+
+        it('does not match a label no earlier rule added', () => {
+            const statement = { LabelMatchStatement: { Scope: 'LABEL', Key: 'bot:unverified' } };
+            expect(evaluateStatement(statement, request(), context({ labels })).matched).toBe(false);
+        });
+    });
+
+    describe('RegexMatchStatement', () => {
+        const regex = (RegexString) => ({
+            RegexMatchStatement: { RegexString, FieldToMatch: { UriPath: {} }, TextTransformations: [{ Priority: 0, Type: 'NONE' }] }
+        });
+
+        it('matches the pattern and reports the matched text', () => {
+            const result = evaluateStatement(regex('^/api/v[0-9]+'), request({ path: '/api/v2/users' }), context());
+            expect(result).toMatchObject({ matched: true, details: { type: 'RegexMatch', pattern: '^/api/v[0-9]+', matchedText: '/api/v2' } });
+        });
+
+        it('does not match other values', () => {
+            expect(evaluateStatement(regex('^/api/v[0-9]+'), request({ path: '/API/v2' }), context()).matched).toBe(false);
+            expect(evaluateStatement(regex('(?i)^/api/v[0-9]+'), request({ path: '/API/v2' }), context()).matched).toBe(true);
+        });
+
+        it('reports an invalid regular expression instead of matching', () => {
+            const result = evaluateStatement(regex('(unclosed'), request(), context());
+            expect(result.matched).toBe(false);
+            expect(result.details.note).toMatch(/^Invalid regular expression/);
+        });
+    });
+
+    describe('AsnMatchStatement', () => {
+        const asn = (AsnList, config) => ({ AsnMatchStatement: { AsnList, ...config } });
+
+        it('matches the simulated ASN of the request', () => {
+            const result = evaluateStatement(asn([64496, 64497]), request({ asn: '64497' }), context());
+            expect(result).toMatchObject({ matched: true, details: { type: 'AsnMatch', asn: 64497, source: 'Source IP' } });
+        });
+
+        it('accepts an AS-prefixed ASN', () => {
+            expect(evaluateStatement(asn([64496]), request({ asn: 'AS64496' }), context()).matched).toBe(true);
+            expect(evaluateStatement(asn([64496]), request({ asn: ' as64496 ' }), context()).matched).toBe(true);
+        });
+
+        it('does not match another or a missing ASN', () => {
+            expect(evaluateStatement(asn([64496]), request({ asn: 'AS64511' }), context()).details.note).toBe('ASN 64511 is not in 64496');
+            expect(evaluateStatement(asn([64496]), request(), context())).toMatchObject({
+                matched: false,
+                details: { note: 'No simulated ASN is set for the request' }
+            });
+        });
+
+        it('applies the fallback when the forwarded IP header is missing', () => {
+            const statement = asn([64496], { ForwardedIPConfig: { HeaderName: 'X-Forwarded-For', FallbackBehavior: 'MATCH' } });
+            expect(evaluateStatement(statement, request({ asn: '64511' }), context())).toMatchObject({ matched: true, details: { fallbackBehavior: 'MATCH' } });
+        });
+    });
+
+    describe('logical statements', () => {
+        const admin = byteMatch('/admin', 'STARTS_WITH');
+        const login = byteMatch('login', 'CONTAINS');
+        const req = request({ path: '/admin/home' });
+
+        it('evaluates And, Or and Not', () => {
+            expect(evaluateStatement({ AndStatement: { Statements: [admin, login] } }, req, context()).matched).toBe(false);
+            expect(evaluateStatement({ OrStatement: { Statements: [admin, login] } }, req, context()).matched).toBe(true);
+            expect(evaluateStatement({ NotStatement: { Statement: login } }, req, context()).matched).toBe(true);
+        });
+
+        it('nests the sub-results in the details', () => {
+            const result = evaluateStatement({ AndStatement: { Statements: [admin, { NotStatement: { Statement: login } }] } }, req, context());
+            expect(result.matched).toBe(true);
+            expect(result.details.subResults.map(sub => sub.details.type)).toEqual(['ByteMatch', 'Not']);
+        });
+    });
+
+    describe('unsupported statements', () => {
+        it('reports unknown statement types as unsupported', () => {
+            const result = evaluateStatement({ FutureMatchStatement: {} }, request(), context());
+            expect(result.matched).toBe(false);
+            expect(result.details).toMatchObject({ type: 'FutureMatch', unsupported: true });
+        });
+
+        it('reports a missing statement as unsupported', () => {
+            expect(evaluateStatement(undefined, request(), context()).details.unsupported).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,323 @@
+/**
+ * Text transformations applied to a field before it is inspected.
+ * Semantics follow the AWS WAF TextTransformation documentation, which in turn follows
+ * the ModSecurity transformation functions of the same names. Values are JavaScript
+ * strings; decoders that produce bytes map each byte to one character.
+ */
+
+// Characters COMPRESS_WHITE_SPACE turns into a space: \f \t \n \r \v and non-breaking space
+const WHITE_SPACE_CHARACTERS = /[\f\t\n\r\v\u00a0]/g;
+
+const C_ESCAPES = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+const HTML_NAMED_ENTITIES = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: '\u00a0', apos: "'" };
+
+// Every type applyTextTransformation implements; others leave the value unchanged
+const TEXT_TRANSFORMATION_TYPES = new Set([
+    'NONE', 'LOWERCASE', 'UPPERCASE', 'TRIM', 'URL_DECODE', 'URL_DECODE_UNI', 'HTML_ENTITY_DECODE',
+    'COMPRESS_WHITE_SPACE', 'CMD_LINE', 'BASE64_DECODE', 'BASE64_DECODE_EXT', 'HEX_DECODE',
+    'SQL_HEX_DECODE', 'ESCAPE_SEQ_DECODE', 'JS_DECODE', 'CSS_DECODE', 'NORMALIZE_PATH',
+    'NORMALIZE_PATH_WIN', 'REMOVE_NULLS', 'REPLACE_NULLS', 'REPLACE_COMMENTS', 'UTF8_TO_UNICODE', 'MD5'
+]);
+
+const isHex = (text) => /^[0-9a-f]+$/i.test(text);
+
+/**
+ * Decodes %XX escapes (and %uHHHH when unicode is set) and '+' as space.
+ * Malformed escapes are left as they are.
+ */
+const urlDecode = (text, unicode = false) => {
+    const pattern = unicode ? /%u([0-9a-f]{4})|%([0-9a-f]{2})|\+/gi : /%([0-9a-f]{2})|\+/gi;
+    return text.replace(pattern, (match, first, second) => {
+        if (match === '+') return ' ';
+        if (unicode && match[1].toLowerCase() === 'u') {
+            const code = parseInt(first, 16);
+            // Full-width ASCII (U+FF01-U+FF5E) is mapped to its ASCII equivalent
+            return String.fromCharCode(code >= 0xff01 && code <= 0xff5e ? code - 0xfee0 : code);
+        }
+        return String.fromCharCode(parseInt(unicode ? second : first, 16));
+    });
+};
+
+const htmlEntityDecode = (text) => {
+    return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (match, hex, dec, name) => {
+        if (hex) return String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff));
+        if (dec) return String.fromCodePoint(Math.min(parseInt(dec, 10), 0x10ffff));
+        const decoded = HTML_NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined && match.endsWith(';') ? decoded : match;
+    });
+};
+
+const cmdLine = (text) => {
+    return text
+        .replace(/[\\"'^]/g, '')
+        .replace(/\s+(?=[/(])/g, '')
+        .replace(/[,;]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+};
+
+const base64Decode = (text) => {
+    try {
+        return atob(text);
+    } catch {
+        return text;
+    }
+};
+
+// Like BASE64_DECODE but accepts the URL-safe alphabet and ignores invalid characters
+const base64DecodeExt = (text) => {
+    const cleaned = text.replace(/-/g, '+').replace(/_/g, '/').replace(/[^A-Za-z0-9+/]/g, '');
+    const usable = cleaned.slice(0, cleaned.length - (cleaned.length % 4 === 1 ? 1 : 0));
+    return base64Decode(usable);
+};
+
+const hexDecode = (text) => {
+    if (!isHex(text) || text.length % 2 !== 0) return text;
+    let result = '';
+    for (let i = 0; i < text.length; i += 2) {
+        result += String.fromCharCode(parseInt(text.substr(i, 2), 16));
+    }
+    return result;
+};
+
+// 0x414243 becomes ABC; only even-length hex runs are decoded
+const sqlHexDecode = (text) => {
+    return text.replace(/0x((?:[0-9a-f]{2})+)/gi, (_, hex) => hexDecode(hex));
+};
+
+// ANSI C escapes: \a \b \f \n \r \t \v \\ \? \' \" \xHH and octal \OOO
+const escapeSeqDecode = (text) => {
+    return text.replace(/\\(x([0-9a-f]{2})|([0-7]{1,3})|[abfnrtv\\?'"])/gi, (match, escape, hex, octal) => {
+        if (hex) return String.fromCharCode(parseInt(hex, 16));
+        if (octal) return String.fromCharCode(parseInt(octal, 8) & 0xff);
+        return C_ESCAPES[escape] ?? escape;
+    });
+};
+
+// JavaScript escapes: C escapes plus \uHHHH (full-width ASCII folded to ASCII)
+const jsDecode = (text) => {
+    return text.replace(/\\(u([0-9a-f]{4})|x([0-9a-f]{2})|([0-7]{1,3})|.)/gi, (match, escape, unicode, hex, octal) => {
+        if (unicode) {
+            const code = parseInt(unicode, 16);
+            return String.fromCharCode(code >= 0xff01 && code <= 0xff5e ? code - 0xfee0 : code);
+        }
+        if (hex) return String.fromCharCode(parseInt(hex, 16));
+        if (octal) return String.fromCharCode(parseInt(octal, 8) & 0xff);
+        return C_ESCAPES[escape] ?? escape;
+    });
+};
+
+// CSS 2.x escapes: \ and up to six hex digits (plus one optional white space),
+// an escaped newline is removed and any other escaped character stands for itself
+const cssDecode = (text) => {
+    return text.replace(/\\(?:([0-9a-f]{1,6})[ \t\n\r\f]?|(\r\n|[\n\r\f])|([\s\S]))/gi, (match, hex, newline, other) => {
+        if (hex) {
+            const code = parseInt(hex, 16);
+            if (code > 0x10ffff) return '\ufffd';
+            return String.fromCodePoint(code >= 0xff01 && code <= 0xff5e ? code - 0xfee0 : code);
+        }
+        if (newline) return '';
+        return other;
+    });
+};
+
+// Removes repeated slashes, /./ self references and resolvable /../ back references
+const normalizePath = (text) => {
+    const absolute = text.startsWith('/');
+    const trailing = /\/\.{0,2}$/.test(text) && text.length > 1;
+    const segments = [];
+
+    text.split('/').forEach(segment => {
+        if (segment === '' || segment === '.') return;
+        if (segment === '..') {
+            if (segments.length > 0 && segments[segments.length - 1] !== '..') {
+                segments.pop();
+            } else if (!absolute) {
+                segments.push(segment);
+            }
+            return;
+        }
+        segments.push(segment);
+    });
+
+    const path = `${absolute ? '/' : ''}${segments.join('/')}`;
+    return trailing && !path.endsWith('/') ? `${path}/` : path;
+};
+
+// /* ... */ comments become one space; an unterminated comment runs to the end
+const replaceComments = (text) => text.replace(/\/\*[\s\S]*?(?:\*\/|$)/g, ' ');
+
+const utf8ToUnicode = (text) => {
+    return Array.from(text).map(char => {
+        const code = char.codePointAt(0);
+        if (code < 0x80) return char;
+        return `%u${code.toString(16).padStart(4, '0')}`;
+    }).join('');
+};
+
+// MD5 of the value's character codes (bytes), returned as the raw 16-byte digest
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+const md5 = (text) => {
+    const bytes = Array.from(text, char => char.charCodeAt(0) & 0xff);
+    const bitLength = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) bytes.push(0);
+    for (let i = 0; i < 8; i++) bytes.push(Math.floor(bitLength / 2 ** (8 * i)) & 0xff);
+
+    let [a0, b0, c0, d0] = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    for (let offset = 0; offset < bytes.length; offset += 64) {
+        const words = Array.from({ length: 16 }, (_, i) =>
+            bytes[offset + i * 4] | (bytes[offset + i * 4 + 1] << 8) |
+            (bytes[offset + i * 4 + 2] << 16) | (bytes[offset + i * 4 + 3] << 24));
+        let [a, b, c, d] = [a0, b0, c0, d0];
+
+        for (let i = 0; i < 64; i++) {
+            const round = i >> 4;
+            let f;
+            let g;
+            if (round === 0) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (round === 1) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (round === 2) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+
+            const shift = MD5_SHIFTS[round * 4 + (i % 4)];
+            const sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+            [a, d, c] = [d, c, b];
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+
+        [a0, b0, c0, d0] = [(a0 + a) | 0, (b0 + b) | 0, (c0 + c) | 0, (d0 + d) | 0];
+    }
+
+    return [a0, b0, c0, d0]
+        .map(word => Array.from({ length: 4 }, (_, i) => String.fromCharCode((word >>> (8 * i)) & 0xff)).join(''))
+        .join('');
+};
+
+/**
+ * Applies a single AWS WAF text transformation.
+ * Unknown transformation types leave the value unchanged.
+ */
+export const applyTextTransformation = (text, transformType) => {
+    if (!text) return text;
+
+    switch (transformType) {
+        case 'NONE':
+            return text;
+
+        case 'LOWERCASE':
+            return text.toLowerCase();
+
+        case 'UPPERCASE':
+            return text.toUpperCase();
+
+        case 'TRIM':
+            return text.trim();
+
+        case 'URL_DECODE':
+            return urlDecode(text);
+
+        case 'URL_DECODE_UNI':
+            return urlDecode(text, true);
+
+        case 'HTML_ENTITY_DECODE':
+            return htmlEntityDecode(text);
+
+        case 'COMPRESS_WHITE_SPACE':
+            return text.replace(WHITE_SPACE_CHARACTERS, ' ').replace(/ {2,}/g, ' ');
+
+        case 'CMD_LINE':
+            return cmdLine(text);
+
+        case 'BASE64_DECODE':
+            return base64Decode(text);
+
+        case 'BASE64_DECODE_EXT':
+            return base64DecodeExt(text);
+
+        case 'HEX_DECODE':
+            return hexDecode(text);
+
+        case 'SQL_HEX_DECODE':
+            return sqlHexDecode(text);
+
+        case 'ESCAPE_SEQ_DECODE':
+            return escapeSeqDecode(text);
+
+        case 'JS_DECODE':
+            return jsDecode(text);
+
+        case 'CSS_DECODE':
+            return cssDecode(text);
+
+        case 'NORMALIZE_PATH':
+            return normalizePath(text);
+
+        case 'NORMALIZE_PATH_WIN':
+            return normalizePath(text.replace(/\\/g, '/'));
+
+        case 'REMOVE_NULLS':
+            return text.replace(/\0/g, '');
+
+        case 'REPLACE_NULLS':
+            return text.replace(/\0/g, ' ');
+
+        case 'REPLACE_COMMENTS':
+            return replaceComments(text);
+
+        case 'UTF8_TO_UNICODE':
+            return utf8ToUnicode(text);
+
+        case 'MD5':
+            return md5(text);
+
+        default:
+            return text;
+    }
+};
+
+/**
+ * Applies a statement's TextTransformations in priority order (lowest first) and
+ * records the value after each one.
+ * @param {string} value - The extracted field value.
+ * @param {Array} transformations - The statement's TextTransformations.
+ * @returns {Array} - [{ priority, type, value, unsupported }], one entry per transformation;
+ *   unsupported is set on the types the simulator does not implement.
+ */
+export const traceTextTransformations = (value, transformations = []) => {
+    if (!Array.isArray(transformations)) return [];
+
+    const steps = [];
+    [...transformations]
+        .sort((a, b) => a.Priority - b.Priority)
+        .reduce((current, transform) => {
+            const next = applyTextTransformation(current, transform.Type);
+            const step = { priority: transform.Priority, type: transform.Type, value: next };
+            steps.push(TEXT_TRANSFORMATION_TYPES.has(transform.Type) ? step : { ...step, unsupported: true });
+            return next;
+        }, value);
+    return steps;
+};
+
+/**
+ * Applies a statement's TextTransformations in priority order (lowest first).
+ * @param {string} value - The extracted field value.
+ * @param {Array} transformations - The statement's TextTransformations.
+ * @returns {string} - The transformed value.
+ */
+export const applyTextTransformations = (value, transformations = []) => {
+    const steps = traceTextTransformations(value, transformations);
+    return steps.length > 0 ? steps[steps.length - 1].value : value;
+};
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { applyTextTransformation, applyTextTransformations, traceTextTransformations } from './textTransformations';
+
+describe('applyTextTransformation', () => {
+    it.each([
+        ['NONE', 'AbC', 'AbC'],
+        ['LOWERCASE', 'SeLeCt', 'select'],
+        ['UPPERCASE', 'select', 'SELECT'],
+        ['TRIM', ' \t admin \n', 'admin'],
+        ['URL_DECODE', '%3Cscript%3E+x%zz', '<script> x%zz'],
+        ['URL_DECODE_UNI', '%u003C%uFF41%41', '<aA'],
+        ['HTML_ENTITY_DECODE', '&lt;&#x41;&#66;&amp;&quot;&bogus;&lt', '<AB&"&bogus;&lt'],
+        ['COMPRESS_WHITE_SPACE', 'a\t\t b\r\nc', 'a b c'],
+        ['CMD_LINE', 'C^md.E\\xe "/c" ,dir  /w;ver', 'cmd.exe/c dir/w ver'],
+        ['BASE64_DECODE', 'YWRtaW4=', 'admin'],
+        ['BASE64_DECODE_EXT', 'YW-R_ta.W4', atob('YW+R/taW4'.slice(0, 8))],
+        ['HEX_DECODE', '61646d696e', 'admin'],
+        ['SQL_HEX_DECODE', 'SELECT 0x61646d696e', 'SELECT admin'],
+        ['ESCAPE_SEQ_DECODE', '\\x41\\102\\n\\"', 'AB\n"'],
+        ['JS_DECODE', '\\u003c\\uff41\\x42\\z', '<aBz'],
+        ['CSS_DECODE', '\\3c script\\\nx\\-', '<scriptx-'],
+        ['NORMALIZE_PATH', '/a//b/./c/../d/', '/a/b/d/'],
+        ['NORMALIZE_PATH_WIN', '\\a\\..\\b\\.\\c', '/b/c'],
+        ['REMOVE_NULLS', 'ad\0min\0', 'admin'],
+        ['REPLACE_NULLS', 'a\0b', 'a b'],
+        ['REPLACE_COMMENTS', 'UNION/**/SELECT/* open', 'UNION SELECT '],
+        ['UTF8_TO_UNICODE', 'aé', 'a%u00e9']
+    ])('%s', (type, input, expected) => {
+        expect(applyTextTransformation(input, type)).toBe(expected);
+    });
+
+    it('MD5', () => {
+        const hex = (text) => Array.from(text, char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+        expect(hex(applyTextTransformation('abc', 'MD5'))).toBe('900150983cd24fb0d6963f7d28e17f72');
+        expect(hex(applyTextTransformation('The quick brown fox jumps over the lazy dog', 'MD5'))).toBe('9e107d9d372bb6826bd81d3542a419d6');
+    });
+
+    it('leaves invalid input to the decoders unchanged', () => {
+        expect(applyTextTransformation('not base64!', 'BASE64_DECODE')).toBe('not base64!');
+        expect(applyTextTransformation('abc', 'HEX_DECODE')).toBe('abc');
+    });
+});
+
+describe('traceTextTransformations', () => {
+    it('chains the transformations in priority order', () => {
+        const transformations = [
+            { Priority: 2, Type: 'LOWERCASE' },
+            { Priority: 0, Type: 'URL_DECODE' },
+            { Priority: 1, Type: 'HTML_ENTITY_DECODE' }
+        ];
+        const steps = traceTextTransformations('%26lt%3BSCRIPT%26gt%3B', transformations);
+        expect(steps).toEqual([
+            { priority: 0, type: 'URL_DECODE', value: '&lt;SCRIPT&gt;' },
+            { priority: 1, type: 'HTML_ENTITY_DECODE', value: '<SCRIPT>' },
+            { priority: 2, type: 'LOWERCASE', value: '<script>' }
+        ]);
+        expect(applyTextTransformations('%26lt%3BSCRIPT%26gt%3B', transformations)).toBe('<script>');
+    });
+
+    it('reports unknown transformation types as unsupported', () => {
+        const steps = traceTextTransformations('Admin', [{ Priority: 0, Type: 'FUTURE_DECODE' }, { Priority: 1, Type: 'LOWERCASE' }]);
+        expect(steps).toEqual([
+            { priority: 0, type: 'FUTURE_DECODE', value: 'Admin', unsupported: true },
+            { priority: 1, type: 'LOWERCASE', value: 'admin' }
+        ]);
+    });
+});
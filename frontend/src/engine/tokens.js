@@ -0,0 +1,131 @@
+/**
+ * aws-waf-token simulation for the CAPTCHA and Challenge actions.
+ * A token records how long ago the client solved a CAPTCHA puzzle and a silent challenge,
+ * and the domain it was issued for. A CAPTCHA or Challenge rule lets a request continue when
+ * the relevant solve is within the immunity time and the token's domain is accepted;
+ * otherwise AWS WAF answers with an interstitial (405 CAPTCHA puzzle, 202 silent challenge).
+ * Simulated tokens have the shape { domain, captchaAge, challengeAge }, ages in seconds and
+ * null when never solved; a missing token is null.
+ */
+import { getHeaderValue } from './request';
+
+// Immunity time AWS WAF uses when neither the rule nor the web ACL configures one
+export const DEFAULT_IMMUNITY_TIME = 300;
+
+const TOKEN_LABEL_NAMESPACE = 'awswaf:managed:token';
+
+const INTERSTITIAL_RESPONSE_CODES = { CAPTCHA: 405, Challenge: 202 };
+
+const CONFIG_KEYS = { CAPTCHA: 'CaptchaConfig', Challenge: 'ChallengeConfig' };
+
+/**
+ * Returns the web ACL settings the token checks use.
+ * @param {Object|Array} webAcl - The Web ACL JSON or its Rules array.
+ * @returns {Object} - { CaptchaConfig, ChallengeConfig, tokenDomains } with lowercased domains.
+ */
+export const getTokenSettings = (webAcl) => {
+    const acl = Array.isArray(webAcl) ? {} : webAcl || {};
+    return {
+        CaptchaConfig: acl.CaptchaConfig,
+        ChallengeConfig: acl.ChallengeConfig,
+        tokenDomains: (acl.TokenDomains || []).map(domain => domain.toLowerCase())
+    };
+};
+
+/**
+ * Resolves the immunity time of a CAPTCHA or Challenge action: the rule's CaptchaConfig or
+ * ChallengeConfig, then the web ACL's, then the AWS default.
+ * @returns {Object} - { immunityTime, source: 'Rule' | 'WebACL' | 'Default' }
+ */
+export const getImmunityTime = (action, rule, settings = {}) => {
+    const key = CONFIG_KEYS[action];
+    const ruleTime = rule?.[key]?.ImmunityTimeProperty?.ImmunityTime;
+    if (ruleTime !== undefined) return { immunityTime: ruleTime, source: 'Rule' };
+
+    const aclTime = settings[key]?.ImmunityTimeProperty?.ImmunityTime;
+    if (aclTime !== undefined) return { immunityTime: aclTime, source: 'WebACL' };
+
+    return { immunityTime: DEFAULT_IMMUNITY_TIME, source: 'Default' };
+};
+
+// Tokens are accepted for the protected host and for the web ACL's TokenDomains. Without a
+// Host header the protected domain is unknown, so the token is taken to be issued for it.
+const isDomainAccepted = (domain, host, tokenDomains) => {
+    if (!domain || !host) return true;
+    const tokenDomain = domain.toLowerCase();
+    return tokenDomain === host || tokenDomains.includes(tokenDomain);
+};
+
+// AWS WAF can only serve the interstitial to clients that render it: GET requests accepting HTML
+const canHandleInterstitial = (request) => {
+    const accept = (getHeaderValue(request, 'accept') || '').toLowerCase();
+    return request.method === 'GET' && accept.includes('text/html');
+};
+
+/**
+ * Checks a request's token for a CAPTCHA or Challenge action.
+ * @param {String} action - 'CAPTCHA' or 'Challenge'.
+ * @param {Object} rule - The rule whose CaptchaConfig or ChallengeConfig applies.
+ * @param {Object} request - The normalized request.
+ * @param {Object} token - The simulated token, or null when the request has none.
+ * @param {Object} settings - getTokenSettings of the web ACL.
+ * @returns {Object} - { action, status: 'accepted' | 'absent' | 'not_solved' | 'expired' |
+ *   'domain_mismatch', outcome: 'continue' | 'interstitial' | 'block', responseCode, labels,
+ *   immunityTime, immunitySource, age, note }
+ */
+export const checkToken = (action, rule, request, token, settings = {}) => {
+    const { immunityTime, source } = getImmunityTime(action, rule, settings);
+    const host = (getHeaderValue(request, 'host') || '').toLowerCase().replace(/:\d+$/, '');
+    // Solving a CAPTCHA puzzle also counts as solving the silent challenge
+    const solvedAges = (action === 'CAPTCHA' ? [token?.captchaAge] : [token?.challengeAge, token?.captchaAge])
+        .filter(value => value !== null && value !== undefined);
+    const age = solvedAges.length ? Math.min(...solvedAges) : null;
+
+    let status;
+    if (!token) {
+        status = 'absent';
+    } else if (!isDomainAccepted(token.domain, host, settings.tokenDomains || [])) {
+        status = 'domain_mismatch';
+    } else if (age === null) {
+        status = 'not_solved';
+    } else if (age > immunityTime) {
+        status = 'expired';
+    } else {
+        status = 'accepted';
+    }
+
+    const labels = status === 'accepted' || status === 'absent'
+        ? [`${TOKEN_LABEL_NAMESPACE}:${status}`]
+        : [`${TOKEN_LABEL_NAMESPACE}:rejected`, `${TOKEN_LABEL_NAMESPACE}:rejected:${status}`];
+    const base = { action, status, labels, immunityTime, immunitySource: source, age };
+
+    if (status === 'accepted') {
+        return {
+            ...base,
+            outcome: 'continue',
+            note: `The token was solved ${age}s ago, within the ${immunityTime}s immunity time, so ${action} lets the request continue`
+        };
+    }
+
+    const reasons = {
+        absent: 'The request has no aws-waf-token',
+        not_solved: `The token has no solved ${action === 'CAPTCHA' ? 'CAPTCHA puzzle' : 'challenge'}`,
+        expired: `The token was solved ${age}s ago, past the ${immunityTime}s immunity time`,
+        domain_mismatch: `The token domain ${token?.domain} is neither ${host} nor one of the TokenDomains`
+    };
+    const responseCode = INTERSTITIAL_RESPONSE_CODES[action];
+    if (!canHandleInterstitial(request)) {
+        return {
+            ...base,
+            outcome: 'block',
+            responseCode,
+            note: `${reasons[status]}; the client cannot render the ${responseCode} interstitial (not a GET accepting text/html), so the request is effectively blocked`
+        };
+    }
+    return {
+        ...base,
+        outcome: 'interstitial',
+        responseCode,
+        note: `${reasons[status]}, so AWS WAF responds with the ${responseCode} ${action === 'CAPTCHA' ? 'CAPTCHA puzzle' : 'silent challenge'}`
+    };
+};
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_IMMUNITY_TIME, checkToken, getImmunityTime, getTokenSettings } from './tokens';
+import { normalizeRequest } from './request';
+
+const browser = (headers = []) => normalizeRequest({
+    headers: [{ name: 'Host', value: 'www.example.com:443' }, { name: 'Accept', value: 'text/html,*/*' }, ...headers]
+});
+const token = (overrides = {}) => ({ domain: 'www.example.com', captchaAge: null, challengeAge: null, ...overrides });
+
+describe('getImmunityTime', () => {
+    const settings = getTokenSettings({ CaptchaConfig: { ImmunityTimeProperty: { ImmunityTime: 600 } } });
+
+    it('prefers the rule, then the web ACL, then the default', () => {
+        const rule = { CaptchaConfig: { ImmunityTimeProperty: { ImmunityTime: 60 } } };
+        expect(getImmunityTime('CAPTCHA', rule, settings)).toEqual({ immunityTime: 60, source: 'Rule' });
+        expect(getImmunityTime('CAPTCHA', {}, settings)).toEqual({ immunityTime: 600, source: 'WebACL' });
+        expect(getImmunityTime('Challenge', {}, settings)).toEqual({ immunityTime: DEFAULT_IMMUNITY_TIME, source: 'Default' });
+    });
+});
+
+describe('checkToken', () => {
+    it('accepts a token solved within the immunity time', () => {
+        const result = checkToken('CAPTCHA', {}, browser(), token({ captchaAge: 100 }));
+        expect(result).toMatchObject({ status: 'accepted', outcome: 'continue', age: 100, labels: ['awswaf:managed:token:accepted'] });
+    });
+
+    it('serves the interstitial without a token', () => {
+        const result = checkToken('CAPTCHA', {}, browser(), null);
+        expect(result).toMatchObject({ status: 'absent', outcome: 'interstitial', responseCode: 405, labels: ['awswaf:managed:token:absent'] });
+        expect(checkToken('Challenge', {}, browser(), null).responseCode).toBe(202);
+    });
+
+    it('rejects a token without the relevant solve', () => {
+        const result = checkToken('CAPTCHA', {}, browser(), token({ challengeAge: 10 }));
+        expect(result).toMatchObject({
+            status: 'not_solved',
+            outcome: 'interstitial',
+            labels: ['awswaf:managed:token:rejected', 'awswaf:managed:token:rejected:not_solved']
+        });
+    });
+
+    it('accepts a solved CAPTCHA for a Challenge', () => {
+        expect(checkToken('Challenge', {}, browser(), token({ captchaAge: 10 })).status).toBe('accepted');
+    });
+
+    it('rejects a token past the immunity time', () => {
+        const rule = { ChallengeConfig: { ImmunityTimeProperty: { ImmunityTime: 60 } } };
+        expect(checkToken('Challenge', rule, browser(), token({ challengeAge: 60 })).status).toBe('accepted');
+        expect(checkToken('Challenge', rule, browser(), token({ challengeAge: 61 }))).toMatchObject({
+            status: 'expired',
+            immunitySource: 'Rule',
+            labels: ['awswaf:managed:token:rejected', 'awswaf:managed:token:rejected:expired']
+        });
+    });
+
+    it('rejects a token issued for another domain unless it is a TokenDomain', () => {
+        const other = token({ domain: 'login.example.org', captchaAge: 10 });
+        expect(checkToken('CAPTCHA', {}, browser(), other).status).toBe('domain_mismatch');
+        const settings = getTokenSettings({ TokenDomains: ['Login.Example.org'] });
+        expect(checkToken('CAPTCHA', {}, browser(), other, settings).status).toBe('accepted');
+    });
+
+    it('blocks clients that cannot render the interstitial', () => {
+        const api = normalizeRequest({ method: 'POST', headers: [{ name: 'Accept', value: 'application/json' }] });
+        expect(checkToken('CAPTCHA', {}, api, null)).toMatchObject({ status: 'absent', outcome: 'block', responseCode: 405 });
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Web ACL model shared by the views, the debugger and the AI assistant.
+ * Loaders hand over whatever they received: GetWebACL's WebACL (the backend's details
+ * endpoint), the { WebACL, LockToken } output of `aws wafv2 get-web-acl`, a bare Rules array
+ * or a single rule. normalizeWebAcl turns each into the Web ACL JSON with Rules always an
+ * array; input without ACL-level settings is marked rulesOnly.
+ */
+
+// ACL-level properties the settings panel shows and the evaluation engine reads
+export const WEB_ACL_SETTINGS = [
+    'DefaultAction',
+    'CustomResponseBodies',
+    'CaptchaConfig',
+    'ChallengeConfig',
+    'TokenDomains',
+    'AssociationConfig',
+    'VisibilityConfig'
+];
+
+export const EMPTY_WEB_ACL = { Rules: [], rulesOnly: true };
+
+// Finds the rules array in input that is not a Web ACL
+const extractRules = (input) => {
+    if (Array.isArray(input.rules)) return input.rules;
+    if (Array.isArray(input.data)) return input.data;
+
+    // A single rule
+    if (input.Statement) return [input];
+
+    // An object holding exactly one array
+    const arrayValues = Object.values(input).filter(Array.isArray);
+    return arrayValues.length === 1 ? arrayValues[0] : [];
+};
+
+/**
+ * Normalizes loaded data to a Web ACL.
+ * @param {*} input - A Web ACL, { WebACL }, a rules array or a single rule.
+ * @returns {Object} - The Web ACL JSON with a Rules array; rulesOnly when input had no ACL.
+ */
+export const normalizeWebAcl = (input) => {
+    if (!input || typeof input !== 'object') return EMPTY_WEB_ACL;
+
+    const acl = input.WebACL && typeof input.WebACL === 'object' ? input.WebACL : input;
+    if (Array.isArray(acl)) return { Rules: acl, rulesOnly: true };
+    if (Array.isArray(acl.Rules)) return { ...acl, rulesOnly: false };
+    return { Rules: extractRules(acl), rulesOnly: true };
+};
+
+/**
+ * Returns the ACL-level settings a Web ACL defines, in WEB_ACL_SETTINGS order.
+ * @returns {Array} - [{ key, value }]
+ */
+export const getWebAclSettings = (webAcl) => {
+    if (!webAcl || webAcl.rulesOnly) return [];
+    return WEB_ACL_SETTINGS
+        .filter(key => webAcl[key] !== undefined)
+        .map(key => ({ key, value: webAcl[key] }));
+};
+
+/**
+ * Returns the name of the Web ACL's DefaultAction (Allow or Block), or null when unknown.
+ */
+export const getDefaultActionName = (webAcl) => {
+    return Object.keys(webAcl?.DefaultAction || {})[0] || null;
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_WEB_ACL, getDefaultActionName, getWebAclSettings, normalizeWebAcl } from './webAcl';
+
+const rule = { Name: 'geo', Priority: 0, Action: { Block: {} }, Statement: { GeoMatchStatement: { CountryCodes: ['US'] } } };
+const webAcl = { Name: 'main', DefaultAction: { Allow: {} }, CaptchaConfig: { ImmunityTimeProperty: { ImmunityTime: 300 } }, Rules: [rule] };
+
+describe('normalizeWebAcl', () => {
+    it('keeps a plain Web ACL with its settings', () => {
+        expect(normalizeWebAcl(webAcl)).toEqual({ ...webAcl, rulesOnly: false });
+    });
+
+    it('unwraps the get-web-acl { WebACL } output', () => {
+        expect(normalizeWebAcl({ WebACL: webAcl, LockToken: 'token' })).toEqual({ ...webAcl, rulesOnly: false });
+    });
+
+    it('marks a bare rules array or a single rule as rulesOnly', () => {
+        expect(normalizeWebAcl([rule])).toEqual({ Rules: [rule], rulesOnly: true });
+        expect(normalizeWebAcl(rule)).toEqual({ Rules: [rule], rulesOnly: true });
+        expect(normalizeWebAcl({ WebACL: [rule] })).toEqual({ Rules: [rule], rulesOnly: true });
+    });
+
+    it('finds the rules of other wrappers', () => {
+        expect(normalizeWebAcl({ rules: [rule] }).Rules).toEqual([rule]);
+        expect(normalizeWebAcl({ data: [rule], total: 1 }).Rules).toEqual([rule]);
+        expect(normalizeWebAcl({ items: [rule], next: null }).Rules).toEqual([rule]);
+        expect(normalizeWebAcl({ a: [rule], b: [] })).toEqual(EMPTY_WEB_ACL);
+    });
+
+    it('returns an empty Web ACL for anything else', () => {
+        expect(normalizeWebAcl(null)).toEqual(EMPTY_WEB_ACL);
+        expect(normalizeWebAcl('rules')).toEqual(EMPTY_WEB_ACL);
+    });
+});
+
+describe('Web ACL settings', () => {
+    it('lists the settings of a Web ACL but not of rulesOnly input', () => {
+        expect(getWebAclSettings(normalizeWebAcl(webAcl)).map(setting => setting.key)).toEqual(['DefaultAction', 'CaptchaConfig']);
+        expect(getWebAclSettings(normalizeWebAcl([rule]))).toEqual([]);
+    });
+
+    it('names the DefaultAction', () => {
+        expect(getDefaultActionName(webAcl)).toBe('Allow');
+        expect(getDefaultActionName(normalizeWebAcl([rule]))).toBeNull();
+    });
+});
@@ -6,6 +6,7 @@ import RulesLoaderPopup from '../components/upload/RulesLoaderPopup';
 import CustomSnackbar from '../components/popup/CustomSnackbar';
 import { useOutletContext } from 'react-router-dom';
 import AIChatPanel from '../components/popup/AIChatPanel';
+import { normalizeWebAcl } from '../engine/webAcl';
 
 /**
  * AI Page - Full page with TopBar and Sidebar layout
@@ -15,12 +16,12 @@ const AIPage = () => {
     const [loaderOpen, setLoaderOpen] = React.useState(false);
     const [snackbar, setSnackbar] = React.useState({ open: false, message: '', severity: 'info' });
     const { darkTheme, getColor } = useThemeContext();
-    const { data: rules, setData: setRules } = useOutletContext();
+    const { data: rules, setData: setRules, webAcl } = useOutletContext();
 
-    const handleRulesLoaded = (loadedRules) => {
-        setRules(loadedRules);
+    const handleRulesLoaded = (loadedData) => {
+        setRules(loadedData);
         setLoaderOpen(false);
-        setSnackbar({ open: true, message: `Successfully loaded ${loadedRules.length} rules!`, severity: 'success' });
+        setSnackbar({ open: true, message: `Successfully loaded ${normalizeWebAcl(loadedData).Rules.length} rules!`, severity: 'success' });
     };
 
     const handleCloseSnackbar = () => setSnackbar({ ...snackbar, open: false });
@@ -157,6 +158,7 @@ const AIPage = () => {
                     <AIChatPanel
                         rule={rules[0] || {}}
                         allRules={rules}
+                        webAcl={webAcl}
                         edges={[]}
                         isAIPage={true}
                     />
@@ -167,7 +169,7 @@ const AIPage = () => {
             <RulesLoaderPopup
                 open={loaderOpen}
                 onClose={() => setLoaderOpen(false)}
-                onRulesLoaded={handleRulesLoaded}
+                onRulesReceived={handleRulesLoaded}
             />
 
             {/* Snackbar for notifications */}
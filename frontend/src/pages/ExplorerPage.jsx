@@ -3,7 +3,7 @@ import RequestDebugger from '../debugger/RequestDebugger';
 import Sidebar from '../components/layout/Sidebar';
 import { useState, useEffect } from 'react';
 import backgroundImage from '../assets/pexels-scottwebb-1029624.jpg';
-import WAFView, { normalizeRulesData } from '../components/WAFView/WAFView';
+import WAFView from '../components/WAFView/WAFView';
 import { useOutletContext } from 'react-router-dom';
 import { useThemeContext } from '../context/ThemeContext';
 
@@ -30,6 +30,9 @@ export default function ExplorerPage() {
     setLoaderPopupOpen,
     data,
     setData,
+    webAcl,
+    webAclAccount,
+    setWebAclAccount,
     handleExportVectorPdf,
     showArrows,
     setShowArrows,
@@ -59,20 +62,10 @@ export default function ExplorerPage() {
   console.log('[ExplorerPage] treeStyle prop:', treeStyle);
 
   /**
-   * Handles setting and normalizing new data for the app.
+   * Handles setting new data for the app; AppLayout normalizes it to a Web ACL.
    */
   const handleSetData = (newData) => {
-    const normalized = normalizeRulesData(newData);
-    setData(normalized);
-  };
-
-  /**
-   * Handles rules received from the loader popup and normalizes them.
-   */
-  const handleRulesReceived = (rulesData) => {
-    const normalized = normalizeRulesData(rulesData);
-    setData(normalized);
-    setLoaderPopupOpen(false);
+    setData(newData);
   };
 
   console.log('[ExplorerPage] Render - view:', viewType, 'data:', data);
@@ -97,6 +90,9 @@ export default function ExplorerPage() {
         <Box sx={{ flex: 1, overflow: 'auto' }}>
           <WAFView
             data={data}
+            webAcl={webAcl}
+            webAclAccount={webAclAccount}
+            setWebAclAccount={setWebAclAccount}
             setData={handleSetData}
             exportToPdf={exportToPdf}
             exportToImage={exportToImage}